@@ -0,0 +1,116 @@
+/**
+ * Finance and Biotech Sentiment Lexicon
+ * Phrase weights from -3 (strongly bearish) to +3 (strongly bullish).
+ * Phrases are matched on lowercase word boundaries; multi-word phrases take
+ * precedence over the single words they contain ("did not meet" beats "meet").
+ */
+
+// Regulatory and clinical outcomes
+export const CLINICAL_PHRASES = {
+  'approval': 3,
+  'approved': 3,
+  'approves': 3,
+  'fda approval': 3,
+  'accelerated approval': 3,
+  'breakthrough therapy': 2,
+  'fast track': 1.5,
+  'priority review': 1.5,
+  'met primary endpoint': 3,
+  'met its primary endpoint': 3,
+  'positive data': 3,
+  'positive results': 3,
+  'positive topline': 3,
+  'statistically significant': 2,
+  'crl': -3,
+  'complete response letter': -3,
+  'rejected': -3,
+  'rejection': -3,
+  'clinical hold': -3,
+  'failed': -3,
+  'fails': -3,
+  'did not meet': -3,
+  'missed primary endpoint': -3,
+  'missed its primary endpoint': -3,
+  'safety signal': -2,
+  'adverse events': -1.5,
+  'patient death': -3,
+  'delayed': -1.5,
+  'delay': -1.5,
+  'recall': -2
+}
+
+// Corporate finance events
+export const CORPORATE_PHRASES = {
+  'buyout': 2,
+  'acquired': 2,
+  'acquisition': 1,
+  'takeover': 2,
+  'partnership': 1,
+  'licensing deal': 1.5,
+  'beat': 1.5,
+  'beats': 1.5,
+  'raised guidance': 2,
+  'raises guidance': 2,
+  'upgrade': 2,
+  'upgraded': 2,
+  'dilution': -2.5,
+  'dilutive': -2.5,
+  'offering': -2,
+  'public offering': -2.5,
+  'atm offering': -2.5,
+  'shelf': -1,
+  'reverse split': -2,
+  'going concern': -3,
+  'bankruptcy': -3,
+  'delisting': -3,
+  'halted': -2,
+  'lawsuit': -1.5,
+  'downgrade': -2,
+  'downgraded': -2,
+  'missed': -2,
+  'misses': -2,
+  'cut guidance': -2,
+  'lowered guidance': -2
+}
+
+// Retail trader slang
+export const TRADER_PHRASES = {
+  'calls': 1.5,
+  'bullish': 2,
+  'moon': 1.5,
+  'mooning': 2,
+  'to the moon': 2,
+  'rocket': 1.5,
+  'squeeze': 1,
+  'ripping': 1.5,
+  'soaring': 2,
+  'undervalued': 1.5,
+  'buy the dip': 1,
+  'loading up': 1.5,
+  'puts': -1.5,
+  'bearish': -2,
+  'dump': -2,
+  'dumping': -2,
+  'crash': -2,
+  'crashing': -2,
+  'tanking': -2,
+  'overvalued': -1.5,
+  'bagholder': -1.5,
+  'bagholders': -1.5,
+  'bagholding': -1.5,
+  'going to zero': -2.5,
+  'rug pull': -2.5,
+  'scam': -2
+}
+
+// All phrases combined
+export const SENTIMENT_LEXICON = {
+  ...CLINICAL_PHRASES,
+  ...CORPORATE_PHRASES,
+  ...TRADER_PHRASES
+}
+
+// Words that flip the phrase that follows them ("not approved")
+export const NEGATIONS = new Set([
+  'not', 'no', 'never', "didn't", "doesn't", "isn't", "wasn't", "won't", 'without', 'avoid', 'avoided'
+])
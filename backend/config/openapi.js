@@ -0,0 +1,1579 @@
+/**
+ * OpenAPI Document
+ * Describes every endpoint in server.js. Requests are validated against it
+ * (services/validation.js), responses are checked against it in development,
+ * and it is served at /api/openapi.json with interactive docs at /api/docs.
+ * The /api/v1 paths are generated from the unversioned ones (see below).
+ * Limits and enums come from the services that enforce them.
+ */
+
+import { SECTOR_TAXONOMY } from './sectors.js'
+import { HISTORY_RANGES, HISTORY_INTERVALS, INTERVAL_RANGES } from '../services/quotes.js'
+import { DISCUSSION_SORTS } from '../services/market.js'
+import { PIPELINE_STATUS_FILTERS } from '../services/trials.js'
+import { FILING_CATEGORIES } from '../services/edgar.js'
+import { MAX_WATCHLIST_NAME_LENGTH, MAX_WATCHLIST_SYMBOLS } from '../services/watchlists.js'
+import { CATALYST_TYPES, MAX_TITLE_LENGTH, MAX_NOTES_LENGTH } from '../services/calendar.js'
+import { ALERT_TYPES, MAX_COOLDOWN_MINUTES } from '../services/alerts.js'
+import { MAX_SESSION_TITLE_LENGTH } from '../services/chat.js'
+
+const MAX_MESSAGE_LENGTH = 2000
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` })
+const arrayOf = items => ({ type: 'array', items })
+// A $ref cannot carry siblings in OpenAPI 3.0, so nullable references go through allOf
+const nullable = schema => (schema.$ref ? { allOf: [schema], nullable: true } : { ...schema, nullable: true })
+
+// { success: true, data, ...extra } response body
+const envelope = (data, extra = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...(data ? ['data'] : []), ...required],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    ...(data && { data }),
+    ...extra
+  }
+})
+
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+})
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(status => [
+  status,
+  { $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` }
+]))
+
+const ERROR_RESPONSES = {
+  400: { name: 'BadRequest', description: 'Invalid parameters' },
+  401: { name: 'Unauthorized', description: 'Sign in required, wrong credentials or unknown API key' },
+  403: { name: 'Forbidden', description: 'Signed-in user is not an admin, or a browser request from an origin outside ALLOWED_ORIGINS' },
+  404: { name: 'NotFound', description: 'Not found' },
+  409: { name: 'Conflict', description: 'Already exists' },
+  429: { name: 'TooManyRequests', description: 'Rate limit or daily AI quota exceeded' },
+  500: { name: 'ServerError', description: 'Upstream or server failure' }
+}
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+})
+
+const param = name => ({ $ref: `#/components/parameters/${name}` })
+
+const queryParam = (name, schema, description, required = false) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema
+})
+
+const sectorSlugs = Object.keys(SECTOR_TAXONOMY).map(name => name.toLowerCase().replace(/\s+/g, '-'))
+
+const okResponse = json('Done', envelope(null))
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'What went wrong, suitable for display' },
+      details: { type: 'string', description: 'Underlying error message (server errors only)' },
+      errors: arrayOf(ref('ValidationIssue'))
+    }
+  },
+  ValidationIssue: {
+    type: 'object',
+    required: ['in', 'name', 'message'],
+    properties: {
+      in: { type: 'string', enum: ['query', 'path', 'body'] },
+      name: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Quote: {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+      symbol: { type: 'string' },
+      shortName: nullable({ type: 'string' }),
+      longName: nullable({ type: 'string' }),
+      marketCap: nullable({ type: 'number' }),
+      regularMarketPrice: nullable({ type: 'number' }),
+      regularMarketChange: nullable({ type: 'number' }),
+      regularMarketChangePercent: nullable({ type: 'number' }),
+      regularMarketVolume: nullable({ type: 'number' }),
+      currency: nullable({ type: 'string' }),
+      source: { type: 'string' }
+    }
+  },
+  Article: {
+    type: 'object',
+    required: ['title', 'link'],
+    properties: {
+      title: { type: 'string' },
+      link: { type: 'string' },
+      aiSummary: nullable({ type: 'string' }),
+      whyItMatters: nullable({ type: 'string' }),
+      summarySource: nullable({ type: 'string' }),
+      publishedAt: nullable({ type: 'string' })
+    }
+  },
+  SummaryBudget: {
+    type: 'object',
+    description: 'Daily AI summary budget (articles past it use the publisher summary)'
+  },
+  SectorSummary: {
+    type: 'object',
+    required: ['name', 'slug', 'count'],
+    properties: {
+      name: { type: 'string' },
+      slug: { type: 'string' },
+      color: nullable({ type: 'string' }),
+      count: { type: 'integer' }
+    }
+  },
+  UniverseEntry: {
+    type: 'object',
+    required: ['symbol', 'name'],
+    properties: {
+      symbol: { type: 'string' },
+      name: { type: 'string' },
+      industry: nullable({ type: 'string' }),
+      primarySector: nullable({ type: 'string' }),
+      secondarySectors: arrayOf({ type: 'string' }),
+      matchReasons: arrayOf({ type: 'string' }),
+      color: nullable({ type: 'string' })
+    }
+  },
+  TrendingStock: {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+      symbol: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      price: nullable({ type: 'number' }),
+      change: nullable({ type: 'number' }),
+      changePercent: nullable({ type: 'number' }),
+      mentions: { type: 'number' },
+      socialScore: { type: 'number' },
+      source: { type: 'string' }
+    }
+  },
+  RedditPost: {
+    type: 'object',
+    required: ['id', 'title', 'tickers'],
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      url: { type: 'string' },
+      author: nullable({ type: 'string' }),
+      subreddit: { type: 'string' },
+      upvotes: { type: 'number' },
+      comments: { type: 'number' },
+      timestamp: { type: 'number', description: 'Milliseconds since the epoch' },
+      tickers: arrayOf({ type: 'string' }),
+      flair: nullable({ type: 'string' })
+    }
+  },
+  StockIntelligence: {
+    type: 'object',
+    required: ['symbol', 'news', 'discussions'],
+    properties: {
+      symbol: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      price: nullable({ type: 'number' }),
+      change: nullable({ type: 'number' }),
+      changePercent: nullable({ type: 'number' }),
+      news: arrayOf(ref('Article')),
+      discussions: arrayOf(ref('RedditPost')),
+      discussionCount: { type: 'integer' },
+      socialSentiment: { type: 'object' },
+      nextCatalyst: nullable(ref('Catalyst'))
+    }
+  },
+  Pipeline: {
+    type: 'object',
+    required: ['symbol', 'phases'],
+    properties: {
+      symbol: { type: 'string' },
+      sponsor: nullable({ type: 'string' }),
+      status: { type: 'string', enum: PIPELINE_STATUS_FILTERS },
+      total: { type: 'integer' },
+      phases: arrayOf({
+        type: 'object',
+        required: ['phase', 'trials'],
+        properties: {
+          phase: { type: 'string' },
+          trials: arrayOf({ type: 'object' })
+        }
+      }),
+      source: { type: 'string' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Filing: {
+    type: 'object',
+    required: ['accessionNumber', 'form', 'filingDate', 'category'],
+    properties: {
+      accessionNumber: { type: 'string' },
+      form: { type: 'string' },
+      filingDate: { type: 'string', format: 'date' },
+      reportDate: nullable({ type: 'string' }),
+      description: nullable({ type: 'string' }),
+      items: arrayOf({
+        type: 'object',
+        properties: { code: { type: 'string' }, label: { type: 'string' } }
+      }),
+      category: { type: 'string', enum: Object.keys(FILING_CATEGORIES) },
+      dilution: { type: 'boolean' },
+      primaryDocument: nullable({ type: 'string' }),
+      url: nullable({ type: 'string' })
+    }
+  },
+  Filings: {
+    type: 'object',
+    required: ['symbol', 'cik', 'filings'],
+    properties: {
+      symbol: { type: 'string' },
+      cik: { type: 'string' },
+      company: nullable({ type: 'string' }),
+      total: { type: 'integer' },
+      filings: arrayOf(ref('Filing')),
+      source: { type: 'string' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  InsiderTransaction: {
+    type: 'object',
+    required: ['insider', 'date', 'code'],
+    properties: {
+      insider: { type: 'string' },
+      role: nullable({ type: 'string' }),
+      date: { type: 'string', format: 'date' },
+      security: nullable({ type: 'string' }),
+      derivative: { type: 'boolean' },
+      code: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      acquired: { type: 'boolean' },
+      shares: nullable({ type: 'number' }),
+      price: nullable({ type: 'number' }),
+      value: nullable({ type: 'number' }),
+      sharesOwnedAfter: nullable({ type: 'number' }),
+      ownership: nullable({ type: 'string' }),
+      tenb5One: { type: 'boolean', description: 'Made under a Rule 10b5-1 trading plan' },
+      url: nullable({ type: 'string' })
+    }
+  },
+  InsiderTransactions: {
+    type: 'object',
+    required: ['symbol', 'days', 'summary', 'transactions'],
+    properties: {
+      symbol: { type: 'string' },
+      company: nullable({ type: 'string' }),
+      days: { type: 'integer' },
+      summary: {
+        type: 'object',
+        required: ['netShares', 'netValue', 'signal'],
+        properties: {
+          buys: { type: 'object' },
+          sells: { type: 'object' },
+          netShares: { type: 'number' },
+          netValue: { type: 'number' },
+          signal: { type: 'string', enum: ['buying', 'selling', 'neutral'] }
+        }
+      },
+      transactions: arrayOf(ref('InsiderTransaction')),
+      source: { type: 'string' }
+    }
+  },
+  InsiderActivity: {
+    type: 'object',
+    required: ['days', 'minValue', 'buys'],
+    properties: {
+      days: { type: 'integer' },
+      minValue: { type: 'number' },
+      buys: arrayOf(ref('InsiderTransaction')),
+      scanned: { type: 'integer' },
+      failed: arrayOf({ type: 'string' })
+    }
+  },
+  History: {
+    type: 'object',
+    required: ['symbol', 'range', 'interval', 'candles'],
+    properties: {
+      symbol: { type: 'string' },
+      range: { type: 'string', enum: Object.keys(HISTORY_RANGES) },
+      interval: { type: 'string', enum: HISTORY_INTERVALS },
+      candles: arrayOf({
+        type: 'object',
+        required: ['time', 'close'],
+        properties: {
+          time: { type: 'number', description: 'Seconds since the epoch' },
+          open: nullable({ type: 'number' }),
+          high: nullable({ type: 'number' }),
+          low: nullable({ type: 'number' }),
+          close: nullable({ type: 'number' }),
+          volume: nullable({ type: 'number' })
+        }
+      }),
+      source: { type: 'string' }
+    }
+  },
+  Watchlist: {
+    type: 'object',
+    required: ['id', 'name', 'symbols'],
+    properties: {
+      id: { type: 'string' },
+      ownerId: { type: 'string', description: 'Id of the account the watchlist belongs to' },
+      name: { type: 'string' },
+      symbols: arrayOf({ type: 'string' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WatchlistItem: {
+    type: 'object',
+    required: ['symbol'],
+    description: 'Quote, sentiment and latest headline for one symbol, or { symbol, error } when it failed',
+    properties: {
+      symbol: { type: 'string' },
+      name: nullable({ type: 'string' }),
+      price: nullable({ type: 'number' }),
+      changePercent: nullable({ type: 'number' }),
+      sentiment: { type: 'object' },
+      latestHeadline: nullable({ type: 'object' }),
+      error: { type: 'string' }
+    }
+  },
+  Catalyst: {
+    type: 'object',
+    required: ['id', 'symbol', 'type', 'date', 'title'],
+    properties: {
+      id: { type: 'string' },
+      symbol: { type: 'string' },
+      type: { type: 'string', enum: Object.keys(CATALYST_TYPES) },
+      date: { type: 'string', format: 'date' },
+      title: { type: 'string' },
+      notes: nullable({ type: 'string' }),
+      dateEstimated: { type: 'boolean' },
+      source: { type: 'string', enum: ['api', 'csv', 'ics'] },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  CatalystInput: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string', maxLength: 12 },
+      type: { type: 'string', enum: Object.keys(CATALYST_TYPES) },
+      date: { type: 'string', format: 'date' },
+      title: nullable({ type: 'string', maxLength: MAX_TITLE_LENGTH }),
+      notes: nullable({ type: 'string', maxLength: MAX_NOTES_LENGTH }),
+      dateEstimated: { type: 'boolean' }
+    }
+  },
+  AlertRule: {
+    type: 'object',
+    required: ['id', 'type', 'symbol', 'name', 'enabled'],
+    properties: {
+      id: { type: 'string' },
+      ownerId: { type: 'string', description: 'Id of the account the rule belongs to' },
+      type: { type: 'string', enum: Object.keys(ALERT_TYPES) },
+      symbol: { type: 'string' },
+      name: { type: 'string' },
+      threshold: nullable({ type: 'number' }),
+      cooldownMinutes: { type: 'integer' },
+      webhookUrl: nullable({ type: 'string' }),
+      enabled: { type: 'boolean' },
+      createdAt: { type: 'string', format: 'date-time' },
+      lastTriggeredAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+  AlertRuleInput: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: Object.keys(ALERT_TYPES) },
+      symbol: { type: 'string', maxLength: 12 },
+      threshold: { type: 'number', minimum: 0, exclusiveMinimum: true },
+      name: { type: 'string', maxLength: 60 },
+      cooldownMinutes: { type: 'integer', minimum: 0, maximum: MAX_COOLDOWN_MINUTES },
+      webhookUrl: nullable({
+        type: 'string',
+        format: 'uri',
+        description: 'http(s) URL on a public host; loopback, private and link-local addresses are refused'
+      }),
+      enabled: { type: 'boolean' }
+    }
+  },
+  Notification: {
+    type: 'object',
+    required: ['id', 'ruleId', 'title', 'createdAt', 'read'],
+    properties: {
+      id: { type: 'string' },
+      ownerId: { type: 'string' },
+      ruleId: { type: 'string' },
+      ruleName: { type: 'string' },
+      type: { type: 'string', enum: Object.keys(ALERT_TYPES) },
+      symbol: { type: 'string' },
+      title: { type: 'string' },
+      message: { type: 'string' },
+      data: { type: 'object' },
+      createdAt: { type: 'string', format: 'date-time' },
+      read: { type: 'boolean' },
+      webhook: { type: 'object' }
+    }
+  },
+  ChatSession: {
+    type: 'object',
+    required: ['id', 'title', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      ownerId: { type: 'string', description: 'Id of the account the conversation belongs to (full sessions only)' },
+      title: nullable({ type: 'string' }),
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      messageCount: { type: 'integer' },
+      messages: arrayOf({
+        type: 'object',
+        required: ['role', 'content'],
+        properties: {
+          role: { type: 'string', enum: ['user', 'assistant'] },
+          content: { type: 'string' },
+          tickers: arrayOf({ type: 'string' }),
+          sources: arrayOf(ref('Source')),
+          stopped: { type: 'boolean' }
+        }
+      })
+    }
+  },
+  Source: {
+    type: 'object',
+    required: ['id'],
+    description: 'Quote, headline or Reddit post given to the model, cited as [S1], [S2]...',
+    properties: {
+      id: { type: 'string' }
+    }
+  },
+  Usage: nullable({
+    type: 'object',
+    properties: {
+      inputTokens: { type: 'integer' },
+      outputTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      estimated: { type: 'boolean', description: 'True when counted from the text rather than reported by the model' }
+    }
+  }),
+  Quota: {
+    type: 'object',
+    required: ['limit', 'used', 'remaining', 'resetsAt'],
+    properties: {
+      limit: { type: 'number' },
+      used: { type: 'number' },
+      remaining: { type: 'number' },
+      requests: { type: 'integer' },
+      resetsAt: { type: 'string', format: 'date-time' },
+      timeZone: { type: 'string' }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'email', 'name'],
+    properties: {
+      id: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Session: {
+    type: 'object',
+    required: ['user', 'token', 'expiresAt'],
+    properties: {
+      user: ref('User'),
+      token: { type: 'string', description: 'Also set as the biotech_session cookie; send as a Bearer token from API clients' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Answer: {
+    type: 'object',
+    required: ['success', 'response'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      response: { type: 'string' },
+      tickers: arrayOf({ type: 'string' }),
+      sources: arrayOf(ref('Source')),
+      provider: { type: 'string' },
+      model: nullable({ type: 'string' }),
+      usage: ref('Usage'),
+      quota: ref('Quota')
+    }
+  },
+  MessageInput: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: MAX_MESSAGE_LENGTH }
+    }
+  },
+  Job: {
+    type: 'object',
+    required: ['name', 'enabled', 'interval', 'running', 'runs', 'failures', 'lastRun'],
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      enabled: { type: 'boolean' },
+      interval: {
+        type: 'object',
+        description: 'Minutes between runs during and outside US market hours; 0 pauses the job',
+        properties: {
+          marketHoursMinutes: { type: 'number' },
+          offHoursMinutes: { type: 'number' }
+        }
+      },
+      running: { type: 'boolean' },
+      nextRunAt: nullable({ type: 'string', format: 'date-time' }),
+      runs: { type: 'integer' },
+      failures: { type: 'integer' },
+      lastRun: nullable({
+        type: 'object',
+        required: ['startedAt', 'finishedAt', 'durationMs', 'error'],
+        properties: {
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' },
+          durationMs: { type: 'integer' },
+          error: nullable({ type: 'string' }),
+          result: nullable({ type: 'object', description: 'Summary the job reported, e.g. items refreshed' })
+        }
+      }),
+      lastSuccessAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  }
+}
+
+const idParam = (description) => ({
+  name: 'id',
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', minLength: 1, maxLength: 100 }
+})
+
+const eventStream = description => ({
+  description,
+  content: { 'text/event-stream': { schema: { type: 'string' } } }
+})
+
+const paths = {
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['System'],
+      summary: 'Health check',
+      responses: {
+        200: json('Backend is running', {
+          type: 'object',
+          required: ['status'],
+          properties: {
+            status: { type: 'string', enum: ['ok'] },
+            message: { type: 'string' },
+            llm: { type: 'object' }
+          }
+        })
+      }
+    }
+  },
+  '/quota': {
+    get: {
+      operationId: 'getQuota',
+      tags: ['System'],
+      summary: "The caller's daily AI token budget",
+      description: 'Callers are identified by X-API-Key, then signed-in user, then IP address. ' +
+        'A streamed answer is charged once it has sent text, including when the client stops it; ' +
+        'one that fails or is stopped before any text is not charged.',
+      parameters: [param('ApiKey')],
+      responses: {
+        200: json('Remaining budget', envelope({
+          allOf: [ref('Quota')],
+          type: 'object',
+          properties: { identity: { type: 'object' } }
+        })),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/quote': {
+    get: {
+      operationId: 'getQuote',
+      tags: ['Market'],
+      summary: 'Detailed quote for a stock',
+      parameters: [queryParam('symbol', ref('Ticker'), 'Ticker symbol', true)],
+      responses: {
+        200: json('Quote', envelope(ref('Quote'), { source: { type: 'string' } })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/news': {
+    get: {
+      operationId: 'getNews',
+      'x-pagination': { sort: ['-publishedAt', 'link'] },
+      tags: ['Market'],
+      summary: 'AI-summarized news for a stock',
+      parameters: [queryParam('symbol', ref('Ticker'), 'Ticker symbol', true)],
+      responses: {
+        200: json('Articles', envelope(arrayOf(ref('Article')), {
+          count: { type: 'integer' },
+          source: { type: 'string' },
+          summaryBudget: ref('SummaryBudget')
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/auth/register': {
+    post: {
+      operationId: 'register',
+      tags: ['Auth'],
+      summary: 'Create an account and sign in',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', format: 'email', maxLength: 254 },
+          password: { type: 'string', minLength: 8, maxLength: 200 },
+          name: nullable({ type: 'string', maxLength: 60 })
+        }
+      }),
+      responses: {
+        201: json('Signed in', envelope(ref('Session'))),
+        ...errors(400, 409, 429, 500)
+      }
+    }
+  },
+  '/auth/login': {
+    post: {
+      operationId: 'login',
+      tags: ['Auth'],
+      summary: 'Sign in with email and password',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: { type: 'string', maxLength: 254 },
+          password: { type: 'string', maxLength: 200 }
+        }
+      }),
+      responses: {
+        200: json('Signed in', envelope(ref('Session'))),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/auth/logout': {
+    post: {
+      operationId: 'logout',
+      tags: ['Auth'],
+      summary: 'End the current session',
+      responses: { 200: okResponse, ...errors(500) }
+    }
+  },
+  '/auth/me': {
+    get: {
+      operationId: 'getCurrentUser',
+      tags: ['Auth'],
+      summary: 'The signed-in user',
+      responses: {
+        200: json('User', envelope(ref('User'))),
+        ...errors(401)
+      }
+    }
+  },
+  '/stream': {
+    get: {
+      operationId: 'getStream',
+      tags: ['Market'],
+      summary: 'Server-sent trending, discussion and news deltas',
+      description: 'Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay what they missed.',
+      parameters: [queryParam('lastEventId', { type: 'string', maxLength: 100 }, 'Last event received')],
+      responses: { 200: eventStream('Event stream') }
+    }
+  },
+  '/market/trending': {
+    get: {
+      operationId: 'getTrending',
+      'x-pagination': { sort: ['-socialScore', 'symbol'] },
+      tags: ['Market'],
+      summary: 'Trending stocks from Reddit and market data, with mention momentum',
+      parameters: [param('Sector')],
+      responses: {
+        200: json('Trending stocks', envelope(arrayOf(ref('TrendingStock')), {
+          sector: nullable({ type: 'string' }),
+          source: { type: 'string' },
+          updatedAt: { type: 'string', format: 'date-time', description: 'When the feed was last refreshed' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/market/universe': {
+    get: {
+      operationId: 'getUniverse',
+      'x-pagination': { sort: ['symbol'] },
+      tags: ['Market'],
+      summary: 'Tracked biotech universe with sector classification',
+      parameters: [param('Sector')],
+      responses: {
+        200: json('Universe', envelope(arrayOf(ref('UniverseEntry')), {
+          count: { type: 'integer' },
+          sectors: arrayOf(ref('SectorSummary')),
+          source: { type: 'string' }
+        })),
+        ...errors(400)
+      }
+    }
+  },
+  '/market/discussions': {
+    get: {
+      operationId: 'getSubredditDiscussions',
+      'x-pagination': { query: { limit: 100 }, sort: ['-timestamp', 'id'] },
+      tags: ['Market'],
+      summary: 'Hot posts that mention tickers from one subreddit',
+      parameters: [
+        queryParam('subreddit', {
+          type: 'string',
+          pattern: '^[A-Za-z0-9_]{2,21}$',
+          default: 'wallstreetbets'
+        }, 'Subreddit name without r/'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Most posts to return')
+      ],
+      responses: {
+        200: json('Posts', envelope(arrayOf(ref('RedditPost')), {
+          subreddit: { type: 'string' },
+          count: { type: 'integer' },
+          source: { type: 'string' },
+          updatedAt: { type: 'string', format: 'date-time', description: 'When the feed was last refreshed' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/market/news': {
+    get: {
+      operationId: 'getMarketNews',
+      'x-pagination': { sort: ['-publishedAt', 'link'] },
+      tags: ['Market'],
+      summary: 'General market or sector news',
+      parameters: [param('Sector')],
+      responses: {
+        200: json('Articles', envelope(arrayOf(ref('Article')), {
+          sector: nullable({ type: 'string' }),
+          count: { type: 'integer' },
+          source: { type: 'string' },
+          summaryBudget: ref('SummaryBudget'),
+          updatedAt: { type: 'string', format: 'date-time', description: 'When the headlines were last refreshed' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/market/insider-activity': {
+    get: {
+      operationId: 'getInsiderActivity',
+      'x-pagination': { items: 'buys', sort: ['-date', '-value', 'url', 'insider', 'security'] },
+      tags: ['Market'],
+      summary: 'Notable open-market insider buys across the universe (Form 4, code P)',
+      parameters: [
+        queryParam('days', { type: 'integer', minimum: 1, maximum: 365, default: 30 }, 'Look-back window'),
+        queryParam('minValue', { type: 'integer', minimum: 0, default: 100000 }, 'Smallest buy to include, in dollars')
+      ],
+      responses: {
+        200: json('Insider buys', envelope(ref('InsiderActivity'), {
+          count: { type: 'integer' },
+          source: { type: 'string' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/stock/{symbol}': {
+    get: {
+      operationId: 'getStock',
+      tags: ['Stocks'],
+      summary: 'Complete stock intelligence (price, news, Reddit sentiment, next catalyst)',
+      parameters: [param('Symbol')],
+      responses: {
+        200: json('Intelligence', envelope(ref('StockIntelligence'), { source: { type: 'string' } })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/stock/{symbol}/discussions': {
+    get: {
+      operationId: 'getStockDiscussions',
+      'x-pagination': { style: 'pages' },
+      tags: ['Stocks'],
+      summary: 'Every Reddit post mentioning the stock',
+      parameters: [
+        param('Symbol'),
+        queryParam('sort', { type: 'string', enum: DISCUSSION_SORTS, default: 'new' }, 'Sort order'),
+        queryParam('page', { type: 'integer', minimum: 1, maximum: 1000, default: 1 }, '1-based page'),
+        queryParam('pageSize', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Posts per page')
+      ],
+      responses: {
+        200: json('One page of posts', envelope(arrayOf(ref('RedditPost')), {
+          sort: { type: 'string', enum: DISCUSSION_SORTS },
+          page: { type: 'integer' },
+          pageSize: { type: 'integer' },
+          total: { type: 'integer' },
+          hasMore: { type: 'boolean' },
+          source: { type: 'string' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/stock/{symbol}/pipeline': {
+    get: {
+      operationId: 'getPipeline',
+      tags: ['Stocks'],
+      summary: 'Clinical trials grouped by phase',
+      parameters: [
+        param('Symbol'),
+        queryParam('status', { type: 'string', enum: PIPELINE_STATUS_FILTERS, default: 'active' },
+          'all also includes completed, terminated and withdrawn studies')
+      ],
+      responses: {
+        200: json('Pipeline', envelope(ref('Pipeline'), { source: { type: 'string' } })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/stock/{symbol}/filings': {
+    get: {
+      operationId: 'getFilings',
+      'x-pagination': { items: 'filings', query: { limit: 200 }, sort: ['-filingDate', 'accessionNumber'] },
+      tags: ['Stocks'],
+      summary: 'Recent SEC EDGAR filings, classified by category',
+      parameters: [
+        param('Symbol'),
+        queryParam('category', { type: 'string', enum: Object.keys(FILING_CATEGORIES) }, 'Only this category'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 200, default: 40 }, 'Filings to return')
+      ],
+      responses: {
+        200: json('Filings', envelope(ref('Filings'), {
+          categories: { type: 'object' },
+          source: { type: 'string' }
+        })),
+        ...errors(400, 404, 500)
+      }
+    }
+  },
+  '/stock/{symbol}/insiders': {
+    get: {
+      operationId: 'getInsiders',
+      'x-pagination': { items: 'transactions', sort: ['-date', 'url', 'insider', 'security', 'code', 'shares'] },
+      tags: ['Stocks'],
+      summary: 'Form 4 insider transactions with a net buy/sell summary',
+      parameters: [
+        param('Symbol'),
+        queryParam('days', { type: 'integer', minimum: 1, maximum: 365, default: 180 }, 'Look-back window')
+      ],
+      responses: {
+        200: json('Insider transactions', envelope(ref('InsiderTransactions'), { source: { type: 'string' } })),
+        ...errors(400, 404, 500)
+      }
+    }
+  },
+  '/stock/{symbol}/history': {
+    get: {
+      operationId: 'getHistory',
+      tags: ['Stocks'],
+      summary: 'OHLCV candles for charting',
+      parameters: [
+        param('Symbol'),
+        queryParam('range', { type: 'string', enum: Object.keys(HISTORY_RANGES), default: '1mo' }, 'Time range'),
+        queryParam('interval', {
+          type: 'string',
+          enum: HISTORY_INTERVALS,
+          'x-ranges': INTERVAL_RANGES
+        }, `Candle size (defaults per range). Minute and hourly candles only cover recent ranges: ${
+          Object.entries(INTERVAL_RANGES)
+            .filter(([, ranges]) => ranges.length < Object.keys(HISTORY_RANGES).length)
+            .map(([interval, ranges]) => `${interval} up to ${ranges[ranges.length - 1]}`)
+            .join(', ')
+        }; other combinations answer 400`)
+      ],
+      responses: {
+        200: json('Candles', envelope(ref('History'), { source: { type: 'string' } })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/watchlists': {
+    get: {
+      operationId: 'listWatchlists',
+      'x-pagination': { sort: ['createdAt', 'id'] },
+      tags: ['Watchlists'],
+      summary: 'Your watchlists (symbols only)',
+      responses: {
+        200: json('Watchlists', envelope(arrayOf(ref('Watchlist')), { count: { type: 'integer' } })),
+        ...errors(401, 500)
+      }
+    },
+    post: {
+      operationId: 'createWatchlist',
+      tags: ['Watchlists'],
+      summary: 'Create a watchlist',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: MAX_WATCHLIST_NAME_LENGTH },
+          symbols: { type: 'array', maxItems: MAX_WATCHLIST_SYMBOLS, items: { type: 'string', maxLength: 12 } }
+        }
+      }),
+      responses: {
+        201: json('Created', envelope(ref('Watchlist'))),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/watchlists/{id}': {
+    parameters: [idParam('Watchlist id')],
+    get: {
+      operationId: 'getWatchlist',
+      tags: ['Watchlists'],
+      summary: 'One watchlist with quote, sentiment and latest headline per symbol',
+      responses: {
+        200: json('Watchlist', envelope({
+          allOf: [ref('Watchlist')],
+          type: 'object',
+          required: ['items'],
+          properties: { items: arrayOf(ref('WatchlistItem')) }
+        }, { source: { type: 'string' } })),
+        ...errors(401, 404, 500)
+      }
+    },
+    patch: {
+      operationId: 'renameWatchlist',
+      tags: ['Watchlists'],
+      summary: 'Rename a watchlist',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: MAX_WATCHLIST_NAME_LENGTH }
+        }
+      }),
+      responses: {
+        200: json('Renamed', envelope(ref('Watchlist'))),
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    delete: {
+      operationId: 'deleteWatchlist',
+      tags: ['Watchlists'],
+      summary: 'Delete a watchlist',
+      responses: { 200: okResponse, ...errors(401, 404, 500) }
+    }
+  },
+  '/watchlists/{id}/symbols': {
+    parameters: [idParam('Watchlist id')],
+    post: {
+      operationId: 'addWatchlistSymbols',
+      tags: ['Watchlists'],
+      summary: 'Add symbols to a watchlist',
+      description: 'Send { symbol } or { symbols: [] }.',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          symbol: { type: 'string', maxLength: 12 },
+          symbols: { type: 'array', maxItems: MAX_WATCHLIST_SYMBOLS, items: { type: 'string', maxLength: 12 } }
+        }
+      }),
+      responses: {
+        200: json('Updated', envelope(ref('Watchlist'))),
+        ...errors(400, 401, 404, 500)
+      }
+    }
+  },
+  '/watchlists/{id}/symbols/{symbol}': {
+    parameters: [idParam('Watchlist id'), param('Symbol')],
+    delete: {
+      operationId: 'removeWatchlistSymbol',
+      tags: ['Watchlists'],
+      summary: 'Remove a symbol from a watchlist',
+      responses: {
+        200: json('Updated', envelope(ref('Watchlist'))),
+        ...errors(400, 401, 404, 500)
+      }
+    }
+  },
+  '/calendar': {
+    get: {
+      operationId: 'listCatalysts',
+      'x-pagination': { sort: ['date', 'symbol', 'id'] },
+      tags: ['Calendar'],
+      summary: 'Catalysts, soonest first',
+      parameters: [param('From'), param('To'), param('Symbols'), param('CatalystTypes')],
+      responses: {
+        200: json('Catalysts', envelope(arrayOf(ref('Catalyst')), {
+          count: { type: 'integer' },
+          types: { type: 'object' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/calendar/next': {
+    get: {
+      operationId: 'getNextCatalysts',
+      tags: ['Calendar'],
+      summary: 'Next upcoming catalyst per ticker',
+      parameters: [param('Symbols')],
+      responses: {
+        200: json('Catalysts keyed by symbol', envelope({
+          type: 'object',
+          additionalProperties: ref('Catalyst')
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/calendar.ics': {
+    get: {
+      operationId: 'exportCalendar',
+      tags: ['Calendar'],
+      summary: 'ICS feed for calendar apps (events from the last 30 days on, unless from is given)',
+      parameters: [param('From'), param('To'), param('Symbols'), param('CatalystTypes')],
+      responses: {
+        200: {
+          description: 'iCalendar feed',
+          content: { 'text/calendar': { schema: { type: 'string' } } }
+        },
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/calendar/events': {
+    post: {
+      operationId: 'createCatalyst',
+      tags: ['Calendar'],
+      summary: 'Add a catalyst',
+      requestBody: jsonBody({ allOf: [ref('CatalystInput')], required: ['symbol', 'type', 'date'] }),
+      responses: {
+        201: json('Created', envelope(ref('Catalyst'))),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/calendar/events/{id}': {
+    parameters: [idParam('Catalyst id')],
+    patch: {
+      operationId: 'updateCatalyst',
+      tags: ['Calendar'],
+      summary: 'Update any catalyst field (e.g. a moved PDUFA date)',
+      requestBody: jsonBody(ref('CatalystInput')),
+      responses: {
+        200: json('Updated', envelope(ref('Catalyst'))),
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    delete: {
+      operationId: 'deleteCatalyst',
+      tags: ['Calendar'],
+      summary: 'Delete a catalyst',
+      responses: { 200: okResponse, ...errors(401, 404, 500) }
+    }
+  },
+  '/calendar/import': {
+    post: {
+      operationId: 'importCatalysts',
+      tags: ['Calendar'],
+      summary: 'Import a CSV or ICS file',
+      description: 'CSV columns: symbol, date, type?, title?, notes?, dateEstimated?. Re-importing updates in place.',
+      parameters: [
+        queryParam('format', { type: 'string', enum: ['csv', 'ics'] }, 'File format when sending text/plain')
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'text/calendar': { schema: { type: 'string' } },
+          'text/plain': { schema: { type: 'string' } }
+        }
+      },
+      responses: {
+        200: json('Import result', envelope(null, {
+          created: { type: 'integer' },
+          updated: { type: 'integer' },
+          errors: arrayOf({ type: 'object' })
+        })),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/alerts/rules': {
+    get: {
+      operationId: 'listAlertRules',
+      'x-pagination': { sort: ['createdAt', 'id'] },
+      tags: ['Alerts'],
+      summary: 'Your alert rules and the supported rule types',
+      responses: {
+        200: json('Rules', envelope(arrayOf(ref('AlertRule')), {
+          count: { type: 'integer' },
+          types: { type: 'object' }
+        })),
+        ...errors(401, 500)
+      }
+    },
+    post: {
+      operationId: 'createAlertRule',
+      tags: ['Alerts'],
+      summary: 'Create a rule',
+      requestBody: jsonBody({ allOf: [ref('AlertRuleInput')], required: ['type', 'symbol'] }),
+      responses: {
+        201: json('Created', envelope(ref('AlertRule'))),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/alerts/rules/{id}': {
+    parameters: [idParam('Rule id')],
+    patch: {
+      operationId: 'updateAlertRule',
+      tags: ['Alerts'],
+      summary: 'Update any rule field (e.g. { enabled: false })',
+      requestBody: jsonBody(ref('AlertRuleInput')),
+      responses: {
+        200: json('Updated', envelope(ref('AlertRule'))),
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    delete: {
+      operationId: 'deleteAlertRule',
+      tags: ['Alerts'],
+      summary: 'Delete a rule',
+      responses: { 200: okResponse, ...errors(401, 404, 500) }
+    }
+  },
+  '/alerts/evaluate': {
+    post: {
+      operationId: 'evaluateAlerts',
+      tags: ['Alerts'],
+      summary: 'Evaluate rules now',
+      description: "Runs the scheduled evaluation early, or waits for the one in progress, and returns the caller's notifications it fired.",
+      responses: {
+        200: json('Notifications fired', envelope(arrayOf(ref('Notification')), { count: { type: 'integer' } })),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/alerts/notifications': {
+    get: {
+      operationId: 'listNotifications',
+      'x-pagination': { sort: ['-createdAt', 'id'] },
+      tags: ['Alerts'],
+      summary: 'In-app notifications, newest first',
+      parameters: [queryParam('unread', { type: 'boolean' }, 'Only unread notifications')],
+      responses: {
+        200: json('Notifications', envelope(arrayOf(ref('Notification')), {
+          count: { type: 'integer' },
+          unread: { type: 'integer' }
+        })),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/alerts/notifications/read': {
+    post: {
+      operationId: 'markAllNotificationsRead',
+      tags: ['Alerts'],
+      summary: 'Mark every notification as read',
+      responses: { 200: okResponse, ...errors(401, 500) }
+    }
+  },
+  '/alerts/notifications/{id}/read': {
+    parameters: [idParam('Notification id')],
+    post: {
+      operationId: 'markNotificationRead',
+      tags: ['Alerts'],
+      summary: 'Mark one notification as read',
+      responses: { 200: okResponse, ...errors(401, 404, 500) }
+    }
+  },
+  '/ask': {
+    post: {
+      operationId: 'ask',
+      tags: ['Assistant'],
+      summary: 'Answer a question, grounded in live intelligence for any tickers in it',
+      parameters: [param('ApiKey')],
+      requestBody: jsonBody(ref('MessageInput')),
+      responses: {
+        200: json('Answer', ref('Answer')),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/ask/stream': {
+    post: {
+      operationId: 'askStream',
+      tags: ['Assistant'],
+      summary: 'Same as /ask, streamed as server-sent events (meta, chunk..., done | error)',
+      parameters: [param('ApiKey')],
+      requestBody: jsonBody(ref('MessageInput')),
+      responses: {
+        200: eventStream('Answer stream'),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/chat/sessions': {
+    get: {
+      operationId: 'listChatSessions',
+      'x-pagination': { sort: ['-updatedAt', 'id'] },
+      tags: ['Chat'],
+      summary: 'Your past conversations, most recent first (without messages)',
+      responses: {
+        200: json('Sessions', envelope(arrayOf(ref('ChatSession')), { count: { type: 'integer' } })),
+        ...errors(401, 500)
+      }
+    },
+    post: {
+      operationId: 'createChatSession',
+      tags: ['Chat'],
+      summary: 'Start a conversation',
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: MAX_SESSION_TITLE_LENGTH }
+        }
+      }, false),
+      responses: {
+        201: json('Created', envelope(ref('ChatSession'))),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/chat/sessions/{id}': {
+    parameters: [idParam('Session id')],
+    get: {
+      operationId: 'getChatSession',
+      tags: ['Chat'],
+      summary: 'A conversation with its full history',
+      responses: {
+        200: json('Session', envelope(ref('ChatSession'))),
+        ...errors(401, 404, 500)
+      }
+    },
+    patch: {
+      operationId: 'renameChatSession',
+      tags: ['Chat'],
+      summary: 'Rename a conversation',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: MAX_SESSION_TITLE_LENGTH }
+        }
+      }),
+      responses: {
+        200: json('Renamed', envelope(ref('ChatSession'))),
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    delete: {
+      operationId: 'deleteChatSession',
+      tags: ['Chat'],
+      summary: 'Delete a conversation',
+      responses: { 200: okResponse, ...errors(401, 404, 500) }
+    }
+  },
+  '/chat/sessions/{id}/export': {
+    parameters: [idParam('Session id')],
+    get: {
+      operationId: 'exportChatSession',
+      tags: ['Chat'],
+      summary: 'Download a conversation as Markdown',
+      responses: {
+        200: {
+          description: 'Markdown transcript',
+          content: { 'text/markdown': { schema: { type: 'string' } } }
+        },
+        ...errors(401, 404, 500)
+      }
+    }
+  },
+  '/chat/sessions/{id}/messages': {
+    parameters: [idParam('Session id')],
+    post: {
+      operationId: 'sendChatMessage',
+      tags: ['Chat'],
+      summary: 'Ask a question within a conversation',
+      description: 'Follow-ups without a ticker reuse the tickers discussed last.',
+      parameters: [param('ApiKey')],
+      requestBody: jsonBody(ref('MessageInput')),
+      responses: {
+        200: json('Answer', {
+          allOf: [ref('Answer')],
+          type: 'object',
+          properties: {
+            title: nullable({ type: 'string' }),
+            historyMessagesOmitted: { type: 'integer' }
+          }
+        }),
+        ...errors(400, 401, 404, 429, 500)
+      }
+    }
+  },
+  '/chat/sessions/{id}/messages/stream': {
+    parameters: [idParam('Session id')],
+    post: {
+      operationId: 'streamChatMessage',
+      tags: ['Chat'],
+      summary: 'Streaming variant of sendChatMessage',
+      parameters: [param('ApiKey')],
+      requestBody: jsonBody(ref('MessageInput')),
+      responses: {
+        200: eventStream('Answer stream'),
+        ...errors(400, 401, 404, 429, 500)
+      }
+    }
+  },
+  '/api/chat': {
+    post: {
+      operationId: 'legacyChat',
+      tags: ['Assistant'],
+      summary: 'Ungrounded chat (legacy)',
+      deprecated: true,
+      parameters: [param('ApiKey')],
+      requestBody: jsonBody(ref('MessageInput')),
+      responses: {
+        200: json('Answer', {
+          type: 'object',
+          required: ['response'],
+          properties: {
+            response: { type: 'string' },
+            provider: { type: 'string' },
+            model: nullable({ type: 'string' })
+          }
+        }),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/admin/jobs': {
+    get: {
+      operationId: 'getJobs',
+      tags: ['Admin'],
+      summary: 'Background job status',
+      description: 'Scheduled ingestion, snapshot and alert jobs with their last run. Requires an account whose id is listed in ADMIN_USER_IDS.',
+      responses: {
+        200: json('Jobs', envelope(arrayOf(ref('Job')), {
+          marketOpen: { type: 'boolean', description: 'Whether the market-hours intervals apply now' }
+        })),
+        ...errors(401, 403)
+      }
+    }
+  }
+}
+
+// ========================================
+// /api/v1
+// ========================================
+// Every operation is also served under /api/v1 (services/apiV1.js) with the body
+// reshaped into { data, meta, errors } and, for operations marked x-pagination, the
+// list paged by ?limit=&cursor=. The unversioned paths stay for existing clients but
+// are deprecated.
+//
+// x-pagination on an unversioned operation marks its list for cursor paging:
+//   items - property of `data` holding the list, when `data` is not the list itself
+//   query - parameter values the v1 layer sets so the route returns every item
+//   sort  - fields giving the list a stable order ('-' for descending), ending in
+//           ones that identify an item; the cursor holds the last item's values
+//   style - 'pages' when the route pages itself with page/pageSize
+
+export const API_V1_PREFIX = '/api/v1'
+
+// Unversioned paths whose /api/v1 path differs; null means there is no v1 version
+export const V1_PATH_ALIASES = {
+  '/api/health': '/health',
+  '/api/chat': null // Superseded by /ask
+}
+
+const V1_PAGE_LIMIT = { default: 50, maximum: 100 }
+
+Object.assign(schemas, {
+  V1Meta: {
+    type: 'object',
+    required: ['cached', 'fetchedAt'],
+    description: 'Also carries endpoint-specific extras such as sector, summaryBudget or quota',
+    properties: {
+      source: nullable({ type: 'string' }),
+      cached: { type: 'boolean', description: 'True when the data was fetched upstream before this request' },
+      fetchedAt: { type: 'string', format: 'date-time', description: 'When the data was fetched upstream' },
+      pagination: ref('V1Pagination')
+    }
+  },
+  V1Pagination: {
+    type: 'object',
+    required: ['limit', 'nextCursor', 'total'],
+    properties: {
+      limit: { type: 'integer' },
+      nextCursor: nullable({ type: 'string', description: 'Pass as ?cursor= for the next page; null on the last page' }),
+      total: { type: 'integer' }
+    }
+  },
+  V1Problem: {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+      code: { type: 'string', description: 'Stable machine-readable code, e.g. invalid_parameter, not_found, rate_limited' },
+      message: { type: 'string' },
+      in: { type: 'string', enum: ['query', 'path', 'body'] },
+      field: { type: 'string' },
+      details: { type: 'string' }
+    }
+  },
+  V1Error: {
+    type: 'object',
+    required: ['data', 'meta', 'errors'],
+    properties: {
+      data: nullable({ type: 'object', description: 'Always null' }),
+      meta: ref('V1Meta'),
+      errors: { type: 'array', minItems: 1, items: ref('V1Problem') }
+    }
+  }
+})
+
+const v1Envelope = data => ({
+  type: 'object',
+  required: ['data', 'meta', 'errors'],
+  properties: {
+    data,
+    meta: ref('V1Meta'),
+    errors: { type: 'array', maxItems: 0, items: ref('V1Problem') }
+  }
+})
+
+// The v1 `data` member for an unversioned response body: its `data` when it has one,
+// otherwise the body without `success`
+function v1Data(schema) {
+  if (schema.$ref) return v1Data(schemas[schema.$ref.split('/').pop()])
+  if (schema.properties?.data) return schema.properties.data
+  if (schema.allOf) return { ...schema, allOf: schema.allOf.map(v1Data) }
+
+  const { success, ...properties } = schema.properties || {}
+  if (Object.keys(properties).length === 0) return nullable({ type: 'object', description: 'Always null' })
+  return { ...schema, properties, required: (schema.required || []).filter(key => key !== 'success') }
+}
+
+function v1Operation({ 'x-pagination': pagination, ...operation }) {
+  const responses = Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => {
+    if (response.$ref) return [status, json(ERROR_RESPONSES[status].description, ref('V1Error'))]
+
+    const schema = response.content?.['application/json']?.schema
+    return [status, schema ? json(response.description, v1Envelope(v1Data(schema))) : response]
+  }))
+
+  // Paged lists replace the parameters the v1 layer sets itself
+  const controlled = pagination
+    ? [...Object.keys(pagination.query || {}), ...(pagination.style === 'pages' ? ['page', 'pageSize'] : [])]
+    : []
+  const parameters = (operation.parameters || []).filter(parameter => !controlled.includes(parameter.name))
+  if (pagination) parameters.push(param('Cursor'), param('PageLimit'))
+
+  const order = pagination?.sort && `Pages are ordered by ${pagination.sort.join(', ')} ('-' descending).`
+
+  return {
+    ...operation,
+    ...(order && { description: operation.description ? `${operation.description} ${order}` : order }),
+    operationId: `${operation.operationId}V1`,
+    ...(parameters.length > 0 && { parameters }),
+    responses
+  }
+}
+
+const mapOperations = (pathItem, mapOperation) => Object.fromEntries(Object.entries(pathItem).map(
+  ([key, value]) => [key, key === 'parameters' ? value : mapOperation(value)]
+))
+
+const v1Paths = {}
+for (const [path, pathItem] of Object.entries(paths)) {
+  const target = path in V1_PATH_ALIASES ? V1_PATH_ALIASES[path] : path
+  if (target !== null) v1Paths[`${API_V1_PREFIX}${target}`] = mapOperations(pathItem, v1Operation)
+}
+
+// Responses on these paths carry Deprecation and Link (successor-version) headers
+const unversionedPaths = Object.fromEntries(Object.entries(paths).map(([path, pathItem]) => [
+  path,
+  mapOperations(pathItem, operation => ({ ...operation, tags: ['Unversioned'], deprecated: true }))
+]))
+
+const errorResponse = description => json(description, ref('Error'))
+
+const openapi = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Biotech Intelligence API',
+    version: '1.0.0',
+    description: 'Quotes, news, Reddit sentiment, clinical pipelines, SEC filings, catalysts, alerts and a grounded AI assistant for biotech stocks. ' +
+      'Use the /api/v1 paths: every response is { data, meta, errors }, with meta.source, meta.cached and meta.fetchedAt, ' +
+      'errors listing each problem with a stable code, and lists paged by ?limit=&cursor= (meta.pagination.nextCursor). ' +
+      'The unversioned paths keep their original shapes ({ success, data } or { success: false, error }) and are deprecated.'
+  },
+  tags: [
+    { name: 'System' },
+    { name: 'Auth', description: 'Email/password accounts; the session is an HttpOnly cookie or a Bearer token. Browser requests from origins outside ALLOWED_ORIGINS are rejected with 403' },
+    { name: 'Market' },
+    { name: 'Stocks' },
+    { name: 'Watchlists', description: "The signed-in user's watchlists" },
+    { name: 'Calendar', description: 'Catalyst calendar (PDUFA dates, advisory committees, readouts), shared by all users; changes require sign-in' },
+    { name: 'Alerts', description: "The signed-in user's alert rules and notifications" },
+    { name: 'Assistant', description: 'AI answers; each call is charged to a daily token quota' },
+    { name: 'Chat', description: "The signed-in user's conversations with the assistant" },
+    { name: 'Admin', description: 'Operations endpoints for accounts listed in ADMIN_USER_IDS' },
+    { name: 'Unversioned', description: 'Deprecated paths without /api/v1, kept for existing clients' }
+  ],
+  paths: { ...v1Paths, ...unversionedPaths },
+  components: {
+    schemas: {
+      ...schemas,
+      Ticker: { type: 'string', pattern: '^\\$?[A-Za-z0-9^][A-Za-z0-9.=^-]{0,14}$' }
+    },
+    parameters: {
+      Cursor: queryParam('cursor', { type: 'string', maxLength: 2000 }, 'meta.pagination.nextCursor from the previous page'),
+      PageLimit: queryParam('limit', { type: 'integer', minimum: 1, ...V1_PAGE_LIMIT }, 'Items per page'),
+      Symbol: {
+        name: 'symbol',
+        in: 'path',
+        required: true,
+        description: 'Ticker symbol',
+        schema: ref('Ticker')
+      },
+      Sector: queryParam('sector', { type: 'string', maxLength: 60 }, `Sector slug: ${sectorSlugs.join(', ')}`),
+      From: queryParam('from', { type: 'string', format: 'date' }, 'First date, inclusive (YYYY-MM-DD)'),
+      To: queryParam('to', { type: 'string', format: 'date' }, 'Last date, inclusive (YYYY-MM-DD)'),
+      Symbols: queryParam('symbols', { type: 'string', maxLength: 1000 }, 'Comma-separated tickers'),
+      CatalystTypes: queryParam('types', { type: 'string', maxLength: 200 },
+        `Comma-separated catalyst types: ${Object.keys(CATALYST_TYPES).join(', ')}`),
+      ApiKey: {
+        name: 'X-API-Key',
+        in: 'header',
+        required: false,
+        description: 'Charge AI usage to a key from AI_API_KEYS instead of the signed-in user or IP',
+        schema: { type: 'string' }
+      }
+    },
+    responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(({ name, description }) => [
+      name,
+      errorResponse(description)
+    ]))
+  }
+}
+
+export default openapi
@@ -27,11 +27,13 @@ export const LIFE_SCIENCES_KEYWORDS = [
   'therapeutics',
   'diagnostics',
   'medical device',
+  'medical instruments',
   'precision medicine',
   'clinical research',
   'bioinformatics',
   'immunology',
-  'oncology'
+  'oncology',
+  'drug manufacturers'
 ]
 
 // Enabling infrastructure keywords
@@ -42,6 +44,7 @@ export const INFRASTRUCTURE_KEYWORDS = [
   'cro',
   'contract research',
   'health data',
+  'health information',
   'healthcare ai',
   'medical ai',
   'digital health'
@@ -73,7 +76,10 @@ export const SECTOR_TAXONOMY = {
 }
 
 /**
- * Check if text matches any keyword (case-insensitive, partial match)
+ * Check if text matches any keyword (case-insensitive)
+ * Keywords match at the start of a word ("pharma" matches "Pharmaceuticals");
+ * short acronyms like "rna" or "cro" must match a whole word so they do not
+ * fire inside "International" or "Microsoft"
  * @param {string} text - Text to search in
  * @param {Array<string>} keywords - Keywords to search for
  * @returns {Array<string>} - Matched keywords
@@ -82,9 +88,11 @@ export function findMatchingKeywords(text, keywords) {
   if (!text) return []
   
   const lowerText = text.toLowerCase()
-  return keywords.filter(keyword => 
-    lowerText.includes(keyword.toLowerCase())
-  )
+  return keywords.filter(keyword => {
+    const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const pattern = keyword.length <= 4 ? `\\b${escaped}\\b` : `\\b${escaped}`
+    return new RegExp(pattern).test(lowerText)
+  })
 }
 
 /**
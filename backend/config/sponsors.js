@@ -0,0 +1,35 @@
+/**
+ * Clinical Trial Sponsors
+ * Lead sponsor names as registered on ClinicalTrials.gov, for tickers whose
+ * registry name differs from the company's short name (subsidiaries, legal
+ * suffixes). Tickers not listed here are searched by their short name.
+ */
+
+export const TRIAL_SPONSORS = {
+  MRNA: 'ModernaTX, Inc.',
+  BNTX: 'BioNTech SE',
+  VRTX: 'Vertex Pharmaceuticals Incorporated',
+  REGN: 'Regeneron Pharmaceuticals',
+  AMGN: 'Amgen',
+  GILD: 'Gilead Sciences',
+  BIIB: 'Biogen',
+  ALNY: 'Alnylam Pharmaceuticals',
+  IONS: 'Ionis Pharmaceuticals, Inc.',
+  ARWR: 'Arrowhead Pharmaceuticals',
+  CRSP: 'CRISPR Therapeutics AG',
+  NTLA: 'Intellia Therapeutics',
+  BEAM: 'Beam Therapeutics Inc.',
+  SRPT: 'Sarepta Therapeutics, Inc.',
+  VKTX: 'Viking Therapeutics, Inc.',
+  NVAX: 'Novavax',
+  INCY: 'Incyte Corporation',
+  EXEL: 'Exelixis',
+  RXRX: 'Recursion Pharmaceuticals Inc.',
+  LLY: 'Eli Lilly and Company',
+  NVO: 'Novo Nordisk A/S',
+  PFE: 'Pfizer',
+  MRK: 'Merck Sharp & Dohme LLC',
+  ABBV: 'AbbVie',
+  BMY: 'Bristol-Myers Squibb',
+  AZN: 'AstraZeneca'
+}
@@ -0,0 +1,49 @@
+/**
+ * Biotech Universe
+ * Curated companies the dashboard tracks. Each entry uses the same field names
+ * Yahoo Finance search returns (longname, shortname, industryDisp, sectorDisp)
+ * so categorizeSectors() in config/sectors.js can classify it.
+ * Add or remove tickers here; classification is derived, never hand-assigned.
+ */
+
+export const BIOTECH_UNIVERSE = [
+  { symbol: 'MRNA', longname: 'Moderna, Inc.', shortname: 'Moderna', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'BNTX', longname: 'BioNTech SE', shortname: 'BioNTech', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'VRTX', longname: 'Vertex Pharmaceuticals Incorporated', shortname: 'Vertex Pharmaceuticals', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'REGN', longname: 'Regeneron Pharmaceuticals, Inc.', shortname: 'Regeneron', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'AMGN', longname: 'Amgen Inc.', shortname: 'Amgen', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'GILD', longname: 'Gilead Sciences, Inc.', shortname: 'Gilead Sciences', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'BIIB', longname: 'Biogen Inc.', shortname: 'Biogen', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'ALNY', longname: 'Alnylam Pharmaceuticals, Inc.', shortname: 'Alnylam', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'IONS', longname: 'Ionis Pharmaceuticals, Inc.', shortname: 'Ionis', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'ARWR', longname: 'Arrowhead Pharmaceuticals, Inc.', shortname: 'Arrowhead', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'CRSP', longname: 'CRISPR Therapeutics AG', shortname: 'CRISPR Therapeutics', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'NTLA', longname: 'Intellia Therapeutics, Inc.', shortname: 'Intellia', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'BEAM', longname: 'Beam Therapeutics Inc.', shortname: 'Beam Therapeutics', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'EDIT', longname: 'Editas Medicine, Inc.', shortname: 'Editas Medicine', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'SRPT', longname: 'Sarepta Therapeutics, Inc.', shortname: 'Sarepta', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'VKTX', longname: 'Viking Therapeutics, Inc.', shortname: 'Viking Therapeutics', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'NVAX', longname: 'Novavax, Inc.', shortname: 'Novavax', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'INCY', longname: 'Incyte Corporation', shortname: 'Incyte', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'EXEL', longname: 'Exelixis, Inc.', shortname: 'Exelixis', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'RXRX', longname: 'Recursion Pharmaceuticals, Inc.', shortname: 'Recursion', industryDisp: 'Biotechnology', sectorDisp: 'Healthcare' },
+  { symbol: 'LLY', longname: 'Eli Lilly and Company', shortname: 'Eli Lilly', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'NVO', longname: 'Novo Nordisk A/S', shortname: 'Novo Nordisk', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'PFE', longname: 'Pfizer Inc.', shortname: 'Pfizer', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'MRK', longname: 'Merck & Co., Inc.', shortname: 'Merck', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'ABBV', longname: 'AbbVie Inc.', shortname: 'AbbVie', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'BMY', longname: 'Bristol-Myers Squibb Company', shortname: 'Bristol-Myers Squibb', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'AZN', longname: 'AstraZeneca PLC', shortname: 'AstraZeneca', industryDisp: 'Drug Manufacturers - General', sectorDisp: 'Healthcare' },
+  { symbol: 'TMO', longname: 'Thermo Fisher Scientific Inc.', shortname: 'Thermo Fisher', industryDisp: 'Diagnostics & Research', sectorDisp: 'Healthcare' },
+  { symbol: 'DHR', longname: 'Danaher Corporation', shortname: 'Danaher', industryDisp: 'Diagnostics & Research', sectorDisp: 'Healthcare' },
+  { symbol: 'ILMN', longname: 'Illumina, Inc.', shortname: 'Illumina', industryDisp: 'Diagnostics & Research', sectorDisp: 'Healthcare' },
+  { symbol: 'EXAS', longname: 'Exact Sciences Corporation', shortname: 'Exact Sciences', industryDisp: 'Diagnostics & Research', sectorDisp: 'Healthcare' },
+  { symbol: 'GH', longname: 'Guardant Health, Inc.', shortname: 'Guardant Health', industryDisp: 'Diagnostics & Research', sectorDisp: 'Healthcare' },
+  { symbol: 'ISRG', longname: 'Intuitive Surgical, Inc.', shortname: 'Intuitive Surgical', industryDisp: 'Medical Instruments & Supplies', sectorDisp: 'Healthcare' },
+  { symbol: 'MDT', longname: 'Medtronic plc', shortname: 'Medtronic', industryDisp: 'Medical Devices', sectorDisp: 'Healthcare' },
+  { symbol: 'VEEV', longname: 'Veeva Systems Inc.', shortname: 'Veeva Systems', industryDisp: 'Health Information Services', sectorDisp: 'Healthcare' },
+  { symbol: 'CERT', longname: 'Certara, Inc.', shortname: 'Certara', industryDisp: 'Health Information Services', sectorDisp: 'Healthcare' },
+  { symbol: 'SDGR', longname: 'Schrodinger, Inc.', shortname: 'Schrodinger', industryDisp: 'Health Information Services', sectorDisp: 'Healthcare' },
+  { symbol: 'DOCS', longname: 'Doximity, Inc.', shortname: 'Doximity', industryDisp: 'Health Information Services', sectorDisp: 'Healthcare' },
+  { symbol: 'TDOC', longname: 'Teladoc Health, Inc.', shortname: 'Teladoc Health', industryDisp: 'Health Information Services', sectorDisp: 'Healthcare' }
+]
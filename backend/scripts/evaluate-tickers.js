@@ -0,0 +1,72 @@
+/**
+ * Ticker Extraction Evaluation
+ * Measures precision/recall of extractTickers() against the labeled Reddit
+ * titles in fixtures/reddit-titles.json, with and without the symbol master
+ *
+ * Usage: npm run eval:tickers [-- --verbose] [-- --corpus path/to/corpus.json]
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { extractTickers } from '../services/reddit.js'
+import { loadSymbolMaster } from '../services/symbols.js'
+
+const args = process.argv.slice(2)
+const verbose = args.includes('--verbose')
+const corpusArg = args.indexOf('--corpus')
+const corpusPath = corpusArg !== -1
+  ? args[corpusArg + 1]
+  : path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'reddit-titles.json')
+
+const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'))
+
+/**
+ * Score the extractor over the whole corpus
+ * @param {string} label - Name printed with the results
+ */
+function evaluate(label) {
+  let truePositives = 0
+  let falsePositives = 0
+  let falseNegatives = 0
+  const errors = []
+
+  corpus.forEach(({ text, tickers }) => {
+    const expected = new Set(tickers)
+    const actual = new Set(extractTickers(text))
+
+    const extra = [...actual].filter(ticker => !expected.has(ticker))
+    const missed = [...expected].filter(ticker => !actual.has(ticker))
+
+    truePositives += actual.size - extra.length
+    falsePositives += extra.length
+    falseNegatives += missed.length
+
+    if (extra.length || missed.length) {
+      errors.push({ text, extra, missed })
+    }
+  })
+
+  const precision = truePositives / (truePositives + falsePositives || 1)
+  const recall = truePositives / (truePositives + falseNegatives || 1)
+  const f1 = (2 * precision * recall) / (precision + recall || 1)
+
+  console.log(`\n${label}`)
+  console.log(`  precision ${precision.toFixed(3)}  recall ${recall.toFixed(3)}  f1 ${f1.toFixed(3)}`)
+  console.log(`  tp ${truePositives}  fp ${falsePositives}  fn ${falseNegatives}  (${corpus.length} titles)`)
+
+  if (verbose) {
+    errors.forEach(({ text, extra, missed }) => {
+      const parts = []
+      if (extra.length) parts.push(`false +${extra.join(',')}`)
+      if (missed.length) parts.push(`missed ${missed.join(',')}`)
+      console.log(`  - ${text}  [${parts.join('; ')}]`)
+    })
+  }
+}
+
+loadSymbolMaster([])
+evaluate('Without symbol master (bare uppercase words minus EXCLUDED_WORDS)')
+
+loadSymbolMaster()
+evaluate('With symbol master and context checks')
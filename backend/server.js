@@ -3,23 +3,88 @@ import cors from 'cors'
 import dotenv from 'dotenv'
 import rateLimit from 'express-rate-limit'
 import helmet from 'helmet'
-import NodeCache from 'node-cache'
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import { fetchQuote, fetchNews } from './yahoo.js'
-import { getTrendingStocks, getMarketNews, getStockIntelligence } from './services/market.js'
-import { fetchSubredditPosts } from './services/reddit.js'
+import crypto from 'crypto'
+import { fetchNews } from './yahoo.js'
+import { fetchQuote, fetchHistory, INTERVAL_RANGES } from './services/quotes.js'
+import { getStockIntelligence, getStockDiscussions } from './services/market.js'
+import { getTrendingFeed, getMarketNewsFeed, getSubredditFeed, startIngestion } from './services/ingestion.js'
+import { getJobStatuses, isMarketOpen } from './services/scheduler.js'
+import { resolveSector, getUniverse, getSectorSummary } from './services/universe.js'
+import { startMentionSnapshots } from './services/mentions.js'
+import {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  addWatchlistSymbols,
+  removeWatchlistSymbol,
+  getWatchlistItems,
+  normalizeSymbol,
+  MAX_WATCHLIST_NAME_LENGTH
+} from './services/watchlists.js'
+import {
+  ALERT_TYPES,
+  validateRule,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  listNotifications,
+  markNotificationsRead,
+  evaluateAlerts,
+  startAlertEvaluation
+} from './services/alerts.js'
+import { subscribe as subscribeToStream } from './services/stream.js'
+import { buildStockContext, buildAskPrompt } from './services/assistant.js'
+import {
+  listSessions,
+  getSession,
+  createSession,
+  renameSession,
+  deleteSession,
+  appendMessages,
+  truncateHistory,
+  getRecentTickers,
+  exportSessionMarkdown,
+  MAX_SESSION_TITLE_LENGTH
+} from './services/chat.js'
+import { attachSummaries, summarizeLater, getSummaryBudget } from './services/summaries.js'
+import { generateText, streamText, getLLMInfo } from './services/llm.js'
+import { resolveQuotaIdentity, getQuota, chargeQuota } from './services/quota.js'
+import {
+  validateRegistration,
+  registerUser,
+  verifyCredentials,
+  startSession,
+  getSessionUser,
+  endSession,
+  getSessionTtl,
+  isAdmin
+} from './services/accounts.js'
+import { getPipeline } from './services/trials.js'
+import { getFilings, FILING_CATEGORIES } from './services/edgar.js'
+import { getInsiderTransactions, getInsiderActivity } from './services/insiders.js'
+import {
+  CATALYST_TYPES,
+  validateEvent,
+  listEvents,
+  getNextCatalysts,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  importEvents,
+  exportIcs
+} from './services/calendar.js'
+import { validate, invalidRequest } from './services/validation.js'
+import { apiVersioning } from './services/apiV1.js'
+import openapi from './config/openapi.js'
 
 dotenv.config()
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
-// Daily quota tracking per IP
-const dailyQuotaCache = new NodeCache({ 
-  stdTTL: 86400, // 24 hours
-  checkperiod: 3600 // Check for expired keys every hour
-})
-
 // Rate limiting configuration
 const marketLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute window
@@ -32,6 +97,18 @@ const marketLimiter = rateLimit({
   legacyHeaders: false,
 })
 
+// Login and registration attempts, to slow password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minute window
+  max: 20,
+  message: {
+    success: false,
+    error: 'Too many sign-in attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
 const aiLimiter = rateLimit({
   windowMs: 1 * 60 * 1000,
   max: 10, // 10 AI requests per minute
@@ -51,78 +128,274 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(',') 
   : ['http://localhost:5173', 'http://localhost:3000']
 
-app.use(cors({
-  origin: (origin, callback) => {
-    // Allow requests with no origin (mobile apps, curl, etc.)
-    if (!origin) return callback(null, true)
-    
-    // In production, check against allowed origins
-    if (process.env.NODE_ENV === 'production') {
-      if (allowedOrigins.indexOf(origin) !== -1) {
-        callback(null, true)
-      } else {
-        callback(new Error('Not allowed by CORS'))
-      }
-    } else {
-      // In development, allow all
-      callback(null, true)
-    }
-  },
-  credentials: true
+// Pages that may call the API with the user's cookie: ALLOWED_ORIGINS, plus any
+// localhost port in development
+const isAllowedOrigin = (origin) => {
+  if (allowedOrigins.includes(origin)) return true
+  if (process.env.NODE_ENV === 'production') return false
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname)
+  } catch {
+    return false
+  }
+}
+
+// The API's own pages (/api/docs), whichever host it is served from
+const isOwnOrigin = (origin, req) => {
+  try {
+    return new URL(origin).host === req.get('Host')
+  } catch {
+    return false
+  }
+}
+
+// Browsers send Origin on every cross-origin request and on same-origin writes. Any other
+// page is answered 403 before reaching a route, which is also the CSRF check for the
+// session cookie (sent cross-site in production, see sessionCookieOptions)
+app.use(cors((req, callback) => {
+  const origin = req.get('Origin')
+  // Allow requests with no origin (mobile apps, curl, etc.)
+  if (!origin || isAllowedOrigin(origin) || isOwnOrigin(origin, req)) {
+    callback(null, { origin: true, credentials: true })
+  } else {
+    callback(new Error('Not allowed by CORS'))
+  }
 }))
+
+// /api/v1: stable { data, meta, errors } envelope over the same routes (services/apiV1.js).
+// Registered before the body parser so its errors are enveloped too
+app.use(apiVersioning())
 app.use(express.json({ limit: '100kb' })) // Limit payload size
 
-// Daily quota middleware for AI endpoints
-const dailyQuotaMiddleware = (maxDaily) => {
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress
-    const key = `daily_${ip}`
-    
-    const current = dailyQuotaCache.get(key) || 0
-    
-    if (current >= maxDaily) {
+// Login session cookie. Production frontends are served from another site, so the
+// cookie must be SameSite=None (which browsers only accept over HTTPS); the CORS origin
+// check above keeps other sites from writing with it
+const SESSION_COOKIE = 'biotech_session'
+const sessionCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/'
+})
+
+// Session token from the cookie, or an `Authorization: Bearer` header for API clients
+const readSessionToken = (req) => {
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)
+  if (bearer) return bearer[1]
+
+  for (const pair of (req.get('Cookie') || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=')
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='))
+  }
+  return null
+}
+
+// Attach the signed-in user (or null) to every request as req.user
+app.use(async (req, res, next) => {
+  try {
+    req.sessionToken = readSessionToken(req)
+    req.user = await getSessionUser(req.sessionToken)
+    next()
+  } catch (error) {
+    console.error('Error loading session:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load session',
+      details: error.message
+    })
+  }
+})
+
+// Reply 401 unless a user is signed in
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in required'
+    })
+  }
+  next()
+}
+
+// Reply 401 unless signed in, 403 unless the account is listed in ADMIN_USER_IDS
+const requireAdmin = (req, res, next) => {
+  requireUser(req, res, () => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required'
+      })
+    }
+    next()
+  })
+}
+
+// Reply 401 for an X-API-Key that is not in AI_API_KEYS
+const unknownApiKey = (res) => res.status(401).json({
+  success: false,
+  error: 'Unknown API key'
+})
+
+// Daily token quota for AI endpoints (see services/quota.js). Refuses callers whose
+// budget is spent; routes charge what each answer used with req.quota.charge(usage)
+const aiQuotaMiddleware = async (req, res, next) => {
+  try {
+    const identity = resolveQuotaIdentity(req)
+    if (!identity) return unknownApiKey(res)
+
+    const quota = await getQuota(identity.key)
+    if (quota.remaining <= 0) {
       return res.status(429).json({
         success: false,
-        error: 'Daily AI quota exceeded. Please try again tomorrow.',
-        resetTime: 'Midnight PST'
+        error: 'Daily AI quota exceeded. Please try again after it resets.',
+        resetTime: quota.resetsAt,
+        quota
       })
     }
-    
-    dailyQuotaCache.set(key, current + 1)
+
+    req.quota = { identity, charge: (usage) => chargeQuota(identity.key, usage) }
     next()
+  } catch (error) {
+    console.error('Error checking AI quota:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check AI quota',
+      details: error.message
+    })
   }
 }
 
-// Initialize Gemini API client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-const model = genAI.getGenerativeModel({ 
-  model: 'gemini-2.5-flash'
-})
+// Relay a model answer as server-sent events: `meta` (tickers, sources, provider,
+// model), `chunk` per piece of text, then `done` or `error`. Generation is aborted
+// when the client disconnects. Tokens used are charged to `quota` (req.quota) only
+// when some text was streamed; a stream that failed or was stopped before its first
+// piece costs nothing, whatever input usage the provider reported. Resolves with
+// { text, stopped, failed, llm, quota, finish } where finish(data) sends `done` (with
+// usage and quota) and ends the response
+const streamAnswer = async (res, { prompt, history = [], meta, quota: callerQuota }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+
+  const controller = new AbortController()
+  res.on('close', () => controller.abort())
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+  let usage = null
+  let quota = null
+  const finish = (data) => {
+    send('done', { ...data, usage, quota })
+    res.end()
+  }
+
+  const llm = getLLMInfo()
+  send('meta', { ...meta, ...llm })
+
+  let text = ''
+  let failed = false
+  try {
+    const pieces = streamText(prompt, { history, signal: controller.signal, onUsage: (used) => { usage = used } })
+    for await (const piece of pieces) {
+      if (controller.signal.aborted) break
+      text += piece
+      send('chunk', { text: piece })
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error(`Error streaming from ${llm.provider}:`, error)
+      send('error', { error: 'Failed to process request', details: error.message })
+      res.end()
+      failed = true
+    }
+  }
+
+  if (text) quota = await callerQuota.charge(usage)
+
+  return { text, stopped: controller.signal.aborted, failed, llm, quota, finish }
+}
 
 // Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Backend is running!' })
+app.get('/api/health', validate('getHealth'), (req, res) => {
+  res.json({ status: 'ok', message: 'Backend is running!', llm: getLLMInfo() })
+})
+
+// GET /api/openapi.json - OpenAPI document for every endpoint (config/openapi.js)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi)
+})
+
+// GET /api/docs - Interactive API docs (Swagger UI from a CDN, pointed at /api/openapi.json)
+const SWAGGER_UI_CDN = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14'
+app.get('/api/docs', (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('base64')
+
+  // Helmet's default policy blocks the CDN assets and the inline bootstrap script
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src ${SWAGGER_UI_CDN} 'nonce-${nonce}'`,
+    `style-src ${SWAGGER_UI_CDN} 'unsafe-inline'`,
+    "img-src 'self' data:",
+    "connect-src 'self'"
+  ].join('; '))
+
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openapi.info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui', withCredentials: true })
+  </script>
+</body>
+</html>`)
+})
+
+// GET /quota - The caller's daily AI token budget (by X-API-Key, signed-in user, else IP)
+app.get('/quota', marketLimiter, validate('getQuota'), async (req, res) => {
+  try {
+    const identity = resolveQuotaIdentity(req)
+    if (!identity) return unknownApiKey(res)
+
+    res.json({
+      success: true,
+      data: {
+        ...(await getQuota(identity.key)),
+        identity: { type: identity.type, name: identity.name }
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching AI quota:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI quota',
+      details: error.message
+    })
+  }
 })
 
 // GET /quote?symbol=XYZ - Returns detailed quote data for a stock
-app.get('/quote', marketLimiter, async (req, res) => {
+app.get('/quote', marketLimiter, validate('getQuote'), async (req, res) => {
   try {
     const { symbol } = req.query
-    
-    if (!symbol) {
-      return res.status(400).json({
-        success: false,
-        error: 'Symbol parameter is required'
-      })
-    }
-    
+
     console.log(`Fetching quote for ${symbol}...`)
     const quote = await fetchQuote(symbol)
     
     res.json({
       success: true,
       data: quote,
-      source: 'yahoo_finance'
+      source: quote.source
     })
     
   } catch (error) {
@@ -136,24 +409,22 @@ app.get('/quote', marketLimiter, async (req, res) => {
 })
 
 // GET /news?symbol=XYZ - Returns AI-summarized news for a stock
-app.get('/news', marketLimiter, async (req, res) => {
+// Only stored summaries are attached; missing ones are written in the background (within
+// the daily budget) for the next load, and the publisher summary is used meanwhile
+app.get('/news', marketLimiter, validate('getNews'), async (req, res) => {
   try {
     const { symbol } = req.query
-    
-    if (!symbol) {
-      return res.status(400).json({
-        success: false,
-        error: 'Symbol parameter is required'
-      })
-    }
-    
+
     console.log(`Fetching news for ${symbol}...`)
     const news = await fetchNews(symbol)
     
-    // Return news with original summaries (AI quota exceeded)
-    const newsData = news.map(article => ({
+    const summarized = await attachSummaries(news)
+    summarizeLater(news)
+    const newsData = summarized.map(article => ({
       title: article.title,
-      aiSummary: article.summary || 'No summary available',
+      aiSummary: article.aiSummary,
+      whyItMatters: article.whyItMatters,
+      summarySource: article.summarySource,
       link: article.link,
       publishedAt: article.publishedAt,
       source: article.publisher,
@@ -165,7 +436,7 @@ app.get('/news', marketLimiter, async (req, res) => {
       count: newsData.length,
       data: newsData,
       source: 'yahoo_finance',
-      note: 'AI summaries temporarily disabled due to API quota'
+      summaryBudget: await getSummaryBudget()
     })
     
   } catch (error) {
@@ -178,20 +449,140 @@ app.get('/news', marketLimiter, async (req, res) => {
   }
 })
 
+// ========================================
+// AUTH ENDPOINTS
+// ========================================
+
+// Issue a session for a user and set the cookie
+const signIn = async (res, user) => {
+  const { token, expiresAt } = await startSession(user.id)
+  res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(), maxAge: getSessionTtl() })
+  return { user, token, expiresAt }
+}
+
+// POST /auth/register { email, password, name? } - Create an account and sign in
+app.post('/auth/register', authLimiter, validate('register'), async (req, res) => {
+  try {
+    const { fields, error } = validateRegistration(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const user = await registerUser(fields)
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await signIn(res, user)
+    })
+  } catch (error) {
+    console.error('Error registering user:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account',
+      details: error.message
+    })
+  }
+})
+
+// POST /auth/login { email, password } - Sign in; the session is set as an HttpOnly
+// cookie and also returned as `token` for clients that send Authorization: Bearer
+app.post('/auth/login', authLimiter, validate('login'), async (req, res) => {
+  try {
+    const { email, password } = req.body || {}
+    const user = await verifyCredentials(email, password)
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await signIn(res, user)
+    })
+  } catch (error) {
+    console.error('Error signing in:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign in',
+      details: error.message
+    })
+  }
+})
+
+// POST /auth/logout - End the current session
+app.post('/auth/logout', validate('logout'), async (req, res) => {
+  try {
+    await endSession(req.sessionToken)
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions())
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Error signing out:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out',
+      details: error.message
+    })
+  }
+})
+
+// GET /auth/me - The signed-in user
+app.get('/auth/me', validate('getCurrentUser'), requireUser, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  })
+})
+
 // ========================================
 // MARKET INTELLIGENCE ENDPOINTS
 // ========================================
 
-// GET /market/trending - Returns trending stocks from Reddit + market data
-app.get('/market/trending', marketLimiter, async (req, res) => {
+// Resolve an optional ?sector= query param, replying 400 when it is unknown
+// Returns undefined when no sector was requested and false when a response was sent
+const parseSectorQuery = (req, res) => {
+  if (!req.query.sector) return undefined
+
+  const sector = resolveSector(req.query.sector)
+  if (!sector) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown sector. Expected one of: ${getSectorSummary().map(s => s.slug).join(', ')}`
+    })
+    return false
+  }
+  return sector
+}
+
+// GET /stream - Server-sent events with trending, discussion and news deltas
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay what they missed
+app.get('/stream', validate('getStream'), (req, res) => {
+  subscribeToStream(req, res)
+})
+
+// GET /market/trending?sector=primary-biotech - Returns trending stocks from Reddit + market data,
+// each with mention momentum (velocity, z-score vs. its own baseline, new-spike flag).
+// Served from the last background refresh (see services/ingestion.js)
+app.get('/market/trending', marketLimiter, validate('getTrending'), async (req, res) => {
   try {
-    console.log('Fetching trending stocks...')
-    const trending = await getTrendingStocks()
+    const sector = parseSectorQuery(req, res)
+    if (sector === false) return
+
+    const trending = await getTrendingFeed(sector)
     
     res.json({
       success: true,
-      data: trending,
-      source: 'reddit_yahoo_finance'
+      sector: sector || null,
+      data: trending.data,
+      source: 'reddit_yahoo_finance',
+      updatedAt: trending.updatedAt
     })
   } catch (error) {
     console.error('Error fetching trending stocks:', error.message)
@@ -203,20 +594,37 @@ app.get('/market/trending', marketLimiter, async (req, res) => {
   }
 })
 
-// GET /market/discussions?subreddit=wallstreetbets&limit=20
-app.get('/market/discussions', marketLimiter, async (req, res) => {
+// GET /market/universe?sector=life-sciences - Tracked biotech universe with sector classification
+app.get('/market/universe', marketLimiter, validate('getUniverse'), (req, res) => {
+  const sector = parseSectorQuery(req, res)
+  if (sector === false) return
+
+  const universe = getUniverse({ sector })
+
+  res.json({
+    success: true,
+    count: universe.length,
+    sectors: getSectorSummary(),
+    data: universe,
+    source: 'biotech_universe'
+  })
+})
+
+// GET /market/discussions?subreddit=wallstreetbets&limit=20 - Ingested subreddits are served
+// from the last background refresh, others are fetched live
+app.get('/market/discussions', marketLimiter, validate('getSubredditDiscussions'), async (req, res) => {
   try {
-    const { subreddit = 'wallstreetbets', limit = 20 } = req.query
-    
-    console.log(`Fetching discussions from r/${subreddit}...`)
-    const posts = await fetchSubredditPosts(subreddit, parseInt(limit))
+    const { subreddit, limit } = req.query
+
+    const posts = await getSubredditFeed(subreddit, limit)
     
     res.json({
       success: true,
       subreddit,
-      count: posts.length,
-      data: posts,
-      source: 'reddit'
+      count: posts.data.length,
+      data: posts.data,
+      source: 'reddit',
+      updatedAt: posts.updatedAt
     })
   } catch (error) {
     console.error('Error fetching discussions:', error.message)
@@ -228,17 +636,24 @@ app.get('/market/discussions', marketLimiter, async (req, res) => {
   }
 })
 
-// GET /market/news - General market news (replaces /news/recent and /news/past)
-app.get('/market/news', marketLimiter, async (req, res) => {
+// GET /market/news?sector=primary-biotech - General market news (replaces /news/recent and /news/past).
+// Headlines and their AI summaries come from the last background refresh
+app.get('/market/news', marketLimiter, validate('getMarketNews'), async (req, res) => {
   try {
-    console.log('Fetching general market news...')
-    const news = await getMarketNews()
+    const sector = parseSectorQuery(req, res)
+    if (sector === false) return
+
+    const feed = await getMarketNewsFeed(sector)
+    const news = await attachSummaries(feed.data)
     
     res.json({
       success: true,
+      sector: sector || null,
       count: news.length,
       data: news,
-      source: 'yahoo_finance'
+      source: 'yahoo_finance',
+      summaryBudget: await getSummaryBudget(),
+      updatedAt: feed.updatedAt
     })
   } catch (error) {
     console.error('Error fetching market news:', error.message)
@@ -250,20 +665,40 @@ app.get('/market/news', marketLimiter, async (req, res) => {
   }
 })
 
+// GET /market/insider-activity?days=30&minValue=100000 - Notable open-market insider buys (Form 4, code P)
+app.get('/market/insider-activity', marketLimiter, validate('getInsiderActivity'), async (req, res) => {
+  try {
+    const { days, minValue } = req.query
+
+    console.log(`Scanning insider buys over the last ${days} days...`)
+    const activity = await getInsiderActivity({ days, minValue })
+
+    res.json({
+      success: true,
+      count: activity.buys.length,
+      data: activity,
+      source: 'sec_edgar'
+    })
+  } catch (error) {
+    console.error('Error fetching insider activity:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch insider activity',
+      details: error.message
+    })
+  }
+})
+
 // GET /stock/:symbol - Complete stock intelligence (price + news + Reddit sentiment)
-app.get('/stock/:symbol', marketLimiter, async (req, res) => {
+app.get('/stock/:symbol', marketLimiter, validate('getStock'), async (req, res) => {
   try {
     const { symbol } = req.params
-    
-    if (!symbol) {
-      return res.status(400).json({
-        success: false,
-        error: 'Stock symbol is required'
-      })
-    }
-    
+
     console.log(`Fetching intelligence for ${symbol}...`)
     const intelligence = await getStockIntelligence(symbol.toUpperCase())
+    summarizeLater(intelligence.news)
+    intelligence.news = await attachSummaries(intelligence.news)
+    intelligence.nextCatalyst = (await getNextCatalysts([intelligence.symbol]))[intelligence.symbol] || null
     
     res.json({
       success: true,
@@ -280,80 +715,1140 @@ app.get('/stock/:symbol', marketLimiter, async (req, res) => {
   }
 })
 
-// POST /ask - Forwards message to Gemini API and returns response
-app.post('/ask', aiLimiter, dailyQuotaMiddleware(100), async (req, res) => {
+// GET /stock/:symbol/discussions?sort=new&page=1&pageSize=10 - Every Reddit post mentioning the stock
+app.get('/stock/:symbol/discussions', marketLimiter, validate('getStockDiscussions'), async (req, res) => {
   try {
-    const { message } = req.body
+    const { symbol } = req.params
+    const { sort, page, pageSize } = req.query
 
-    if (!message) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Message is required' 
-      })
-    }
+    console.log(`Fetching discussions for ${symbol} (${sort}, page ${page})...`)
+    const discussions = await getStockDiscussions(symbol, { sort, page, pageSize })
 
-    // Limit message length
-    if (message.length > 2000) {
+    res.json({
+      success: true,
+      sort: discussions.sort,
+      page: discussions.page,
+      pageSize: discussions.pageSize,
+      total: discussions.total,
+      hasMore: discussions.hasMore,
+      data: discussions.posts,
+      source: 'reddit'
+    })
+  } catch (error) {
+    console.error(`Error fetching discussions for ${req.params.symbol}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch discussions',
+      details: error.message
+    })
+  }
+})
+
+// GET /stock/:symbol/pipeline?status=active - Clinical trials grouped by phase
+// status=all also includes completed, terminated and withdrawn studies
+app.get('/stock/:symbol/pipeline', marketLimiter, validate('getPipeline'), async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(req.params.symbol)
+    if (!symbol) {
       return res.status(400).json({
         success: false,
-        error: 'Message too long. Max 2000 characters.'
+        error: `Invalid symbol: ${req.params.symbol}`
       })
     }
 
-    // Call Gemini API
-    const result = await model.generateContent(message)
-    const response = await result.response
-    const text = response.text()
+    const { status } = req.query
 
-    res.json({ 
+    console.log(`Fetching clinical pipeline for ${symbol}...`)
+    const pipeline = await getPipeline(symbol, { status })
+
+    res.json({
       success: true,
-      response: text 
+      data: pipeline,
+      source: pipeline.source
     })
   } catch (error) {
-    console.error('Error calling Gemini API:', error)
-    res.status(500).json({ 
+    console.error(`Error fetching pipeline for ${req.params.symbol}:`, error.message)
+    res.status(500).json({
       success: false,
-      error: 'Failed to process request',
-      details: error.message 
+      error: 'Failed to fetch clinical pipeline',
+      details: error.message
     })
   }
 })
 
-// Legacy chat endpoint for compatibility
-app.post('/api/chat', aiLimiter, dailyQuotaMiddleware(100), async (req, res) => {
+// GET /stock/:symbol/filings?category=offering&limit=40 - Recent SEC EDGAR filings
+// Each filing is classified as offering (dilution), agreement, results, executive or other
+app.get('/stock/:symbol/filings', marketLimiter, validate('getFilings'), async (req, res) => {
   try {
-    const { message } = req.body
-
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' })
-    }
-
-    // Limit message length
-    if (message.length > 2000) {
+    const symbol = normalizeSymbol(req.params.symbol)
+    if (!symbol) {
       return res.status(400).json({
-        error: 'Message too long. Max 2000 characters.'
+        success: false,
+        error: `Invalid symbol: ${req.params.symbol}`
       })
     }
 
-    // Call Gemini API
-    const result = await model.generateContent(message)
-    const response = await result.response
-    const text = response.text()
+    const { category, limit } = req.query
 
-    res.json({ 
-      response: text 
+    console.log(`Fetching SEC filings for ${symbol}...`)
+    const filings = await getFilings(symbol, { category, limit })
+
+    if (!filings) {
+      return res.status(404).json({
+        success: false,
+        error: `No SEC registrant found for ${symbol}`
+      })
+    }
+
+    res.json({
+      success: true,
+      data: filings,
+      categories: FILING_CATEGORIES,
+      source: filings.source
     })
   } catch (error) {
-    console.error('Error calling Gemini API:', error)
-    res.status(500).json({ 
-      error: 'Failed to process request',
-      details: error.message 
+    console.error(`Error fetching filings for ${req.params.symbol}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch SEC filings',
+      details: error.message
     })
   }
 })
 
+// GET /stock/:symbol/insiders?days=180 - Form 4 insider transactions with a net buy/sell summary
+app.get('/stock/:symbol/insiders', marketLimiter, validate('getInsiders'), async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(req.params.symbol)
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid symbol: ${req.params.symbol}`
+      })
+    }
+    const { days } = req.query
+
+    console.log(`Fetching insider transactions for ${symbol}...`)
+    const insiders = await getInsiderTransactions(symbol, { days })
+
+    if (!insiders) {
+      return res.status(404).json({
+        success: false,
+        error: `No SEC registrant found for ${symbol}`
+      })
+    }
+
+    res.json({
+      success: true,
+      data: insiders,
+      source: insiders.source
+    })
+  } catch (error) {
+    console.error(`Error fetching insiders for ${req.params.symbol}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch insider transactions',
+      details: error.message
+    })
+  }
+})
+
+// GET /stock/:symbol/history?range=1mo&interval=1d - OHLCV candles for charting
+app.get('/stock/:symbol/history', marketLimiter, validate('getHistory'), async (req, res) => {
+  try {
+    const { symbol } = req.params
+    const { range, interval } = req.query
+
+    // Yahoo answers 422 for intraday candles over long ranges
+    if (interval && !INTERVAL_RANGES[interval].includes(range)) {
+      return invalidRequest(res, [{
+        in: 'query',
+        name: 'interval',
+        message: `is not available for range ${range} (${interval} covers ${INTERVAL_RANGES[interval].join(', ')})`
+      }])
+    }
+
+    console.log(`Fetching ${range} history for ${symbol}...`)
+    const history = await fetchHistory(symbol, range, interval)
+
+    res.json({
+      success: true,
+      data: history,
+      source: history.source
+    })
+  } catch (error) {
+    console.error(`Error fetching history for ${req.params.symbol}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch price history',
+      details: error.message
+    })
+  }
+})
+
+// ========================================
+// WATCHLIST ENDPOINTS
+// ========================================
+
+// Validate a watchlist name from the request body, replying 400 when it is missing or too long
+// Returns the trimmed name, or null when a response was sent
+const parseWatchlistName = (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+
+  if (!name || name.length > MAX_WATCHLIST_NAME_LENGTH) {
+    res.status(400).json({
+      success: false,
+      error: `Watchlist name is required (max ${MAX_WATCHLIST_NAME_LENGTH} characters)`
+    })
+    return null
+  }
+  return name
+}
+
+// Validate `symbol` or `symbols` from the request body, replying 400 on any invalid ticker
+// Returns normalized symbols, or null when a response was sent
+const parseSymbolList = (req, res, { required = true } = {}) => {
+  const { symbol, symbols } = req.body || {}
+  const raw = symbols !== undefined ? symbols : (symbol !== undefined ? [symbol] : [])
+
+  if (!Array.isArray(raw) || (required && raw.length === 0)) {
+    res.status(400).json({
+      success: false,
+      error: 'Provide a symbol or an array of symbols'
+    })
+    return null
+  }
+
+  const normalized = raw.map(normalizeSymbol)
+  const invalid = raw.filter((_, index) => !normalized[index])
+  if (invalid.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid symbol: ${invalid.join(', ')}`
+    })
+    return null
+  }
+  return normalized
+}
+
+const watchlistNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Watchlist not found'
+})
+
+// GET /watchlists - The signed-in user's watchlists (symbols only)
+app.get('/watchlists', marketLimiter, validate('listWatchlists'), requireUser, async (req, res) => {
+  try {
+    const watchlists = await listWatchlists(req.user.id)
+
+    res.json({
+      success: true,
+      count: watchlists.length,
+      data: watchlists
+    })
+  } catch (error) {
+    console.error('Error listing watchlists:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list watchlists',
+      details: error.message
+    })
+  }
+})
+
+// POST /watchlists { name, symbols? } - Create a watchlist
+app.post('/watchlists', marketLimiter, validate('createWatchlist'), requireUser, async (req, res) => {
+  try {
+    const name = parseWatchlistName(req, res)
+    if (name === null) return
+
+    const symbols = parseSymbolList(req, res, { required: false })
+    if (symbols === null) return
+
+    const watchlist = await createWatchlist(req.user.id, { name, symbols })
+
+    res.status(201).json({
+      success: true,
+      data: watchlist
+    })
+  } catch (error) {
+    console.error('Error creating watchlist:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create watchlist',
+      details: error.message
+    })
+  }
+})
+
+// GET /watchlists/:id - One watchlist with quote, sentiment and latest headline per symbol
+app.get('/watchlists/:id', marketLimiter, validate('getWatchlist'), requireUser, async (req, res) => {
+  try {
+    const watchlist = await getWatchlist(req.user.id, req.params.id)
+    if (!watchlist) return watchlistNotFound(res)
+
+    console.log(`Fetching watchlist ${watchlist.name} (${watchlist.symbols.length} symbols)...`)
+    const items = await getWatchlistItems(watchlist)
+
+    res.json({
+      success: true,
+      data: { ...watchlist, items },
+      source: 'yahoo_reddit'
+    })
+  } catch (error) {
+    console.error(`Error fetching watchlist ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch watchlist',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /watchlists/:id { name } - Rename a watchlist
+app.patch('/watchlists/:id', marketLimiter, validate('renameWatchlist'), requireUser, async (req, res) => {
+  try {
+    const name = parseWatchlistName(req, res)
+    if (name === null) return
+
+    const watchlist = await renameWatchlist(req.user.id, req.params.id, name)
+    if (!watchlist) return watchlistNotFound(res)
+
+    res.json({
+      success: true,
+      data: watchlist
+    })
+  } catch (error) {
+    console.error(`Error renaming watchlist ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename watchlist',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /watchlists/:id - Delete a watchlist
+app.delete('/watchlists/:id', marketLimiter, validate('deleteWatchlist'), requireUser, async (req, res) => {
+  try {
+    const deleted = await deleteWatchlist(req.user.id, req.params.id)
+    if (!deleted) return watchlistNotFound(res)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error(`Error deleting watchlist ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete watchlist',
+      details: error.message
+    })
+  }
+})
+
+// POST /watchlists/:id/symbols { symbol } or { symbols: [] } - Add symbols to a watchlist
+app.post('/watchlists/:id/symbols', marketLimiter, validate('addWatchlistSymbols'), requireUser, async (req, res) => {
+  try {
+    const symbols = parseSymbolList(req, res)
+    if (symbols === null) return
+
+    const watchlist = await addWatchlistSymbols(req.user.id, req.params.id, symbols)
+    if (!watchlist) return watchlistNotFound(res)
+
+    res.json({
+      success: true,
+      data: watchlist
+    })
+  } catch (error) {
+    console.error(`Error adding symbols to watchlist ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add symbols',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /watchlists/:id/symbols/:symbol - Remove a symbol from a watchlist
+app.delete('/watchlists/:id/symbols/:symbol', marketLimiter, validate('removeWatchlistSymbol'), requireUser, async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(req.params.symbol)
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid symbol: ${req.params.symbol}`
+      })
+    }
+
+    const watchlist = await removeWatchlistSymbol(req.user.id, req.params.id, symbol)
+    if (!watchlist) return watchlistNotFound(res)
+
+    res.json({
+      success: true,
+      data: watchlist
+    })
+  } catch (error) {
+    console.error(`Error removing ${req.params.symbol} from watchlist ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove symbol',
+      details: error.message
+    })
+  }
+})
+
+// ========================================
+// CATALYST CALENDAR ENDPOINTS
+// ========================================
+
+const catalystNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Catalyst not found'
+})
+
+// Parse ?symbols=&types= calendar filters (from/to are checked by validate), replying 400 when one is invalid
+// Returns the filters, or null when a response was sent
+const parseCalendarQuery = (req, res) => {
+  const { from, to } = req.query
+  const split = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : [])
+
+  const rawSymbols = split(req.query.symbols)
+  const symbols = rawSymbols.map(normalizeSymbol)
+  const invalid = rawSymbols.filter((_, index) => !symbols[index])
+  if (invalid.length > 0) {
+    res.status(400).json({ success: false, error: `Invalid symbol: ${invalid.join(', ')}` })
+    return null
+  }
+
+  const types = split(req.query.types)
+  const unknown = types.filter(type => !CATALYST_TYPES[type])
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: `Invalid type: ${unknown.join(', ')}. Expected one of: ${Object.keys(CATALYST_TYPES).join(', ')}`
+    })
+    return null
+  }
+
+  return { from, to, symbols, types }
+}
+
+// GET /calendar?from=2025-01-01&to=2025-03-31&symbols=MRNA,VRTX&types=pdufa,adcomm - Catalysts, soonest first
+app.get('/calendar', marketLimiter, validate('listCatalysts'), async (req, res) => {
+  try {
+    const filters = parseCalendarQuery(req, res)
+    if (!filters) return
+
+    const events = await listEvents(filters)
+
+    res.json({
+      success: true,
+      count: events.length,
+      types: CATALYST_TYPES,
+      data: events
+    })
+  } catch (error) {
+    console.error('Error listing catalysts:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list catalysts',
+      details: error.message
+    })
+  }
+})
+
+// GET /calendar/next?symbols=MRNA,VRTX - Next upcoming catalyst per ticker (for card badges)
+app.get('/calendar/next', marketLimiter, validate('getNextCatalysts'), async (req, res) => {
+  try {
+    const filters = parseCalendarQuery(req, res)
+    if (!filters) return
+
+    res.json({
+      success: true,
+      data: await getNextCatalysts(filters.symbols)
+    })
+  } catch (error) {
+    console.error('Error fetching next catalysts:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch next catalysts',
+      details: error.message
+    })
+  }
+})
+
+// GET /calendar.ics?symbols=&types= - ICS feed for calendar apps (events from the last 30 days on, or ?from=)
+app.get('/calendar.ics', marketLimiter, validate('exportCalendar'), async (req, res) => {
+  try {
+    const filters = parseCalendarQuery(req, res)
+    if (!filters) return
+
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    const events = await listEvents({ ...filters, from: filters.from || since })
+
+    res.type('text/calendar').send(exportIcs(events))
+  } catch (error) {
+    console.error('Error exporting catalyst calendar:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export calendar',
+      details: error.message
+    })
+  }
+})
+
+// POST /calendar/events { symbol, type, date, title?, notes?, dateEstimated? } - Add a catalyst
+app.post('/calendar/events', marketLimiter, validate('createCatalyst'), requireUser, async (req, res) => {
+  try {
+    const { fields, error } = validateEvent(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const event = await createEvent(fields)
+
+    res.status(201).json({
+      success: true,
+      data: event
+    })
+  } catch (error) {
+    console.error('Error creating catalyst:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create catalyst',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /calendar/events/:id - Update any catalyst field (e.g. a moved PDUFA date)
+app.patch('/calendar/events/:id', marketLimiter, validate('updateCatalyst'), requireUser, async (req, res) => {
+  try {
+    const { fields, error } = validateEvent(req.body, { partial: true })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const event = await updateEvent(req.params.id, fields)
+    if (!event) return catalystNotFound(res)
+
+    res.json({
+      success: true,
+      data: event
+    })
+  } catch (error) {
+    console.error(`Error updating catalyst ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update catalyst',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /calendar/events/:id - Delete a catalyst
+app.delete('/calendar/events/:id', marketLimiter, validate('deleteCatalyst'), requireUser, async (req, res) => {
+  try {
+    const deleted = await deleteEvent(req.params.id)
+    if (!deleted) return catalystNotFound(res)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error(`Error deleting catalyst ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete catalyst',
+      details: error.message
+    })
+  }
+})
+
+// POST /calendar/import - Import a CSV (Content-Type: text/csv) or ICS (text/calendar) file
+// CSV columns: symbol, date, type?, title?, notes?, dateEstimated?. Re-importing updates in place
+app.post(
+  '/calendar/import',
+  marketLimiter,
+  validate('importCatalysts'),
+  requireUser,
+  express.text({ type: ['text/csv', 'text/calendar', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const format = req.is('text/calendar') ? 'ics' : req.is('text/csv') ? 'csv' : req.query.format
+      if (typeof req.body !== 'string' || !req.body.trim() || !['csv', 'ics'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Send the file body as text/csv or text/calendar (or text/plain with ?format=csv|ics)'
+        })
+      }
+
+      const result = await importEvents(req.body, format)
+
+      res.json({
+        success: true,
+        ...result
+      })
+    } catch (error) {
+      console.error('Error importing catalysts:', error.message)
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import catalysts',
+        details: error.message
+      })
+    }
+  }
+)
+
+// ========================================
+// ALERT ENDPOINTS
+// ========================================
+
+const alertRuleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Alert rule not found'
+})
+
+// GET /alerts/rules - The signed-in user's alert rules and the supported rule types
+app.get('/alerts/rules', marketLimiter, validate('listAlertRules'), requireUser, async (req, res) => {
+  try {
+    const rules = await listRules(req.user.id)
+
+    res.json({
+      success: true,
+      count: rules.length,
+      types: ALERT_TYPES,
+      data: rules
+    })
+  } catch (error) {
+    console.error('Error listing alert rules:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list alert rules',
+      details: error.message
+    })
+  }
+})
+
+// POST /alerts/rules { type, symbol, threshold?, name?, cooldownMinutes?, webhookUrl?, enabled? } - Create a rule
+app.post('/alerts/rules', marketLimiter, validate('createAlertRule'), requireUser, async (req, res) => {
+  try {
+    const { fields, error } = validateRule(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const rule = await createRule(req.user.id, fields)
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    })
+  } catch (error) {
+    console.error('Error creating alert rule:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert rule',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /alerts/rules/:id - Update any rule field (e.g. { enabled: false })
+app.patch('/alerts/rules/:id', marketLimiter, validate('updateAlertRule'), requireUser, async (req, res) => {
+  try {
+    const { fields, error } = validateRule(req.body, { partial: true })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const updated = await updateRule(req.user.id, req.params.id, fields)
+    if (!updated) return alertRuleNotFound(res)
+    if (updated.error) {
+      return res.status(400).json({ success: false, error: updated.error })
+    }
+
+    res.json({
+      success: true,
+      data: updated.rule
+    })
+  } catch (error) {
+    console.error(`Error updating alert rule ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert rule',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /alerts/rules/:id - Delete a rule
+app.delete('/alerts/rules/:id', marketLimiter, validate('deleteAlertRule'), requireUser, async (req, res) => {
+  try {
+    const deleted = await deleteRule(req.user.id, req.params.id)
+    if (!deleted) return alertRuleNotFound(res)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error(`Error deleting alert rule ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule',
+      details: error.message
+    })
+  }
+})
+
+// POST /alerts/evaluate - Evaluate rules now instead of waiting for the schedule (joins a run already
+// in progress) and return the signed-in user's notifications it fired
+app.post('/alerts/evaluate', marketLimiter, validate('evaluateAlerts'), requireUser, async (req, res) => {
+  try {
+    console.log('Evaluating alert rules...')
+    const fired = await evaluateAlerts({ ownerId: req.user.id })
+
+    res.json({
+      success: true,
+      count: fired.length,
+      data: fired
+    })
+  } catch (error) {
+    console.error('Error evaluating alerts:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to evaluate alerts',
+      details: error.message
+    })
+  }
+})
+
+// GET /alerts/notifications?unread=true - In-app notifications, newest first
+app.get('/alerts/notifications', marketLimiter, validate('listNotifications'), requireUser, async (req, res) => {
+  try {
+    const { notifications, unread } = await listNotifications(req.user.id, { unreadOnly: req.query.unread === true })
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unread,
+      data: notifications
+    })
+  } catch (error) {
+    console.error('Error listing notifications:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list notifications',
+      details: error.message
+    })
+  }
+})
+
+// POST /alerts/notifications/read - Mark every notification as read
+app.post('/alerts/notifications/read', marketLimiter, validate('markAllNotificationsRead'), requireUser, async (req, res) => {
+  try {
+    await markNotificationsRead(req.user.id)
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Error marking notifications read:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications read',
+      details: error.message
+    })
+  }
+})
+
+// POST /alerts/notifications/:id/read - Mark one notification as read
+app.post('/alerts/notifications/:id/read', marketLimiter, validate('markNotificationRead'), requireUser, async (req, res) => {
+  try {
+    const found = await markNotificationsRead(req.user.id, req.params.id)
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      })
+    }
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error(`Error marking notification ${req.params.id} read:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification read',
+      details: error.message
+    })
+  }
+})
+
+// POST /ask - Answers with the configured model, grounded in live intelligence for any tickers in the message
+// Returns the tickers detected and the sources (quotes, headlines, Reddit posts) given to the model
+app.post('/ask', aiLimiter, validate('ask'), aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { message } = req.body
+
+    const { tickers, context, sources } = await buildStockContext(message)
+    if (tickers.length > 0) {
+      console.log(`Grounding answer with ${tickers.join(', ')}...`)
+    }
+
+    const { text, provider, model, usage } = await generateText(buildAskPrompt(message, context))
+    const quota = await req.quota.charge(usage)
+
+    res.json({ 
+      success: true,
+      response: text,
+      tickers,
+      sources,
+      provider,
+      model,
+      usage,
+      quota
+    })
+  } catch (error) {
+    console.error('Error calling LLM provider:', error)
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to process request',
+      details: error.message 
+    })
+  }
+})
+
+// POST /ask/stream - Same as /ask, but the answer arrives as server-sent events
+// (meta, chunk..., done | error). Closing the connection stops generation; tokens
+// generated before the stop still count against the daily quota
+app.post('/ask/stream', aiLimiter, validate('askStream'), aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { message } = req.body
+
+    const { tickers, context, sources } = await buildStockContext(message)
+
+    const { text, stopped, failed, llm, finish } = await streamAnswer(res, {
+      prompt: buildAskPrompt(message, context),
+      meta: { tickers, sources },
+      quota: req.quota
+    })
+    if (!failed && !stopped) finish({ response: text, ...llm })
+  } catch (error) {
+    console.error('Error calling LLM provider:', error)
+    if (res.headersSent) return res.end()
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request',
+      details: error.message
+    })
+  }
+})
+
+// ========================================
+// CHAT SESSION ENDPOINTS
+// ========================================
+
+const chatSessionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Chat session not found'
+})
+
+// Validate an optional session title, replying 400 when it is not a string or too long
+// Returns the trimmed title (null when absent), or false when a response was sent
+const parseSessionTitle = (req, res, { required = false } = {}) => {
+  const { title } = req.body || {}
+  if (title === undefined && !required) return null
+
+  if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_SESSION_TITLE_LENGTH) {
+    res.status(400).json({
+      success: false,
+      error: `Title must be a non-empty string of at most ${MAX_SESSION_TITLE_LENGTH} characters`
+    })
+    return false
+  }
+  return title.trim()
+}
+
+// GET /chat/sessions - The signed-in user's past conversations, most recent first (without messages)
+app.get('/chat/sessions', marketLimiter, validate('listChatSessions'), requireUser, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id)
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    })
+  } catch (error) {
+    console.error('Error listing chat sessions:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list chat sessions',
+      details: error.message
+    })
+  }
+})
+
+// POST /chat/sessions { title? } - Start a conversation
+app.post('/chat/sessions', marketLimiter, validate('createChatSession'), requireUser, async (req, res) => {
+  try {
+    const title = parseSessionTitle(req, res)
+    if (title === false) return
+
+    const session = await createSession(req.user.id, { title })
+
+    res.status(201).json({
+      success: true,
+      data: session
+    })
+  } catch (error) {
+    console.error('Error creating chat session:', error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create chat session',
+      details: error.message
+    })
+  }
+})
+
+// GET /chat/sessions/:id - A conversation with its full history
+app.get('/chat/sessions/:id', marketLimiter, validate('getChatSession'), requireUser, async (req, res) => {
+  try {
+    const session = await getSession(req.user.id, req.params.id)
+    if (!session) return chatSessionNotFound(res)
+
+    res.json({
+      success: true,
+      data: session
+    })
+  } catch (error) {
+    console.error(`Error fetching chat session ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chat session',
+      details: error.message
+    })
+  }
+})
+
+// PATCH /chat/sessions/:id { title } - Rename a conversation
+app.patch('/chat/sessions/:id', marketLimiter, validate('renameChatSession'), requireUser, async (req, res) => {
+  try {
+    const title = parseSessionTitle(req, res, { required: true })
+    if (title === false) return
+
+    const session = await renameSession(req.user.id, req.params.id, title)
+    if (!session) return chatSessionNotFound(res)
+
+    res.json({
+      success: true,
+      data: session
+    })
+  } catch (error) {
+    console.error(`Error renaming chat session ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename chat session',
+      details: error.message
+    })
+  }
+})
+
+// DELETE /chat/sessions/:id - Delete a conversation
+app.delete('/chat/sessions/:id', marketLimiter, validate('deleteChatSession'), requireUser, async (req, res) => {
+  try {
+    const deleted = await deleteSession(req.user.id, req.params.id)
+    if (!deleted) return chatSessionNotFound(res)
+
+    res.json({ success: true })
+  } catch (error) {
+    console.error(`Error deleting chat session ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chat session',
+      details: error.message
+    })
+  }
+})
+
+// GET /chat/sessions/:id/export - Download a conversation as Markdown
+app.get('/chat/sessions/:id/export', marketLimiter, validate('exportChatSession'), requireUser, async (req, res) => {
+  try {
+    const session = await getSession(req.user.id, req.params.id)
+    if (!session) return chatSessionNotFound(res)
+
+    const filename = (session.title || 'conversation')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 50) || 'conversation'
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8')
+    res.set('Content-Disposition', `attachment; filename="${filename}.md"`)
+    res.send(exportSessionMarkdown(session))
+  } catch (error) {
+    console.error(`Error exporting chat session ${req.params.id}:`, error.message)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export chat session',
+      details: error.message
+    })
+  }
+})
+
+// POST /chat/sessions/:id/messages { message } - Ask a question within a conversation
+// Earlier turns are sent to the model (trimmed to CHAT_HISTORY_TOKENS) and follow-ups
+// without a ticker reuse the tickers discussed last
+app.post('/chat/sessions/:id/messages', aiLimiter, validate('sendChatMessage'), requireUser, aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { message } = req.body
+
+    const session = await getSession(req.user.id, req.params.id)
+    if (!session) return chatSessionNotFound(res)
+
+    const { tickers, context, sources } = await buildStockContext(message, {
+      fallbackTickers: getRecentTickers(session)
+    })
+    const { history, omitted } = truncateHistory(session.messages)
+
+    const { text, provider, model, usage } = await generateText(buildAskPrompt(message, context), { history })
+    const quota = await req.quota.charge(usage)
+
+    const updated = await appendMessages(req.user.id, session.id, [
+      { role: 'user', content: message, tickers },
+      { role: 'assistant', content: text, sources, provider, model }
+    ])
+    if (!updated) return chatSessionNotFound(res)
+
+    res.json({
+      success: true,
+      response: text,
+      tickers,
+      sources,
+      title: updated.title,
+      historyMessagesOmitted: omitted,
+      provider,
+      model,
+      usage,
+      quota
+    })
+  } catch (error) {
+    console.error('Error calling LLM provider:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request',
+      details: error.message
+    })
+  }
+})
+
+// POST /chat/sessions/:id/messages/stream { message } - Streaming variant of the above
+// A stopped answer is kept in the conversation (marked `stopped`) if any text arrived
+app.post('/chat/sessions/:id/messages/stream', aiLimiter, validate('streamChatMessage'), requireUser, aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { message } = req.body
+
+    const session = await getSession(req.user.id, req.params.id)
+    if (!session) return chatSessionNotFound(res)
+
+    const { tickers, context, sources } = await buildStockContext(message, {
+      fallbackTickers: getRecentTickers(session)
+    })
+    const { history, omitted } = truncateHistory(session.messages)
+
+    const { text, stopped, failed, llm, finish } = await streamAnswer(res, {
+      prompt: buildAskPrompt(message, context),
+      history,
+      meta: { tickers, sources, historyMessagesOmitted: omitted },
+      quota: req.quota
+    })
+    if (failed) return
+
+    const updated = text
+      ? await appendMessages(req.user.id, session.id, [
+        { role: 'user', content: message, tickers },
+        { role: 'assistant', content: text, sources, ...llm, ...(stopped && { stopped: true }) }
+      ])
+      : null
+    if (!stopped) finish({ response: text, title: updated?.title || session.title, ...llm })
+  } catch (error) {
+    console.error('Error calling LLM provider:', error)
+    if (res.headersSent) return res.end()
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request',
+      details: error.message
+    })
+  }
+})
+
+// Legacy chat endpoint for compatibility
+app.post('/api/chat', aiLimiter, validate('legacyChat'), aiQuotaMiddleware, async (req, res) => {
+  try {
+    const { message } = req.body
+
+    const { text, provider, model, usage } = await generateText(message)
+    await req.quota.charge(usage)
+
+    res.json({ 
+      response: text,
+      provider,
+      model
+    })
+  } catch (error) {
+    console.error('Error calling LLM provider:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process request',
+      details: error.message
+    })
+  }
+})
+
+// ========================================
+// ADMIN ENDPOINTS
+// ========================================
+
+// GET /admin/jobs - Background jobs with interval, next run and last run (duration, error)
+app.get('/admin/jobs', marketLimiter, validate('getJobs'), requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    marketOpen: isMarketOpen(),
+    data: getJobStatuses()
+  })
+})
+
+// ========================================
+// ERROR HANDLING
+// ========================================
+
+// Unknown routes get the same JSON error shape as everything else
+app.use((req, res) => {
+  res.status(404).json({
+    success: false,
+    error: `No endpoint for ${req.method} ${req.originalUrl.split('?')[0]}. See /api/docs`
+  })
+})
+
+// Errors thrown before a route runs: unparseable or oversized JSON bodies, CORS refusals
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error)
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON', details: error.message })
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'Request body is too large' })
+  }
+  if (error.message === 'Not allowed by CORS') {
+    return res.status(403).json({ success: false, error: 'Origin not allowed' })
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.path}:`, error)
+  res.status(error.status || 500).json({
+    success: false,
+    error: 'Internal server error',
+    details: error.message
+  })
+})
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`)
+  startIngestion()
+  startMentionSnapshots()
+  startAlertEvaluation()
 })
 
 // Export for Vercel serverless
@@ -0,0 +1,217 @@
+/**
+ * Accounts Service
+ * Email/password accounts and login sessions. Passwords are hashed with
+ * scrypt and a per-user salt. A session is a random token handed to the
+ * browser in an HttpOnly cookie (or sent as a Bearer token by API clients)
+ * and stored here only as a SHA-256 hash, so a copied data file cannot be
+ * replayed as a login.
+ */
+
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { createJsonStore } from './store.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+const PASSWORD_KEY_LENGTH = 64
+const MIN_PASSWORD_LENGTH = 8
+const MAX_PASSWORD_LENGTH = 200
+const MAX_NAME_LENGTH = 60
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Sessions last 30 days unless SESSION_TTL_DAYS overrides
+const DEFAULT_SESSION_TTL_DAYS = 30
+
+const store = createJsonStore('accounts', () => ({ users: [], sessions: [] }))
+
+/**
+ * How long a login session lasts
+ * @returns {number} - Milliseconds
+ */
+export function getSessionTtl() {
+  const days = Number(process.env.SESSION_TTL_DAYS) || DEFAULT_SESSION_TTL_DAYS
+  return days * 86400000
+}
+
+/**
+ * Fields safe to send to the client
+ * @param {Object} user - Stored user
+ * @returns {Object} - { id, email, name, createdAt }
+ */
+function toPublicUser({ id, email, name, createdAt }) {
+  return { id, email, name, createdAt }
+}
+
+/**
+ * @param {string} token - Session token
+ * @returns {string} - Hex SHA-256 of the token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt:<salt>:<hash>" (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16)
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH)
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = stored.split(':')
+  if (scheme !== 'scrypt') return false
+
+  const hash = await scrypt(password, Buffer.from(salt, 'hex'), PASSWORD_KEY_LENGTH)
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'))
+}
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+/**
+ * Validate a registration body
+ * @param {Object} input - { email, password, name? }
+ * @returns {Object} - { fields } on success, { error } otherwise
+ */
+export function validateRegistration(input) {
+  const { email, password, name } = input || {}
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()) || email.trim().length > 254) {
+    return { error: 'A valid email address is required' }
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { error: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` }
+  }
+
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH)) {
+    return { error: `Name must be a string of at most ${MAX_NAME_LENGTH} characters` }
+  }
+
+  const normalizedEmail = email.trim().toLowerCase()
+  return {
+    fields: {
+      email: normalizedEmail,
+      password,
+      name: name?.trim() || normalizedEmail.split('@')[0]
+    }
+  }
+}
+
+/**
+ * Create an account
+ * @param {Object} fields - Validated { email, password, name }
+ * @returns {Promise<Object|null>} - Public user, or null when the email is taken
+ */
+export async function registerUser({ email, password, name }) {
+  const passwordHash = await hashPassword(password)
+  let created = null
+
+  await store.update(data => {
+    if (data.users.some(user => user.email === email)) return
+
+    created = {
+      id: crypto.randomUUID(),
+      email,
+      name,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    }
+    data.users.push(created)
+  })
+
+  return created && toPublicUser(created)
+}
+
+/**
+ * Check login credentials
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Object|null>} - Public user, or null when the email or password is wrong
+ */
+export async function verifyCredentials(email, password) {
+  if (typeof email !== 'string' || typeof password !== 'string') return null
+
+  const { users } = await store.read()
+  const user = users.find(candidate => candidate.email === email.trim().toLowerCase())
+
+  const valid = await verifyPassword(password, user ? user.passwordHash : await DUMMY_HASH)
+  return user && valid ? toPublicUser(user) : null
+}
+
+/**
+ * Start a login session
+ * @param {string} userId
+ * @returns {Promise<Object>} - { token, expiresAt }; the token is only returned here
+ */
+export async function startSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const now = Date.now()
+  const expiresAt = new Date(now + getSessionTtl()).toISOString()
+
+  await store.update(data => {
+    // Drop expired sessions while we are writing anyway
+    data.sessions = data.sessions.filter(session => Date.parse(session.expiresAt) > now)
+    data.sessions.push({
+      tokenHash: hashToken(token),
+      userId,
+      createdAt: new Date(now).toISOString(),
+      expiresAt
+    })
+  })
+
+  return { token, expiresAt }
+}
+
+/**
+ * Look up the user a session token belongs to
+ * @param {string} token
+ * @returns {Promise<Object|null>} - Public user, or null for unknown or expired tokens
+ */
+export async function getSessionUser(token) {
+  if (!token) return null
+
+  const { users, sessions } = await store.read()
+  const tokenHash = hashToken(token)
+  const session = sessions.find(candidate => candidate.tokenHash === tokenHash)
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null
+
+  const user = users.find(candidate => candidate.id === session.userId)
+  return user ? toPublicUser(user) : null
+}
+
+/**
+ * End a login session
+ * @param {string} token
+ */
+export async function endSession(token) {
+  if (!token) return
+
+  const tokenHash = hashToken(token)
+  await store.update(data => {
+    data.sessions = data.sessions.filter(session => session.tokenHash !== tokenHash)
+  })
+}
+
+/**
+ * Whether a user may use the admin endpoints (account id listed in ADMIN_USER_IDS).
+ * Ids are random and issued at registration, so unlike an email address nobody
+ * can claim one by signing up first; an operator copies it from GET /auth/me.
+ * @param {Object|null} user - Public user
+ * @returns {boolean}
+ */
+export function isAdmin(user) {
+  if (!user) return false
+  const admins = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+  return admins.includes(user.id)
+}
@@ -0,0 +1,600 @@
+/**
+ * Alerts Service
+ * User-defined rules evaluated on a schedule against market and Reddit data.
+ * A rule that fires records an in-app notification and, when it has a
+ * webhook URL, POSTs the notification there. Rules and their notifications
+ * belong to the account that created the rule (ownerId).
+ *
+ * Rules only fire on a transition (price move crosses the threshold, mentions
+ * cross N, sentiment turns bearish, unseen headlines appear), each event has a
+ * de-duplication key, and every rule has a cooldown, so one catalyst produces
+ * one alert rather than one per evaluation.
+ *
+ * Webhooks may only reach the public internet. Loopback, private, link-local,
+ * unique-local and reserved hosts are refused when a rule is saved, and again
+ * on delivery against the address actually connected to, since a hostname can
+ * resolve somewhere else later. Redirects are not followed.
+ */
+
+import crypto from 'crypto'
+import dns from 'dns'
+import http from 'http'
+import https from 'https'
+import net from 'net'
+import { createJsonStore } from './store.js'
+import { getStockIntelligence } from './market.js'
+import { getTrendingTickers } from './reddit.js'
+import { normalizeSymbol } from './watchlists.js'
+import { scheduleJob, readJobInterval } from './scheduler.js'
+
+export const ALERT_TYPES = {
+  price_change: { label: 'Price change above X%', needsThreshold: true },
+  mention_spike: { label: 'Reddit mentions above N', needsThreshold: true },
+  news: { label: 'New news article', needsThreshold: false },
+  sentiment_bearish: { label: 'Sentiment flips bearish', needsThreshold: false }
+}
+
+const DEFAULT_COOLDOWN_MINUTES = 60
+export const MAX_COOLDOWN_MINUTES = 7 * 24 * 60
+
+// Fired de-duplication keys are remembered this long
+const DEDUP_RETENTION_MS = 7 * 24 * 60 * 60 * 1000
+
+// Only the most recent notifications are kept, per user
+const MAX_NOTIFICATIONS = 200
+
+// Headlines remembered per news rule so old articles never re-fire
+const MAX_SEEN_LINKS = 100
+
+const WEBHOOK_TIMEOUT_MS = 5000
+
+// Address ranges webhooks may not reach (CIDR)
+const BLOCKED_SUBNETS = {
+  ipv4: [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/3'
+  ],
+  // Unspecified, loopback, NAT64, 6to4, unique-local, link-local, multicast. IPv4-mapped
+  // addresses (::ffff:a.b.c.d) are matched against the ipv4 ranges by BlockList itself
+  ipv6: ['::/128', '::1/128', '64:ff9b::/96', '2002::/16', 'fc00::/7', 'fe80::/10', 'ff00::/8']
+}
+
+// Names that point at this machine or the local network by convention
+const LOCAL_HOSTNAME = /(^|\.)(localhost|local|internal|home\.arpa)$/i
+
+const blockedAddresses = new net.BlockList()
+for (const [type, subnets] of Object.entries(BLOCKED_SUBNETS)) {
+  for (const subnet of subnets) {
+    const [network, prefix] = subnet.split('/')
+    blockedAddresses.addSubnet(network, Number(prefix), type)
+  }
+}
+
+const rulesStore = createJsonStore('alert-rules', () => ({ rules: [] }))
+const notificationsStore = createJsonStore('alert-notifications', () => ({ notifications: [], fired: {} }))
+
+// The evaluation in progress, shared by everyone who asks for one meanwhile
+let evaluation = null
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true for blocked ranges and anything that is not an IP
+ */
+function isPrivateAddress(address) {
+  const version = net.isIP(address)
+  if (version === 0) return true
+  return blockedAddresses.check(address, version === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * Check a webhook host before any lookup: IP literals must be public, and
+ * local names or bare names (resolved through search domains) are refused
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {string|null} - Error message, or null when the host is allowed
+ */
+function checkWebhookHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '')
+  const refused = net.isIP(host)
+    ? isPrivateAddress(host)
+    : LOCAL_HOSTNAME.test(host) || !host.includes('.')
+  return refused ? 'Webhook URL must point to a public host, not a private or local address' : null
+}
+
+/**
+ * dns.lookup for webhook connections that fails when the name resolves to a
+ * blocked address
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options from the http agent
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address))
+    if (blocked) return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`))
+
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * Validate rule fields from a request body
+ * @param {Object} body - Raw fields
+ * @param {Object} [options] - { partial: true } for updates, where every field is optional
+ * @returns {Object} - { fields } on success, { error } otherwise
+ */
+export function validateRule(body = {}, { partial = false } = {}) {
+  const fields = {}
+
+  if (!partial || body.type !== undefined) {
+    if (!ALERT_TYPES[body.type]) {
+      return { error: `Invalid type. Expected one of: ${Object.keys(ALERT_TYPES).join(', ')}` }
+    }
+    fields.type = body.type
+  }
+
+  if (!partial || body.symbol !== undefined) {
+    const symbol = normalizeSymbol(body.symbol)
+    if (!symbol) return { error: 'A valid symbol is required' }
+    fields.symbol = symbol
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length > 60) {
+      return { error: 'Name must be a string of at most 60 characters' }
+    }
+    fields.name = body.name.trim()
+  }
+
+  if (body.threshold !== undefined) {
+    const threshold = Number(body.threshold)
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return { error: 'Threshold must be a positive number' }
+    }
+    fields.threshold = threshold
+  } else if (!partial && ALERT_TYPES[fields.type].needsThreshold) {
+    return { error: `Threshold is required for ${fields.type} rules` }
+  }
+
+  if (body.cooldownMinutes !== undefined) {
+    const cooldown = Number(body.cooldownMinutes)
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_COOLDOWN_MINUTES) {
+      return { error: `Cooldown must be a whole number of minutes between 0 and ${MAX_COOLDOWN_MINUTES}` }
+    }
+    fields.cooldownMinutes = cooldown
+  }
+
+  if (body.webhookUrl !== undefined && body.webhookUrl !== null && body.webhookUrl !== '') {
+    let url
+    try {
+      url = new URL(body.webhookUrl)
+    } catch {
+      return { error: 'Webhook URL is not a valid URL' }
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'Webhook URL must use http or https' }
+    }
+    const hostError = checkWebhookHost(url.hostname)
+    if (hostError) return { error: hostError }
+    fields.webhookUrl = url.toString()
+  } else if (body.webhookUrl !== undefined) {
+    fields.webhookUrl = null
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'Enabled must be true or false' }
+    fields.enabled = body.enabled
+  }
+
+  return { fields }
+}
+
+/**
+ * Default display name for a rule
+ * @param {Object} rule - Rule with type, symbol and threshold
+ * @returns {string}
+ */
+function defaultRuleName({ type, symbol, threshold }) {
+  switch (type) {
+    case 'price_change': return `${symbol} moves ${threshold}%`
+    case 'mention_spike': return `${symbol} above ${threshold} mentions`
+    case 'news': return `${symbol} news`
+    default: return `${symbol} turns bearish`
+  }
+}
+
+/**
+ * List a user's alert rules
+ * @param {string} ownerId - User id
+ * @returns {Promise<Array>}
+ */
+export async function listRules(ownerId) {
+  const { rules } = await rulesStore.read()
+  return rules.filter(rule => rule.ownerId === ownerId)
+}
+
+/**
+ * Create an alert rule
+ * @param {string} ownerId - User id
+ * @param {Object} fields - Fields returned by validateRule
+ * @returns {Promise<Object>} - The new rule
+ */
+export async function createRule(ownerId, fields) {
+  const rule = {
+    id: crypto.randomUUID(),
+    ownerId,
+    type: fields.type,
+    symbol: fields.symbol,
+    name: fields.name || defaultRuleName(fields),
+    threshold: fields.threshold ?? null,
+    cooldownMinutes: fields.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+    webhookUrl: fields.webhookUrl || null,
+    enabled: fields.enabled ?? true,
+    createdAt: new Date().toISOString(),
+    lastTriggeredAt: null,
+    // Per-rule memory used to detect transitions between evaluations
+    state: {}
+  }
+
+  await rulesStore.update(data => {
+    data.rules.push(rule)
+  })
+  return rule
+}
+
+/**
+ * Update an alert rule
+ * The rule with the changes applied is validated as a whole, so a patch such as
+ * { type: 'price_change' } cannot leave a rule without the threshold it needs.
+ * Changing the type or symbol resets its transition state
+ * @param {string} ownerId - User id
+ * @param {string} id - Rule id
+ * @param {Object} fields - Fields returned by validateRule with { partial: true }
+ * @returns {Promise<Object|null>} - { rule } or { error }, or null when the user has no such rule
+ */
+export function updateRule(ownerId, id, fields) {
+  return rulesStore.update(data => {
+    const rule = data.rules.find(r => r.id === id && r.ownerId === ownerId)
+    if (!rule) return null
+
+    const merged = { ...rule, ...fields }
+    const { error } = validateRule({ ...merged, threshold: merged.threshold ?? undefined })
+    if (error) return { error }
+
+    if ((fields.type && fields.type !== rule.type) || (fields.symbol && fields.symbol !== rule.symbol)) {
+      rule.state = {}
+    }
+    Object.assign(rule, fields)
+    return { rule }
+  })
+}
+
+/**
+ * Delete an alert rule
+ * @param {string} ownerId - User id
+ * @param {string} id - Rule id
+ * @returns {Promise<boolean>} - Whether a rule was removed
+ */
+export function deleteRule(ownerId, id) {
+  return rulesStore.update(data => {
+    const before = data.rules.length
+    data.rules = data.rules.filter(r => r.id !== id || r.ownerId !== ownerId)
+    return data.rules.length < before
+  })
+}
+
+/**
+ * List a user's notifications, newest first
+ * @param {string} ownerId - User id
+ * @param {Object} [options] - { unreadOnly }
+ * @returns {Promise<Object>} - { notifications, unread }
+ */
+export async function listNotifications(ownerId, { unreadOnly = false } = {}) {
+  const notifications = (await notificationsStore.read()).notifications.filter(n => n.ownerId === ownerId)
+  const unread = notifications.filter(n => !n.read).length
+
+  return {
+    notifications: unreadOnly ? notifications.filter(n => !n.read) : notifications,
+    unread
+  }
+}
+
+/**
+ * Mark a user's notifications as read
+ * @param {string} ownerId - User id
+ * @param {string} [id] - Notification id; all of the user's notifications when omitted
+ * @returns {Promise<boolean>} - Whether a matching notification existed
+ */
+export function markNotificationsRead(ownerId, id) {
+  return notificationsStore.update(data => {
+    const targets = data.notifications.filter(n => n.ownerId === ownerId && (!id || n.id === id))
+    targets.forEach(n => { n.read = true })
+    return targets.length > 0
+  })
+}
+
+/**
+ * Check one rule against fresh data, updating its transition state
+ * @param {Object} rule - Rule (state is mutated)
+ * @param {Object} context - { intelligence: { SYMBOL: data }, mentions: { SYMBOL: count }, today }
+ * @returns {Object|null} - { dedupKey, title, message, data } when the rule fires
+ */
+function checkRule(rule, { intelligence, mentions, today }) {
+  const { symbol, threshold, state } = rule
+
+  switch (rule.type) {
+    case 'price_change': {
+      const stock = intelligence[symbol]
+      if (!stock || stock.changePercent == null) return null
+
+      const above = Math.abs(stock.changePercent) >= threshold
+      const crossed = above && !state.above
+      state.above = above
+      if (!crossed) return null
+
+      const direction = stock.changePercent >= 0 ? 'up' : 'down'
+      return {
+        dedupKey: `${rule.id}:${today}:${direction}`,
+        title: `${symbol} ${direction} ${Math.abs(stock.changePercent).toFixed(2)}%`,
+        message: `${symbol} is ${direction} ${Math.abs(stock.changePercent).toFixed(2)}% today at $${stock.price}`,
+        data: { price: stock.price, changePercent: stock.changePercent }
+      }
+    }
+
+    case 'mention_spike': {
+      if (!mentions) return null
+      const count = mentions[symbol] || 0
+
+      const above = count >= threshold
+      const crossed = above && !state.above
+      state.above = above
+      if (!crossed) return null
+
+      return {
+        dedupKey: `${rule.id}:${today}`,
+        title: `${symbol} Reddit mentions spiking`,
+        message: `${symbol} has ${count} Reddit mentions (threshold ${threshold})`,
+        data: { mentions: count }
+      }
+    }
+
+    case 'news': {
+      const stock = intelligence[symbol]
+      if (!stock) return null
+
+      const links = stock.news.map(article => article.link).filter(Boolean)
+      // First evaluation only records what is already out there
+      if (!state.seenLinks) {
+        state.seenLinks = links.slice(0, MAX_SEEN_LINKS)
+        return null
+      }
+
+      const seen = new Set(state.seenLinks)
+      const fresh = stock.news.filter(article => article.link && !seen.has(article.link))
+      if (fresh.length === 0) return null
+
+      state.seenLinks = [...fresh.map(article => article.link), ...state.seenLinks].slice(0, MAX_SEEN_LINKS)
+
+      // Several outlets covering one catalyst become a single alert
+      const headline = fresh[0]
+      return {
+        dedupKey: `${rule.id}:${headline.link}`,
+        title: `${symbol}: ${headline.title}`,
+        message: fresh.length > 1
+          ? `${headline.title} (+${fresh.length - 1} more article${fresh.length > 2 ? 's' : ''})`
+          : headline.title,
+        data: {
+          articles: fresh.map(article => ({
+            title: article.title,
+            link: article.link,
+            publisher: article.publisher,
+            publishedAt: article.publishedAt
+          }))
+        }
+      }
+    }
+
+    case 'sentiment_bearish': {
+      const stock = intelligence[symbol]
+      if (!stock || stock.socialSentiment.mentions === 0) return null
+
+      const { signal, score, mentions: postCount } = stock.socialSentiment
+      const previous = state.signal
+      state.signal = signal
+      if (signal !== 'bearish' || previous === undefined || previous === 'bearish') return null
+
+      return {
+        dedupKey: `${rule.id}:${today}`,
+        title: `${symbol} sentiment flipped bearish`,
+        message: `Reddit sentiment on ${symbol} went from ${previous} to bearish (score ${score}, ${postCount} posts)`,
+        data: { previous, signal, score, mentions: postCount }
+      }
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * POST JSON to a public URL, connecting only to addresses publicLookup allows
+ * Uses http(s).request rather than fetch so the check applies to the socket
+ * itself; redirects come back as their 3xx status
+ * @param {URL} url
+ * @param {Object} payload
+ * @returns {Promise<number>} - Response status code
+ */
+function postJson(url, payload) {
+  const body = JSON.stringify(payload)
+  const client = url.protocol === 'https:' ? https : http
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'BiotechIntel-Alerts/1.0'
+      },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume()
+      resolve(response.statusCode)
+    })
+    request.on('error', reject)
+    request.end(body)
+  })
+}
+
+/**
+ * POST a notification to a rule's webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} notification - Notification payload
+ * @returns {Promise<Object>} - { url, status, statusCode?, error? }
+ */
+async function deliverWebhook(url, notification) {
+  try {
+    // Rules saved before hosts were checked may still point inward
+    const target = new URL(url)
+    const hostError = checkWebhookHost(target.hostname)
+    if (hostError) throw new Error(hostError)
+
+    const statusCode = await postJson(target, notification)
+    return statusCode >= 200 && statusCode < 300
+      ? { url, status: 'delivered', statusCode }
+      : { url, status: 'failed', statusCode }
+  } catch (error) {
+    console.error(`Webhook delivery to ${url} failed:`, error.message)
+    return { url, status: 'failed', error: error.message }
+  }
+}
+
+/**
+ * Evaluate every enabled rule once
+ * A call made while a run is in progress waits for that run instead of starting another
+ * @param {Object} [options] - { ownerId } to return only that user's notifications
+ * @returns {Promise<Array>} - Notifications created by the run
+ */
+export async function evaluateAlerts({ ownerId } = {}) {
+  if (!evaluation) {
+    evaluation = runEvaluation().finally(() => {
+      evaluation = null
+    })
+  }
+
+  const fired = await evaluation
+  return ownerId ? fired.filter(notification => notification.ownerId === ownerId) : fired
+}
+
+/**
+ * Fetch data, check rules, deliver and store notifications
+ * @returns {Promise<Array>} - Notifications created
+ */
+async function runEvaluation() {
+  // Rules saved before accounts existed have no owner to manage or read them, so they stay idle
+  const due = rule => rule.enabled && rule.ownerId
+
+  const { rules } = await rulesStore.read()
+  const enabled = rules.filter(due)
+  if (enabled.length === 0) return []
+
+  // Fetch each symbol's data once no matter how many rules watch it
+  const intelligenceSymbols = [...new Set(
+    enabled.filter(rule => rule.type !== 'mention_spike').map(rule => rule.symbol)
+  )]
+  const results = await Promise.allSettled(intelligenceSymbols.map(symbol => getStockIntelligence(symbol)))
+  const intelligence = {}
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') intelligence[intelligenceSymbols[index]] = result.value
+  })
+
+  let mentions = null
+  if (enabled.some(rule => rule.type === 'mention_spike')) {
+    const trending = await getTrendingTickers()
+    // An empty list means Reddit was unreachable, not that nobody posted
+    if (trending.length > 0) {
+      mentions = Object.fromEntries(trending.map(item => [item.ticker, item.mentions]))
+    }
+  }
+
+  const now = Date.now()
+  const context = { intelligence, mentions, today: new Date(now).toISOString().slice(0, 10) }
+  const { fired } = await notificationsStore.read()
+
+  // Check rules and persist their transition state in one write
+  const triggered = await rulesStore.update(data => {
+    const hits = []
+
+    data.rules.filter(due).forEach(rule => {
+      rule.state = rule.state || {}
+      const event = checkRule(rule, context)
+      if (!event) return
+
+      const coolingDown = rule.lastTriggeredAt &&
+        now - new Date(rule.lastTriggeredAt).getTime() < rule.cooldownMinutes * 60 * 1000
+      if (coolingDown || fired[event.dedupKey]) return
+
+      rule.lastTriggeredAt = new Date(now).toISOString()
+      hits.push({ rule: { ...rule }, event })
+    })
+
+    return hits
+  })
+
+  if (triggered.length === 0) return []
+
+  const notifications = await Promise.all(triggered.map(async ({ rule, event }) => {
+    const notification = {
+      id: crypto.randomUUID(),
+      ownerId: rule.ownerId,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      type: rule.type,
+      symbol: rule.symbol,
+      title: event.title,
+      message: event.message,
+      data: event.data,
+      createdAt: new Date(now).toISOString(),
+      read: false
+    }
+
+    if (rule.webhookUrl) {
+      notification.webhook = await deliverWebhook(rule.webhookUrl, notification)
+    }
+    return { notification, dedupKey: event.dedupKey }
+  }))
+
+  await notificationsStore.update(data => {
+    notifications.forEach(({ notification, dedupKey }) => {
+      data.notifications.unshift(notification)
+      data.fired[dedupKey] = now
+    })
+    const kept = {}
+    data.notifications = data.notifications.filter(n => {
+      kept[n.ownerId] = (kept[n.ownerId] || 0) + 1
+      return kept[n.ownerId] <= MAX_NOTIFICATIONS
+    })
+    data.fired = Object.fromEntries(
+      Object.entries(data.fired).filter(([, firedAt]) => now - firedAt <= DEDUP_RETENTION_MS)
+    )
+  })
+
+  console.log(`Fired ${notifications.length} alert(s)`)
+  return notifications.map(({ notification }) => notification)
+}
+
+/**
+ * Start periodic evaluation (ALERT_INTERVAL_MINUTES, default 5; 0 disables)
+ */
+export function startAlertEvaluation() {
+  scheduleJob({
+    name: 'alert-evaluation',
+    description: 'Evaluate alert rules and deliver notifications',
+    interval: readJobInterval('ALERT_INTERVAL_MINUTES', { market: 5, offHours: 5 }),
+    run: async () => ({ fired: (await evaluateAlerts()).length })
+  })
+}
@@ -0,0 +1,343 @@
+/**
+ * API v1 Service
+ * Serves every endpoint under /api/v1 with one response contract, so scripts
+ * can depend on it while the unversioned paths keep their original shapes:
+ *
+ *   { data, meta: { source, cached, fetchedAt, pagination?, ...extras }, errors: [] }
+ *   { data: null, meta: { cached, fetchedAt, ...extras }, errors: [{ code, message, in?, field?, details? }] }
+ *
+ * Requests are rewritten to the unversioned route, so both share one handler,
+ * and the JSON it sends is reshaped on the way out. Lists marked x-pagination
+ * in the OpenAPI document are paged with ?limit= and an opaque ?cursor=: the
+ * list is put in the operation's stable sort order and the cursor holds the
+ * sort values of the last item served, so items added or removed between
+ * requests do not shift the next page.
+ *
+ * Responses on the unversioned paths carry a Deprecation header (date from
+ * LEGACY_API_DEPRECATION), a Link to their v1 successor and, once
+ * LEGACY_API_SUNSET is set, a Sunset date.
+ */
+
+import openapi, { API_V1_PREFIX, V1_PATH_ALIASES } from '../config/openapi.js'
+import { matchOperation, parameterValidator, invalidRequest } from './validation.js'
+
+// When the unversioned paths were deprecated: the 1.0.0 release that added /api/v1
+const DEFAULT_LEGACY_DEPRECATION = '2026-10-18'
+
+// Unversioned paths with no v1 path of their own
+const LEGACY_SUCCESSORS = { '/api/chat': '/ask' }
+
+// HTTP status -> v1 error code
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited'
+}
+const DEFAULT_ERROR_CODE = 'internal_error'
+
+// v1 path -> unversioned path, where they differ
+const V1_TARGETS = Object.fromEntries(Object.entries(V1_PATH_ALIASES)
+  .filter(([, v1Path]) => v1Path)
+  .map(([path, v1Path]) => [v1Path, path]))
+
+// Legacy fields that meta.pagination replaces
+const LEGACY_PAGING_FIELDS = ['count', 'page', 'pageSize', 'total', 'hasMore']
+
+const checkPagination = parameterValidator([
+  openapi.components.parameters.Cursor,
+  openapi.components.parameters.PageLimit
+])
+
+/**
+ * Parse a date setting
+ * @param {string} variable - Environment variable name
+ * @param {string} setting - Its value
+ * @returns {number} - Milliseconds since the epoch
+ */
+function parseDateSetting(variable, setting) {
+  const time = Date.parse(setting)
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${variable} "${setting}". Expected a date such as 2027-04-01`)
+  }
+  return time
+}
+
+/**
+ * Read when the unversioned paths were deprecated from LEGACY_API_DEPRECATION
+ * @returns {number} - Milliseconds since the epoch
+ */
+export function getLegacyDeprecation() {
+  return parseDateSetting('LEGACY_API_DEPRECATION', process.env.LEGACY_API_DEPRECATION || DEFAULT_LEGACY_DEPRECATION)
+}
+
+/**
+ * Read the sunset date for the unversioned paths from LEGACY_API_SUNSET
+ * @returns {string|null} - HTTP date, or null when no sunset is announced
+ */
+export function getLegacySunset() {
+  const setting = process.env.LEGACY_API_SUNSET
+  if (!setting) return null
+
+  const time = parseDateSetting('LEGACY_API_SUNSET', setting)
+  if (time <= getLegacyDeprecation()) {
+    throw new Error(`Invalid LEGACY_API_SUNSET "${setting}". Expected a date after LEGACY_API_DEPRECATION`)
+  }
+  return new Date(time).toUTCString()
+}
+
+const encodeCursor = position => Buffer.from(JSON.stringify(position)).toString('base64url')
+
+/**
+ * An item's values for a sort order
+ * @param {Object} item - List item
+ * @param {string[]} sort - Field names, '-' prefixed when descending
+ * @returns {Array} - One value per field, null when missing
+ */
+const sortValues = (item, sort) => sort.map(field => item?.[field.replace(/^-/, '')] ?? null)
+
+/**
+ * Compare two sets of sort values; nulls come first in ascending order
+ * @param {Array} a - From sortValues()
+ * @param {Array} b - From sortValues()
+ * @param {string[]} sort - Field names, '-' prefixed when descending
+ * @returns {number} - Negative when a comes first, positive when b does, 0 when equal
+ */
+function compareSortValues(a, b, sort) {
+  for (let i = 0; i < sort.length; i++) {
+    if (a[i] === b[i]) continue
+    const direction = sort[i].startsWith('-') ? -1 : 1
+    if (a[i] === null) return -direction
+    if (b[i] === null) return direction
+    return (a[i] < b[i] ? -1 : 1) * direction
+  }
+  return 0
+}
+
+/**
+ * Read a cursor from a previous page
+ * @param {string} cursor
+ * @param {Object} pagination - The operation's x-pagination
+ * @returns {Object|null} - Position ({ after } or { page }), or null when the cursor is not one of ours
+ */
+function decodeCursor(cursor, { style = 'slice', sort }) {
+  let position
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+
+  const valid = style === 'pages'
+    ? Number.isInteger(position?.page) && position.page >= 1
+    : Array.isArray(position?.after) && position.after.length === sort.length &&
+      position.after.every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value))
+  return valid ? position : null
+}
+
+/**
+ * Swap the v1 limit and cursor for the parameters the route understands
+ * @param {Object} req - Express request (query already validated)
+ * @param {Object} operation - Unversioned operation with x-pagination
+ * @returns {Object|null} - Page to cut from the response, or null after an invalid cursor
+ */
+function preparePage(req, operation) {
+  const pagination = operation['x-pagination']
+  const { items, query = {}, style = 'slice', sort } = pagination
+  const { limit, cursor } = req.query
+  delete req.query.limit
+  delete req.query.cursor
+
+  const position = cursor ? decodeCursor(cursor, pagination) : {}
+  if (!position) return null
+
+  for (const [name, value] of Object.entries(query)) req.query[name] = String(value)
+
+  if (style === 'pages') {
+    const pageSize = operation.parameters.find(parameter => parameter.name === 'pageSize')
+    req.query.page = String(position.page || 1)
+    req.query.pageSize = String(Math.min(limit, pageSize?.schema.maximum ?? limit))
+    return { style }
+  }
+  return { style, items, sort, limit, after: position.after || null }
+}
+
+/**
+ * Cut a page from a list response
+ * @param {*} data - Response `data`
+ * @param {Object} body - Whole legacy response body
+ * @param {Object} page - From preparePage
+ * @returns {Object} - { data, pagination }
+ */
+function paginate(data, body, page) {
+  if (page.style === 'pages') {
+    return {
+      data,
+      pagination: {
+        limit: body.pageSize,
+        nextCursor: body.hasMore ? encodeCursor({ page: body.page + 1 }) : null,
+        total: body.total
+      }
+    }
+  }
+
+  const { sort } = page
+  const list = [...((page.items ? data?.[page.items] : data) || [])]
+    .sort((a, b) => compareSortValues(sortValues(a, sort), sortValues(b, sort), sort))
+
+  // Resume after the last item served, wherever it (or its neighbours) now sit
+  const found = page.after
+    ? list.findIndex(item => compareSortValues(sortValues(item, sort), page.after, sort) > 0)
+    : 0
+  const start = found === -1 ? list.length : found
+  const slice = list.slice(start, start + page.limit)
+  const more = start + page.limit < list.length
+
+  return {
+    data: page.items ? { ...data, [page.items]: slice } : slice,
+    pagination: {
+      limit: page.limit,
+      nextCursor: more ? encodeCursor({ after: sortValues(slice[slice.length - 1], sort) }) : null,
+      total: list.length
+    }
+  }
+}
+
+/**
+ * v1 envelope for a successful response
+ * @param {Object} body - Legacy body: { success, data, source, ...extras }, or a bare object
+ * @param {Object|null} page - Page to cut, for paginated lists
+ * @param {Date} startedAt - When the request arrived
+ * @returns {Object}
+ */
+function successEnvelope(body, page, startedAt) {
+  const { success, ...rest } = body
+  const { data: bodyData, source, ...extras } = rest
+  const wrapped = Object.hasOwn(rest, 'data')
+
+  // Bodies without `data` (health, quota) are the data themselves
+  let data = wrapped ? bodyData : rest
+  if (!wrapped && Object.keys(rest).length === 0) data = null
+  const meta = wrapped ? extras : {}
+
+  // Upstream data records when it was fetched (lists from ingested feeds next to
+  // the data); everything else is fresh
+  const metaSource = source ?? data?.source ?? null
+  const updatedAt = metaSource ? Date.parse(Array.isArray(data) ? extras.updatedAt : data?.updatedAt) : NaN
+  const fetchedAt = Number.isNaN(updatedAt) ? startedAt.getTime() : updatedAt
+
+  let pagination
+  if (page) {
+    ({ data, pagination } = paginate(data, body, page))
+    for (const field of LEGACY_PAGING_FIELDS) delete meta[field]
+  }
+
+  return {
+    data,
+    meta: {
+      ...meta,
+      source: metaSource,
+      cached: fetchedAt < startedAt.getTime(),
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      ...(pagination && { pagination })
+    },
+    errors: []
+  }
+}
+
+/**
+ * v1 envelope for an error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Legacy body: { success: false, error, details?, errors?, ...extras }
+ * @returns {Object}
+ */
+function errorEnvelope(status, body) {
+  const { success, error, details, errors: issues, ...extras } = body || {}
+
+  const errors = issues?.length
+    ? issues.map(issue => ({
+      code: 'invalid_parameter',
+      message: `"${issue.name}" ${issue.message}`,
+      in: issue.in,
+      field: issue.name
+    }))
+    : [{
+      code: ERROR_CODES[status] || DEFAULT_ERROR_CODE,
+      message: error || 'Request failed',
+      ...(details && { details })
+    }]
+
+  return {
+    data: null,
+    meta: { ...extras, cached: false, fetchedAt: new Date().toISOString() },
+    errors
+  }
+}
+
+/**
+ * Mark a response on an unversioned path as deprecated
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} schedule - { deprecatedAt } from getLegacyDeprecation(), { sunset } from getLegacySunset()
+ */
+function deprecateLegacy(req, res, { deprecatedAt, sunset }) {
+  const match = matchOperation(req.method, req.path)
+  if (!match) return
+
+  const successor = LEGACY_SUCCESSORS[match.path] || V1_PATH_ALIASES[match.path] || req.path
+  res.set('Deprecation', `@${Math.floor(deprecatedAt / 1000)}`)
+  if (sunset) res.set('Sunset', sunset)
+  res.append('Link', `<${API_V1_PREFIX}${successor}>; rel="successor-version"`)
+}
+
+/**
+ * Middleware serving /api/v1 and deprecating the unversioned paths. Register it
+ * before the body parser and routes so every v1 response, errors included, is
+ * enveloped.
+ * @returns {Function} - Express middleware
+ */
+export function apiVersioning() {
+  const schedule = { deprecatedAt: getLegacyDeprecation(), sunset: getLegacySunset() }
+
+  return async (req, res, next) => {
+    if (!req.path.startsWith(`${API_V1_PREFIX}/`)) {
+      deprecateLegacy(req, res, schedule)
+      return next()
+    }
+
+    const startedAt = new Date()
+    let page = null
+
+    const send = res.json.bind(res)
+    res.json = (body) => send(res.statusCode >= 400
+      ? errorEnvelope(res.statusCode, body)
+      : successEnvelope(body ?? {}, page, startedAt))
+
+    // Unversioned-only paths (/api/chat, /api/docs, ...) fall through to the 404 handler
+    const path = req.path.slice(API_V1_PREFIX.length)
+    const target = V1_TARGETS[path] || path
+    if (target.startsWith('/api/') && !V1_TARGETS[path]) return next()
+
+    req.apiVersion = 'v1'
+    req.url = `${target}${req.url.slice(req.path.length)}`
+
+    try {
+      const operation = matchOperation(req.method, target)?.operation
+      if (operation?.['x-pagination']) {
+        const issues = await checkPagination(req)
+        if (issues.length > 0) return invalidRequest(res, issues)
+
+        page = preparePage(req, operation)
+        if (!page) {
+          return invalidRequest(res, [{ in: 'query', name: 'cursor', message: 'is not a cursor from this endpoint' }])
+        }
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
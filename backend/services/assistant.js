@@ -0,0 +1,153 @@
+/**
+ * Assistant Context Service
+ * Grounds /ask answers in the same data the dashboard shows: tickers in the
+ * question are detected with extractTickers, their stock intelligence is
+ * fetched, and quotes, headlines and Reddit sentiment are handed to the model
+ * as structured context with source ids it can cite.
+ */
+
+import { extractTickers } from './reddit.js'
+import { getStockIntelligence } from './market.js'
+
+// Questions rarely need more; each ticker costs a full intelligence lookup
+export const MAX_CONTEXT_TICKERS = 3
+
+const HEADLINES_PER_TICKER = 5
+const DISCUSSIONS_PER_TICKER = 3
+
+/**
+ * Detect tickers in a question
+ * Lowercase cashtags ("$mrna") are accepted since people type them in chat
+ * @param {string} message - User question
+ * @returns {string[]} - Unique tickers, at most MAX_CONTEXT_TICKERS
+ */
+export function detectQuestionTickers(message) {
+  const normalized = message.replace(/\$([a-z]{1,5})\b/gi, (match, ticker) => `$${ticker.toUpperCase()}`)
+  return [...new Set(extractTickers(normalized))].slice(0, MAX_CONTEXT_TICKERS)
+}
+
+/**
+ * Round to two decimals, keeping nulls
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : null
+}
+
+/**
+ * Fetch intelligence for the tickers in a question and shape it for the model
+ * @param {string} message - User question
+ * @param {Object} [options]
+ * @param {string[]} [options.fallbackTickers] - Used when the question names no ticker (follow-ups)
+ * @returns {Promise<Object>} - { tickers, context, sources }
+ */
+export async function buildStockContext(message, { fallbackTickers = [] } = {}) {
+  const detected = detectQuestionTickers(message)
+  const tickers = detected.length > 0 ? detected : fallbackTickers.slice(0, MAX_CONTEXT_TICKERS)
+  if (tickers.length === 0) return { tickers, context: [], sources: [] }
+
+  const results = await Promise.allSettled(tickers.map(symbol => getStockIntelligence(symbol)))
+  const sources = []
+
+  // Register a source and return the id the model should cite
+  const cite = (source) => {
+    const id = `S${sources.length + 1}`
+    sources.push({ id, ...source })
+    return id
+  }
+
+  const context = results.map((result, index) => {
+    const symbol = tickers[index]
+    if (result.status === 'rejected') {
+      return { symbol, error: 'Data unavailable' }
+    }
+
+    const stock = result.value
+    const sentiment = stock.socialSentiment
+
+    return {
+      symbol,
+      name: stock.name,
+      quote: {
+        source: cite({ type: 'quote', symbol, title: `${symbol} quote`, retrievedAt: new Date().toISOString() }),
+        price: round(stock.price),
+        change: round(stock.change),
+        changePercent: round(stock.changePercent),
+        dayLow: round(stock.dayLow),
+        dayHigh: round(stock.dayHigh),
+        yearLow: round(stock.yearLow),
+        yearHigh: round(stock.yearHigh),
+        volume: stock.volume,
+        marketCap: stock.marketCap
+      },
+      headlines: stock.news.slice(0, HEADLINES_PER_TICKER).map(article => ({
+        source: cite({
+          type: 'news',
+          symbol,
+          title: article.title,
+          url: article.link,
+          publisher: article.publisher,
+          publishedAt: article.publishedAt
+        }),
+        title: article.title,
+        publisher: article.publisher,
+        publishedAt: article.publishedAt,
+        summary: article.summary || undefined
+      })),
+      redditSentiment: {
+        signal: sentiment.signal,
+        score: sentiment.score,
+        posts: sentiment.mentions,
+        breakdown: sentiment.breakdown,
+        topPhrases: sentiment.topPhrases.map(p => p.phrase),
+        discussions: stock.discussions.slice(0, DISCUSSIONS_PER_TICKER).map(post => ({
+          source: cite({
+            type: 'reddit',
+            symbol,
+            title: post.title,
+            url: post.url,
+            publisher: `r/${post.subreddit}`,
+            publishedAt: post.timestamp
+          }),
+          title: post.title,
+          subreddit: post.subreddit,
+          upvotes: post.upvotes,
+          comments: post.comments,
+          sentiment: post.sentiment?.label
+        }))
+      }
+    }
+  })
+
+  return { tickers, context, sources }
+}
+
+/**
+ * Build the prompt sent to the model
+ * @param {string} message - User question
+ * @param {Array} context - Structured context from buildStockContext
+ * @returns {string}
+ */
+export function buildAskPrompt(message, context) {
+  const instructions = [
+    'You are the assistant for a biotech market intelligence dashboard.',
+    'Never invent prices, figures, headlines or sentiment.'
+  ]
+
+  if (context.length === 0) {
+    instructions.push(
+      'You have no live market data for this question. If it needs current prices or news, say so instead of guessing.'
+    )
+    return `${instructions.join(' ')}\n\nQuestion: ${message}`
+  }
+
+  instructions.push(
+    `Live data for the stocks in the question was retrieved at ${new Date().toISOString()} and is below as JSON.`,
+    'Use it for any current figures and cite the matching source ids inline, e.g. [S1].',
+    'Reddit sentiment reflects retail chatter, not fundamentals; present it that way.',
+    'If the data does not answer part of the question, say what is missing.'
+  )
+
+  return `${instructions.join(' ')}\n\nData:\n${JSON.stringify(context, null, 2)}\n\nQuestion: ${message}`
+}
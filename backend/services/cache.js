@@ -0,0 +1,267 @@
+/**
+ * Cache Service
+ * One cache for upstream data (Yahoo quotes, history and news, Reddit, SEC
+ * EDGAR, ClinicalTrials.gov, AI summaries), so every module gets the same
+ * behaviour:
+ *
+ *   - Per-source TTL: each source has a fresh period (ttl) and a stale window
+ *     after it (stale), in seconds. Override them with CACHE_TTL and
+ *     CACHE_STALE (source:seconds pairs, e.g. CACHE_TTL=reddit:300,quotes:30).
+ *   - Stale-while-revalidate: a stale entry is served at once and refreshed in
+ *     the background, so a slow or failing upstream does not hold requests.
+ *   - Request coalescing: identical upstream calls in progress are shared, so
+ *     30 users opening the same stock make one Reddit fetch, not 30.
+ *
+ * A backend is an object with:
+ *   name                   - identifier for logs
+ *   getMany(keys)          - resolves to the stored entries (undefined when absent)
+ *   set(key, entry, ttl)   - stores an entry for ttl seconds
+ *
+ * Select one with CACHE_BACKEND=memory|redis (defaults to memory). `redis`
+ * speaks the Redis protocol (REDIS_URL), so every server instance shares one
+ * cache. When the backend is unreachable, calls go straight upstream.
+ */
+
+import NodeCache from 'node-cache'
+import { createRedisClient } from './redis.js'
+
+const DEFAULT_REDIS_URL = 'redis://localhost:6379'
+
+// Prefix for keys in a shared Redis database
+const REDIS_KEY_PREFIX = 'biotech-intel:cache:'
+
+// Backend failures are logged at most this often
+const BACKEND_ERROR_LOG_INTERVAL_MS = 60 * 1000
+
+/**
+ * Default seconds each source stays fresh (ttl) and may then be served while it
+ * refreshes (stale). Calls can pass their own ttl, e.g. per history range.
+ */
+export const CACHE_SOURCES = {
+  quotes: { ttl: 60, stale: 300 },
+  history: { ttl: 900, stale: 3600 },
+  news: { ttl: 600, stale: 3600 },
+  reddit: { ttl: 600, stale: 1800 },
+  edgar: { ttl: 900, stale: 3600 },
+  trials: { ttl: 21600, stale: 86400 },
+  insiders: { ttl: 1800, stale: 3600 },
+  ai: { ttl: 86400, stale: 0 }
+}
+
+/**
+ * In-process backend; entries are lost on restart and not shared between instances
+ */
+const memoryBackend = {
+  name: 'memory',
+  store: new NodeCache({ checkperiod: 120 }),
+
+  async getMany(keys) {
+    return keys.map(key => this.store.get(key))
+  },
+
+  async set(key, entry, ttl) {
+    this.store.set(key, entry, ttl)
+  }
+}
+
+/**
+ * Redis-protocol backend; the connection opens on first use
+ */
+const redisBackend = {
+  name: 'redis',
+  client: null,
+
+  getClient() {
+    if (!this.client) this.client = createRedisClient(process.env.REDIS_URL || DEFAULT_REDIS_URL)
+    return this.client
+  },
+
+  async getMany(keys) {
+    const values = await this.getClient().command('MGET', ...keys.map(key => `${REDIS_KEY_PREFIX}${key}`))
+    return values.map(value => (value === null ? undefined : JSON.parse(value)))
+  },
+
+  async set(key, entry, ttl) {
+    await this.getClient().command('SET', `${REDIS_KEY_PREFIX}${key}`, JSON.stringify(entry), 'EX', Math.ceil(ttl))
+  }
+}
+
+const BACKENDS = {
+  memory: memoryBackend,
+  redis: redisBackend
+}
+
+/**
+ * Resolve the configured cache backend
+ * @returns {Object} - Cache backend
+ */
+export function getCacheBackend() {
+  const name = (process.env.CACHE_BACKEND || 'memory').toLowerCase()
+  const backend = BACKENDS[name]
+
+  if (!backend) {
+    throw new Error(`Unknown CACHE_BACKEND "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`)
+  }
+
+  return backend
+}
+
+/**
+ * Parse a source:seconds list from the environment
+ * @param {string} variable - CACHE_TTL or CACHE_STALE
+ * @returns {Object} - Seconds by source
+ */
+function readSourceSeconds(variable) {
+  const seconds = {}
+  for (const entry of (process.env[variable] || '').split(',')) {
+    if (!entry.trim()) continue
+
+    const [source, value] = entry.split(':').map(part => part.trim())
+    if (!CACHE_SOURCES[source]) {
+      throw new Error(`Unknown cache source "${source}" in ${variable}. Expected one of: ${Object.keys(CACHE_SOURCES).join(', ')}`)
+    }
+    if (!value || !Number.isFinite(Number(value)) || Number(value) < 0) {
+      throw new Error(`Invalid ${variable} entry "${entry}". Expected source:seconds`)
+    }
+    seconds[source] = Number(value)
+  }
+  return seconds
+}
+
+/**
+ * Fresh and stale periods for a source, with environment overrides applied
+ * @param {string} source - Key of CACHE_SOURCES
+ * @returns {Object} - { ttl, stale } in seconds
+ */
+export function getCacheSettings(source) {
+  const defaults = CACHE_SOURCES[source]
+  if (!defaults) throw new Error(`Unknown cache source "${source}"`)
+
+  return {
+    ttl: readSourceSeconds('CACHE_TTL')[source] ?? defaults.ttl,
+    stale: readSourceSeconds('CACHE_STALE')[source] ?? defaults.stale
+  }
+}
+
+// Upstream calls in progress by cache key, so identical requests share one call
+const inFlight = new Map()
+let backendFailedAt = 0
+
+/**
+ * Log a backend failure, at most once a minute
+ * @param {Object} backend
+ * @param {Error} error
+ */
+function reportBackendError(backend, error) {
+  if (Date.now() - backendFailedAt > BACKEND_ERROR_LOG_INTERVAL_MS) {
+    console.error(`Cache backend ${backend.name} unavailable, calling upstream directly:`, error.message)
+  }
+  backendFailedAt = Date.now()
+}
+
+/**
+ * Call upstream for some keys, store what comes back and register the calls as in flight
+ * @param {Object} backend
+ * @param {string[]} keys - Keys as the caller knows them (passed to fetchMany)
+ * @param {string[]} cacheKeys - The same keys with their source prefix
+ * @param {Function} fetchMany - (keys) => Promise of values in the same order
+ * @param {Object} options - { ttl, stale, cacheIf }
+ * @returns {Promise[]} - One promise per key
+ */
+function fetchUpstream(backend, keys, cacheKeys, fetchMany, { ttl, stale, cacheIf }) {
+  const batch = Promise.resolve(keys).then(fetchMany).then(async (values) => {
+    if (!Array.isArray(values) || values.length !== keys.length) {
+      throw new Error(`Expected ${keys.length} value(s) from upstream, got ${Array.isArray(values) ? values.length : typeof values}`)
+    }
+
+    const fetchedAt = Date.now()
+    await Promise.all(values.map((value, index) => {
+      if (!cacheIf(value)) return null
+      const entry = { value, fetchedAt, freshUntil: fetchedAt + ttl * 1000 }
+      return backend.set(cacheKeys[index], entry, ttl + stale).catch(error => reportBackendError(backend, error))
+    }))
+    return values
+  })
+
+  return cacheKeys.map((cacheKey, index) => {
+    const promise = batch.then(values => values[index])
+    const settle = () => {
+      if (inFlight.get(cacheKey) === promise) inFlight.delete(cacheKey)
+    }
+    promise.then(settle, settle)
+    inFlight.set(cacheKey, promise)
+    return promise
+  })
+}
+
+/**
+ * Read several keys of one source, calling upstream once for all the misses
+ * @param {string} source - Key of CACHE_SOURCES
+ * @param {string[]} keys - Unique keys within the source
+ * @param {Function} fetchMany - (missingKeys) => Promise of values in the same order
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Fresh seconds, instead of the source's
+ * @param {Function} [options.cacheIf] - Whether to store a value (default: anything but undefined)
+ * @returns {Promise<Array>} - Values in the order of keys
+ */
+export async function cachedMany(source, keys, fetchMany, options = {}) {
+  const settings = getCacheSettings(source)
+  const fetchOptions = {
+    ttl: options.ttl ?? settings.ttl,
+    stale: settings.stale,
+    cacheIf: options.cacheIf || (value => value !== undefined)
+  }
+  const backend = getCacheBackend()
+  const cacheKeys = keys.map(key => `${source}:${key}`)
+
+  let entries
+  try {
+    entries = await backend.getMany(cacheKeys)
+  } catch (error) {
+    reportBackendError(backend, error)
+    entries = cacheKeys.map(() => undefined)
+  }
+
+  const now = Date.now()
+  const results = new Array(keys.length)
+  const missing = []
+  const stale = []
+
+  cacheKeys.forEach((cacheKey, index) => {
+    const entry = entries[index]
+    if (entry) {
+      results[index] = entry.value
+      if (now >= entry.freshUntil && !inFlight.has(cacheKey)) stale.push(index)
+    } else if (inFlight.has(cacheKey)) {
+      results[index] = inFlight.get(cacheKey)
+    } else {
+      missing.push(index)
+    }
+  })
+
+  // Stale values are answered now and refreshed behind the response
+  if (stale.length > 0) {
+    const refreshes = fetchUpstream(backend, stale.map(i => keys[i]), stale.map(i => cacheKeys[i]), fetchMany, fetchOptions)
+    Promise.all(refreshes).catch(error => console.error(`Background refresh of ${source} cache failed:`, error.message))
+  }
+
+  if (missing.length > 0) {
+    fetchUpstream(backend, missing.map(i => keys[i]), missing.map(i => cacheKeys[i]), fetchMany, fetchOptions)
+      .forEach((promise, i) => { results[missing[i]] = promise })
+  }
+
+  return Promise.all(results)
+}
+
+/**
+ * Read one key, calling upstream on a miss
+ * @param {string} source - Key of CACHE_SOURCES
+ * @param {string} key - Key within the source
+ * @param {Function} fetchValue - () => Promise of the value
+ * @param {Object} [options] - As for cachedMany
+ * @returns {Promise<*>}
+ */
+export async function cached(source, key, fetchValue, options) {
+  const [value] = await cachedMany(source, [key], async () => [await fetchValue()], options)
+  return value
+}
@@ -0,0 +1,475 @@
+/**
+ * Catalyst Calendar Service
+ * Dated binary events per ticker: PDUFA dates, FDA advisory committee
+ * meetings, expected trial readouts and earnings. Events are created through
+ * the API or imported from CSV / ICS files, and the calendar can be exported
+ * as an ICS feed for team calendars.
+ *
+ * Dates are calendar days (YYYY-MM-DD) without a time zone, as regulators and
+ * companies announce them.
+ */
+
+import crypto from 'crypto'
+import { createJsonStore } from './store.js'
+import { normalizeSymbol } from './watchlists.js'
+
+export const CATALYST_TYPES = {
+  pdufa: { label: 'PDUFA date' },
+  adcomm: { label: 'Advisory committee' },
+  readout: { label: 'Trial readout' },
+  earnings: { label: 'Earnings' },
+  other: { label: 'Other catalyst' }
+}
+
+export const MAX_TITLE_LENGTH = 200
+export const MAX_NOTES_LENGTH = 1000
+
+// UID domain for exported events, so re-importing our own feed updates in place
+const ICS_UID_DOMAIN = 'biotech-intel'
+
+// First DESCRIPTION line of exported events whose date is an estimate
+const ICS_ESTIMATED_LINE = 'Estimated date'
+
+const store = createJsonStore('catalysts', () => ({ events: [] }))
+
+/**
+ * Check a YYYY-MM-DD calendar date
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+/**
+ * Today's calendar date (UTC)
+ * @returns {string} - YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+/**
+ * Validate event fields from a request body or import row
+ * @param {Object} body - Raw fields
+ * @param {Object} [options] - { partial: true } for updates, where every field is optional
+ * @returns {Object} - { fields } on success, { error } otherwise
+ */
+export function validateEvent(body = {}, { partial = false } = {}) {
+  const fields = {}
+
+  if (!partial || body.symbol !== undefined) {
+    const symbol = normalizeSymbol(body.symbol)
+    if (!symbol) return { error: 'A valid symbol is required' }
+    fields.symbol = symbol
+  }
+
+  if (!partial || body.type !== undefined) {
+    if (!CATALYST_TYPES[body.type]) {
+      return { error: `Invalid type. Expected one of: ${Object.keys(CATALYST_TYPES).join(', ')}` }
+    }
+    fields.type = body.type
+  }
+
+  if (!partial || body.date !== undefined) {
+    if (!isCalendarDate(body.date)) return { error: 'Date must be a valid YYYY-MM-DD date' }
+    fields.date = body.date
+  }
+
+  if (body.title !== undefined && body.title !== null && body.title !== '') {
+    if (typeof body.title !== 'string' || body.title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `Title must be a string of at most ${MAX_TITLE_LENGTH} characters` }
+    }
+    fields.title = body.title.trim()
+  }
+
+  if (body.notes !== undefined) {
+    if (body.notes !== null && (typeof body.notes !== 'string' || body.notes.length > MAX_NOTES_LENGTH)) {
+      return { error: `Notes must be a string of at most ${MAX_NOTES_LENGTH} characters` }
+    }
+    fields.notes = body.notes ? body.notes.trim() : null
+  }
+
+  if (body.dateEstimated !== undefined) {
+    if (typeof body.dateEstimated !== 'boolean') return { error: 'dateEstimated must be true or false' }
+    fields.dateEstimated = body.dateEstimated
+  }
+
+  return { fields }
+}
+
+/**
+ * Build a stored event from validated fields
+ * @param {Object} fields - Validated fields
+ * @param {string} source - 'api', 'csv' or 'ics'
+ * @returns {Object}
+ */
+function buildEvent(fields, source) {
+  const now = new Date().toISOString()
+  return {
+    id: crypto.randomUUID(),
+    symbol: fields.symbol,
+    type: fields.type,
+    date: fields.date,
+    title: fields.title || `${fields.symbol} ${CATALYST_TYPES[fields.type].label}`,
+    notes: fields.notes || null,
+    dateEstimated: fields.dateEstimated || false,
+    source,
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+/**
+ * List events, soonest first
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - First date, inclusive (YYYY-MM-DD)
+ * @param {string} [filters.to] - Last date, inclusive (YYYY-MM-DD)
+ * @param {string[]} [filters.symbols] - Only these tickers
+ * @param {string[]} [filters.types] - Only these event types
+ * @returns {Promise<Array>}
+ */
+export async function listEvents({ from, to, symbols, types } = {}) {
+  const { events } = await store.read()
+  const symbolSet = symbols?.length ? new Set(symbols) : null
+
+  return events
+    .filter(event =>
+      (!from || event.date >= from) &&
+      (!to || event.date <= to) &&
+      (!symbolSet || symbolSet.has(event.symbol)) &&
+      (!types?.length || types.includes(event.type))
+    )
+    .sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol))
+}
+
+/**
+ * Next upcoming event for each ticker
+ * @param {string[]} symbols - Tickers
+ * @returns {Promise<Object>} - Map of symbol to its next event (tickers without one are omitted)
+ */
+export async function getNextCatalysts(symbols) {
+  const upcoming = await listEvents({ from: today(), symbols })
+  const next = {}
+  upcoming.forEach(event => {
+    if (!next[event.symbol]) next[event.symbol] = event
+  })
+  return next
+}
+
+/**
+ * Create an event
+ * @param {Object} fields - Validated fields
+ * @returns {Promise<Object>} - The new event
+ */
+export async function createEvent(fields) {
+  const event = buildEvent(fields, 'api')
+  await store.update(data => {
+    data.events.push(event)
+  })
+  return event
+}
+
+/**
+ * Update an event
+ * @param {string} id - Event id
+ * @param {Object} fields - Validated partial fields
+ * @returns {Promise<Object|null>} - Updated event, or null when it does not exist
+ */
+export function updateEvent(id, fields) {
+  return store.update(data => {
+    const event = data.events.find(e => e.id === id)
+    if (!event) return null
+
+    Object.assign(event, fields, { updatedAt: new Date().toISOString() })
+    return event
+  })
+}
+
+/**
+ * Delete an event
+ * @param {string} id - Event id
+ * @returns {Promise<boolean>} - Whether an event was removed
+ */
+export function deleteEvent(id) {
+  return store.update(data => {
+    const before = data.events.length
+    data.events = data.events.filter(e => e.id !== id)
+    return data.events.length < before
+  })
+}
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ * @param {string} text - CSV content
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(value => value.trim()))
+}
+
+/**
+ * Guess an event type from free text ("PDUFA date for ...", "Q3 earnings")
+ * @param {string} text
+ * @returns {string} - CATALYST_TYPES key
+ */
+function inferType(text) {
+  if (/pdufa/i.test(text)) return 'pdufa'
+  if (/adcomm|advisory committee|\b(odac|vrbpac)\b/i.test(text)) return 'adcomm'
+  if (/earnings|quarterly results|\bq[1-4]\b.*\bresults\b/i.test(text)) return 'earnings'
+  if (/readout|topline|top-line|data|results/i.test(text)) return 'readout'
+  return 'other'
+}
+
+/**
+ * Parse CSV with a header row: symbol, type, date, title, notes, dateEstimated
+ * Only symbol and date are required; type is inferred from the title when blank
+ * @param {string} text - CSV content
+ * @returns {Object} - { rows: [{ key, fields }], errors: [{ line, error }] }
+ */
+function parseCatalystCsv(text) {
+  const [header = [], ...body] = parseCsvRows(text)
+  const columns = header.map(name => name.trim().toLowerCase())
+  const rows = []
+  const errors = []
+
+  if (!columns.includes('symbol') || !columns.includes('date')) {
+    return { rows, errors: [{ line: 1, error: 'Header must include symbol and date columns' }] }
+  }
+
+  body.forEach((values, index) => {
+    const raw = Object.fromEntries(columns.map((name, i) => [name, (values[i] || '').trim()]))
+    const { fields, error } = validateEvent({
+      symbol: raw.symbol,
+      type: raw.type ? raw.type.toLowerCase() : inferType(raw.title || ''),
+      date: raw.date,
+      title: raw.title || undefined,
+      notes: raw.notes || undefined,
+      dateEstimated: raw.dateestimated ? /^(true|yes|1)$/i.test(raw.dateestimated) : undefined
+    })
+
+    if (error) {
+      errors.push({ line: index + 2, error })
+    } else {
+      rows.push({ key: `${fields.symbol}|${fields.type}|${fields.date}`, fields })
+    }
+  })
+
+  return { rows, errors }
+}
+
+/**
+ * Unescape an ICS text value
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeIcs(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1')
+}
+
+/**
+ * Parse VEVENTs from ICS text
+ * The ticker comes from X-TICKER, a $cashtag, or a leading "TICKER:" / "TICKER -"
+ * in the summary; the type from CATEGORIES or the summary text
+ * @param {string} text - ICS content
+ * @returns {Object} - { rows: [{ key, id?, fields }], errors: [{ line, error }] }
+ */
+function parseCatalystIcs(text) {
+  // Continuation lines start with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const rows = []
+  const errors = []
+  let current = null
+  let startLine = 0
+
+  lines.forEach((line, index) => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {}
+      startLine = index + 1
+      return
+    }
+    if (!current) return
+
+    if (line === 'END:VEVENT') {
+      const summary = current.SUMMARY || ''
+      const symbolMatch = current['X-TICKER'] ||
+        summary.match(/\$([A-Za-z]{1,5})\b/)?.[1] ||
+        summary.match(/^([A-Z]{1,5})\s*[:\-–]/)?.[1]
+      const category = (current.CATEGORIES || '').toLowerCase().split(',').find(c => CATALYST_TYPES[c])
+      const date = current.DTSTART?.match(/^(\d{4})(\d{2})(\d{2})/)
+      const [firstLine, ...rest] = (current.DESCRIPTION || '').split('\n')
+      const estimated = firstLine === ICS_ESTIMATED_LINE
+      const notes = (estimated ? rest.join('\n') : current.DESCRIPTION || '').trim()
+
+      // Drop the "TICKER: " prefix our own export adds
+      const title = symbolMatch
+        ? summary.replace(new RegExp(`^\\$?${symbolMatch}\\s*[:\\-–]\\s*`, 'i'), '')
+        : summary
+
+      const { fields, error } = validateEvent({
+        symbol: symbolMatch,
+        type: category || inferType(summary),
+        date: date ? `${date[1]}-${date[2]}-${date[3]}` : null,
+        title: title.slice(0, MAX_TITLE_LENGTH) || undefined,
+        notes: notes ? notes.slice(0, MAX_NOTES_LENGTH) : undefined,
+        dateEstimated: estimated || undefined
+      })
+
+      if (error) {
+        errors.push({ line: startLine, error: `${error}${summary ? ` (${summary})` : ''}` })
+      } else {
+        const uid = current.UID || `${fields.symbol}|${fields.type}|${fields.date}`
+        const ownId = uid.endsWith(`@${ICS_UID_DOMAIN}`) ? uid.slice(0, -ICS_UID_DOMAIN.length - 1) : null
+        rows.push({ key: `ics:${uid}`, id: ownId, fields })
+      }
+      current = null
+      return
+    }
+
+    const separator = line.indexOf(':')
+    if (separator === -1) return
+    const name = line.slice(0, separator).split(';')[0].toUpperCase()
+    current[name] = unescapeIcs(line.slice(separator + 1))
+  })
+
+  return { rows, errors }
+}
+
+/**
+ * Import events from CSV or ICS
+ * Rows matching an earlier import (same UID, or same symbol/type/date for CSV)
+ * update that event instead of adding a duplicate
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'ics'
+ * @returns {Promise<Object>} - { created, updated, errors }
+ */
+export async function importEvents(text, format) {
+  const { rows, errors } = format === 'ics' ? parseCatalystIcs(text) : parseCatalystCsv(text)
+
+  const counts = await store.update(data => {
+    let created = 0
+    let updated = 0
+
+    rows.forEach(({ key, id, fields }) => {
+      const existing = data.events.find(event => (id && event.id === id) || event.importKey === key)
+      if (existing) {
+        Object.assign(existing, fields, { updatedAt: new Date().toISOString() })
+        updated++
+      } else {
+        data.events.push({ ...buildEvent(fields, format), importKey: key })
+        created++
+      }
+    })
+
+    return { created, updated }
+  })
+
+  return { ...counts, errors }
+}
+
+/**
+ * Escape an ICS text value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeIcs(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1')
+}
+
+/**
+ * Fold an ICS content line at 75 characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+  const parts = []
+  for (let i = 0; i < line.length; i += i === 0 ? 75 : 74) {
+    parts.push(line.slice(i, i + (i === 0 ? 75 : 74)))
+  }
+  return parts.join('\r\n ')
+}
+
+/**
+ * Render events as an ICS calendar of all-day events
+ * @param {Array} events - Stored events
+ * @returns {string}
+ */
+export function exportIcs(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  const compact = date => date.replace(/-/g, '')
+  const nextDay = date => {
+    const d = new Date(`${date}T00:00:00Z`)
+    d.setUTCDate(d.getUTCDate() + 1)
+    return d.toISOString().slice(0, 10)
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Biotech Intelligence Dashboard//Catalyst Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Biotech Catalysts'
+  ]
+
+  events.forEach(event => {
+    const description = [event.dateEstimated ? ICS_ESTIMATED_LINE : null, event.notes]
+      .filter(Boolean)
+      .join('\n')
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}@${ICS_UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(event.date)}`,
+      `DTEND;VALUE=DATE:${compact(nextDay(event.date))}`,
+      `SUMMARY:${escapeIcs(`${event.symbol}: ${event.title}`)}`,
+      ...(description ? [`DESCRIPTION:${escapeIcs(description)}`] : []),
+      `CATEGORIES:${event.type.toUpperCase()}`,
+      `X-TICKER:${event.symbol}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    )
+  })
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,216 @@
+/**
+ * Chat Session Service
+ * Stores multi-turn assistant conversations so follow-up questions keep their
+ * context and past conversations can be reopened, renamed, deleted and
+ * exported. History sent to the model is trimmed to a token budget, newest
+ * turns first. Each conversation belongs to the account that started it
+ * (ownerId) and is only visible to that account.
+ */
+
+import crypto from 'crypto'
+import { createJsonStore } from './store.js'
+import { estimateTokens } from './llm.js'
+
+export const MAX_SESSION_TITLE_LENGTH = 80
+
+// Rough prompt budget for prior turns (CHAT_HISTORY_TOKENS overrides)
+const DEFAULT_HISTORY_TOKENS = 6000
+
+// Per-message overhead for role markers and separators
+const MESSAGE_OVERHEAD_TOKENS = 4
+
+const store = createJsonStore('chat-sessions', () => ({ sessions: [] }))
+
+/**
+ * Pick the most recent turns that fit in the history budget
+ * The result always starts with a user turn, as chat models expect
+ * @param {Array} messages - Stored messages, oldest first
+ * @param {number} [budget] - Token budget
+ * @returns {Object} - { history, omitted } where omitted counts dropped messages
+ */
+export function truncateHistory(messages, budget = Number(process.env.CHAT_HISTORY_TOKENS) || DEFAULT_HISTORY_TOKENS) {
+  let used = 0
+  let start = messages.length
+
+  while (start > 0) {
+    const cost = estimateTokens(messages[start - 1].content) + MESSAGE_OVERHEAD_TOKENS
+    if (used + cost > budget) break
+    used += cost
+    start--
+  }
+
+  while (start < messages.length && messages[start].role !== 'user') start++
+
+  return { history: messages.slice(start), omitted: start }
+}
+
+/**
+ * Session metadata without its messages
+ * @param {Object} session
+ * @returns {Object}
+ */
+function summarize(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages.length
+  }
+}
+
+/**
+ * List a user's sessions, most recently active first
+ * @param {string} ownerId - User id
+ * @returns {Promise<Array>} - Session summaries
+ */
+export async function listSessions(ownerId) {
+  const { sessions } = await store.read()
+  return sessions
+    .filter(session => session.ownerId === ownerId)
+    .map(summarize)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+}
+
+/**
+ * Find one of a user's sessions
+ * @param {Array} sessions - Stored sessions
+ * @param {string} ownerId - User id
+ * @param {string} id - Session id
+ * @returns {Object|undefined}
+ */
+const findOwned = (sessions, ownerId, id) => sessions.find(s => s.id === id && s.ownerId === ownerId)
+
+/**
+ * Get one of a user's sessions with its messages
+ * @param {string} ownerId - User id
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} - Session, or null when the user has no such session
+ */
+export async function getSession(ownerId, id) {
+  const { sessions } = await store.read()
+  return findOwned(sessions, ownerId, id) || null
+}
+
+/**
+ * Create an empty session
+ * @param {string} ownerId - User id
+ * @param {Object} [fields] - { title }
+ * @returns {Promise<Object>} - The new session
+ */
+export async function createSession(ownerId, { title } = {}) {
+  const now = new Date().toISOString()
+  const session = {
+    id: crypto.randomUUID(),
+    ownerId,
+    title: title || null,
+    createdAt: now,
+    updatedAt: now,
+    messages: []
+  }
+
+  await store.update(data => {
+    data.sessions.push(session)
+  })
+  return session
+}
+
+/**
+ * Rename a session
+ * @param {string} ownerId - User id
+ * @param {string} id - Session id
+ * @param {string} title - New title
+ * @returns {Promise<Object|null>} - Session summary, or null when the user has no such session
+ */
+export function renameSession(ownerId, id, title) {
+  return store.update(data => {
+    const session = findOwned(data.sessions, ownerId, id)
+    if (!session) return null
+
+    session.title = title
+    session.updatedAt = new Date().toISOString()
+    return summarize(session)
+  })
+}
+
+/**
+ * Delete a session
+ * @param {string} ownerId - User id
+ * @param {string} id - Session id
+ * @returns {Promise<boolean>} - Whether a session was removed
+ */
+export function deleteSession(ownerId, id) {
+  return store.update(data => {
+    const before = data.sessions.length
+    data.sessions = data.sessions.filter(s => s.id !== id || s.ownerId !== ownerId)
+    return data.sessions.length < before
+  })
+}
+
+/**
+ * Append messages to a session
+ * An untitled session is named after its first question
+ * @param {string} ownerId - User id
+ * @param {string} id - Session id
+ * @param {Array} messages - { role, content, tickers?, sources? }
+ * @returns {Promise<Object|null>} - Updated session, or null when the user has no such session
+ */
+export function appendMessages(ownerId, id, messages) {
+  return store.update(data => {
+    const session = findOwned(data.sessions, ownerId, id)
+    if (!session) return null
+
+    const now = new Date().toISOString()
+    session.messages.push(...messages.map(message => ({ ...message, createdAt: now })))
+    session.updatedAt = now
+
+    if (!session.title) {
+      const firstQuestion = session.messages.find(m => m.role === 'user')?.content || ''
+      session.title = firstQuestion.length > 60 ? `${firstQuestion.slice(0, 57)}...` : firstQuestion
+    }
+    return session
+  })
+}
+
+/**
+ * Tickers discussed most recently in a session
+ * Lets a follow-up such as "what about their cash position?" reuse them
+ * @param {Object} session
+ * @returns {string[]}
+ */
+export function getRecentTickers(session) {
+  for (let i = session.messages.length - 1; i >= 0; i--) {
+    const tickers = session.messages[i].tickers
+    if (tickers && tickers.length > 0) return tickers
+  }
+  return []
+}
+
+/**
+ * Render a session as Markdown
+ * @param {Object} session
+ * @returns {string}
+ */
+export function exportSessionMarkdown(session) {
+  const lines = [
+    `# ${session.title || 'Untitled conversation'}`,
+    '',
+    `_Started ${session.createdAt} · exported ${new Date().toISOString()}_`,
+    ''
+  ]
+
+  session.messages.forEach(message => {
+    lines.push(`## ${message.role === 'user' ? 'You' : 'Assistant'}`, '', message.content, '')
+
+    if (message.sources?.length > 0) {
+      lines.push('**Sources**', '')
+      message.sources.forEach(source => {
+        const label = `${source.title}${source.publisher ? ` (${source.publisher})` : ''}`
+        lines.push(source.url ? `- ${source.id}: [${label}](${source.url})` : `- ${source.id}: ${label}`)
+      })
+      lines.push('')
+    }
+  })
+
+  return lines.join('\n')
+}
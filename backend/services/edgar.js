@@ -0,0 +1,305 @@
+/**
+ * SEC EDGAR Filings Service
+ * Material biotech news often lands first as an 8-K, S-3 shelf or 424B
+ * prospectus. Tickers are resolved to their CIK through SEC's company ticker
+ * map, the company's recent filings index is fetched from the submissions API
+ * and each filing is classified (offering/dilution, material agreement,
+ * results, executive change).
+ *
+ * A provider is an object with:
+ *   name                  - identifier reported alongside filings
+ *   fetchTickerMap()      - resolves to SEC's company_tickers.json format
+ *                           ({ "0": { cik_str, ticker, title }, ... })
+ *   fetchSubmissions(cik) - resolves to the submissions API format
+ *                           ({ name, filings: { recent: { form: [...], ... } } })
+ *   fetchDocument(cik, accessionNumber, document)
+ *                         - resolves to the text of one document in a filing
+ *
+ * Select one with EDGAR_PROVIDER=sec|fixture (defaults to sec)
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { cached } from './cache.js'
+
+// Filings post throughout the trading day, so each company's index uses the
+// edgar cache TTL (15 minutes by default). The ticker -> CIK map only changes
+// with new listings; refresh it daily
+const TICKER_MAP_TTL = 86400
+
+const TICKERS_URL = 'https://www.sec.gov/files/company_tickers.json'
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions'
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data'
+
+// SEC asks automated clients to identify themselves with a contact address
+const DEFAULT_USER_AGENT = 'biotech-intel-dashboard admin@example.com'
+
+const DEFAULT_FIXTURE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'edgar'
+)
+
+export const FILING_CATEGORIES = {
+  offering: { label: 'Offering / Dilution' },
+  agreement: { label: 'Material Agreement' },
+  results: { label: 'Results' },
+  executive: { label: 'Executive Change' },
+  other: { label: 'Other' }
+}
+
+// Registration statements and prospectuses that put new shares on the market
+const OFFERING_FORMS = /^(S-1|S-3|S-3ASR|S-8|F-1|F-3|F-3ASR|424B\d|FWP)(\/A)?$/
+
+// Periodic reports
+const RESULTS_FORMS = /^(10-K|10-Q|20-F|40-F)(\/A)?$/
+
+// 8-K items, their descriptions and the category each one signals
+const FORM_8K_ITEMS = {
+  '1.01': { label: 'Entry into a Material Definitive Agreement', category: 'agreement' },
+  '1.02': { label: 'Termination of a Material Definitive Agreement', category: 'agreement' },
+  '1.03': { label: 'Bankruptcy or Receivership' },
+  '2.01': { label: 'Completion of Acquisition or Disposition of Assets', category: 'agreement' },
+  '2.02': { label: 'Results of Operations and Financial Condition', category: 'results' },
+  '2.03': { label: 'Creation of a Direct Financial Obligation' },
+  '2.05': { label: 'Costs Associated with Exit or Disposal Activities' },
+  '3.01': { label: 'Notice of Delisting or Failure to Satisfy a Listing Rule' },
+  '3.02': { label: 'Unregistered Sales of Equity Securities', category: 'offering' },
+  '3.03': { label: 'Material Modification to Rights of Security Holders' },
+  '5.02': { label: 'Departure or Appointment of Directors or Officers', category: 'executive' },
+  '5.03': { label: 'Amendments to Articles of Incorporation or Bylaws' },
+  '5.07': { label: 'Submission of Matters to a Vote of Security Holders' },
+  '7.01': { label: 'Regulation FD Disclosure' },
+  '8.01': { label: 'Other Events' },
+  '9.01': { label: 'Financial Statements and Exhibits' }
+}
+
+// When an 8-K carries several items, the most market-moving one wins
+const CATEGORY_PRIORITY = ['offering', 'agreement', 'executive', 'results']
+
+/**
+ * Headers for sec.gov requests
+ * @param {string} [accept] - Accept header
+ * @returns {Object}
+ */
+function secHeaders(accept = 'application/json') {
+  return {
+    'User-Agent': process.env.SEC_USER_AGENT || DEFAULT_USER_AGENT,
+    Accept: accept
+  }
+}
+
+/**
+ * Archive folder for a filing
+ * @param {string} cik - Zero-padded CIK
+ * @param {string} accessionNumber - e.g. 0001682852-26-000123
+ * @returns {string}
+ */
+function filingFolder(cik, accessionNumber) {
+  return `${ARCHIVES_URL}/${Number(cik)}/${accessionNumber.replace(/-/g, '')}`
+}
+
+/**
+ * Live sec.gov provider
+ */
+const secProvider = {
+  name: 'sec.gov',
+
+  async fetchTickerMap() {
+    const response = await fetch(TICKERS_URL, { headers: secHeaders() })
+    if (!response.ok) {
+      throw new Error(`SEC ticker map error: ${response.status}`)
+    }
+    return response.json()
+  },
+
+  async fetchSubmissions(cik) {
+    const response = await fetch(`${SUBMISSIONS_URL}/CIK${cik}.json`, { headers: secHeaders() })
+    if (!response.ok) {
+      throw new Error(`SEC submissions API error: ${response.status}`)
+    }
+    return response.json()
+  },
+
+  async fetchDocument(cik, accessionNumber, document) {
+    const response = await fetch(`${filingFolder(cik, accessionNumber)}/${document}`, {
+      headers: secHeaders('application/xml, text/xml, text/html, */*')
+    })
+    if (!response.ok) {
+      throw new Error(`SEC archive error: ${response.status}`)
+    }
+    return response.text()
+  }
+}
+
+/**
+ * File-backed provider for local and offline runs
+ * Reads company_tickers.json, CIK##########.json and
+ * <accessionNumber>/<document> files from EDGAR_FIXTURE_DIR (see fixtures/edgar)
+ */
+const fixtureProvider = {
+  name: 'fixture',
+
+  async readFixture(file, { json = true } = {}) {
+    const fixtureDir = process.env.EDGAR_FIXTURE_DIR || DEFAULT_FIXTURE_DIR
+    try {
+      const text = await fs.promises.readFile(path.join(fixtureDir, file), 'utf8')
+      return json ? JSON.parse(text) : text
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  },
+
+  async fetchTickerMap() {
+    return (await this.readFixture('company_tickers.json')) || {}
+  },
+
+  async fetchSubmissions(cik) {
+    return (await this.readFixture(`CIK${cik}.json`)) || { filings: { recent: {} } }
+  },
+
+  async fetchDocument(cik, accessionNumber, document) {
+    const text = await this.readFixture(path.join(accessionNumber, path.basename(document)), { json: false })
+    if (text === null) {
+      throw new Error(`No fixture document for ${accessionNumber}/${document}`)
+    }
+    return text
+  }
+}
+
+const PROVIDERS = {
+  sec: secProvider,
+  fixture: fixtureProvider
+}
+
+/**
+ * Resolve the configured EDGAR provider
+ * @returns {Object} - EDGAR provider
+ */
+export function getEdgarProvider() {
+  const name = (process.env.EDGAR_PROVIDER || 'sec').toLowerCase()
+  const provider = PROVIDERS[name]
+
+  if (!provider) {
+    throw new Error(`Unknown EDGAR_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+
+  return provider
+}
+
+/**
+ * Map a ticker to its zero-padded 10-digit CIK
+ * @param {string} symbol - Stock ticker
+ * @returns {Promise<{cik: string, company: string}|null>} - null when the ticker has no SEC registrant
+ */
+export async function resolveCik(symbol) {
+  const provider = getEdgarProvider()
+  const tickers = await cached('edgar', `tickers:${provider.name}`, async () => {
+    const data = await provider.fetchTickerMap()
+    const map = {}
+    for (const entry of Object.values(data)) {
+      map[entry.ticker.toUpperCase()] = {
+        cik: String(entry.cik_str).padStart(10, '0'),
+        company: entry.title
+      }
+    }
+    return map
+  }, { ttl: TICKER_MAP_TTL })
+
+  // SEC lists share classes with a dash (BRK-B) where Yahoo uses a dot
+  return tickers[symbol] || tickers[symbol.replace('.', '-')] || null
+}
+
+/**
+ * Classify a filing by its form type and, for 8-Ks, its item numbers
+ * @param {string} form - Form type (8-K, 424B5, 10-Q, ...)
+ * @param {string[]} items - 8-K item numbers
+ * @returns {string} - Key of FILING_CATEGORIES
+ */
+export function classifyFiling(form, items = []) {
+  if (OFFERING_FORMS.test(form)) return 'offering'
+  if (RESULTS_FORMS.test(form)) return 'results'
+
+  const signalled = items.map(item => FORM_8K_ITEMS[item]?.category).filter(Boolean)
+  return CATEGORY_PRIORITY.find(category => signalled.includes(category)) || 'other'
+}
+
+/**
+ * Turn the submissions API's column arrays into filing rows
+ * @param {string} cik - Zero-padded CIK
+ * @param {Object} recent - filings.recent ({ form: [...], filingDate: [...], ... })
+ * @returns {Object[]}
+ */
+function normalizeFilings(cik, recent) {
+  const forms = recent.form || []
+
+  return forms.map((form, i) => {
+    const accessionNumber = recent.accessionNumber[i]
+    const folder = filingFolder(cik, accessionNumber)
+    const primaryDocument = recent.primaryDocument?.[i] || null
+    const items = (recent.items?.[i] || '').split(',').map(item => item.trim()).filter(Boolean)
+    const category = classifyFiling(form, items)
+
+    return {
+      accessionNumber,
+      form,
+      filingDate: recent.filingDate[i],
+      reportDate: recent.reportDate?.[i] || null,
+      description: recent.primaryDocDescription?.[i] || form,
+      items: items.map(code => ({ code, label: FORM_8K_ITEMS[code]?.label || `Item ${code}` })),
+      category,
+      dilution: category === 'offering',
+      primaryDocument,
+      url: primaryDocument ? `${folder}/${primaryDocument}` : `${folder}/${accessionNumber}-index.htm`
+    }
+  })
+}
+
+/**
+ * Get a company's recent SEC filings, newest first
+ * @param {string} symbol - Stock ticker
+ * @param {Object} [options]
+ * @param {string} [options.category] - Only filings in this FILING_CATEGORIES key
+ * @param {string[]} [options.forms] - Only these form types (e.g. ['4', '4/A'])
+ * @param {number} [options.limit=40] - Maximum filings to return
+ * @returns {Promise<Object|null>} - { symbol, cik, company, filings, source }, or null for unknown tickers
+ */
+export async function getFilings(symbol, { category, forms, limit = 40 } = {}) {
+  const provider = getEdgarProvider()
+  const registrant = await resolveCik(symbol)
+  if (!registrant) return null
+
+  const filings = await cached('edgar', `filings:${provider.name}:${registrant.cik}`, async () => {
+    const submissions = await provider.fetchSubmissions(registrant.cik)
+    return normalizeFilings(registrant.cik, submissions.filings?.recent || {})
+      .sort((a, b) => b.filingDate.localeCompare(a.filingDate))
+  })
+
+  const matching = filings.filter(filing =>
+    (!category || filing.category === category) && (!forms || forms.includes(filing.form))
+  )
+
+  return {
+    symbol,
+    cik: registrant.cik,
+    company: registrant.company,
+    total: matching.length,
+    filings: matching.slice(0, limit),
+    source: provider.name,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Fetch the raw text of a document in a filing
+ * @param {string} cik - Zero-padded CIK of the filer
+ * @param {string} accessionNumber - Filing accession number
+ * @param {string} document - File name within the filing folder
+ * @returns {Promise<string>}
+ */
+export async function fetchFilingDocument(cik, accessionNumber, document) {
+  return getEdgarProvider().fetchDocument(cik, accessionNumber, document)
+}
@@ -0,0 +1,188 @@
+/**
+ * Market Feed Ingestion
+ * Refreshes trending stocks, subreddit discussions and market news in the
+ * background and stores the results, so the market routes and the live stream
+ * answer from the last refresh instead of waiting on Reddit and Yahoo.
+ *
+ * Intervals are minutes, or market-hours and off-hours minutes ("5,30"):
+ *   INGEST_TRENDING_MINUTES     default 5,30
+ *   INGEST_DISCUSSIONS_MINUTES  default 5,30
+ *   INGEST_NEWS_MINUTES         default 10,60
+ *
+ * A feed that was never stored, has gone stale (older than several of the
+ * intervals that apply right now, market or off hours) or whose job is
+ * disabled or paused for the current period is fetched live on request instead.
+ * The news job also writes AI summaries for new articles, within the shared
+ * NEWS_SUMMARY_DAILY_BUDGET, so routes only attach summaries already stored.
+ */
+
+import { SECTOR_TAXONOMY } from '../config/sectors.js'
+import { getTrendingStocks, getMarketNews } from './market.js'
+import { fetchSubredditPosts } from './reddit.js'
+import { summarizeArticles, summarizeLater } from './summaries.js'
+import { createJsonStore } from './store.js'
+import { scheduleJob, readJobInterval, getJobMinutes } from './scheduler.js'
+
+// Subreddits offered by the dashboard discussion feed
+export const FEED_SUBREDDITS = ['wallstreetbets', 'stocks', 'investing', 'StockMarket']
+
+// Posts stored per subreddit; requests take the first `limit`
+const FEED_POST_LIMIT = 100
+
+// Stored feeds older than this many current job intervals are refetched on request
+const STALE_INTERVALS = 3
+
+// Feed key for "no sector"
+const ALL_SECTORS = 'all'
+
+const SECTOR_KEYS = [ALL_SECTORS, ...Object.keys(SECTOR_TAXONOMY)]
+
+const store = createJsonStore('market-feeds', () => ({ trending: {}, news: {}, discussions: {} }))
+
+/**
+ * Feeds: stored section, job that refreshes it, how to fetch one key, and its keys
+ */
+const FEEDS = {
+  trending: {
+    job: 'trending',
+    keys: SECTOR_KEYS,
+    fetch: key => getTrendingStocks({ sector: key === ALL_SECTORS ? undefined : key })
+  },
+  discussions: {
+    job: 'subreddit-feeds',
+    keys: FEED_SUBREDDITS,
+    fetch: subreddit => fetchSubredditPosts(subreddit, FEED_POST_LIMIT)
+  },
+  news: {
+    job: 'market-news',
+    keys: SECTOR_KEYS,
+    fetch: key => getMarketNews({ sector: key === ALL_SECTORS ? undefined : key }),
+    summarize: true
+  }
+}
+
+/**
+ * Store a fetched list; empty lists never replace data we already have
+ * @param {string} section - Key of FEEDS
+ * @param {string} key - Sector or subreddit
+ * @param {Array} data
+ * @returns {Promise<Object>} - The stored entry { data, updatedAt }
+ */
+async function saveFeed(section, key, data) {
+  const entry = { data, updatedAt: new Date().toISOString() }
+  if (data.length === 0) return entry
+
+  await store.update(feeds => {
+    feeds[section][key] = entry
+  })
+  return entry
+}
+
+/**
+ * Refresh every key of a feed, one at a time to stay gentle on upstream limits
+ * @param {string} section - Key of FEEDS
+ * @returns {Promise<Object>} - { feeds, items } refreshed, plus { summarized } for news
+ */
+async function ingest(section) {
+  const feed = FEEDS[section]
+  let feeds = 0
+  let items = 0
+  let summarized = 0
+
+  for (const key of feed.keys) {
+    const data = await feed.fetch(key)
+    if (data.length > 0) {
+      // Summarize before storing, so the stored feed never runs ahead of its summaries
+      if (feed.summarize) summarized += (await summarizeArticles(data)).summarized
+      await saveFeed(section, key, data)
+      feeds++
+      items += data.length
+    }
+  }
+
+  if (feeds === 0) throw new Error(`No ${section} data from upstream; keeping the stored feeds`)
+  return feed.summarize ? { feeds, items, summarized } : { feeds, items }
+}
+
+/**
+ * Read a stored feed, fetching it live when there is nothing usable stored
+ * @param {string} section - Key of FEEDS
+ * @param {string} key - Sector or subreddit
+ * @returns {Promise<Object>} - { data, updatedAt }
+ */
+async function readFeed(section, key) {
+  const feed = FEEDS[section]
+  if (!feed.keys.includes(key)) {
+    const data = await feed.fetch(key)
+    if (feed.summarize) summarizeLater(data)
+    return { data, updatedAt: new Date().toISOString() }
+  }
+
+  const stored = (await store.read())[section][key]
+  const minutes = getJobMinutes(feed.job)
+  const fresh = stored && minutes &&
+    Date.now() - Date.parse(stored.updatedAt) <= STALE_INTERVALS * minutes * 60 * 1000
+  if (fresh) return stored
+
+  // Fetched live, so the job has not summarized it; the next read will have them
+  const entry = await saveFeed(section, key, await feed.fetch(key))
+  if (feed.summarize) summarizeLater(entry.data)
+  return entry.data.length === 0 && stored ? stored : entry
+}
+
+/**
+ * Trending stocks from the last refresh
+ * @param {string} [sector] - Taxonomy name
+ * @returns {Promise<Object>} - { data, updatedAt }
+ */
+export function getTrendingFeed(sector) {
+  return readFeed('trending', sector || ALL_SECTORS)
+}
+
+/**
+ * Market news from the last refresh, without AI summaries
+ * @param {string} [sector] - Taxonomy name
+ * @returns {Promise<Object>} - { data, updatedAt }
+ */
+export function getMarketNewsFeed(sector) {
+  return readFeed('news', sector || ALL_SECTORS)
+}
+
+/**
+ * Hot ticker posts of a subreddit from the last refresh; subreddits outside
+ * FEED_SUBREDDITS are fetched live
+ * @param {string} subreddit - Subreddit name (without r/)
+ * @param {number} limit - Most posts to return
+ * @returns {Promise<Object>} - { data, updatedAt }
+ */
+export async function getSubredditFeed(subreddit, limit) {
+  const { data, updatedAt } = await readFeed('discussions', subreddit)
+  return { data: data.slice(0, limit), updatedAt }
+}
+
+/**
+ * Register the ingestion jobs; each runs once at startup
+ */
+export function startIngestion() {
+  scheduleJob({
+    name: FEEDS.trending.job,
+    description: 'Trending stocks overall and per sector',
+    interval: readJobInterval('INGEST_TRENDING_MINUTES', { market: 5, offHours: 30 }),
+    runOnStart: true,
+    run: () => ingest('trending')
+  })
+  scheduleJob({
+    name: FEEDS.discussions.job,
+    description: `Hot posts from r/${FEED_SUBREDDITS.join(', r/')}`,
+    interval: readJobInterval('INGEST_DISCUSSIONS_MINUTES', { market: 5, offHours: 30 }),
+    runOnStart: true,
+    run: () => ingest('discussions')
+  })
+  scheduleJob({
+    name: FEEDS.news.job,
+    description: 'Market news overall and per sector, with AI summaries of new articles',
+    interval: readJobInterval('INGEST_NEWS_MINUTES', { market: 10, offHours: 60 }),
+    runOnStart: true,
+    run: () => ingest('news')
+  })
+}
@@ -0,0 +1,335 @@
+/**
+ * Insider Transactions Service
+ * Parses SEC Form 4 ownership documents into structured insider
+ * transactions: who traded (insider and role), what (transaction code,
+ * shares, price) and what they hold afterwards. Parsed filings are stored
+ * by accession number so each document is only fetched from EDGAR once.
+ *
+ * Only open-market purchases (code P) and sales (code S) count towards the
+ * net buy/sell summary; grants, option exercises and tax withholding are
+ * compensation mechanics, not a view on the stock.
+ */
+
+import { createJsonStore } from './store.js'
+import { getFilings, fetchFilingDocument } from './edgar.js'
+import { getUniverse } from './universe.js'
+import { cached } from './cache.js'
+
+export const TRANSACTION_CODES = {
+  P: 'Open-market purchase',
+  S: 'Open-market sale',
+  A: 'Grant or award',
+  M: 'Option exercise',
+  X: 'Option exercise',
+  C: 'Conversion',
+  F: 'Tax withholding',
+  G: 'Gift',
+  D: 'Disposition to issuer',
+  J: 'Other'
+}
+
+const FORM_4_TYPES = ['4', '4/A']
+
+// Keep SEC request volume polite: new documents fetched per lookup
+const MAX_DOCUMENT_FETCHES = 25
+
+// Stored filings older than this are dropped on write
+const RETENTION_DAYS = 730
+
+const store = createJsonStore('insider-transactions', () => ({ filings: {} }))
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+/**
+ * Decode XML entities and trim
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .trim()
+}
+
+/**
+ * Every <tag>...</tag> block in a document
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]} - Inner XML of each block
+ */
+function blocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g')
+  return [...xml.matchAll(pattern)].map(match => match[1])
+}
+
+/**
+ * Text of the first <tag>, reading through Form 4's <value> wrappers
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function field(xml, tag) {
+  const [inner] = blocks(xml, tag)
+  if (inner === undefined) return null
+
+  const [value] = blocks(inner, 'value')
+  const text = decodeXml((value ?? inner).replace(/<[^>]+>/g, ''))
+  return text === '' ? null : text
+}
+
+/**
+ * Numeric field, or null when absent
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {number|null}
+ */
+function numberField(xml, tag) {
+  const value = parseFloat(field(xml, tag))
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Form 4 booleans are written as 1/0 or true/false
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {boolean}
+ */
+function flagField(xml, tag) {
+  return ['1', 'true'].includes((field(xml, tag) || '').toLowerCase())
+}
+
+/**
+ * Describe a reporting owner's relationship to the issuer
+ * @param {string} xml - <reportingOwnerRelationship> block
+ * @returns {string} - e.g. "Chief Executive Officer, Director"
+ */
+function describeRole(xml) {
+  const roles = []
+  if (flagField(xml, 'isOfficer')) roles.push(field(xml, 'officerTitle') || 'Officer')
+  if (flagField(xml, 'isDirector')) roles.push('Director')
+  if (flagField(xml, 'isTenPercentOwner')) roles.push('10% Owner')
+  if (flagField(xml, 'isOther')) roles.push(field(xml, 'otherText') || 'Other')
+  return roles.join(', ') || 'Unknown'
+}
+
+/**
+ * Parse a Form 4 ownership document into transactions
+ * @param {string} xml - Form 4 XML (<ownershipDocument>)
+ * @returns {Object[]} - Transactions, one per table row
+ */
+export function parseForm4(xml) {
+  const [document] = blocks(xml, 'ownershipDocument')
+  if (document === undefined) {
+    throw new Error('Not a Form 4 ownership document')
+  }
+
+  const owners = blocks(document, 'reportingOwner').map(owner => ({
+    name: field(owner, 'rptOwnerName'),
+    role: describeRole(blocks(owner, 'reportingOwnerRelationship')[0] || '')
+  }))
+  const insider = owners.map(owner => owner.name).filter(Boolean).join('; ') || 'Unknown'
+  const role = owners[0]?.role || 'Unknown'
+  const tenb5One = flagField(document, 'aff10b5One')
+
+  const rows = [
+    ...blocks(document, 'nonDerivativeTransaction').map(row => ({ row, derivative: false })),
+    ...blocks(document, 'derivativeTransaction').map(row => ({ row, derivative: true }))
+  ]
+
+  return rows.map(({ row, derivative }) => {
+    const code = field(row, 'transactionCode')
+    const shares = numberField(row, 'transactionShares')
+    const price = numberField(row, 'transactionPricePerShare')
+
+    return {
+      insider,
+      role,
+      date: field(row, 'transactionDate'),
+      security: field(row, 'securityTitle'),
+      derivative,
+      code,
+      description: TRANSACTION_CODES[code] || `Code ${code}`,
+      acquired: field(row, 'transactionAcquiredDisposedCode') === 'A',
+      shares,
+      price,
+      value: shares !== null && price ? Math.round(shares * price) : null,
+      sharesOwnedAfter: numberField(row, 'sharesOwnedFollowingTransaction'),
+      ownership: field(row, 'directOrIndirectOwnership') === 'I' ? 'indirect' : 'direct',
+      tenb5One
+    }
+  })
+}
+
+/**
+ * The raw XML file behind a Form 4's primary document
+ * EDGAR lists the rendered view (xslF345X05/form4.xml); the XML sits alongside it
+ * @param {string} document - primaryDocument from the filings index
+ * @returns {string}
+ */
+function rawDocument(document) {
+  return document.replace(/^xsl[^/]+\//, '')
+}
+
+/**
+ * YYYY-MM-DD for N days ago (UTC)
+ * @param {number} days
+ * @returns {string}
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().slice(0, 10)
+}
+
+/**
+ * Net open-market buying and selling
+ * @param {Object[]} transactions
+ * @returns {Object} - { buys, sells, netShares, netValue, signal }
+ */
+function summarize(transactions) {
+  const total = (code) => {
+    const matching = transactions.filter(txn => !txn.derivative && txn.code === code)
+    return {
+      count: matching.length,
+      shares: matching.reduce((sum, txn) => sum + (txn.shares || 0), 0),
+      value: matching.reduce((sum, txn) => sum + (txn.value || 0), 0)
+    }
+  }
+
+  const buys = total('P')
+  const sells = total('S')
+  const netValue = buys.value - sells.value
+
+  return {
+    buys,
+    sells,
+    netShares: buys.shares - sells.shares,
+    netValue,
+    signal: netValue > 0 ? 'buying' : netValue < 0 ? 'selling' : 'neutral'
+  }
+}
+
+/**
+ * Fetch and store Form 4s that have not been parsed yet
+ * @param {string} symbol - Stock ticker
+ * @param {string} cik - Issuer CIK
+ * @param {Object[]} filings - Form 4 rows from the filings index
+ */
+async function ingestFilings(symbol, cik, filings) {
+  const { filings: stored } = await store.read()
+  const pending = filings.filter(filing => !stored[filing.accessionNumber]).slice(0, MAX_DOCUMENT_FETCHES)
+  if (pending.length === 0) return
+
+  const parsed = {}
+  // One document at a time; SEC throttles clients above 10 requests per second
+  for (const filing of pending) {
+    let xml
+    try {
+      xml = await fetchFilingDocument(cik, filing.accessionNumber, rawDocument(filing.primaryDocument))
+    } catch (error) {
+      // Network failures are retried on the next lookup
+      console.error(`Error fetching Form 4 ${filing.accessionNumber}:`, error.message)
+      continue
+    }
+
+    let transactions = []
+    try {
+      transactions = parseForm4(xml)
+    } catch (error) {
+      // Malformed documents are stored empty so they are not fetched again
+      console.error(`Error parsing Form 4 ${filing.accessionNumber}:`, error.message)
+    }
+
+    parsed[filing.accessionNumber] = {
+      symbol,
+      filingDate: filing.filingDate,
+      url: filing.url,
+      transactions
+    }
+  }
+
+  await store.update(data => {
+    Object.assign(data.filings, parsed)
+    const cutoff = daysAgo(RETENTION_DAYS)
+    for (const [accessionNumber, filing] of Object.entries(data.filings)) {
+      if (filing.filingDate < cutoff) delete data.filings[accessionNumber]
+    }
+  })
+}
+
+/**
+ * Get a company's insider transactions and net buy/sell summary
+ * @param {string} symbol - Stock ticker
+ * @param {Object} [options]
+ * @param {number} [options.days=180] - Look-back window by filing date
+ * @returns {Promise<Object|null>} - { symbol, days, summary, transactions, source }, or null for unknown tickers
+ */
+export async function getInsiderTransactions(symbol, { days = 180 } = {}) {
+  const index = await getFilings(symbol, { forms: FORM_4_TYPES, limit: Infinity })
+  if (!index) return null
+
+  const since = daysAgo(days)
+  const recent = index.filings.filter(filing => filing.filingDate >= since && filing.primaryDocument)
+  await ingestFilings(symbol, index.cik, recent)
+
+  const { filings: stored } = await store.read()
+  const transactions = recent
+    .filter(filing => stored[filing.accessionNumber])
+    .flatMap(filing => stored[filing.accessionNumber].transactions.map(txn => ({
+      ...txn,
+      accessionNumber: filing.accessionNumber,
+      filingDate: filing.filingDate,
+      url: filing.url
+    })))
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+
+  return {
+    symbol,
+    company: index.company,
+    days,
+    summary: summarize(transactions),
+    transactions,
+    source: index.source,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Notable open-market insider buys across the biotech universe
+ * The scan walks every company in the universe, so the result is cached as a whole
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Look-back window
+ * @param {number} [options.minValue=100000] - Smallest purchase (USD) to include
+ * @returns {Promise<Object>} - { days, minValue, buys, scanned, failed }
+ */
+export async function getInsiderActivity({ days = 30, minValue = 100000 } = {}) {
+  return cached('insiders', `activity:${days}:${minValue}`, async () => {
+    const buys = []
+    const failed = []
+    const symbols = getUniverse().map(company => company.symbol)
+
+    for (const symbol of symbols) {
+      try {
+        const result = await getInsiderTransactions(symbol, { days })
+        if (!result) continue
+
+        buys.push(...result.transactions
+          .filter(txn => !txn.derivative && txn.code === 'P' && (txn.value || 0) >= minValue)
+          .map(txn => ({ symbol, company: result.company, ...txn })))
+      } catch (error) {
+        console.error(`Error scanning insider activity for ${symbol}:`, error.message)
+        failed.push(symbol)
+      }
+    }
+
+    buys.sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.value - a.value)
+
+    return {
+      days,
+      minValue,
+      buys,
+      scanned: symbols.length,
+      failed,
+      updatedAt: new Date().toISOString()
+    }
+  })
+}
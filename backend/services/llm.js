@@ -0,0 +1,292 @@
+/**
+ * LLM Provider Service
+ * Single entry point for text generation, backed by a pluggable provider
+ *
+ * A provider is an object with:
+ *   name                          - identifier reported alongside answers
+ *   defaultModel                  - used when LLM_MODEL is not set
+ *   generate(messages, options)   - resolves to { text, usage }
+ *   stream(messages, options)     - async iterable of text pieces
+ *
+ * messages are [{ role: 'user' | 'assistant', content }], oldest first and
+ * ending with the new user turn. options are { model, json, signal, onUsage };
+ * json asks for a JSON object reply. usage is the token count the model
+ * reports ({ inputTokens, outputTokens }, or null when it reports none);
+ * streams pass it to onUsage once the reply is complete.
+ *
+ * Select one with LLM_PROVIDER=gemini|openai|mock (defaults to gemini).
+ * `openai` speaks the OpenAI chat completions API, so it also covers local
+ * servers such as Ollama or llama.cpp (set OPENAI_BASE_URL).
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1'
+
+// Delay between mock stream pieces, so clients exercise incremental rendering
+const MOCK_STREAM_DELAY_MS = 20
+
+// English text averages about four characters per token
+const CHARS_PER_TOKEN = 4
+
+/**
+ * Estimate how many tokens a piece of text uses
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Google Gemini provider
+ * The client is created on first use so the server starts without a key
+ */
+const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-2.5-flash',
+  client: null,
+
+  request(messages, { json }) {
+    return {
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+    }
+  },
+
+  usage(metadata) {
+    return metadata
+      ? { inputTokens: metadata.promptTokenCount || 0, outputTokens: metadata.candidatesTokenCount || 0 }
+      : null
+  },
+
+  getModel(model) {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY is not set')
+    }
+    if (!this.client) this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+    return this.client.getGenerativeModel({ model })
+  },
+
+  async generate(messages, options) {
+    const result = await this.getModel(options.model).generateContent(
+      this.request(messages, options),
+      { signal: options.signal }
+    )
+    return { text: result.response.text(), usage: this.usage(result.response.usageMetadata) }
+  },
+
+  async *stream(messages, options) {
+    const result = await this.getModel(options.model).generateContentStream(
+      this.request(messages, options),
+      { signal: options.signal }
+    )
+    for await (const chunk of result.stream) {
+      yield chunk.text()
+    }
+    options.onUsage?.(this.usage((await result.response).usageMetadata))
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions provider
+ * OPENAI_BASE_URL points at the API root (e.g. http://localhost:11434/v1 for
+ * Ollama); OPENAI_API_KEY is optional since local servers ignore it
+ */
+const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  async request(messages, { model, json, signal }, stream) {
+    const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '')
+    const headers = { 'Content-Type': 'application/json' }
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal,
+      body: JSON.stringify({
+        model,
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        stream,
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      })
+    })
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '')
+      throw new Error(`OpenAI-compatible API error: ${response.status} ${body.slice(0, 200)}`)
+    }
+    return response
+  },
+
+  usage(usage) {
+    return usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null
+  },
+
+  async generate(messages, options) {
+    const response = await this.request(messages, options, false)
+    const data = await response.json()
+    return { text: data.choices?.[0]?.message?.content || '', usage: this.usage(data.usage) }
+  },
+
+  async *stream(messages, options) {
+    const response = await this.request(messages, options, true)
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop()
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue
+        const payload = line.slice(5).trim()
+        if (payload === '[DONE]') return
+
+        // With include_usage the final chunk carries token counts and no choices
+        const data = JSON.parse(payload)
+        if (data.usage) options.onUsage?.(this.usage(data.usage))
+
+        const piece = data.choices?.[0]?.delta?.content
+        if (piece) yield piece
+      }
+    }
+  }
+}
+
+/**
+ * Deterministic provider for offline runs and tests
+ * Echoes the question, so the same input always gives the same answer. In
+ * json mode it returns the { summary, whyItMatters } object news summaries use.
+ * It reports no usage, so token counts are estimated from the text
+ */
+const mockProvider = {
+  name: 'mock',
+  defaultModel: 'mock-1',
+
+  reply(messages, { json }) {
+    const prompt = messages[messages.length - 1].content
+    const lastLine = prompt.trim().split('\n').pop().slice(0, 200)
+    const text = `Mock answer to: ${lastLine}`
+
+    return json
+      ? JSON.stringify({ summary: text, whyItMatters: 'Mock provider; no model was called.' })
+      : text
+  },
+
+  async generate(messages, options) {
+    return { text: this.reply(messages, options), usage: null }
+  },
+
+  async *stream(messages, options) {
+    for (const piece of this.reply(messages, options).split(/(?<= )/)) {
+      if (options.signal?.aborted) return
+      await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY_MS))
+      yield piece
+    }
+  }
+}
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+}
+
+/**
+ * Resolve the configured LLM provider
+ * @returns {Object} - LLM provider
+ */
+export function getLLMProvider() {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase()
+  const provider = PROVIDERS[name]
+
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+
+  return provider
+}
+
+/**
+ * Provider and model that will answer, for reporting alongside responses
+ * @returns {Object} - { provider, model }
+ */
+export function getLLMInfo() {
+  const provider = getLLMProvider()
+  return { provider: provider.name, model: process.env.LLM_MODEL || provider.defaultModel }
+}
+
+/**
+ * Build the message list for a prompt
+ * @param {string} prompt - New user turn
+ * @param {Array} history - Earlier { role, content } turns, starting with a user turn
+ * @returns {Array}
+ */
+function toMessages(prompt, history) {
+  return [...history.map(({ role, content }) => ({ role, content })), { role: 'user', content: prompt }]
+}
+
+/**
+ * Token usage for a reply, estimated from the text when the model reports none
+ * @param {Object|null} reported - { inputTokens, outputTokens } from the provider
+ * @param {Array} messages - Messages sent
+ * @param {string} text - Reply text
+ * @returns {Object} - { inputTokens, outputTokens, totalTokens, estimated }
+ */
+function toUsage(reported, messages, text) {
+  const { inputTokens, outputTokens } = reported || {
+    inputTokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+    outputTokens: estimateTokens(text)
+  }
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: !reported }
+}
+
+/**
+ * Generate a complete reply
+ * @param {string} prompt - New user turn
+ * @param {Object} [options]
+ * @param {Array} [options.history] - Earlier turns
+ * @param {boolean} [options.json] - Ask for a JSON object reply
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} - { text, provider, model, usage }
+ */
+export async function generateText(prompt, { history = [], json = false, signal } = {}) {
+  const info = getLLMInfo()
+  const messages = toMessages(prompt, history)
+  const { text, usage } = await getLLMProvider().generate(messages, { model: info.model, json, signal })
+  return { text, ...info, usage: toUsage(usage, messages, text) }
+}
+
+/**
+ * Stream a reply piece by piece
+ * @param {string} prompt - New user turn
+ * @param {Object} [options]
+ * @param {Array} [options.history] - Earlier turns
+ * @param {AbortSignal} [options.signal] - Stops generation when aborted
+ * @param {Function} [options.onUsage] - Called with the reply's usage when the
+ *   stream ends, including when it is stopped or fails part-way
+ * @returns {AsyncIterable<string>}
+ */
+export async function* streamText(prompt, { history = [], signal, onUsage } = {}) {
+  const { model } = getLLMInfo()
+  const messages = toMessages(prompt, history)
+  let reported = null
+  let text = ''
+
+  try {
+    for await (const piece of getLLMProvider().stream(messages, { model, signal, onUsage: usage => { reported = usage } })) {
+      text += piece
+      yield piece
+    }
+  } finally {
+    onUsage?.(toUsage(reported, messages, text))
+  }
+}
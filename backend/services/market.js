@@ -3,125 +3,205 @@
  * Combines Reddit social sentiment with Yahoo Finance data
  */
 
-import { getTrendingTickers } from './reddit.js'
-import { fetchQuote, fetchNews } from '../yahoo.js'
+import { getTrendingTickers, fetchSubredditPosts, searchTickerPosts } from './reddit.js'
+import { fetchNews } from '../yahoo.js'
+import { fetchQuote, fetchQuotes } from './quotes.js'
+import { getUniverseEntry, getSectorSymbols } from './universe.js'
+import { getMentionMomentum } from './mentions.js'
+import { aggregateSentiment } from './sentiment.js'
+
+// Fallback symbols when Reddit is unavailable and no sector is requested
+const DEFAULT_SYMBOLS = ['TSLA', 'NVDA', 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'AMD', 'NFLX', 'SPY']
+
+// News sources for the unfiltered market feed
+const MARKET_NEWS_SYMBOLS = ['SPY', 'QQQ', 'TSLA', 'NVDA', 'AAPL']
+
+// How many sector companies to pull headlines for
+const SECTOR_NEWS_SYMBOLS = 6
+
+// Hot pages scanned for per-ticker discussions
+const DISCUSSION_SUBREDDITS = ['wallstreetbets', 'stocks', 'investing']
+
+// Symbol search also covers the biotech subs, where small caps get discussed
+const DISCUSSION_SEARCH_SUBREDDITS = [...DISCUSSION_SUBREDDITS, 'biotech', 'Biotechplays']
+
+export const DISCUSSION_SORTS = ['new', 'top', 'engagement']
+
+/**
+ * Attach universe classification to a stock, if it is tracked
+ * @param {Object} stock - Stock with a symbol
+ * @returns {Object} - Stock with sector, secondarySectors and sectorColor
+ */
+function withSector(stock) {
+  const entry = getUniverseEntry(stock.symbol)
+  return {
+    ...stock,
+    sector: entry?.primarySector || null,
+    secondarySectors: entry?.secondarySectors || [],
+    sectorColor: entry?.color || null
+  }
+}
+
+/**
+ * Attach mention momentum (velocity, z-score, new-spike flag) from stored snapshots
+ * @param {Array} stocks - Stocks with a symbol
+ * @returns {Promise<Array>} - Stocks with a momentum field (null if history is unavailable)
+ */
+async function withMomentum(stocks) {
+  try {
+    const momentum = await getMentionMomentum(stocks.map(stock => stock.symbol))
+    return stocks.map(stock => ({ ...stock, momentum: momentum[stock.symbol] }))
+  } catch (error) {
+    console.error('Failed to load mention momentum:', error.message)
+    return stocks.map(stock => ({ ...stock, momentum: null }))
+  }
+}
 
 /**
  * Get trending stocks by combining Reddit mentions with market data
+ * @param {Object} [options]
+ * @param {string} [options.sector] - Taxonomy name; only universe companies in it are returned
  * @returns {Promise<Array>} - Top trending stocks with prices and sentiment
  */
-export async function getTrendingStocks() {
+export async function getTrendingStocks({ sector } = {}) {
+  const fallbackSymbols = sector ? getSectorSymbols(sector).slice(0, 15) : DEFAULT_SYMBOLS
+
   try {
-    // Get trending tickers from Reddit
-    const redditTrending = await getTrendingTickers(['wallstreetbets', 'stocks'], 50)
+    // Get trending tickers from Reddit (the sample mention snapshots use too)
+    let redditTrending = await getTrendingTickers()
+
+    if (sector) {
+      const sectorSymbols = new Set(getSectorSymbols(sector))
+      redditTrending = redditTrending.filter(item => sectorSymbols.has(item.ticker))
+    }
 
     if (redditTrending.length === 0) {
-      console.log('No Reddit data available, falling back to default tickers')
-      // Fallback to popular stocks if Reddit unavailable
-      return getDefaultTrendingStocks()
+      console.log(`No Reddit data available${sector ? ` for ${sector}` : ''}, falling back to default tickers`)
+      // Fallback to popular (or sector) stocks if Reddit unavailable
+      return getDefaultTrendingStocks(fallbackSymbols)
     }
 
     // Take top 15 most mentioned tickers
     const topTickers = redditTrending.slice(0, 15)
 
-    // Enrich with Yahoo Finance data (price, volume, change)
-    const enrichedStocks = await Promise.all(
-      topTickers.map(async (item) => {
-        try {
-          const quote = await fetchQuote(item.ticker)
-          
-          return {
-            symbol: item.ticker,
-            name: quote.longName || quote.shortName || item.ticker,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange,
-            changePercent: quote.regularMarketChangePercent,
-            volume: quote.regularMarketVolume,
-            marketCap: quote.marketCap,
-            mentions: item.mentions,
-            socialScore: item.score,
-            topPost: item.topPost,
-            source: 'reddit_yahoo'
-          }
-        } catch (error) {
-          console.error(`Failed to fetch quote for ${item.ticker}:`, error.message)
-          // Return basic info even if Yahoo Finance fails
-          return {
-            symbol: item.ticker,
-            name: item.ticker,
-            price: null,
-            change: null,
-            changePercent: null,
-            volume: null,
-            marketCap: null,
-            mentions: item.mentions,
-            socialScore: item.score,
-            topPost: item.topPost,
-            source: 'reddit_only'
-          }
+    // Enrich with market data (price, volume, change) in one batched lookup
+    let quotes
+    try {
+      quotes = await fetchQuotes(topTickers.map(item => item.ticker))
+    } catch (error) {
+      console.error('Failed to fetch quotes for trending tickers:', error.message)
+      quotes = []
+    }
+
+    const enrichedStocks = topTickers.map((item, index) => {
+      const quote = quotes[index]
+
+      if (!quote) {
+        // Return basic info even if the quote provider fails
+        return {
+          symbol: item.ticker,
+          name: item.ticker,
+          price: null,
+          change: null,
+          changePercent: null,
+          volume: null,
+          marketCap: null,
+          mentions: item.mentions,
+          socialScore: item.score,
+          sentiment: item.sentiment,
+          topPost: item.topPost,
+          source: 'reddit_only'
         }
-      })
-    )
+      }
+
+      return {
+        symbol: item.ticker,
+        name: quote.longName || quote.shortName || item.ticker,
+        price: quote.regularMarketPrice,
+        change: quote.regularMarketChange,
+        changePercent: quote.regularMarketChangePercent,
+        volume: quote.regularMarketVolume,
+        marketCap: quote.marketCap,
+        mentions: item.mentions,
+        socialScore: item.score,
+        sentiment: item.sentiment,
+        topPost: item.topPost,
+        source: 'reddit_yahoo'
+      }
+    })
 
     // Filter out failed quotes and sort by social score
-    return enrichedStocks
+    const stocks = enrichedStocks
       .filter(stock => stock.price !== null)
       .sort((a, b) => b.socialScore - a.socialScore)
+      .map(withSector)
+
+    return withMomentum(stocks)
 
   } catch (error) {
     console.error('Error getting trending stocks:', error)
-    return getDefaultTrendingStocks()
+    return getDefaultTrendingStocks(fallbackSymbols)
   }
 }
 
 /**
  * Fallback trending stocks when Reddit is unavailable
- * Returns top tech/popular stocks
+ * Returns top tech/popular stocks, or the sector's universe companies
+ * @param {string[]} defaultSymbols - Symbols to quote
  */
-async function getDefaultTrendingStocks() {
-  const defaultSymbols = ['TSLA', 'NVDA', 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'AMD', 'NFLX', 'SPY']
-  
-  const stocks = await Promise.all(
-    defaultSymbols.map(async (symbol) => {
-      try {
-        const quote = await fetchQuote(symbol)
-        return {
-          symbol,
-          name: quote.longName || quote.shortName,
-          price: quote.regularMarketPrice,
-          change: quote.regularMarketChange,
-          changePercent: quote.regularMarketChangePercent,
-          volume: quote.regularMarketVolume,
-          marketCap: quote.marketCap,
-          mentions: 0,
-          socialScore: 0,
-          topPost: null,
-          source: 'yahoo_default'
-        }
-      } catch (error) {
-        return null
-      }
-    })
-  )
+async function getDefaultTrendingStocks(defaultSymbols) {
+  let quotes
+  try {
+    quotes = await fetchQuotes(defaultSymbols)
+  } catch (error) {
+    console.error('Failed to fetch quotes for default tickers:', error.message)
+    return []
+  }
 
-  return stocks.filter(s => s !== null)
+  const stocks = defaultSymbols.map((symbol, index) => {
+    const quote = quotes[index]
+    if (!quote) return null
+
+    return {
+      symbol,
+      name: quote.longName || quote.shortName,
+      price: quote.regularMarketPrice,
+      change: quote.regularMarketChange,
+      changePercent: quote.regularMarketChangePercent,
+      volume: quote.regularMarketVolume,
+      marketCap: quote.marketCap,
+      mentions: 0,
+      socialScore: 0,
+      topPost: null,
+      source: 'yahoo_default'
+    }
+  })
+
+  return withMomentum(stocks.filter(s => s !== null).map(withSector))
 }
 
 /**
  * Get general market news (not ticker-specific)
- * Aggregates news from major indices and market leaders
+ * Aggregates news from major indices and market leaders, or from the
+ * leading universe companies of a sector
+ * @param {Object} [options]
+ * @param {string} [options.sector] - Taxonomy name to pull headlines for
  * @returns {Promise<Array>} - Market news articles
  */
-export async function getMarketNews() {
+export async function getMarketNews({ sector } = {}) {
   try {
-    // Fetch news from major market indices and tech leaders
-    const symbols = ['SPY', 'QQQ', 'TSLA', 'NVDA', 'AAPL']
+    // Fetch news from major market indices and tech leaders (or the sector's companies)
+    const symbols = sector
+      ? getSectorSymbols(sector).slice(0, SECTOR_NEWS_SYMBOLS)
+      : MARKET_NEWS_SYMBOLS
     
     const newsPromises = symbols.map(symbol => 
-      fetchNews(symbol).catch(err => {
-        console.error(`Failed to fetch news for ${symbol}:`, err.message)
-        return []
-      })
+      fetchNews(symbol)
+        .then(articles => articles.map(article => ({ ...article, companySymbol: symbol })))
+        .catch(err => {
+          console.error(`Failed to fetch news for ${symbol}:`, err.message)
+          return []
+        })
     )
     
     const newsArrays = await Promise.all(newsPromises)
@@ -139,7 +219,9 @@ export async function getMarketNews() {
           link: article.link,
           publishedAt: article.publishedAt,
           source: article.publisher,
-          thumbnail: article.thumbnail
+          thumbnail: article.thumbnail,
+          companySymbol: article.companySymbol,
+          sector: sector || null
         })
       }
     })
@@ -163,12 +245,14 @@ export async function getMarketNews() {
  */
 export async function getStockIntelligence(symbol) {
   try {
-    const [quote, news, discussions] = await Promise.all([
+    const [quote, news, allDiscussions] = await Promise.all([
       fetchQuote(symbol),
       fetchNews(symbol),
-      getStockDiscussions(symbol)
+      getAllStockDiscussions(symbol)
     ])
 
+    const discussions = paginateDiscussions(allDiscussions, { sort: 'new', page: 1, pageSize: 10 })
+
     return {
       symbol,
       name: quote.longName || quote.shortName,
@@ -182,8 +266,9 @@ export async function getStockIntelligence(symbol) {
       yearHigh: quote.fiftyTwoWeekHigh,
       yearLow: quote.fiftyTwoWeekLow,
       news: news.slice(0, 10),
-      discussions: discussions,
-      socialSentiment: calculateSentiment(discussions)
+      discussions: discussions.posts,
+      discussionCount: discussions.total,
+      socialSentiment: aggregateSentiment(allDiscussions)
     }
 
   } catch (error) {
@@ -193,20 +278,41 @@ export async function getStockIntelligence(symbol) {
 }
 
 /**
- * Get Reddit discussions mentioning a specific stock
+ * Get one page of Reddit discussions mentioning a specific stock
  * @param {string} symbol - Stock ticker
- * @returns {Promise<Array>} - Recent discussions about the stock
+ * @param {Object} [options]
+ * @param {string} [options.sort='new'] - 'new' | 'top' | 'engagement'
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=10] - Posts per page
+ * @returns {Promise<Object>} - { posts, total, page, pageSize, hasMore, sort }
  */
-async function getStockDiscussions(symbol) {
+export async function getStockDiscussions(symbol, options = {}) {
+  const allDiscussions = await getAllStockDiscussions(symbol)
+  return paginateDiscussions(allDiscussions, options)
+}
+
+/**
+ * Collect every post mentioning a stock from the hot pages plus a symbol search
+ * @param {string} symbol - Stock ticker
+ * @returns {Promise<Array>} - Unique posts mentioning the ticker
+ */
+async function getAllStockDiscussions(symbol) {
+  const ticker = symbol.toUpperCase()
+
   try {
-    const trending = await getTrendingTickers(['wallstreetbets', 'stocks', 'investing'], 100)
-    const stockMention = trending.find(t => t.ticker === symbol.toUpperCase())
-    
-    if (!stockMention) {
-      return []
+    const [hotPages, searched] = await Promise.all([
+      Promise.all(DISCUSSION_SUBREDDITS.map(sub => fetchSubredditPosts(sub, 100))),
+      searchTickerPosts(ticker, DISCUSSION_SEARCH_SUBREDDITS)
+    ])
+
+    const byId = new Map()
+    for (const post of [...hotPages.flat(), ...searched]) {
+      if (post.tickers.includes(ticker) && !byId.has(post.id)) {
+        byId.set(post.id, post)
+      }
     }
 
-    return stockMention.topPost ? [stockMention.topPost] : []
+    return Array.from(byId.values())
 
   } catch (error) {
     console.error(`Error getting discussions for ${symbol}:`, error)
@@ -215,22 +321,42 @@ async function getStockDiscussions(symbol) {
 }
 
 /**
- * Calculate basic sentiment from discussion data
- * @param {Array} discussions - Discussion posts
- * @returns {Object} - Sentiment metrics
+ * Sort, page and trim discussions for the API
+ * @param {Array} posts - Posts from getAllStockDiscussions
+ * @param {Object} options - { sort, page, pageSize }
+ * @returns {Object} - { posts, total, page, pageSize, hasMore, sort }
  */
-function calculateSentiment(discussions) {
-  if (!discussions || discussions.length === 0) {
-    return { signal: 'neutral', mentions: 0, engagement: 0 }
+function paginateDiscussions(posts, { sort = 'new', page = 1, pageSize = 10 } = {}) {
+  const comparators = {
+    new: (a, b) => b.timestamp - a.timestamp,
+    top: (a, b) => b.upvotes - a.upvotes,
+    engagement: (a, b) => (b.upvotes + b.comments) - (a.upvotes + a.comments)
   }
 
-  const totalUpvotes = discussions.reduce((sum, d) => sum + (d.upvotes || 0), 0)
-  const totalComments = discussions.reduce((sum, d) => sum + (d.comments || 0), 0)
-  const engagement = totalUpvotes + totalComments
+  const sorted = [...posts].sort(comparators[sort] || comparators.new)
+  const start = (page - 1) * pageSize
+  const now = Date.now()
 
   return {
-    signal: engagement > 1000 ? 'high' : engagement > 100 ? 'medium' : 'low',
-    mentions: discussions.length,
-    engagement
+    posts: sorted.slice(start, start + pageSize).map(post => ({
+      id: post.id,
+      title: post.title,
+      snippet: post.body ? post.body.slice(0, 280) : '',
+      url: post.url,
+      author: post.author,
+      subreddit: post.subreddit,
+      flair: post.flair,
+      upvotes: post.upvotes,
+      comments: post.comments,
+      timestamp: post.timestamp,
+      ageHours: Math.round(((now - post.timestamp) / 3600000) * 10) / 10,
+      tickers: post.tickers,
+      sentiment: { score: post.sentiment.score, label: post.sentiment.label }
+    })),
+    total: sorted.length,
+    page,
+    pageSize,
+    hasMore: start + pageSize < sorted.length,
+    sort
   }
 }
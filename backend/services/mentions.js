@@ -0,0 +1,152 @@
+/**
+ * Mention History Service
+ * Periodically snapshots Reddit mention counts per ticker so trending names
+ * can be compared against their own history: velocity, z-score versus the
+ * ticker's baseline, and whether a surge is new (first hours of chatter)
+ */
+
+import { getTrendingTickers } from './reddit.js'
+import { createJsonStore } from './store.js'
+import { scheduleJob, readJobInterval } from './scheduler.js'
+
+// Keep two weeks of snapshots; the baseline uses the last 7 days
+const RETENTION_MS = 14 * 24 * 60 * 60 * 1000
+const BASELINE_MS = 7 * 24 * 60 * 60 * 1000
+
+// A baseline needs a few snapshots before a z-score means anything
+const MIN_BASELINE_SNAPSHOTS = 6
+
+// Floor for the baseline standard deviation so a ticker that was always at
+// zero does not produce an infinite z-score on its first mention
+const MIN_STD_DEV = 0.5
+
+// A spike is "new" when the ticker is this far above baseline and the run of
+// elevated snapshots started within the window
+const SPIKE_Z_SCORE = 2.5
+const NEW_SPIKE_WINDOW_MS = 6 * 60 * 60 * 1000
+
+const store = createJsonStore('mention-snapshots', () => ({ snapshots: [] }))
+
+/**
+ * Take a snapshot of current mention counts and persist it
+ * Uses the same Reddit sample as the trending cards, so velocity describes the counts shown
+ * @returns {Promise<Object>} - { takenAt, tickers: { SYMBOL: { mentions, score } } }
+ */
+export async function recordMentionSnapshot() {
+  const trending = await getTrendingTickers()
+
+  if (trending.length === 0) {
+    console.warn('Skipping mention snapshot: no Reddit data')
+    return null
+  }
+
+  const snapshot = {
+    takenAt: Date.now(),
+    tickers: Object.fromEntries(
+      trending.map(item => [item.ticker, { mentions: item.mentions, score: item.score }])
+    )
+  }
+
+  await store.update(data => {
+    data.snapshots.push(snapshot)
+    data.snapshots = data.snapshots.filter(s => snapshot.takenAt - s.takenAt <= RETENTION_MS)
+  })
+
+  console.log(`Recorded mention snapshot for ${trending.length} tickers`)
+  return snapshot
+}
+
+/**
+ * Start periodic snapshots (MENTION_SNAPSHOT_INTERVAL_MINUTES, default 30; 0 disables)
+ */
+export function startMentionSnapshots() {
+  scheduleJob({
+    name: 'mention-snapshots',
+    description: 'Snapshot Reddit mention counts for trend history',
+    interval: readJobInterval('MENTION_SNAPSHOT_INTERVAL_MINUTES', { market: 30, offHours: 30 }),
+    runOnStart: true,
+    run: async () => {
+      const snapshot = await recordMentionSnapshot()
+      return { tickers: snapshot ? Object.keys(snapshot.tickers).length : 0 }
+    }
+  })
+}
+
+/**
+ * Mean and standard deviation of a list of numbers
+ * @param {number[]} values
+ * @returns {Object} - { mean, stdDev }
+ */
+function describe(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length
+  return { mean, stdDev: Math.sqrt(variance) }
+}
+
+/**
+ * Compute momentum for one ticker from a list of snapshots (oldest first)
+ * @param {string} ticker - Stock ticker
+ * @param {Array} snapshots - Stored snapshots
+ * @returns {Object} - { velocity, zScore, baseline, isNewSpike, spikeStartedAt, snapshots }
+ */
+function computeMomentum(ticker, snapshots) {
+  const empty = {
+    velocity: null,
+    zScore: null,
+    baseline: null,
+    isNewSpike: false,
+    spikeStartedAt: null,
+    snapshots: snapshots.length
+  }
+  if (snapshots.length < 2) return empty
+
+  const latest = snapshots[snapshots.length - 1]
+  const countAt = snapshot => snapshot.tickers[ticker]?.mentions || 0
+  const current = countAt(latest)
+
+  // Velocity: change in mentions per hour against the previous snapshot
+  const previous = snapshots[snapshots.length - 2]
+  const hours = (latest.takenAt - previous.takenAt) / 3600000
+  const velocity = hours > 0 ? Math.round(((current - countAt(previous)) / hours) * 100) / 100 : null
+
+  // Baseline: the ticker's own history, excluding the latest snapshot
+  const history = snapshots
+    .slice(0, -1)
+    .filter(s => latest.takenAt - s.takenAt <= BASELINE_MS)
+  if (history.length < MIN_BASELINE_SNAPSHOTS) {
+    return { ...empty, velocity }
+  }
+
+  const { mean, stdDev } = describe(history.map(countAt))
+  const spread = Math.max(stdDev, MIN_STD_DEV)
+  const zScore = Math.round(((current - mean) / spread) * 100) / 100
+
+  // Walk back while the ticker stayed elevated to find when the surge began
+  let spikeStartedAt = null
+  if (zScore >= SPIKE_Z_SCORE) {
+    spikeStartedAt = latest.takenAt
+    for (let i = snapshots.length - 2; i >= 0; i--) {
+      if ((countAt(snapshots[i]) - mean) / spread < SPIKE_Z_SCORE) break
+      spikeStartedAt = snapshots[i].takenAt
+    }
+  }
+
+  return {
+    velocity,
+    zScore,
+    baseline: Math.round(mean * 100) / 100,
+    isNewSpike: spikeStartedAt !== null && latest.takenAt - spikeStartedAt <= NEW_SPIKE_WINDOW_MS,
+    spikeStartedAt: spikeStartedAt ? new Date(spikeStartedAt).toISOString() : null,
+    snapshots: snapshots.length
+  }
+}
+
+/**
+ * Get mention momentum for several tickers
+ * @param {string[]} tickers - Stock tickers
+ * @returns {Promise<Object>} - { SYMBOL: momentum }
+ */
+export async function getMentionMomentum(tickers) {
+  const { snapshots } = await store.read()
+  return Object.fromEntries(tickers.map(ticker => [ticker, computeMomentum(ticker, snapshots)]))
+}
@@ -0,0 +1,185 @@
+/**
+ * AI Quota Service
+ * Daily token budget for AI endpoints, charged by the token usage the model
+ * reports (estimated from the text when it reports none), so a two-line
+ * question costs less than a long grounded conversation. Usage is kept in a
+ * JSON store, so counts survive restarts.
+ *
+ * Callers are identified by API key when they send a known X-API-Key header,
+ * then by signed-in user, and by IP address otherwise. Budgets reset at
+ * midnight in AI_QUOTA_TIMEZONE.
+ */
+
+import { createJsonStore } from './store.js'
+
+const DEFAULT_DAILY_TOKENS = 200000
+const DEFAULT_TIMEZONE = 'America/Los_Angeles'
+
+const store = createJsonStore('ai-quota', () => ({ period: null, usage: {} }))
+
+/**
+ * Read quota settings from the environment
+ * @returns {Object} - { limit, timeZone, apiKeys } where apiKeys maps secret -> name
+ */
+export function getQuotaConfig() {
+  const limit = process.env.AI_DAILY_TOKEN_QUOTA === undefined
+    ? DEFAULT_DAILY_TOKENS
+    : Number(process.env.AI_DAILY_TOKEN_QUOTA)
+  if (!Number.isFinite(limit) || limit < 0) {
+    throw new Error(`Invalid AI_DAILY_TOKEN_QUOTA "${process.env.AI_DAILY_TOKEN_QUOTA}". Expected a token count`)
+  }
+
+  const timeZone = process.env.AI_QUOTA_TIMEZONE || DEFAULT_TIMEZONE
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+  } catch {
+    throw new Error(`Invalid AI_QUOTA_TIMEZONE "${timeZone}". Expected an IANA time zone such as America/New_York`)
+  }
+
+  // AI_API_KEYS=name:secret,name:secret
+  const apiKeys = {}
+  for (const entry of (process.env.AI_API_KEYS || '').split(',')) {
+    const [name, secret] = entry.split(':').map(part => part.trim())
+    if (name && secret) apiKeys[secret] = name
+  }
+
+  return { limit, timeZone, apiKeys }
+}
+
+/**
+ * Wall-clock date and time parts of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date)
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]))
+}
+
+/**
+ * Today's budget period in the quota time zone
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {string} - YYYY-MM-DD
+ */
+function currentPeriod(timeZone, now = new Date()) {
+  const { year, month, day } = zonedParts(now, timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * The next midnight in a time zone, as a UTC instant
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function nextMidnight(timeZone, now = new Date()) {
+  const { year, month, day } = zonedParts(now, timeZone)
+  const target = Date.UTC(year, month - 1, day + 1)
+
+  // Start from midnight UTC and correct by the zone's offset; the second
+  // pass settles days where the offset changes (DST)
+  let guess = target
+  for (let pass = 0; pass < 2; pass++) {
+    const local = zonedParts(new Date(guess), timeZone)
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second)
+    guess += target - localAsUtc
+  }
+  return new Date(guess)
+}
+
+/**
+ * Work out who a request is charged to
+ * @param {Object} req - Express request (req.user is set for signed-in users)
+ * @returns {Object|null} - { key, type, name }, or null for an unknown API key
+ */
+export function resolveQuotaIdentity(req) {
+  const apiKey = req.get('X-API-Key')
+  if (apiKey) {
+    const name = getQuotaConfig().apiKeys[apiKey]
+    return name ? { key: `key:${name}`, type: 'api_key', name } : null
+  }
+
+  if (req.user) {
+    return { key: `user:${req.user.id}`, type: 'user', name: req.user.email }
+  }
+
+  const ip = req.ip || req.socket?.remoteAddress
+  return { key: `ip:${ip}`, type: 'ip', name: null }
+}
+
+/**
+ * Load usage, starting a fresh period when the day has rolled over
+ * @param {string} period - Current period
+ * @returns {Promise<Object>} - usage map
+ */
+async function readUsage(period) {
+  const data = await store.read()
+  if (data.period === period) return data.usage
+
+  await store.update(current => {
+    if (current.period !== period) {
+      current.period = period
+      current.usage = {}
+    }
+  })
+  return (await store.read()).usage
+}
+
+/**
+ * Remaining budget for an identity
+ * @param {string} key - Identity key from resolveQuotaIdentity
+ * @returns {Promise<Object>} - { limit, used, remaining, requests, resetsAt, timeZone }
+ */
+export async function getQuota(key) {
+  const { limit, timeZone } = getQuotaConfig()
+  const usage = (await readUsage(currentPeriod(timeZone)))[key] || { tokens: 0, requests: 0 }
+
+  return {
+    limit,
+    used: usage.tokens,
+    remaining: Math.max(limit - usage.tokens, 0),
+    requests: usage.requests,
+    resetsAt: nextMidnight(timeZone).toISOString(),
+    timeZone
+  }
+}
+
+/**
+ * Charge a completed model call to an identity
+ * @param {string} key - Identity key from resolveQuotaIdentity
+ * @param {Object} usage - { totalTokens } from generateText / streamText
+ * @returns {Promise<Object>} - Quota after the charge (see getQuota)
+ */
+export async function chargeQuota(key, usage) {
+  const { timeZone } = getQuotaConfig()
+  const period = currentPeriod(timeZone)
+
+  await store.update(data => {
+    if (data.period !== period) {
+      data.period = period
+      data.usage = {}
+    }
+    const entry = data.usage[key] || { tokens: 0, requests: 0 }
+    data.usage[key] = {
+      tokens: entry.tokens + (usage?.totalTokens || 0),
+      requests: entry.requests + 1,
+      updatedAt: new Date().toISOString()
+    }
+  })
+
+  return getQuota(key)
+}
@@ -0,0 +1,269 @@
+/**
+ * Quote Provider Service
+ * Single entry point for quote data, backed by a pluggable provider
+ *
+ * A provider is an object with:
+ *   name                  - identifier reported alongside quotes
+ *   fetchQuotes(symbols)  - resolves to an array of normalized quotes (or null
+ *                           for unknown symbols) in the same order as requested
+ *   fetchHistory(symbol, range, interval)
+ *                         - resolves to OHLCV candles ({ time, open, high, low,
+ *                           close, volume }) sorted oldest first
+ *
+ * Select one with QUOTE_PROVIDER=yahoo|fixture (defaults to yahoo)
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { fetchYahooQuotes, fetchYahooHistory } from '../yahoo.js'
+import { cached, cachedMany } from './cache.js'
+
+/**
+ * Supported history ranges with their default candle interval and cache TTL
+ * Intraday ranges refresh often; multi-month ranges barely change during a session
+ */
+export const HISTORY_RANGES = {
+  '1d': { interval: '5m', ttl: 60 },
+  '5d': { interval: '30m', ttl: 300 },
+  '1mo': { interval: '1d', ttl: 900 },
+  '6mo': { interval: '1d', ttl: 3600 },
+  '1y': { interval: '1d', ttl: 3600 },
+  '5y': { interval: '1wk', ttl: 21600 }
+}
+
+export const HISTORY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '1d', '5d', '1wk', '1mo']
+
+const ALL_RANGES = Object.keys(HISTORY_RANGES)
+
+/**
+ * Ranges each interval can be requested with. Yahoo keeps 1m candles for 7 days,
+ * other minute candles for 60 days and hourly candles for 730 days, and answers
+ * 422 beyond that; daily and longer candles cover any range
+ */
+export const INTERVAL_RANGES = {
+  '1m': ['1d', '5d'],
+  '2m': ['1d', '5d', '1mo'],
+  '5m': ['1d', '5d', '1mo'],
+  '15m': ['1d', '5d', '1mo'],
+  '30m': ['1d', '5d', '1mo'],
+  '60m': ['1d', '5d', '1mo', '6mo', '1y'],
+  '90m': ['1d', '5d', '1mo'],
+  '1h': ['1d', '5d', '1mo', '6mo', '1y'],
+  '1d': ALL_RANGES,
+  '5d': ALL_RANGES,
+  '1wk': ALL_RANGES,
+  '1mo': ALL_RANGES
+}
+
+const INTERVAL_MS = {
+  '1m': 60e3, '2m': 120e3, '5m': 300e3, '15m': 900e3, '30m': 1800e3,
+  '60m': 3600e3, '90m': 5400e3, '1h': 3600e3, '1d': 86400e3,
+  '5d': 432000e3, '1wk': 604800e3, '1mo': 2592000e3
+}
+
+const RANGE_MS = {
+  '1d': 86400e3, '5d': 432000e3, '1mo': 2592000e3,
+  '6mo': 15552000e3, '1y': 31536000e3, '5y': 157680000e3
+}
+
+const DEFAULT_FIXTURE_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'quotes.json'
+)
+
+/**
+ * Yahoo Finance provider - one batched upstream call per lookup
+ */
+const yahooProvider = {
+  name: 'yahoo_finance',
+  fetchQuotes: fetchYahooQuotes,
+  fetchHistory: fetchYahooHistory
+}
+
+/**
+ * File-backed provider for local and offline runs
+ * Reads a JSON object keyed by symbol (see fixtures/quotes.json)
+ */
+const fixtureProvider = {
+  name: 'fixture',
+  fixtures: null,
+
+  async fetchQuotes(symbols) {
+    if (!this.fixtures) {
+      const fixturePath = process.env.QUOTE_FIXTURE_PATH || DEFAULT_FIXTURE_PATH
+      this.fixtures = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'))
+    }
+
+    return symbols.map(symbol => {
+      const fixture = this.fixtures[symbol.toUpperCase()]
+      return fixture ? { ...emptyQuote(symbol), ...fixture } : null
+    })
+  },
+
+  // Synthesizes a deterministic random walk ending at the fixture price,
+  // so charts render offline without shipping candle files for every range
+  async fetchHistory(symbol, range, interval) {
+    const [quote] = await this.fetchQuotes([symbol])
+    if (!quote?.regularMarketPrice) return []
+
+    const step = INTERVAL_MS[interval]
+    const count = Math.min(Math.floor(RANGE_MS[range] / step), 500)
+    const random = seededRandom(`${symbol}:${range}:${interval}`)
+    const end = Math.floor(Date.now() / step) * step
+
+    const candles = []
+    let close = quote.regularMarketPrice
+    for (let i = 0; i < count; i++) {
+      const open = close * (1 + (random() - 0.5) * 0.03)
+      candles.push({
+        time: end - i * step,
+        open: round(open),
+        high: round(Math.max(open, close) * (1 + random() * 0.01)),
+        low: round(Math.min(open, close) * (1 - random() * 0.01)),
+        close: round(close),
+        volume: Math.round((quote.averageVolume || 1e6) * (0.5 + random()))
+      })
+      close = open
+    }
+
+    return candles.reverse()
+  }
+}
+
+/**
+ * Small deterministic PRNG (mulberry32) seeded from a string
+ * @param {string} seed - Seed text
+ * @returns {Function} - Generator returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = [...seed].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261)
+  return () => {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Round a price to cents
+ * @param {number} value - Price
+ * @returns {number} - Rounded price
+ */
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+const PROVIDERS = {
+  yahoo: yahooProvider,
+  fixture: fixtureProvider
+}
+
+/**
+ * Resolve the configured quote provider
+ * @returns {Object} - Quote provider
+ */
+export function getQuoteProvider() {
+  const name = (process.env.QUOTE_PROVIDER || 'yahoo').toLowerCase()
+  const provider = PROVIDERS[name]
+
+  if (!provider) {
+    throw new Error(`Unknown QUOTE_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+
+  return provider
+}
+
+/**
+ * Quote shape with every market field empty
+ * Returned for symbols the provider does not know about
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Object} - Empty quote
+ */
+function emptyQuote(symbol) {
+  return {
+    symbol,
+    shortName: symbol,
+    longName: symbol,
+    marketCap: null,
+    regularMarketPrice: null,
+    regularMarketChange: null,
+    regularMarketChangePercent: null,
+    regularMarketVolume: null,
+    regularMarketDayHigh: null,
+    regularMarketDayLow: null,
+    fiftyTwoWeekHigh: null,
+    fiftyTwoWeekLow: null,
+    averageVolume: null,
+    trailingPE: null,
+    currency: 'USD',
+    exchange: 'N/A'
+  }
+}
+
+/**
+ * Fetch quotes for several symbols with a single provider call
+ * Cached symbols are served from the shared cache; only the misses go upstream
+ * @param {string[]} symbols - Stock ticker symbols
+ * @returns {Promise<Object[]>} - Quotes in the order requested
+ */
+export async function fetchQuotes(symbols) {
+  const provider = getQuoteProvider()
+  const normalized = symbols.map(symbol => symbol.toUpperCase())
+  const unique = [...new Set(normalized)]
+
+  const quotes = await cachedMany(
+    'quotes',
+    unique.map(symbol => `${provider.name}:${symbol}`),
+    async (keys) => {
+      const missing = keys.map(key => key.slice(provider.name.length + 1))
+      console.log(`Fetching ${missing.length} quote(s) from ${provider.name}...`)
+      const fetched = await provider.fetchQuotes(missing)
+
+      return missing.map((symbol, index) => ({ ...(fetched[index] || emptyQuote(symbol)), source: provider.name }))
+    }
+  )
+
+  const bySymbol = new Map(unique.map((symbol, index) => [symbol, quotes[index]]))
+  return normalized.map(symbol => bySymbol.get(symbol))
+}
+
+/**
+ * Fetch detailed quote data for a stock symbol
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Object>} - Quote data
+ */
+export async function fetchQuote(symbol) {
+  const [quote] = await fetchQuotes([symbol])
+  return quote
+}
+
+/**
+ * Fetch OHLCV candles for a symbol, cached per range and interval
+ * @param {string} symbol - Stock ticker symbol
+ * @param {string} range - One of HISTORY_RANGES
+ * @param {string} [interval] - Candle interval; defaults to the range's interval
+ * @returns {Promise<Object>} - { symbol, range, interval, candles, source }
+ */
+export async function fetchHistory(symbol, range, interval) {
+  const provider = getQuoteProvider()
+  const upperSymbol = symbol.toUpperCase()
+  const resolvedInterval = interval || HISTORY_RANGES[range].interval
+  const cacheKey = `${provider.name}:${upperSymbol}:${range}:${resolvedInterval}`
+
+  return cached('history', cacheKey, async () => {
+    console.log(`Fetching ${range}/${resolvedInterval} history for ${upperSymbol} from ${provider.name}...`)
+    const candles = await provider.fetchHistory(upperSymbol, range, resolvedInterval)
+
+    return {
+      symbol: upperSymbol,
+      range,
+      interval: resolvedInterval,
+      candles,
+      source: provider.name
+    }
+  }, { ttl: HISTORY_RANGES[range].ttl })
+}
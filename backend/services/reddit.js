@@ -4,135 +4,291 @@
  * No authentication required for read-only access
  */
 
-import NodeCache from 'node-cache'
+import { getSymbol, hasSymbolMaster, isSymbolMasterComplete } from './symbols.js'
+import { scoreText, aggregateSentiment } from './sentiment.js'
+import { cached } from './cache.js'
 
-// Cache Reddit data for 10 minutes (600 seconds)
-const cache = new NodeCache({ stdTTL: 600 })
+const REDDIT_HEADERS = {
+  'User-Agent': 'MarketIntelligence/1.0.0 (Stock market analysis tool)'
+}
 
-// Common words to exclude from ticker detection (prevents false positives)
+// Common words and jargon to exclude from ticker detection (prevents false positives)
 const EXCLUDED_WORDS = new Set([
   'A', 'I', 'AM', 'AN', 'AND', 'ARE', 'AS', 'AT', 'BE', 'BY', 'CAN', 'DO', 'FOR',
   'FROM', 'HE', 'IF', 'IN', 'IS', 'IT', 'ME', 'MY', 'NO', 'NOT', 'OF', 'ON', 'OR',
   'OUT', 'SO', 'THE', 'TO', 'UP', 'US', 'WE', 'YOU', 'ALL', 'CEO', 'CFO', 'CTO',
-  'DD', 'EDIT', 'ELI', 'FAQ', 'FYI', 'IMO', 'IPO', 'NEW', 'NOW', 'OLD', 'SEC',
+  'DD', 'ELI', 'FAQ', 'FYI', 'IMO', 'IPO', 'NEW', 'NOW', 'OLD', 'SEC',
   'TL', 'USD', 'WSB', 'YTD', 'YOLO', 'DD', 'TA', 'ATH', 'EOD', 'AH', 'PM', 'IMO',
-  'TLDR', 'ETA', 'NSFW', 'OC', 'OP', 'PSA', 'TIL', 'FOMO', 'FUD', 'HODL', 'APE'
+  'TLDR', 'ETA', 'NSFW', 'OC', 'OP', 'PSA', 'TIL', 'FOMO', 'FUD', 'HODL', 'APE',
+  'BUY', 'DIP', 'FDA', 'PDUFA', 'GLP', 'ASCO', 'HIV', 'COPD', 'GDP', 'CPI'
+])
+
+// Listed tickers that are also everyday words or biotech jargon
+// A bare mention needs supporting context before it counts
+const AMBIGUOUS_TICKERS = new Set([
+  'AI', 'BIO', 'BEAM', 'BOX', 'CAR', 'CASH', 'DNA', 'EAT', 'EDIT', 'FAST', 'FUN', 'GAIN',
+  'GOOD', 'HAS', 'HOPE', 'KEY', 'LIFE', 'LOVE', 'LOW', 'MAIN', 'MAN', 'NOVA', 'OPEN',
+  'PLAY', 'REAL', 'RNA', 'RUN', 'SEE', 'TRUE', 'WELL'
 ])
 
+// Words near a bare ticker that suggest it is being discussed as a stock
+const MARKET_CONTEXT_PATTERN = /\b(stocks?|shares?|calls?|puts?|options?|ticker|earnings|pt|price target|position|bought|buying|sold|selling|short(ed|ing)?|long|bagholding|squeeze|dip|moon|\d+c|\d+p)\b|\$\d|\d+(\.\d+)?%/i
+
+// Mentions below this confidence are dropped by extractTickers()
+export const MIN_TICKER_CONFIDENCE = 0.5
+
+// The one sample behind trending cards, mention snapshots and mention-spike alerts, so
+// their counts agree and a refresh fetches Reddit once (the result is cached)
+export const TRENDING_SUBREDDITS = ['wallstreetbets', 'stocks', 'investing']
+export const TRENDING_POST_LIMIT = 100
+
 /**
- * Extract stock tickers from text
- * Supports both cashtag format ($TSLA) and bare tickers (NVDA)
+ * Whether most words in the text are uppercase (shouted titles make bare tickers unreliable)
+ * @param {string} text - Text to inspect
+ * @returns {boolean}
+ */
+function isShouting(text) {
+  const words = text.match(/\b[A-Za-z]{2,}\b/g) || []
+  if (words.length < 4) return false
+  const upper = words.filter(word => word === word.toUpperCase()).length
+  return upper / words.length > 0.6
+}
+
+/**
+ * Extract ticker mentions from text with a confidence score per ticker
+ * Cashtags ($TSLA) are trusted more than bare words (NVDA). When a symbol
+ * master is loaded, bare words must be listed symbols, and listed symbols that
+ * double as common words need market context or the company name nearby.
+ * Unlisted symbols are only dropped when the master is a full listing; with the
+ * bundled subset, unlisted bare words fall back to the exclusion lists and
+ * need market context to count.
  * @param {string} text - Text to extract tickers from
- * @returns {string[]} - Array of unique ticker symbols
+ * @returns {Array} - [{ ticker, confidence, method: 'cashtag'|'bare', reasons }]
  */
-export function extractTickers(text) {
+export function extractTickerMentions(text) {
   if (!text) return []
 
-  const tickers = new Set()
+  const validated = hasSymbolMaster()
+  const complete = validated && isSymbolMasterComplete()
+  const mentions = new Map()
+
+  // Keep the strongest evidence seen for each ticker
+  const record = (ticker, confidence, method, reasons) => {
+    const score = Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100
+    const existing = mentions.get(ticker)
+    if (!existing || score > existing.confidence) {
+      mentions.set(ticker, { ticker, confidence: score, method, reasons })
+    }
+  }
 
   // Pattern 1: Cashtags ($TSLA, $NVDA)
   const cashtagPattern = /\$([A-Z]{1,5})\b/g
   let match
   while ((match = cashtagPattern.exec(text)) !== null) {
-    tickers.add(match[1])
+    const ticker = match[1]
+    if (!validated) {
+      record(ticker, 0.9, 'cashtag', ['cashtag'])
+    } else if (getSymbol(ticker)) {
+      record(ticker, 0.95, 'cashtag', ['cashtag', 'listed symbol'])
+    } else if (complete) {
+      record(ticker, 0.4, 'cashtag', ['cashtag', 'not in symbol master'])
+    } else {
+      // The bundled subset cannot rule a symbol out; an explicit cashtag still counts
+      record(ticker, MIN_TICKER_CONFIDENCE, 'cashtag', ['cashtag', 'not in bundled symbol subset'])
+    }
   }
 
   // Pattern 2: Bare tickers (TSLA, NVDA) - more conservative
+  const shouting = isShouting(text)
   const bareTickerPattern = /\b([A-Z]{2,5})\b/g
   while ((match = bareTickerPattern.exec(text)) !== null) {
     const ticker = match[1]
-    // Filter out common words and excluded terms
-    if (!EXCLUDED_WORDS.has(ticker) && ticker.length >= 2 && ticker.length <= 5) {
-      tickers.add(ticker)
+    // Filter out common words and excluded terms (they only count as cashtags)
+    if (EXCLUDED_WORDS.has(ticker)) continue
+
+    if (!validated) {
+      record(ticker, MIN_TICKER_CONFIDENCE, 'bare', ['no symbol master loaded'])
+      continue
+    }
+
+    const entry = getSymbol(ticker)
+    if (!entry && (complete || AMBIGUOUS_TICKERS.has(ticker))) continue
+
+    // The bundled subset cannot rule a symbol out, so a newer name starts low and
+    // counts once market context backs it up
+    const reasons = entry ? ['listed symbol'] : ['not in bundled symbol subset']
+    let confidence = entry ? 0.65 : 0.25
+
+    if (AMBIGUOUS_TICKERS.has(ticker)) {
+      confidence = 0.25
+      reasons.push('common word')
+    }
+
+    const end = match.index + ticker.length
+    const window = text.slice(Math.max(0, match.index - 40), end + 40)
+    if (MARKET_CONTEXT_PATTERN.test(window)) {
+      confidence += 0.3
+      reasons.push('market context')
+    }
+
+    // Look for the company name outside the ticker itself ("BEAM" must not vouch for Beam)
+    const nameText = text.replace(new RegExp(`\\b${ticker}\\b`, 'g'), '').toLowerCase()
+    if (entry?.companyWord && nameText.includes(entry.companyWord)) {
+      confidence += 0.3
+      reasons.push(`company name "${entry.companyWord}"`)
+    }
+
+    if (text[end] === ':') {
+      confidence -= 0.5
+      reasons.push('used as a label')
+    }
+
+    if (shouting) {
+      confidence -= 0.1
+      reasons.push('all-caps text')
     }
+
+    record(ticker, confidence, 'bare', reasons)
   }
 
-  return Array.from(tickers)
+  return Array.from(mentions.values())
+}
+
+/**
+ * Extract stock tickers from text
+ * Supports both cashtag format ($TSLA) and bare tickers (NVDA)
+ * @param {string} text - Text to extract tickers from
+ * @returns {string[]} - Array of unique ticker symbols
+ */
+export function extractTickers(text) {
+  return extractTickerMentions(text)
+    .filter(mention => mention.confidence >= MIN_TICKER_CONFIDENCE)
+    .map(mention => mention.ticker)
+}
+
+/**
+ * Turn a raw Reddit listing child into the post shape used across the app
+ * @param {Object} post - `data` of a Reddit listing child
+ * @returns {Object} - Post with extracted tickers and sentiment
+ */
+function processPost(post) {
+  const title = post.title || ''
+  const selftext = post.selftext || ''
+  const combinedText = `${title} ${selftext}`
+
+  // Extract tickers from title and body
+  const mentions = extractTickerMentions(combinedText)
+    .filter(mention => mention.confidence >= MIN_TICKER_CONFIDENCE)
+
+  return {
+    id: post.id,
+    title: post.title,
+    body: selftext.slice(0, 2000), // Enough for sentiment without holding megathreads in cache
+    url: `https://reddit.com${post.permalink}`,
+    author: post.author,
+    subreddit: post.subreddit,
+    upvotes: post.ups,
+    comments: post.num_comments,
+    timestamp: post.created_utc * 1000, // Convert to milliseconds
+    tickers: mentions.map(mention => mention.ticker),
+    tickerConfidence: Object.fromEntries(mentions.map(mention => [mention.ticker, mention.confidence])),
+    sentiment: scoreText(combinedText),
+    flair: post.link_flair_text || null
+  }
 }
 
 /**
  * Fetch recent posts from a subreddit using Reddit's public JSON API
+ * Results are shared through the cache, so concurrent callers make one request
  * @param {string} subreddit - Subreddit name (without r/)
  * @param {number} limit - Number of posts to fetch (max 100)
  * @returns {Promise<Array>} - Array of post objects with extracted tickers
  */
 export async function fetchSubredditPosts(subreddit = 'wallstreetbets', limit = 50) {
-  const cacheKey = `reddit:${subreddit}:${limit}`
-  
-  // Check cache first
-  const cached = cache.get(cacheKey)
-  if (cached) {
-    console.log(`Cache hit for r/${subreddit}`)
-    return cached
-  }
-
   try {
-    console.log(`Fetching ${limit} posts from r/${subreddit}...`)
-
-    // Use Reddit's public JSON API (no auth required)
-    const url = `https://www.reddit.com/r/${subreddit}/hot.json?limit=${Math.min(limit, 100)}`
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'MarketIntelligence/1.0.0 (Stock market analysis tool)'
-      }
-    })
+    return await cached('reddit', `hot:${subreddit}:${limit}`, async () => {
+      console.log(`Fetching ${limit} posts from r/${subreddit}...`)
 
-    if (!response.ok) {
-      throw new Error(`Reddit API error: ${response.status} ${response.statusText}`)
-    }
+      // Use Reddit's public JSON API (no auth required)
+      const url = `https://www.reddit.com/r/${subreddit}/hot.json?limit=${Math.min(limit, 100)}`
 
-    const data = await response.json()
-    const posts = data.data?.children || []
-
-    const processedPosts = posts
-      .map(item => {
-        const post = item.data
-        const title = post.title || ''
-        const selftext = post.selftext || ''
-        const combinedText = `${title} ${selftext}`
-
-        // Extract tickers from title and body
-        const tickers = extractTickers(combinedText)
-
-        return {
-          id: post.id,
-          title: post.title,
-          url: `https://reddit.com${post.permalink}`,
-          author: post.author,
-          subreddit: post.subreddit,
-          upvotes: post.ups,
-          comments: post.num_comments,
-          timestamp: post.created_utc * 1000, // Convert to milliseconds
-          tickers: tickers,
-          flair: post.link_flair_text || null
-        }
+      const response = await fetch(url, {
+        headers: REDDIT_HEADERS
       })
-      .filter(post => post.tickers.length > 0) // Only keep posts with tickers
 
-    // Cache results
-    cache.set(cacheKey, processedPosts)
+      if (!response.ok) {
+        throw new Error(`Reddit API error: ${response.status} ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      const posts = data.data?.children || []
 
-    console.log(`Found ${processedPosts.length} posts with tickers from r/${subreddit}`)
-    return processedPosts
+      const processedPosts = posts
+        .map(item => processPost(item.data))
+        .filter(post => post.tickers.length > 0) // Only keep posts with tickers
+
+      console.log(`Found ${processedPosts.length} posts with tickers from r/${subreddit}`)
+      return processedPosts
+    })
 
   } catch (error) {
     console.error(`Error fetching from r/${subreddit}:`, error.message)
-    
+
     // Check if it's a rate limit error
     if (error.message.includes('429')) {
-      console.warn('Reddit API rate limit hit. Using cached data or returning empty.')
+      console.warn('Reddit API rate limit hit. Stale cached posts are served until it recovers.')
     }
-    
+
+    return []
+  }
+}
+
+/**
+ * Search subreddits for posts about a specific ticker
+ * Catches small caps that never reach the hot pages
+ * @param {string} symbol - Stock ticker
+ * @param {string[]} subreddits - Subreddits to search (combined into one query)
+ * @returns {Promise<Array>} - Posts whose extracted tickers include the symbol
+ */
+export async function searchTickerPosts(symbol, subreddits = ['wallstreetbets', 'stocks', 'investing']) {
+  const ticker = symbol.toUpperCase()
+
+  try {
+    return await cached('reddit', `search:${ticker}:${subreddits.join('+')}`, async () => {
+      console.log(`Searching Reddit for ${ticker}...`)
+
+      const query = encodeURIComponent(`"${ticker}" OR "$${ticker}"`)
+      const url = `https://www.reddit.com/r/${subreddits.join('+')}/search.json?q=${query}&restrict_sr=1&sort=new&t=month&limit=100`
+
+      const response = await fetch(url, {
+        headers: REDDIT_HEADERS
+      })
+
+      if (!response.ok) {
+        throw new Error(`Reddit API error: ${response.status} ${response.statusText}`)
+      }
+
+      const data = await response.json()
+      const posts = (data.data?.children || [])
+        .map(item => processPost(item.data))
+        .filter(post => post.tickers.includes(ticker)) // Search is fuzzy; keep confident matches only
+
+      console.log(`Found ${posts.length} posts mentioning ${ticker} via search`)
+      return posts
+    })
+
+  } catch (error) {
+    console.error(`Error searching Reddit for ${ticker}:`, error.message)
     return []
   }
 }
 
 /**
  * Aggregate ticker mentions across posts
- * Weights mentions by post upvotes (viral posts = higher signal)
+ * Weights mentions by post upvotes (viral posts = higher signal) and by
+ * extraction confidence (a cashtag counts more than an ambiguous bare word)
  * @param {Array} posts - Array of post objects from fetchSubredditPosts
- * @returns {Array} - Sorted array of {ticker, count, weightedScore, topPost}
+ * @returns {Array} - Sorted array of {ticker, mentions, score, confidence, sentiment, topPost}
  */
 export function aggregateMentions(posts) {
   const mentionMap = new Map()
@@ -144,6 +300,7 @@ export function aggregateMentions(posts) {
           ticker,
           count: 0,
           weightedScore: 0,
+          confidenceTotal: 0,
           posts: []
         })
       }
@@ -153,25 +310,33 @@ export function aggregateMentions(posts) {
       
       // Weight by upvotes (log scale to prevent outliers from dominating)
       const upvoteWeight = Math.log10(Math.max(post.upvotes, 1) + 1)
-      data.weightedScore += upvoteWeight
+      const confidence = post.tickerConfidence?.[ticker] ?? 1
+      data.weightedScore += upvoteWeight * confidence
+      data.confidenceTotal += confidence
       
       data.posts.push({
         title: post.title,
         url: post.url,
         upvotes: post.upvotes,
-        comments: post.comments
+        comments: post.comments,
+        sentiment: post.sentiment
       })
     })
   })
 
   // Convert to array and sort by weighted score
   const aggregated = Array.from(mentionMap.values())
-    .map(data => ({
-      ticker: data.ticker,
-      mentions: data.count,
-      score: Math.round(data.weightedScore * 100) / 100,
-      topPost: data.posts.sort((a, b) => b.upvotes - a.upvotes)[0]
-    }))
+    .map(data => {
+      const { signal, score } = aggregateSentiment(data.posts)
+      return {
+        ticker: data.ticker,
+        mentions: data.count,
+        score: Math.round(data.weightedScore * 100) / 100,
+        confidence: Math.round((data.confidenceTotal / data.count) * 100) / 100,
+        sentiment: { signal, score },
+        topPost: data.posts.sort((a, b) => b.upvotes - a.upvotes)[0]
+      }
+    })
     .sort((a, b) => b.score - a.score)
 
   return aggregated
@@ -179,30 +344,24 @@ export function aggregateMentions(posts) {
 
 /**
  * Get trending tickers from multiple subreddits
- * @param {string[]} subreddits - Array of subreddit names
- * @param {number} limit - Posts per subreddit
+ * @param {string[]} [subreddits] - Array of subreddit names (default TRENDING_SUBREDDITS)
+ * @param {number} [limit] - Posts per subreddit (default TRENDING_POST_LIMIT)
  * @returns {Promise<Array>} - Aggregated trending tickers
  */
-export async function getTrendingTickers(subreddits = ['wallstreetbets', 'stocks'], limit = 50) {
-  const cacheKey = `trending:${subreddits.join(',')}`
-  
-  const cached = cache.get(cacheKey)
-  if (cached) {
-    return cached
-  }
-
+export async function getTrendingTickers(subreddits = TRENDING_SUBREDDITS, limit = TRENDING_POST_LIMIT) {
   try {
-    // Fetch posts from all subreddits in parallel
-    const postsArrays = await Promise.all(
-      subreddits.map(sub => fetchSubredditPosts(sub, limit))
-    )
+    return await cached('reddit', `trending:${subreddits.join(',')}:${limit}`, async () => {
+      // Fetch posts from all subreddits in parallel
+      const postsArrays = await Promise.all(
+        subreddits.map(sub => fetchSubredditPosts(sub, limit))
+      )
 
-    // Flatten and aggregate
-    const allPosts = postsArrays.flat()
-    const trending = aggregateMentions(allPosts)
-
-    cache.set(cacheKey, trending)
-    return trending
+      // Flatten and aggregate
+      return aggregateMentions(postsArrays.flat())
+    }, {
+      // Failed subreddit fetches come back empty; do not pin that for the whole TTL
+      cacheIf: trending => trending.length > 0
+    })
 
   } catch (error) {
     console.error('Error getting trending tickers:', error)
@@ -0,0 +1,178 @@
+/**
+ * Redis Protocol Client
+ * Minimal client for servers that speak RESP (Redis, Valkey, KeyDB, Dragonfly),
+ * enough for the shared cache without a driver dependency. Commands are
+ * pipelined over one connection, opened on first use and reopened after an
+ * error. URLs look like redis://[[user]:password@]host[:port][/db], or rediss://
+ * for TLS.
+ */
+
+import net from 'net'
+import tls from 'tls'
+
+const DEFAULT_PORT = 6379
+
+// A connection with replies outstanding for this long is dropped
+const COMMAND_TIMEOUT_MS = 2000
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {string}
+ */
+function encodeCommand(args) {
+  let encoded = `*${args.length}\r\n`
+  for (const arg of args) {
+    const value = String(arg)
+    encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`
+  }
+  return encoded
+}
+
+/**
+ * Parse one reply from a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @param {number} [start=0] - Where the reply starts
+ * @returns {Object|null} - { value, end }, or null when the reply is incomplete.
+ *   Error replies are returned as Error values
+ */
+function parseReply(buffer, start = 0) {
+  const lineEnd = buffer.indexOf('\r\n', start)
+  if (lineEnd === -1) return null
+
+  const type = String.fromCharCode(buffer[start])
+  const line = buffer.toString('utf8', start + 1, lineEnd)
+  const next = lineEnd + 2
+
+  switch (type) {
+    case '+':
+      return { value: line, end: next }
+    case '-':
+      return { value: new Error(`Redis error: ${line}`), end: next }
+    case ':':
+      return { value: Number(line), end: next }
+    case '$': {
+      const length = Number(line)
+      if (length === -1) return { value: null, end: next }
+      if (buffer.length < next + length + 2) return null
+      return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 }
+    }
+    case '*': {
+      const count = Number(line)
+      if (count === -1) return { value: null, end: next }
+
+      const values = []
+      let end = next
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, end)
+        if (!item) return null
+        values.push(item.value)
+        end = item.end
+      }
+      return { value: values, end }
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`)
+  }
+}
+
+/**
+ * Create a client for a Redis-protocol server
+ * @param {string} url - redis:// or rediss:// URL
+ * @returns {Object} - { command(...args) => Promise, close() }
+ */
+export function createRedisClient(url) {
+  let target
+  try {
+    target = new URL(url)
+  } catch {
+    target = null
+  }
+  if (!target || !['redis:', 'rediss:'].includes(target.protocol)) {
+    throw new Error(`Invalid REDIS_URL "${url}". Expected redis://host:port or rediss://host:port`)
+  }
+
+  const database = Number(target.pathname.slice(1) || 0)
+  const username = decodeURIComponent(target.username)
+  const password = decodeURIComponent(target.password)
+
+  let socket = null
+  let ready = null
+  let buffer = Buffer.alloc(0)
+  // Callbacks for outstanding replies, oldest first
+  const waiting = []
+
+  const connect = () => {
+    const options = { host: target.hostname, port: Number(target.port) || DEFAULT_PORT }
+    const current = target.protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: target.hostname })
+      : net.createConnection(options)
+    let lastError = null
+
+    current.setNoDelay(true)
+    current.setTimeout(COMMAND_TIMEOUT_MS)
+
+    current.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      try {
+        let reply
+        while (buffer.length > 0 && (reply = parseReply(buffer))) {
+          buffer = buffer.subarray(reply.end)
+          const waiter = waiting.shift()
+          if (reply.value instanceof Error) waiter?.reject(reply.value)
+          else waiter?.resolve(reply.value)
+        }
+        // An idle connection should not keep scripts running
+        if (waiting.length === 0) current.unref()
+      } catch (error) {
+        current.destroy(error)
+      }
+    })
+    current.on('timeout', () => {
+      if (waiting.length > 0) current.destroy(new Error('Redis command timed out'))
+    })
+    current.on('error', (error) => { lastError = error })
+    current.on('close', () => {
+      if (socket === current) socket = null
+      buffer = Buffer.alloc(0)
+      const error = lastError || new Error('Redis connection closed')
+      while (waiting.length > 0) waiting.shift().reject(error)
+    })
+
+    socket = current
+    return current
+  }
+
+  const send = (args) => new Promise((resolve, reject) => {
+    if (!socket) return reject(new Error('Redis connection closed'))
+    waiting.push({ resolve, reject })
+    socket.ref()
+    socket.write(encodeCommand(args))
+  })
+
+  return {
+    /**
+     * Run a command, e.g. command('SET', key, value, 'EX', 60)
+     * @returns {Promise<*>} - The reply (strings, numbers, arrays or null)
+     */
+    command(...args) {
+      if (!socket) {
+        const current = connect()
+        const setup = []
+        if (password) setup.push(send(username ? ['AUTH', username, password] : ['AUTH', password]))
+        if (database) setup.push(send(['SELECT', database]))
+
+        ready = Promise.all(setup).catch((error) => {
+          current.destroy()
+          throw error
+        })
+      }
+      return ready.then(() => send(args))
+    },
+
+    close() {
+      socket?.end()
+      socket = null
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Job Scheduler
+ * Runs background jobs inside the server process. Each job has one interval
+ * for US market hours (9:30-16:00 New York time on weekdays) and one for the
+ * rest of the week, so market data can refresh faster while prices move. A
+ * job never overlaps itself, and its last run (start, duration, error) is kept
+ * for GET /admin/jobs.
+ */
+
+const MARKET_TIME_ZONE = 'America/New_York'
+const MARKET_OPEN_MINUTE = 9 * 60 + 30
+const MARKET_CLOSE_MINUTE = 16 * 60
+
+// A job with no interval in the current period checks back this often
+const IDLE_RECHECK_MS = 15 * 60 * 1000
+
+const jobs = new Map()
+
+/**
+ * Whether US equity markets are in regular trading hours (holidays are not skipped)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isMarketOpen(now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]))
+
+  if (parts.weekday === 'Sat' || parts.weekday === 'Sun') return false
+  const minute = Number(parts.hour) * 60 + Number(parts.minute)
+  return minute >= MARKET_OPEN_MINUTE && minute < MARKET_CLOSE_MINUTE
+}
+
+/**
+ * Read a job interval from the environment: minutes, or market-hours and
+ * off-hours minutes separated by a comma ("5,30"). 0 turns a period off.
+ * @param {string} variable - Environment variable name
+ * @param {Object} defaults - { market, offHours } in minutes
+ * @returns {Object} - { market, offHours }
+ */
+export function readJobInterval(variable, defaults) {
+  const setting = process.env[variable]
+  if (setting === undefined || setting.trim() === '') return defaults
+
+  const [market, offHours = market] = setting.split(',').map(part => Number(part.trim()))
+  if (![market, offHours].every(minutes => Number.isFinite(minutes) && minutes >= 0)) {
+    throw new Error(`Invalid ${variable} "${setting}". Expected minutes, or market-hours and off-hours minutes such as 5,30`)
+  }
+  return { market, offHours }
+}
+
+/**
+ * Run a job now, or join the run in progress
+ * @param {Object} job
+ * @returns {Promise<void>}
+ */
+function runJob(job) {
+  if (job.running) return job.running
+
+  const startedAt = new Date()
+  job.running = (async () => {
+    let result = null
+    let error = null
+    try {
+      result = await job.run() ?? null
+    } catch (caught) {
+      error = caught
+      console.error(`Job ${job.name} failed:`, caught.message)
+    }
+
+    const finishedAt = new Date()
+    job.runs++
+    if (error) job.failures++
+    else job.lastSuccessAt = finishedAt.toISOString()
+    job.lastRun = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      error: error ? error.message : null,
+      result
+    }
+    job.running = null
+  })()
+
+  return job.running
+}
+
+/**
+ * Wait out the interval for the current period, run, and repeat
+ * @param {Object} job
+ */
+/**
+ * Interval for the current period: market hours or off hours
+ * @param {Object} job
+ * @returns {number} - Minutes, 0 when the job is paused for this period
+ */
+function currentMinutes(job) {
+  return isMarketOpen() ? job.interval.market : job.interval.offHours
+}
+
+function scheduleNext(job) {
+  const minutes = currentMinutes(job)
+  const delay = minutes > 0 ? minutes * 60 * 1000 : IDLE_RECHECK_MS
+  job.nextRunAt = minutes > 0 ? new Date(Date.now() + delay).toISOString() : null
+
+  job.timer = setTimeout(async () => {
+    if (minutes > 0) await runJob(job)
+    scheduleNext(job)
+  }, delay)
+  job.timer.unref()
+}
+
+/**
+ * Register a job and start its schedule. Registering a name twice is ignored.
+ * @param {Object} options
+ * @param {string} options.name - Shown in GET /admin/jobs
+ * @param {string} options.description
+ * @param {Function} options.run - async () => optional result summary, kept with the last run
+ * @param {Object} options.interval - { market, offHours } minutes; both 0 disables the job
+ * @param {boolean} [options.runOnStart=false] - Run once right away
+ */
+export function scheduleJob({ name, description, run, interval, runOnStart = false }) {
+  if (jobs.has(name)) return
+
+  const job = {
+    name,
+    description,
+    run,
+    interval,
+    enabled: interval.market > 0 || interval.offHours > 0,
+    running: null,
+    timer: null,
+    nextRunAt: null,
+    runs: 0,
+    failures: 0,
+    lastRun: null,
+    lastSuccessAt: null
+  }
+  jobs.set(name, job)
+  if (!job.enabled) return
+
+  if (runOnStart) runJob(job)
+  scheduleNext(job)
+
+  const every = minutes => (minutes > 0 ? `every ${minutes} minutes` : 'paused')
+  const { market, offHours } = interval
+  console.log(market === offHours
+    ? `Job ${name} ${every(market)}`
+    : `Job ${name} ${every(market)} in market hours, ${every(offHours)} otherwise`)
+}
+
+/**
+ * Interval a job runs at right now, market hours or off hours
+ * @param {string} name
+ * @returns {number|null} - Minutes, or null for unknown, disabled or currently paused jobs
+ */
+export function getJobMinutes(name) {
+  const job = jobs.get(name)
+  if (!job?.enabled) return null
+  return currentMinutes(job) || null
+}
+
+/**
+ * Status of every registered job
+ * @returns {Object[]} - { name, description, enabled, interval, running, nextRunAt, runs, failures, lastRun, lastSuccessAt }
+ */
+export function getJobStatuses() {
+  return [...jobs.values()].map(job => ({
+    name: job.name,
+    description: job.description,
+    enabled: job.enabled,
+    interval: { marketHoursMinutes: job.interval.market, offHoursMinutes: job.interval.offHours },
+    running: Boolean(job.running),
+    nextRunAt: job.nextRunAt,
+    runs: job.runs,
+    failures: job.failures,
+    lastRun: job.lastRun,
+    lastSuccessAt: job.lastSuccessAt
+  }))
+}
@@ -0,0 +1,142 @@
+/**
+ * Sentiment Scoring Service
+ * Scores post text as bullish/bearish/neutral with the finance/biotech
+ * lexicon in config/lexicon.js and aggregates scores per ticker
+ */
+
+import { SENTIMENT_LEXICON, NEGATIONS } from '../config/lexicon.js'
+
+// Longest phrase in the lexicon, in words
+const MAX_PHRASE_WORDS = Math.max(...Object.keys(SENTIMENT_LEXICON).map(phrase => phrase.split(' ').length))
+
+// Normalized scores beyond this are labeled bullish/bearish
+const LABEL_THRESHOLD = 0.15
+
+// A negation this many words before a phrase flips it
+const NEGATION_WINDOW = 3
+
+// Negated phrases count for less than their plain form ("not a crash" is mild)
+const NEGATION_FACTOR = 0.5
+
+/**
+ * Map a normalized score to a label
+ * @param {number} score - Score in [-1, 1]
+ * @returns {string} - 'bullish' | 'bearish' | 'neutral'
+ */
+function labelFor(score) {
+  if (score > LABEL_THRESHOLD) return 'bullish'
+  if (score < -LABEL_THRESHOLD) return 'bearish'
+  return 'neutral'
+}
+
+/**
+ * Score a piece of text
+ * @param {string} text - Post title and/or body
+ * @returns {Object} - { score, label, phrases: [{ phrase, impact }] }
+ */
+export function scoreText(text) {
+  if (!text) return { score: 0, label: 'neutral', phrases: [] }
+
+  const words = text.toLowerCase().match(/[a-z0-9$']+/g) || []
+  const phrases = []
+
+  for (let i = 0; i < words.length; i++) {
+    // Prefer the longest phrase starting at this word
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length - i); length > 0; length--) {
+      const phrase = words.slice(i, i + length).join(' ')
+      const weight = SENTIMENT_LEXICON[phrase]
+      if (weight === undefined) continue
+
+      const preceding = words.slice(Math.max(0, i - NEGATION_WINDOW), i)
+      const negated = preceding.some(word => NEGATIONS.has(word))
+
+      phrases.push({
+        phrase: negated ? `not ${phrase}` : phrase,
+        impact: negated ? -weight * NEGATION_FACTOR : weight
+      })
+      i += length - 1
+      break
+    }
+  }
+
+  // Squash the raw sum into [-1, 1] so long rants do not dominate
+  const raw = phrases.reduce((sum, p) => sum + p.impact, 0)
+  const score = Math.round(Math.tanh(raw / 4) * 100) / 100
+
+  return { score, label: labelFor(score), phrases }
+}
+
+/**
+ * Aggregate per-post sentiment into one signal for a ticker
+ * Posts are weighted by engagement (log scale) so a viral thread counts more
+ * than a zero-upvote post without letting it drown out everything else
+ * @param {Array} posts - Posts with title, optional body, upvotes and comments
+ * @param {number} [topPhraseCount=5] - How many contributing phrases to return
+ * @returns {Object} - { signal, score, mentions, engagement, breakdown, topPhrases, posts }
+ */
+export function aggregateSentiment(posts, topPhraseCount = 5) {
+  if (!posts || posts.length === 0) {
+    return {
+      signal: 'neutral',
+      score: 0,
+      mentions: 0,
+      engagement: 0,
+      breakdown: { bullish: 0, bearish: 0, neutral: 0 },
+      topPhrases: [],
+      posts: []
+    }
+  }
+
+  const breakdown = { bullish: 0, bearish: 0, neutral: 0 }
+  const phraseTotals = new Map()
+  let weightedSum = 0
+  let weightTotal = 0
+  let engagement = 0
+
+  const scoredPosts = posts.map(post => {
+    const sentiment = post.sentiment || scoreText(`${post.title || ''} ${post.body || ''}`)
+    const postEngagement = (post.upvotes || 0) + (post.comments || 0)
+    const weight = Math.log10(postEngagement + 10)
+
+    engagement += postEngagement
+    weightedSum += sentiment.score * weight
+    weightTotal += weight
+    breakdown[sentiment.label] += 1
+
+    sentiment.phrases.forEach(({ phrase, impact }) => {
+      const total = phraseTotals.get(phrase) || { phrase, impact: 0, count: 0 }
+      total.impact += impact * weight
+      total.count += 1
+      phraseTotals.set(phrase, total)
+    })
+
+    return {
+      title: post.title,
+      url: post.url,
+      score: sentiment.score,
+      label: sentiment.label
+    }
+  })
+
+  const score = Math.round((weightedSum / weightTotal) * 100) / 100
+
+  const topPhrases = Array.from(phraseTotals.values())
+    .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+    .slice(0, topPhraseCount)
+    .map(p => ({
+      phrase: p.phrase,
+      impact: Math.round(p.impact * 100) / 100,
+      count: p.count,
+      direction: p.impact > 0 ? 'bullish' : 'bearish'
+    }))
+
+  return {
+    signal: labelFor(score),
+    score,
+    mentions: posts.length,
+    engagement,
+    breakdown,
+    topPhrases,
+    posts: scoredPosts
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * JSON File Store
+ * Minimal persistence for data that must survive restarts (snapshots,
+ * user-created records). Each store is one JSON file under DATA_DIR,
+ * kept in memory after the first read and written atomically.
+ *
+ * A file that is not valid JSON is moved aside to <name>.corrupt-<time>.json
+ * before the store starts empty, so the next write never destroys what was
+ * there; any other read error is thrown rather than treated as an empty store.
+ *
+ * On serverless hosts point DATA_DIR at a writable volume (e.g. /tmp);
+ * the default is backend/data, which is git-ignored.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const DEFAULT_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data')
+
+/**
+ * Resolve the directory that holds store files
+ * @returns {string} - Absolute data directory
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR || DEFAULT_DATA_DIR
+}
+
+/**
+ * Create a store backed by `<DATA_DIR>/<name>.json`
+ * @param {string} name - File name without extension
+ * @param {Function} createDefault - Returns the initial value when the file does not exist
+ * @returns {Object} - { read, update }
+ */
+export function createJsonStore(name, createDefault) {
+  let data = null
+  let loading = null
+  // Chain writes so concurrent updates never interleave on disk
+  let pending = Promise.resolve()
+
+  const filePath = () => path.join(getDataDir(), `${name}.json`)
+
+  const readFile = async () => {
+    const source = filePath()
+    let text
+    try {
+      text = await fs.promises.readFile(source, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Could not read store ${name}: ${error.message}`)
+      data = createDefault()
+      return data
+    }
+
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      const aside = path.join(path.dirname(source), `${name}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}.json`)
+      await fs.promises.rename(source, aside)
+      console.error(`Store ${name} is not valid JSON (${error.message}); moved it to ${aside} and starting empty`)
+      data = createDefault()
+    }
+    return data
+  }
+
+  // Concurrent first reads share one load so they all see the same object;
+  // a failed load is retried by the next caller
+  const load = () => {
+    if (data) return Promise.resolve(data)
+    if (!loading) {
+      loading = readFile().catch(error => {
+        loading = null
+        throw error
+      })
+    }
+    return loading
+  }
+
+  const persist = async () => {
+    const target = filePath()
+    const temp = `${target}.${process.pid}.tmp`
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    await fs.promises.writeFile(temp, JSON.stringify(data, null, 2))
+    await fs.promises.rename(temp, target)
+  }
+
+  return {
+    /**
+     * Read the current value
+     * @returns {Promise<*>} - Stored data (do not mutate; use update)
+     */
+    read: load,
+
+    /**
+     * Apply a change and persist it
+     * @param {Function} mutate - Receives the data and mutates it in place
+     * @returns {Promise<*>} - Whatever mutate returned
+     */
+    update(mutate) {
+      const run = pending.then(async () => {
+        const current = await load()
+        const result = await mutate(current)
+        await persist()
+        return result
+      })
+      pending = run.catch(() => {})
+      return run
+    }
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Live Update Stream
+ * Server-sent events for the dashboard. While at least one client is
+ * connected, the ingested trending, discussion and news feeds (see
+ * ingestion.js) are checked on an interval and only what changed is pushed.
+ *
+ * Event ids increase monotonically (seeded from the boot time so they keep
+ * increasing across restarts). A reconnecting client sends Last-Event-ID and
+ * receives the events it missed; if those have fallen out of the replay
+ * buffer it receives `resync` and should refetch from the REST endpoints.
+ */
+
+import { FEED_SUBREDDITS, getTrendingFeed, getMarketNewsFeed, getSubredditFeed } from './ingestion.js'
+
+const DISCUSSION_LIMIT = 20
+
+// Events kept for Last-Event-ID replay
+const REPLAY_BUFFER_SIZE = 200
+
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_MS = 25000
+
+// Suggested reconnect delay sent to EventSource clients
+const RETRY_MS = 5000
+
+// Trending fields whose change counts as an update
+const TRENDING_FIELDS = ['price', 'change', 'changePercent', 'mentions', 'socialScore']
+
+const clients = new Set()
+const events = []
+let nextEventId = Date.now()
+
+// Last published state, used to compute deltas
+const previous = {
+  trending: null,
+  discussions: {},
+  news: null
+}
+
+let refreshTimer = null
+let heartbeatTimer = null
+let refreshing = false
+
+/**
+ * Write one event to a client
+ * @param {Object} res - Express response
+ * @param {Object} event - { id, type, data }
+ */
+function send(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/**
+ * Record an event and push it to every connected client
+ * @param {string} type - Event name
+ * @param {Object} data - Payload
+ */
+function publish(type, data) {
+  const event = { id: nextEventId++, type, data }
+  events.push(event)
+  if (events.length > REPLAY_BUFFER_SIZE) events.shift()
+
+  clients.forEach(res => send(res, event))
+}
+
+/**
+ * Diff trending stocks against the last refresh
+ * @param {Array} stocks - Current trending stocks
+ * @returns {Object|null} - { added, updated, removed, order } or null when nothing changed
+ */
+function diffTrending(stocks) {
+  const before = new Map((previous.trending || []).map(stock => [stock.symbol, stock]))
+  const after = new Set(stocks.map(stock => stock.symbol))
+
+  const added = stocks.filter(stock => !before.has(stock.symbol))
+  const updated = stocks.filter(stock => {
+    const old = before.get(stock.symbol)
+    return old && TRENDING_FIELDS.some(field => old[field] !== stock[field])
+  })
+  const removed = [...before.keys()].filter(symbol => !after.has(symbol))
+
+  const order = stocks.map(stock => stock.symbol)
+  const reordered = previous.trending && order.join(',') !== previous.trending.map(s => s.symbol).join(',')
+
+  if (added.length === 0 && updated.length === 0 && removed.length === 0 && !reordered) return null
+  return { added, updated, removed, order }
+}
+
+/**
+ * Items in `current` whose key was not in `before`
+ * @param {Array} before - Previous items
+ * @param {Array} current - Current items
+ * @param {Function} keyOf - Item key
+ * @returns {Array}
+ */
+function newItems(before, current, keyOf) {
+  const seen = new Set(before.map(keyOf))
+  return current.filter(item => !seen.has(keyOf(item)))
+}
+
+/**
+ * Read every feed and publish deltas
+ * The first refresh of each source only records a baseline, since clients
+ * load the full lists over REST when they mount
+ */
+async function refresh() {
+  if (refreshing) return
+  refreshing = true
+
+  try {
+    const updatedAt = new Date().toISOString()
+
+    const [trending, news, ...discussionLists] = (await Promise.all([
+      getTrendingFeed().catch(() => null),
+      getMarketNewsFeed().catch(() => null),
+      ...FEED_SUBREDDITS.map(subreddit => getSubredditFeed(subreddit, DISCUSSION_LIMIT).catch(() => null))
+    ])).map(feed => feed?.data)
+
+    if (trending && trending.length > 0) {
+      const delta = previous.trending ? diffTrending(trending) : null
+      previous.trending = trending
+      if (delta) publish('trending', { ...delta, updatedAt })
+    }
+
+    FEED_SUBREDDITS.forEach((subreddit, index) => {
+      const posts = discussionLists[index]
+      if (!posts || posts.length === 0) return
+
+      const before = previous.discussions[subreddit]
+      previous.discussions[subreddit] = posts
+      if (!before) return
+
+      const added = newItems(before, posts, post => post.id)
+      if (added.length > 0) publish('discussions', { subreddit, added, updatedAt })
+    })
+
+    if (news && news.length > 0) {
+      const before = previous.news
+      previous.news = news
+      if (before) {
+        const added = newItems(before, news, article => article.link)
+        if (added.length > 0) publish('news', { added, updatedAt })
+      }
+    }
+
+    // Lets clients show "last updated" even when nothing changed
+    publish('heartbeat', { updatedAt })
+  } catch (error) {
+    console.error('Error refreshing stream sources:', error.message)
+  } finally {
+    refreshing = false
+  }
+}
+
+/**
+ * Start the refresh loop (STREAM_REFRESH_SECONDS, default 60)
+ * Feeds are only checked while a client is connected
+ */
+function startTimers() {
+  if (refreshTimer) return
+  const seconds = Number(process.env.STREAM_REFRESH_SECONDS) || 60
+
+  refreshTimer = setInterval(() => {
+    if (clients.size > 0) refresh()
+  }, seconds * 1000)
+  refreshTimer.unref()
+
+  heartbeatTimer = setInterval(() => {
+    clients.forEach(res => res.write(': keep-alive\n\n'))
+  }, HEARTBEAT_MS)
+  heartbeatTimer.unref()
+}
+
+/**
+ * Attach a client to the stream
+ * @param {Object} req - Express request (Last-Event-ID header or ?lastEventId= resumes)
+ * @param {Object} res - Express response
+ */
+export function subscribe(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering on nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RETRY_MS}\n\n`)
+
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId)
+  if (lastEventId) {
+    const oldest = events[0]?.id
+    if (oldest !== undefined && lastEventId >= oldest - 1) {
+      events.filter(event => event.id > lastEventId).forEach(event => send(res, event))
+    } else {
+      // Missed events are gone (or the server restarted); the client must refetch
+      send(res, { id: nextEventId++, type: 'resync', data: { updatedAt: new Date().toISOString() } })
+    }
+  }
+
+  const firstClient = clients.size === 0
+  clients.add(res)
+  startTimers()
+
+  // Record a baseline right away so the first interval can already publish deltas
+  if (firstClient && !previous.trending) refresh()
+
+  req.on('close', () => {
+    clients.delete(res)
+  })
+}
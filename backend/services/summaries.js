@@ -0,0 +1,238 @@
+/**
+ * News Summary Service
+ * Each article is summarized by the model once, with a one-line note on why
+ * it matters for biotech investors, and the result is stored by article link
+ * so reloads and other users never pay for it again. Lookups go through the
+ * shared cache, which also makes concurrent requests for one article share a
+ * single model call.
+ *
+ * Summaries are written off the request path: the market-news ingestion job
+ * summarizes its feed, and per-symbol news is queued in the background.
+ * Routes only attach summaries already stored, so they never wait on the model.
+ *
+ * New summaries are limited by a daily budget (NEWS_SUMMARY_DAILY_BUDGET,
+ * resets at midnight UTC) shared by everyone; it is separate from the per-caller
+ * AI quota. Until an article is summarized, once the budget is spent, or while
+ * the model is failing, articles fall back to the publisher's own summary.
+ */
+
+import { createJsonStore } from './store.js'
+import { generateText } from './llm.js'
+import { cached } from './cache.js'
+
+const DEFAULT_DAILY_BUDGET = 50
+
+// Oldest cached summaries are dropped beyond this
+const MAX_CACHED_SUMMARIES = 2000
+
+// Pause after a model error so an outage does not burn the budget
+const FAILURE_BACKOFF_MS = 5 * 60 * 1000
+
+// Concurrent model calls per batch
+const SUMMARY_CONCURRENCY = 3
+
+const store = createJsonStore('news-summaries', () => ({
+  summaries: {},
+  usage: { date: null, count: 0 }
+}))
+
+let pausedUntil = 0
+
+/**
+ * Today's budget key
+ * @returns {string} - YYYY-MM-DD (UTC)
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+/**
+ * Daily summary budget
+ * @returns {number}
+ */
+function dailyBudget() {
+  // 0 is allowed and turns new summaries off
+  const value = process.env.NEWS_SUMMARY_DAILY_BUDGET
+  return value && Number(value) >= 0 ? Number(value) : DEFAULT_DAILY_BUDGET
+}
+
+/**
+ * Current budget usage
+ * @returns {Promise<Object>} - { limit, used, remaining, resetsAt }
+ */
+export async function getSummaryBudget() {
+  const { usage } = await store.read()
+  const used = usage.date === today() ? usage.count : 0
+  const limit = dailyBudget()
+
+  const resetsAt = new Date()
+  resetsAt.setUTCHours(24, 0, 0, 0)
+
+  return { limit, used, remaining: Math.max(0, limit - used), resetsAt: resetsAt.toISOString() }
+}
+
+/**
+ * Take one unit from today's budget
+ * @returns {Promise<boolean>} - Whether the budget allowed it
+ */
+function reserveBudget() {
+  return store.update(data => {
+    if (data.usage.date !== today()) data.usage = { date: today(), count: 0 }
+    if (data.usage.count >= dailyBudget()) return false
+
+    data.usage.count++
+    return true
+  })
+}
+
+/**
+ * Build the summarization prompt
+ * @param {Object} article - { title, summary, publisher or source }
+ * @returns {string}
+ */
+function buildSummaryPrompt(article) {
+  return [
+    'Summarize this news article for a biotech market intelligence dashboard.',
+    'Reply with JSON only: {"summary": "...", "whyItMatters": "..."}.',
+    '"summary" is at most two sentences using only facts stated below.',
+    '"whyItMatters" is one sentence on why it matters for biotech investors; if it does not, say so briefly.',
+    '',
+    `Title: ${article.title}`,
+    `Publisher: ${article.publisher || article.source || 'unknown'}`,
+    `Publisher summary: ${article.summary || 'none'}`
+  ].join('\n')
+}
+
+/**
+ * Parse the model reply, tolerating Markdown code fences
+ * @param {string} text - Model output
+ * @returns {Object} - { summary, whyItMatters }
+ */
+function parseSummaryReply(text) {
+  const json = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '')
+  const parsed = JSON.parse(json)
+
+  if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new Error('Summary missing from model reply')
+  }
+  return {
+    summary: parsed.summary.trim(),
+    whyItMatters: typeof parsed.whyItMatters === 'string' ? parsed.whyItMatters.trim() : null
+  }
+}
+
+/**
+ * Summarize one article with the model and cache the result
+ * @param {Object} article
+ * @returns {Promise<Object|null>} - Cached entry, or null when skipped or failed
+ */
+async function createSummary(article) {
+  if (Date.now() < pausedUntil) return null
+  if (!(await reserveBudget())) return null
+
+  try {
+    const { text, provider, model } = await generateText(buildSummaryPrompt(article), { json: true })
+    const entry = {
+      ...parseSummaryReply(text),
+      provider,
+      model,
+      createdAt: new Date().toISOString()
+    }
+
+    await store.update(data => {
+      data.summaries[article.link] = entry
+
+      const links = Object.keys(data.summaries)
+      if (links.length > MAX_CACHED_SUMMARIES) {
+        links
+          .sort((a, b) => data.summaries[a].createdAt.localeCompare(data.summaries[b].createdAt))
+          .slice(0, links.length - MAX_CACHED_SUMMARIES)
+          .forEach(link => delete data.summaries[link])
+      }
+    })
+    return entry
+  } catch (error) {
+    console.error(`Could not summarize "${article.title}":`, error.message)
+    pausedUntil = Date.now() + FAILURE_BACKOFF_MS
+    return null
+  }
+}
+
+/**
+ * Get the cached summary for an article, creating it when the budget allows
+ * @param {Object} article
+ * @returns {Promise<Object|null>}
+ */
+async function getSummary(article) {
+  // Skipped or failed summaries (null) are not cached, so they are retried on a later request
+  return cached('ai', `summary:${article.link}`, async () => {
+    const { summaries } = await store.read()
+    return summaries[article.link] || createSummary(article)
+  }, { cacheIf: entry => entry !== null })
+}
+
+/**
+ * An article with its summary fields
+ * Adds aiSummary, whyItMatters, summarySource ('ai' or 'publisher') and, for AI
+ * summaries, summarizedBy ({ provider, model })
+ * @param {Object} article
+ * @param {Object|null} entry - Stored summary
+ * @returns {Object} - New article object
+ */
+function withSummary(article, entry) {
+  return entry
+    ? {
+        ...article,
+        aiSummary: entry.summary,
+        whyItMatters: entry.whyItMatters,
+        summarySource: 'ai',
+        summarizedBy: { provider: entry.provider, model: entry.model }
+      }
+    : {
+        ...article,
+        aiSummary: article.summary || 'No summary available',
+        whyItMatters: null,
+        summarySource: 'publisher'
+      }
+}
+
+/**
+ * Attach the summaries already stored, without calling the model
+ * @param {Array} articles - Articles with title, link, publisher and summary
+ * @returns {Promise<Array>} - New article objects, in the same order
+ */
+export async function attachSummaries(articles) {
+  const { summaries } = await store.read()
+  return articles.map(article => withSummary(article, (article.link && summaries[article.link]) || null))
+}
+
+/**
+ * Summarize articles that have no stored summary yet, within the daily budget
+ * @param {Array} articles - Articles with title, link, publisher and summary
+ * @returns {Promise<Object>} - { summarized } articles that now have an AI summary
+ */
+export async function summarizeArticles(articles) {
+  let next = 0
+  let summarized = 0
+
+  // A few workers share the list so a long feed does not fire every call at once
+  const worker = async () => {
+    while (next < articles.length) {
+      const article = articles[next++]
+      if (article.link && await getSummary(article)) summarized++
+    }
+  }
+
+  await Promise.all(Array.from({ length: SUMMARY_CONCURRENCY }, worker))
+  return { summarized }
+}
+
+/**
+ * Summarize articles in the background so a later load has them
+ * @param {Array} articles
+ */
+export function summarizeLater(articles) {
+  summarizeArticles(articles).catch(error => {
+    console.error('Background news summaries failed:', error.message)
+  })
+}
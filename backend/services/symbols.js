@@ -0,0 +1,129 @@
+/**
+ * Symbol Master Service
+ * Loads exchange listing files so ticker extraction can tell real symbols
+ * from uppercase words. Understands the NASDAQ Trader pipe-delimited formats:
+ *   nasdaqlisted.txt - Symbol|Security Name|Market Category|Test Issue|...
+ *   otherlisted.txt  - ACT Symbol|Security Name|Exchange|CQS Symbol|ETF|...
+ *
+ * Point SYMBOL_MASTER_PATH at one or more files (comma-separated) to use a
+ * full daily listing; the bundled fixtures cover the names the dashboard tracks.
+ * The bundled subset is treated as partial: a symbol missing from it may still
+ * be a real listing, so extraction keeps such cashtags and lets bare words
+ * through the exclusion lists when market context backs them up.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures')
+
+const DEFAULT_LISTING_PATHS = [
+  path.join(FIXTURES_DIR, 'nasdaqlisted.txt'),
+  path.join(FIXTURES_DIR, 'otherlisted.txt')
+]
+
+// Words too generic to identify a company when they lead its security name
+const GENERIC_NAME_WORDS = new Set([
+  'the', 'first', 'american', 'united', 'general', 'national', 'international',
+  'global', 'new', 'pacific', 'main', 'bank', 'mind'
+])
+
+// symbol -> { symbol, name, companyWord, etf }
+let symbolMaster = null
+
+// Whether the loaded listings cover the whole market (not the bundled subset)
+let symbolMasterComplete = false
+
+/**
+ * Parse one listing file into symbol entries
+ * @param {string} content - File contents
+ * @returns {Array} - [{ symbol, name, etf }]
+ */
+export function parseListing(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim())
+  if (lines.length === 0) return []
+
+  const header = lines[0].split('|').map(column => column.trim())
+  const symbolColumn = header.findIndex(column => column === 'Symbol' || column === 'ACT Symbol')
+  const nameColumn = header.indexOf('Security Name')
+  const testColumn = header.indexOf('Test Issue')
+  const etfColumn = header.indexOf('ETF')
+
+  if (symbolColumn === -1 || nameColumn === -1) {
+    throw new Error('Unrecognized listing format: expected "Symbol" and "Security Name" columns')
+  }
+
+  return lines.slice(1)
+    .filter(line => !line.startsWith('File Creation Time'))
+    .map(line => line.split('|'))
+    .filter(fields => testColumn === -1 || fields[testColumn] !== 'Y')
+    .map(fields => ({
+      symbol: fields[symbolColumn].trim().toUpperCase(),
+      name: fields[nameColumn].trim(),
+      etf: etfColumn !== -1 && fields[etfColumn] === 'Y'
+    }))
+    .filter(entry => /^[A-Z]{1,5}$/.test(entry.symbol)) // Skip preferreds/warrants (e.g. ABC$A, ABC.W)
+}
+
+/**
+ * Load (or reload) the symbol master from listing files
+ * A missing file is logged and skipped so extraction can degrade gracefully
+ * @param {string[]} [paths] - Listing files; defaults to SYMBOL_MASTER_PATH or the fixtures
+ * @returns {number} - Number of symbols loaded
+ */
+export function loadSymbolMaster(paths) {
+  const listingPaths = paths
+    || (process.env.SYMBOL_MASTER_PATH ? process.env.SYMBOL_MASTER_PATH.split(',') : DEFAULT_LISTING_PATHS)
+
+  symbolMaster = new Map()
+  symbolMasterComplete = listingPaths !== DEFAULT_LISTING_PATHS
+
+  listingPaths.forEach(listingPath => {
+    try {
+      const entries = parseListing(fs.readFileSync(listingPath.trim(), 'utf8'))
+      entries.forEach(entry => {
+        const firstWord = entry.name.split(/[\s,.-]+/)[0].toLowerCase()
+        symbolMaster.set(entry.symbol, {
+          ...entry,
+          companyWord: firstWord.length >= 4 && !GENERIC_NAME_WORDS.has(firstWord) ? firstWord : null
+        })
+      })
+    } catch (error) {
+      console.warn(`Could not load symbol listing ${listingPath}:`, error.message)
+    }
+  })
+
+  console.log(`Symbol master loaded with ${symbolMaster.size} symbols${symbolMasterComplete
+    ? ''
+    : ' (bundled subset; set SYMBOL_MASTER_PATH to a full listing to filter unlisted symbols)'}`)
+  return symbolMaster.size
+}
+
+/**
+ * Look up a symbol in the master, loading it on first use
+ * @param {string} symbol - Ticker symbol
+ * @returns {Object|null} - { symbol, name, companyWord, etf } or null
+ */
+export function getSymbol(symbol) {
+  if (!symbolMaster) loadSymbolMaster()
+  return symbolMaster.get(symbol.toUpperCase()) || null
+}
+
+/**
+ * Whether a usable symbol master is loaded
+ * @returns {boolean}
+ */
+export function hasSymbolMaster() {
+  if (!symbolMaster) loadSymbolMaster()
+  return symbolMaster.size > 0
+}
+
+/**
+ * Whether the symbol master is a full listing, so a symbol missing from it is not listed
+ * @returns {boolean}
+ */
+export function isSymbolMasterComplete() {
+  if (!symbolMaster) loadSymbolMaster()
+  return symbolMasterComplete
+}
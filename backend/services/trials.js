@@ -0,0 +1,239 @@
+/**
+ * Clinical Trials Service
+ * Builds a company's development pipeline from ClinicalTrials.gov: the ticker
+ * is mapped to its lead sponsor name (config/sponsors.js, falling back to the
+ * company's short name) and the sponsor's studies are grouped by phase.
+ *
+ * A provider is an object with:
+ *   name                            - identifier reported alongside pipelines
+ *   fetchStudies(sponsor, statuses) - resolves to studies in the ClinicalTrials.gov
+ *                                     v2 API format ({ protocolSection: ... })
+ *
+ * Select one with TRIALS_PROVIDER=clinicaltrials|fixture (defaults to clinicaltrials)
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { TRIAL_SPONSORS } from '../config/sponsors.js'
+import { BIOTECH_UNIVERSE } from '../config/universe.js'
+import { fetchQuote } from './quotes.js'
+import { cached } from './cache.js'
+
+const API_URL = 'https://clinicaltrials.gov/api/v2/studies'
+
+// 100 studies per page, at most 3 pages per sponsor
+const PAGE_SIZE = 100
+const MAX_PAGES = 3
+
+// Statuses of programs still in development
+export const ACTIVE_STATUSES = ['NOT_YET_RECRUITING', 'RECRUITING', 'ENROLLING_BY_INVITATION', 'ACTIVE_NOT_RECRUITING']
+
+export const PIPELINE_STATUS_FILTERS = ['active', 'all']
+
+// Display order for phase groups, latest stage first
+const PHASE_ORDER = [
+  'Phase 4',
+  'Phase 3',
+  'Phase 2/3',
+  'Phase 2',
+  'Phase 1/2',
+  'Phase 1',
+  'Early Phase 1',
+  'Not applicable'
+]
+
+const PHASE_LABELS = {
+  EARLY_PHASE1: 'Early Phase 1',
+  PHASE1: 'Phase 1',
+  PHASE2: 'Phase 2',
+  PHASE3: 'Phase 3',
+  PHASE4: 'Phase 4'
+}
+
+const DEFAULT_FIXTURE_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'clinical-trials.json'
+)
+
+/**
+ * ClinicalTrials.gov v2 API provider
+ */
+const clinicalTrialsProvider = {
+  name: 'clinicaltrials.gov',
+
+  async fetchStudies(sponsor, statuses) {
+    const studies = []
+    let pageToken = null
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const params = new URLSearchParams({
+        'query.lead': sponsor,
+        pageSize: String(PAGE_SIZE),
+        sort: 'LastUpdatePostDate:desc'
+      })
+      if (statuses) params.set('filter.overallStatus', statuses.join(','))
+      if (pageToken) params.set('pageToken', pageToken)
+
+      const response = await fetch(`${API_URL}?${params}`, { headers: { Accept: 'application/json' } })
+      if (!response.ok) {
+        throw new Error(`ClinicalTrials.gov API error: ${response.status}`)
+      }
+
+      const data = await response.json()
+      studies.push(...(data.studies || []))
+
+      pageToken = data.nextPageToken
+      if (!pageToken) break
+    }
+
+    return studies
+  }
+}
+
+/**
+ * File-backed provider for local and offline runs
+ * Reads a v2 API response ({ studies: [...] }, see fixtures/clinical-trials.json)
+ * and filters it the way the API would
+ */
+const fixtureProvider = {
+  name: 'fixture',
+  studies: null,
+
+  async fetchStudies(sponsor, statuses) {
+    if (!this.studies) {
+      const fixturePath = process.env.TRIALS_FIXTURE_PATH || DEFAULT_FIXTURE_PATH
+      this.studies = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8')).studies || []
+    }
+
+    const needle = sponsor.toLowerCase()
+    return this.studies.filter(study => {
+      const { sponsorCollaboratorsModule, statusModule } = study.protocolSection
+      const lead = sponsorCollaboratorsModule?.leadSponsor?.name?.toLowerCase() || ''
+      return lead.includes(needle) && (!statuses || statuses.includes(statusModule?.overallStatus))
+    })
+  }
+}
+
+const PROVIDERS = {
+  clinicaltrials: clinicalTrialsProvider,
+  fixture: fixtureProvider
+}
+
+/**
+ * Resolve the configured trials provider
+ * @returns {Object} - Trials provider
+ */
+export function getTrialsProvider() {
+  const name = (process.env.TRIALS_PROVIDER || 'clinicaltrials').toLowerCase()
+  const provider = PROVIDERS[name]
+
+  if (!provider) {
+    throw new Error(`Unknown TRIALS_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+
+  return provider
+}
+
+/**
+ * Strip legal suffixes from a company name ("Moderna, Inc." -> "Moderna")
+ * @param {string} name - Company name
+ * @returns {string}
+ */
+function stripCorporateSuffix(name) {
+  return name.replace(/,?\s+(Inc\.?|Incorporated|Corporation|Corp\.?|Co\.?|Ltd\.?|PLC|plc|AG|SE|N\.V\.|S\.A\.|A\/S|LLC)$/i, '').trim()
+}
+
+/**
+ * Map a ticker to the sponsor name it registers trials under
+ * @param {string} symbol - Stock ticker
+ * @returns {Promise<string|null>} - Sponsor name, or null when the company is unknown
+ */
+export async function resolveSponsor(symbol) {
+  if (TRIAL_SPONSORS[symbol]) return TRIAL_SPONSORS[symbol]
+
+  const company = BIOTECH_UNIVERSE.find(entry => entry.symbol === symbol)
+  if (company) return company.shortname
+
+  const quote = await fetchQuote(symbol)
+  const name = quote?.longName || (quote?.shortName !== symbol ? quote?.shortName : null)
+  return name ? stripCorporateSuffix(name) : null
+}
+
+/**
+ * Label for a study's phase list (["PHASE1", "PHASE2"] -> "Phase 1/2")
+ * @param {string[]} phases - v2 API phase codes
+ * @returns {string}
+ */
+function phaseLabel(phases) {
+  const known = (phases || []).filter(phase => PHASE_LABELS[phase])
+  if (known.length === 0) return 'Not applicable'
+  if (known.length === 1) return PHASE_LABELS[known[0]]
+
+  // The registry only combines adjacent phases (1/2, 2/3)
+  const numbers = known.map(phase => PHASE_LABELS[phase].replace(/^(Early )?Phase /, ''))
+  return `Phase ${numbers.join('/')}`
+}
+
+/**
+ * Flatten a v2 API study into a pipeline row
+ * @param {Object} study - { protocolSection }
+ * @returns {Object}
+ */
+function normalizeStudy({ protocolSection }) {
+  const { identificationModule, statusModule, conditionsModule, designModule, armsInterventionsModule } = protocolSection
+  const nctId = identificationModule.nctId
+
+  return {
+    nctId,
+    title: identificationModule.briefTitle || identificationModule.officialTitle,
+    phase: phaseLabel(designModule?.phases),
+    conditions: conditionsModule?.conditions || [],
+    interventions: [...new Set((armsInterventionsModule?.interventions || [])
+      .filter(intervention => !/placebo/i.test(intervention.name))
+      .map(intervention => intervention.name))],
+    status: statusModule?.overallStatus || null,
+    primaryCompletionDate: statusModule?.primaryCompletionDateStruct?.date || null,
+    primaryCompletionEstimated: statusModule?.primaryCompletionDateStruct?.type === 'ESTIMATED',
+    url: `https://clinicaltrials.gov/study/${nctId}`
+  }
+}
+
+/**
+ * Get a company's clinical pipeline grouped by phase
+ * Registrations change slowly; pipelines use the trials cache TTL (6 hours by default)
+ * @param {string} symbol - Stock ticker
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'active' (default) or 'all'
+ * @returns {Promise<Object>} - { symbol, sponsor, status, total, phases: [{ phase, trials }], source }
+ */
+export async function getPipeline(symbol, { status = 'active' } = {}) {
+  const provider = getTrialsProvider()
+
+  return cached('trials', `pipeline:${provider.name}:${symbol}:${status}`, async () => {
+    const sponsor = await resolveSponsor(symbol)
+    const studies = sponsor
+      ? await provider.fetchStudies(sponsor, status === 'active' ? ACTIVE_STATUSES : null)
+      : []
+
+    const trials = studies
+      .map(normalizeStudy)
+      .sort((a, b) => (a.primaryCompletionDate || '9999').localeCompare(b.primaryCompletionDate || '9999'))
+
+    const phases = PHASE_ORDER
+      .map(phase => ({ phase, trials: trials.filter(trial => trial.phase === phase) }))
+      .filter(group => group.trials.length > 0)
+
+    return {
+      symbol,
+      sponsor,
+      status,
+      total: trials.length,
+      phases,
+      source: provider.name,
+      updatedAt: new Date().toISOString()
+    }
+  })
+}
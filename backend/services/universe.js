@@ -0,0 +1,90 @@
+/**
+ * Biotech Universe Service
+ * Classifies the curated universe with categorizeSectors() and answers
+ * "which symbols belong to sector X" for the market endpoints
+ */
+
+import { BIOTECH_UNIVERSE } from '../config/universe.js'
+import { SECTOR_TAXONOMY, categorizeSectors } from '../config/sectors.js'
+
+// Classification only depends on static config, so compute it once
+let classifiedUniverse = null
+
+/**
+ * Turn a sector name into a URL-friendly slug
+ * @param {string} sector - Sector name (e.g. "Life Sciences")
+ * @returns {string} - Slug (e.g. "life-sciences")
+ */
+function slugify(sector) {
+  return sector.toLowerCase().replace(/\s+/g, '-')
+}
+
+/**
+ * Resolve a sector query value to a SECTOR_TAXONOMY name
+ * Accepts the display name or its slug, case-insensitively
+ * @param {string} value - Sector name or slug
+ * @returns {string|null} - Taxonomy name, or null if unknown
+ */
+export function resolveSector(value) {
+  if (!value) return null
+
+  const needle = slugify(value.trim())
+  return Object.keys(SECTOR_TAXONOMY).find(name => slugify(name) === needle) || null
+}
+
+/**
+ * Get the classified universe
+ * @param {Object} [options]
+ * @param {string} [options.sector] - Only return companies whose primary sector matches
+ * @returns {Array} - Companies with primarySector, secondarySectors, matchReasons
+ */
+export function getUniverse({ sector } = {}) {
+  if (!classifiedUniverse) {
+    classifiedUniverse = BIOTECH_UNIVERSE.map(company => {
+      const { primarySector, secondarySectors, matchReasons } = categorizeSectors(company)
+      return {
+        symbol: company.symbol,
+        name: company.longname,
+        industry: company.industryDisp,
+        primarySector,
+        secondarySectors,
+        matchReasons,
+        color: SECTOR_TAXONOMY[primarySector]?.color || null
+      }
+    })
+  }
+
+  if (!sector) return classifiedUniverse
+  return classifiedUniverse.filter(company => company.primarySector === sector)
+}
+
+/**
+ * Look up a single company in the universe
+ * @param {string} symbol - Stock ticker
+ * @returns {Object|null} - Classified company, or null if not tracked
+ */
+export function getUniverseEntry(symbol) {
+  return getUniverse().find(company => company.symbol === symbol.toUpperCase()) || null
+}
+
+/**
+ * Get the ticker symbols that belong to a sector
+ * @param {string} sector - Taxonomy name
+ * @returns {string[]} - Symbols in universe order
+ */
+export function getSectorSymbols(sector) {
+  return getUniverse({ sector }).map(company => company.symbol)
+}
+
+/**
+ * Summarize the taxonomy with the number of companies in each sector
+ * @returns {Array} - [{ name, slug, color, count }]
+ */
+export function getSectorSummary() {
+  return Object.entries(SECTOR_TAXONOMY).map(([name, { color }]) => ({
+    name,
+    slug: slugify(name),
+    color,
+    count: getUniverse({ sector: name }).length
+  }))
+}
@@ -0,0 +1,377 @@
+/**
+ * Validation Service
+ * Checks requests against the OpenAPI document (config/openapi.js).
+ * validate(operationId) turns the operation's query, path and JSON body
+ * schemas into express-validator chains. Query and path values are
+ * sanitized in place, so `?limit=5` reaches the route as the number 5 and
+ * absent parameters arrive with their documented default. Invalid requests
+ * get a 400 listing every bad field.
+ *
+ * With OPENAPI_VALIDATE_RESPONSES on (the default outside production), JSON
+ * responses are also checked against the document and mismatches are logged,
+ * so the spec cannot quietly drift from what the routes send.
+ */
+
+import { query, param, body, validationResult } from 'express-validator'
+import openapi, { API_V1_PREFIX } from '../config/openapi.js'
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+const LOCATIONS = {
+  query: { builder: query, label: 'Query parameter' },
+  path: { builder: param, label: 'Path parameter' },
+  body: { builder: body, label: 'Body field' }
+}
+
+// express-validator location -> OpenAPI `in`
+const ISSUE_LOCATIONS = { query: 'query', params: 'path', body: 'body' }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Whether JSON responses are checked against the document
+ * @returns {boolean}
+ */
+export function shouldValidateResponses() {
+  const setting = process.env.OPENAPI_VALIDATE_RESPONSES
+  if (setting === undefined || setting === '') return process.env.NODE_ENV !== 'production'
+  return setting === 'true'
+}
+
+/**
+ * Follow a local $ref ("#/components/schemas/Quote") to its target
+ * @param {Object} value - Schema, parameter or response object
+ * @returns {Object}
+ */
+function resolve(value) {
+  let current = value
+  while (current?.$ref) {
+    current = current.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => node?.[key], openapi)
+    if (!current) throw new Error(`Unresolvable $ref ${value.$ref} in the OpenAPI document`)
+  }
+  return current
+}
+
+/**
+ * Resolve a schema and merge any allOf members into one object schema
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function flatten(schema) {
+  const resolved = resolve(schema)
+  if (!resolved?.allOf) return resolved
+
+  const { allOf, ...own } = resolved
+  return [...allOf.map(flatten), own].reduce((merged, part) => ({
+    ...merged,
+    ...part,
+    properties: { ...merged.properties, ...part.properties },
+    required: [...(merged.required || []), ...(part.required || [])]
+  }), {})
+}
+
+/**
+ * Find an operation and the parameters that apply to it
+ * @param {string} operationId
+ * @returns {Object} - { operation, parameters }
+ */
+function findOperation(operationId) {
+  for (const pathItem of Object.values(openapi.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method]
+      if (operation?.operationId !== operationId) continue
+
+      // Operation-level parameters override path-level ones with the same name and location
+      const parameters = new Map()
+      for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve)) {
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter)
+      }
+      return { operation, parameters: [...parameters.values()] }
+    }
+  }
+  throw new Error(`Unknown OpenAPI operation "${operationId}"`)
+}
+
+let pathMatchers = null
+
+/**
+ * Find the unversioned operation that serves a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, e.g. "/stock/MRNA/filings"
+ * @returns {Object|null} - { path, operation } with the documented path template
+ */
+export function matchOperation(method, path) {
+  pathMatchers ??= Object.entries(openapi.paths)
+    .filter(([template]) => !template.startsWith(API_V1_PREFIX))
+    .map(([template, pathItem]) => ({
+      template,
+      pathItem,
+      pattern: new RegExp(`^${template.replace(/\./g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`)
+    }))
+
+  const operationMethod = method.toLowerCase()
+  for (const { template, pathItem, pattern } of pathMatchers) {
+    if (pathItem[operationMethod] && pattern.test(path)) return { path: template, operation: pathItem[operationMethod] }
+  }
+  return null
+}
+
+/**
+ * Describe what a schema accepts, for error messages
+ * @param {Object} schema - Flattened schema
+ * @returns {string} - e.g. "must be an integer from 1 to 100"
+ */
+function describe(schema) {
+  const { minimum: min, maximum: max } = schema
+  const range = (noun) => {
+    if (min !== undefined && max !== undefined) return `${noun} from ${min} to ${max}`
+    if (min !== undefined) return `${noun} ${schema.exclusiveMinimum ? 'greater than' : 'of at least'} ${min}`
+    if (max !== undefined) return `${noun} of at most ${max}`
+    return noun
+  }
+
+  if (schema.enum) return `must be one of: ${schema.enum.join(', ')}`
+
+  switch (schema.type) {
+    case 'integer':
+      return `must be ${range('an integer')}`
+    case 'number':
+      return `must be ${range('a number')}`
+    case 'boolean':
+      return 'must be true or false'
+    case 'array':
+      return schema.maxItems !== undefined ? `must be an array of at most ${schema.maxItems} items` : 'must be an array'
+    case 'object':
+      return 'must be an object'
+  }
+
+  if (schema.format === 'date') return 'must be a YYYY-MM-DD date'
+  if (schema.format === 'email') return 'must be a valid email address'
+  if (schema.format === 'uri') return 'must be an http or https URL'
+  if (schema.pattern) return `must match ${schema.pattern}`
+
+  const { minLength = 0, maxLength } = schema
+  if (minLength > 1 && maxLength !== undefined) return `must be ${minLength}-${maxLength} characters`
+  if (maxLength !== undefined) return `must be a ${minLength ? 'non-empty ' : ''}string of at most ${maxLength} characters`
+  if (minLength) return `must be a string of at least ${minLength} characters`
+  return 'must be a string'
+}
+
+// Option objects for validator.js, which treats a present-but-undefined bound as a bound
+const bounds = (entries) => Object.fromEntries(Object.entries(entries).filter(([, value]) => value !== undefined))
+
+// JSON body values keep their JSON types, so check those before the string-based validators
+const BODY_TYPES = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Build the validation chain for one parameter or body field
+ * @param {string} location - 'query', 'path' or 'body'
+ * @param {string} name - Field name (may be a wildcard path such as "symbols.*")
+ * @param {Object} rawSchema - Its schema
+ * @param {boolean} required
+ * @returns {Array} - express-validator chains (arrays add one for their items)
+ */
+function buildChains(location, name, rawSchema, required) {
+  const schema = flatten(rawSchema)
+  const message = describe(schema)
+  const fromBody = location === 'body'
+  const chain = LOCATIONS[location].builder(name)
+
+  if (schema.default !== undefined) {
+    // Defaults stand in for a missing query string value, so they go through the same checks and sanitizers
+    chain.default(fromBody ? schema.default : String(schema.default))
+  } else if (required) {
+    chain.exists({ values: fromBody ? 'null' : 'falsy' }).withMessage('is required').bail()
+  } else {
+    // Nullable body fields accept null (and '') to clear a value
+    chain.optional({ values: fromBody ? (schema.nullable ? 'falsy' : 'undefined') : 'falsy' })
+  }
+
+  // Query and path values are strings; a repeated ?a=1&a=2 arrives as an array
+  const isType = fromBody ? BODY_TYPES[schema.type || 'string'] : BODY_TYPES.string
+  chain.custom(isType).withMessage(message).bail()
+
+  const chains = [chain]
+  switch (schema.type) {
+    case 'integer':
+      chain.isInt(bounds({ min: schema.minimum, max: schema.maximum })).withMessage(message)
+      if (!fromBody) chain.toInt()
+      break
+    case 'number':
+      chain.isFloat(bounds({
+        min: schema.exclusiveMinimum ? undefined : schema.minimum,
+        gt: schema.exclusiveMinimum ? schema.minimum : undefined,
+        max: schema.maximum
+      })).withMessage(message)
+      if (!fromBody) chain.toFloat()
+      break
+    case 'boolean':
+      if (!fromBody) chain.isIn(['true', 'false']).withMessage(message).toBoolean(true)
+      break
+    case 'array':
+      chain.isArray(bounds({ min: schema.minItems, max: schema.maxItems })).withMessage(message)
+      if (schema.items) chains.push(...buildChains(location, `${name}.*`, schema.items, true))
+      break
+    case 'object':
+      break
+    default:
+      chain.isLength(bounds({ min: schema.minLength, max: schema.maxLength })).withMessage(message)
+      if (schema.enum) chain.isIn(schema.enum).withMessage(message)
+      if (schema.pattern) chain.matches(new RegExp(schema.pattern)).withMessage(message)
+      if (schema.format === 'date') {
+        chain.matches(DATE_PATTERN).withMessage(message).isISO8601({ strict: true }).withMessage(message)
+      }
+      if (schema.format === 'email') chain.isEmail().withMessage(message)
+      if (schema.format === 'uri') {
+        chain.isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage(message)
+      }
+  }
+
+  return chains
+}
+
+// The first failure per field, as { in, name, message }
+const collectIssues = (req) => validationResult(req).array({ onlyFirstError: true }).map(issue => ({
+  in: ISSUE_LOCATIONS[issue.location],
+  name: issue.path,
+  message: issue.msg
+}))
+
+/**
+ * Reply 400 listing invalid fields, led by a message for the first
+ * @param {Object} res - Express response
+ * @param {Object[]} issues - { in, name, message } per field
+ */
+export function invalidRequest(res, issues) {
+  const [first] = issues
+  const label = LOCATIONS[first.in].label
+  res.status(400).json({
+    success: false,
+    error: `${label} "${first.name}" ${first.message}`,
+    errors: issues
+  })
+}
+
+/**
+ * Reply 400 with every invalid field, or continue
+ */
+function reportErrors(req, res, next) {
+  const issues = collectIssues(req)
+  if (issues.length === 0) return next()
+  invalidRequest(res, issues)
+}
+
+/**
+ * Check a request against parameters outside any operation, such as the shared
+ * pagination parameters in components.parameters. Values are sanitized in place.
+ * @param {Object[]} parameters - Parameter objects or $refs
+ * @returns {Function} - async (req) => issues, empty when the request is valid
+ */
+export function parameterValidator(parameters) {
+  const chains = parameters.map(resolve).flatMap(parameter =>
+    buildChains(parameter.in, parameter.name, parameter.schema, parameter.required)
+  )
+
+  return async (req) => {
+    for (const chain of chains) await chain.run(req)
+    return collectIssues(req)
+  }
+}
+
+/**
+ * Problems with a value against a schema
+ * @param {Object} rawSchema
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Where the value sits, for messages
+ * @returns {string[]}
+ */
+function matchSchema(rawSchema, value, path) {
+  const schema = flatten(rawSchema)
+
+  if (value === null) return schema.nullable || !schema.type ? [] : [`${path} is null`]
+  if (schema.type && !BODY_TYPES[schema.type](value)) return [`${path} is not ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`]
+  if (schema.enum && !schema.enum.includes(value)) return [`${path} is ${JSON.stringify(value)}, expected one of: ${schema.enum.join(', ')}`]
+
+  if (Array.isArray(value)) {
+    return schema.items ? value.flatMap((item, index) => matchSchema(schema.items, item, `${path}[${index}]`)) : []
+  }
+
+  if (typeof value !== 'object') return []
+
+  const problems = (schema.required || [])
+    .filter(key => value[key] === undefined)
+    .map(key => `${path}.${key} is missing`)
+
+  for (const [key, item] of Object.entries(value)) {
+    const propertySchema = schema.properties?.[key] ||
+      (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null)
+    if (propertySchema) problems.push(...matchSchema(propertySchema, item, `${path}.${key}`))
+  }
+  return problems
+}
+
+/**
+ * Log JSON responses that do not match the operation's documented responses
+ * @param {string} operationId
+ * @param {Object} operation
+ * @returns {Function} - Express middleware
+ */
+function checkResponses(operationId, operation) {
+  return (req, res, next) => {
+    const send = res.json.bind(res)
+
+    res.json = (payload) => {
+      const documented = operation.responses[res.statusCode] || operation.responses.default
+      const schema = documented && resolve(documented).content?.['application/json']?.schema
+
+      const problems = !documented
+        ? [`status ${res.statusCode} is not documented`]
+        : schema ? matchSchema(schema, JSON.parse(JSON.stringify(payload ?? null)), 'body') : []
+
+      if (problems.length > 0) {
+        const shown = problems.slice(0, 5).join('; ')
+        const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : ''
+        console.warn(`Response from ${operationId} does not match the OpenAPI document: ${shown}${more}`)
+      }
+      return send(payload)
+    }
+    next()
+  }
+}
+
+/**
+ * Validation middleware for an operation in the OpenAPI document
+ * @param {string} operationId - operationId from config/openapi.js
+ * @returns {Array} - Express middleware; use in a route after its rate limiter
+ */
+export function validate(operationId) {
+  const { operation, parameters } = findOperation(operationId)
+  const chains = []
+
+  for (const parameter of parameters) {
+    if (!LOCATIONS[parameter.in]) continue // Headers are documented but read by their routes
+    chains.push(...buildChains(parameter.in, parameter.name, parameter.schema, parameter.required))
+  }
+
+  const bodySchema = operation.requestBody && resolve(operation.requestBody).content?.['application/json']?.schema
+  if (bodySchema) {
+    const { properties = {}, required = [] } = flatten(bodySchema)
+    for (const [name, schema] of Object.entries(properties)) {
+      chains.push(...buildChains('body', name, schema, required.includes(name)))
+    }
+  }
+
+  const middleware = [...chains, reportErrors]
+  if (shouldValidateResponses()) middleware.unshift(checkResponses(operationId, operation))
+  return middleware
+}
@@ -0,0 +1,189 @@
+/**
+ * Watchlist Service
+ * Named lists of symbols each user follows, persisted in the JSON store,
+ * plus a per-symbol summary built from the same data as getStockIntelligence.
+ * Every list belongs to the account that created it (ownerId) and is only
+ * visible to that account.
+ */
+
+import crypto from 'crypto'
+import { createJsonStore } from './store.js'
+import { getStockIntelligence } from './market.js'
+
+// Exchange tickers plus class suffixes such as BRK.B or BF-B
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{0,5}([.-][A-Z])?$/
+
+export const MAX_WATCHLIST_SYMBOLS = 50
+export const MAX_WATCHLIST_NAME_LENGTH = 60
+
+const store = createJsonStore('watchlists', () => ({ watchlists: [] }))
+
+/**
+ * Normalize a user-supplied symbol
+ * @param {string} symbol - Raw symbol
+ * @returns {string|null} - Uppercase symbol, or null when it is not a valid ticker
+ */
+export function normalizeSymbol(symbol) {
+  if (typeof symbol !== 'string') return null
+  const normalized = symbol.trim().replace(/^\$/, '').toUpperCase()
+  return SYMBOL_PATTERN.test(normalized) ? normalized : null
+}
+
+/**
+ * List a user's watchlists
+ * @param {string} ownerId - User id
+ * @returns {Promise<Array>} - Watchlists, oldest first
+ */
+export async function listWatchlists(ownerId) {
+  const { watchlists } = await store.read()
+  return watchlists.filter(list => list.ownerId === ownerId)
+}
+
+/**
+ * Get one of a user's watchlists
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @returns {Promise<Object|null>} - Watchlist, or null when the user has no such watchlist
+ */
+export async function getWatchlist(ownerId, id) {
+  const { watchlists } = await store.read()
+  return watchlists.find(list => list.id === id && list.ownerId === ownerId) || null
+}
+
+/**
+ * Create a watchlist
+ * @param {string} ownerId - User id
+ * @param {Object} fields - { name, symbols } with symbols already normalized
+ * @returns {Promise<Object>} - The new watchlist
+ */
+export async function createWatchlist(ownerId, { name, symbols = [] }) {
+  const now = new Date().toISOString()
+  const watchlist = {
+    id: crypto.randomUUID(),
+    ownerId,
+    name,
+    symbols: [...new Set(symbols)].slice(0, MAX_WATCHLIST_SYMBOLS),
+    createdAt: now,
+    updatedAt: now
+  }
+
+  await store.update(data => {
+    data.watchlists.push(watchlist)
+  })
+  return watchlist
+}
+
+/**
+ * Apply a change to one of a user's watchlists
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @param {Function} mutate - Receives the watchlist and mutates it in place
+ * @returns {Promise<Object|null>} - Updated watchlist, or null when the user has no such watchlist
+ */
+function updateWatchlist(ownerId, id, mutate) {
+  return store.update(data => {
+    const watchlist = data.watchlists.find(list => list.id === id && list.ownerId === ownerId)
+    if (!watchlist) return null
+
+    mutate(watchlist)
+    watchlist.updatedAt = new Date().toISOString()
+    return watchlist
+  })
+}
+
+/**
+ * Rename a watchlist
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>}
+ */
+export function renameWatchlist(ownerId, id, name) {
+  return updateWatchlist(ownerId, id, watchlist => {
+    watchlist.name = name
+  })
+}
+
+/**
+ * Delete a watchlist
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @returns {Promise<boolean>} - Whether a watchlist was removed
+ */
+export function deleteWatchlist(ownerId, id) {
+  return store.update(data => {
+    const before = data.watchlists.length
+    data.watchlists = data.watchlists.filter(list => list.id !== id || list.ownerId !== ownerId)
+    return data.watchlists.length < before
+  })
+}
+
+/**
+ * Add symbols to a watchlist, ignoring ones already on it
+ * Symbols past MAX_WATCHLIST_SYMBOLS are dropped
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @param {string[]} symbols - Normalized symbols
+ * @returns {Promise<Object|null>}
+ */
+export function addWatchlistSymbols(ownerId, id, symbols) {
+  return updateWatchlist(ownerId, id, watchlist => {
+    watchlist.symbols = [...new Set([...watchlist.symbols, ...symbols])].slice(0, MAX_WATCHLIST_SYMBOLS)
+  })
+}
+
+/**
+ * Remove a symbol from a watchlist
+ * @param {string} ownerId - User id
+ * @param {string} id - Watchlist id
+ * @param {string} symbol - Normalized symbol
+ * @returns {Promise<Object|null>}
+ */
+export function removeWatchlistSymbol(ownerId, id, symbol) {
+  return updateWatchlist(ownerId, id, watchlist => {
+    watchlist.symbols = watchlist.symbols.filter(s => s !== symbol)
+  })
+}
+
+/**
+ * Summarize each symbol on a watchlist: quote, social sentiment and latest headline
+ * A symbol whose data cannot be fetched is returned with an error instead of
+ * failing the whole list
+ * @param {Object} watchlist - Watchlist
+ * @returns {Promise<Array>} - One summary per symbol, in watchlist order
+ */
+export async function getWatchlistItems(watchlist) {
+  const results = await Promise.allSettled(watchlist.symbols.map(symbol => getStockIntelligence(symbol)))
+
+  return results.map((result, index) => {
+    const symbol = watchlist.symbols[index]
+    if (result.status === 'rejected') {
+      return { symbol, error: result.reason?.message || 'Failed to fetch data' }
+    }
+
+    const intelligence = result.value
+    const headline = intelligence.news[0]
+
+    return {
+      symbol,
+      name: intelligence.name,
+      price: intelligence.price,
+      change: intelligence.change,
+      changePercent: intelligence.changePercent,
+      marketCap: intelligence.marketCap,
+      sentiment: {
+        signal: intelligence.socialSentiment.signal,
+        score: intelligence.socialSentiment.score,
+        mentions: intelligence.socialSentiment.mentions
+      },
+      latestHeadline: headline
+        ? {
+            title: headline.title,
+            link: headline.link,
+            publisher: headline.publisher,
+            publishedAt: headline.publishedAt
+          }
+        : null
+    }
+  })
+}
@@ -1,40 +1,272 @@
 /**
  * Yahoo Finance API Integration
  * Fetches stock quotes and news data
- * No API key required!
+ * No API key required (quotes use a session crumb Yahoo hands out freely)
+ * Quotes are normally requested through services/quotes.js, which picks a provider
+ * News goes through the shared cache (services/cache.js)
  */
 
+import { cached } from './services/cache.js'
+
+const YAHOO_HEADERS = { 'User-Agent': 'Mozilla/5.0' }
+
+// The v7 quote endpoint wants a session cookie and a matching crumb; both are
+// fetched once and reused until Yahoo refuses them
+const YAHOO_COOKIE_URL = 'https://fc.yahoo.com'
+const YAHOO_CRUMB_URL = 'https://query1.finance.yahoo.com/v1/test/getcrumb'
+const CRUMB_TTL_MS = 6 * 60 * 60 * 1000
+
+// After the quote endpoint fails, lookups skip it for this long
+const QUOTE_RETRY_MS = 15 * 60 * 1000
+
+// The spark endpoint batches chart metadata without a crumb, this many symbols per call
+const SPARK_BATCH_SIZE = 20
+
+// Concurrent chart requests when every batched endpoint is refused
+const CHART_CONCURRENCY = 4
+
+let crumbSession = null
+let quoteEndpointFailedAt = 0
+
 /**
- * Fetch detailed quote data for a stock symbol
- * Note: Yahoo Finance public API has limited quote data
- * @param {string} symbol - Stock ticker symbol
- * @returns {Promise<Object>} - Quote data (limited)
+ * Get a session cookie and crumb for the v7 quote endpoint, shared by every caller
+ * @param {boolean} [renew=false] - Discard the current session (after Yahoo refused it)
+ * @returns {Promise<Object>} - { cookie, crumb }
  */
-export async function fetchQuote(symbol) {
+function getCrumbSession(renew = false) {
+  if (renew || (crumbSession && Date.now() - crumbSession.createdAt > CRUMB_TTL_MS)) crumbSession = null
+  if (crumbSession) return crumbSession.promise
+
+  const promise = (async () => {
+    // fc.yahoo.com answers 404 but sets the session cookie
+    const cookieResponse = await fetch(YAHOO_COOKIE_URL, { headers: YAHOO_HEADERS, redirect: 'manual' })
+    const cookie = cookieResponse.headers.getSetCookie()
+      .map(header => header.split(';')[0])
+      .join('; ')
+    if (!cookie) throw new Error('Yahoo did not set a session cookie')
+
+    const crumbResponse = await fetch(YAHOO_CRUMB_URL, { headers: { ...YAHOO_HEADERS, Cookie: cookie } })
+    const crumb = (await crumbResponse.text()).trim()
+    if (!crumbResponse.ok || !crumb || crumb.includes('<')) {
+      throw new Error(`Yahoo crumb request failed: ${crumbResponse.status}`)
+    }
+    return { cookie, crumb }
+  })()
+
+  crumbSession = { promise, createdAt: Date.now() }
+  // A failed attempt is not reused, so the next lookup tries again
+  promise.catch(() => {
+    if (crumbSession?.promise === promise) crumbSession = null
+  })
+  return promise
+}
+
+/**
+ * Fetch quotes for several symbols in a single upstream call
+ * Uses the v7 quote endpoint with a shared cookie and crumb, renewing them once
+ * when refused. Without a usable crumb it falls back to the batched spark
+ * endpoint for a while, and only then to per-symbol chart requests with a
+ * concurrency cap
+ * @param {string[]} symbols - Stock ticker symbols
+ * @returns {Promise<Object[]>} - Normalized quotes, in the order requested
+ */
+export async function fetchYahooQuotes(symbols) {
+  if (symbols.length === 0) return []
+
+  if (Date.now() - quoteEndpointFailedAt < QUOTE_RETRY_MS) return fetchSparkQuotes(symbols)
+
+  let results = null
+  let failure = 'crumb refused'
   try {
-    // Return basic quote info - full quote data requires authenticated API access
-    // For a free solution, we'll return what we have from the company data
-    return {
-      symbol: symbol,
-      shortName: symbol,
-      longName: symbol,
-      marketCap: null,
-      regularMarketPrice: null,
-      regularMarketChange: null,
-      regularMarketChangePercent: null,
-      currency: 'USD',
-      volume: null,
-      trailingPE: null,
-      fiftyTwoWeekHigh: null,
-      fiftyTwoWeekLow: null,
-      averageVolume: null,
-      exchange: 'N/A',
-      note: 'Live quote data requires paid API access. This is a free tier limitation.'
+    results = await fetchV7Quotes(symbols) || await fetchV7Quotes(symbols, true)
+  } catch (error) {
+    failure = error.message
+  }
+
+  if (!results) {
+    quoteEndpointFailedAt = Date.now()
+    console.warn(`Yahoo quote endpoint unavailable (${failure}), using the spark endpoint for ${QUOTE_RETRY_MS / 60000} minutes`)
+    return fetchSparkQuotes(symbols)
+  }
+
+  const bySymbol = new Map(results.map(result => [result.symbol.toUpperCase(), result]))
+  return symbols.map(symbol => {
+    const result = bySymbol.get(symbol.toUpperCase())
+    return result ? normalizeYahooQuote(result) : null
+  })
+}
+
+/**
+ * Call the v7 quote endpoint with the shared crumb
+ * @param {string[]} symbols - Stock ticker symbols
+ * @param {boolean} [renew=false] - Get a new cookie and crumb first
+ * @returns {Promise<Object[]|null>} - Raw quote results, or null when Yahoo refused the crumb
+ */
+async function fetchV7Quotes(symbols, renew = false) {
+  const { cookie, crumb } = await getCrumbSession(renew)
+  const url = `https://query1.finance.yahoo.com/v7/finance/quote?symbols=${encodeURIComponent(symbols.join(','))}&crumb=${encodeURIComponent(crumb)}`
+
+  const response = await fetch(url, { headers: { ...YAHOO_HEADERS, Cookie: cookie } })
+
+  if (response.status === 401 || response.status === 403) return null
+  if (!response.ok) {
+    throw new Error(`Yahoo Finance quote API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  return data.quoteResponse?.result || []
+}
+
+/**
+ * Fetch quotes from the spark endpoint, SPARK_BATCH_SIZE symbols per call
+ * The chart metadata it returns has no market cap, P/E or average volume
+ * @param {string[]} symbols - Stock ticker symbols
+ * @returns {Promise<Object[]>} - Normalized quotes (or null), in the order requested
+ */
+async function fetchSparkQuotes(symbols) {
+  const batches = []
+  for (let i = 0; i < symbols.length; i += SPARK_BATCH_SIZE) batches.push(symbols.slice(i, i + SPARK_BATCH_SIZE))
+
+  const bySymbol = new Map()
+  try {
+    for (const batch of batches) {
+      const url = `https://query1.finance.yahoo.com/v7/finance/spark?symbols=${encodeURIComponent(batch.join(','))}&range=1d&interval=1d`
+      const response = await fetch(url, { headers: YAHOO_HEADERS })
+      if (!response.ok) {
+        throw new Error(`Yahoo Finance spark API error: ${response.status}`)
+      }
+
+      const data = await response.json()
+      for (const result of data.spark?.result || []) {
+        const meta = result.response?.[0]?.meta
+        if (meta) bySymbol.set(result.symbol.toUpperCase(), quoteFromChartMeta(meta))
+      }
     }
-    
   } catch (error) {
-    console.error(`Error fetching quote for ${symbol}:`, error)
-    throw error
+    console.warn(`${error.message}, falling back to chart endpoint per symbol`)
+    return fetchChartQuotes(symbols)
+  }
+
+  return symbols.map(symbol => bySymbol.get(symbol.toUpperCase()) || null)
+}
+
+/**
+ * Last resort: one chart request per symbol, CHART_CONCURRENCY at a time
+ * @param {string[]} symbols - Stock ticker symbols
+ * @returns {Promise<Object[]>} - Normalized quotes (or null), in the order requested
+ */
+async function fetchChartQuotes(symbols) {
+  const results = new Array(symbols.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < symbols.length) {
+      const index = next++
+      results[index] = await fetchYahooChartQuote(symbols[index])
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(CHART_CONCURRENCY, symbols.length) }, worker))
+  return results
+}
+
+/**
+ * Fetch a single quote from the chart endpoint (no crumb required)
+ * The chart metadata has no market cap, P/E or average volume
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Object|null>} - Normalized quote, or null if unknown
+ */
+async function fetchYahooChartQuote(symbol) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=1d&interval=1d`
+
+  const response = await fetch(url, { headers: YAHOO_HEADERS })
+
+  if (response.status === 404) return null
+  if (!response.ok) {
+    throw new Error(`Yahoo Finance chart API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  const meta = data.chart?.result?.[0]?.meta
+  return meta ? quoteFromChartMeta(meta) : null
+}
+
+/**
+ * Normalize chart metadata (chart and spark endpoints), deriving the day's change
+ * @param {Object} meta - Chart `meta` object
+ * @returns {Object} - Normalized quote
+ */
+function quoteFromChartMeta(meta) {
+  const previousClose = meta.chartPreviousClose ?? meta.previousClose
+  const change = meta.regularMarketPrice != null && previousClose != null
+    ? meta.regularMarketPrice - previousClose
+    : null
+
+  return normalizeYahooQuote({
+    ...meta,
+    regularMarketChange: change,
+    regularMarketChangePercent: change != null && previousClose ? (change / previousClose) * 100 : null,
+    exchange: meta.exchangeName
+  })
+}
+
+/**
+ * Fetch OHLCV candles from the chart endpoint
+ * @param {string} symbol - Stock ticker symbol
+ * @param {string} range - Yahoo range (1d, 5d, 1mo, 6mo, 1y, 5y)
+ * @param {string} interval - Yahoo interval (5m, 30m, 1d, 1wk, ...)
+ * @returns {Promise<Object[]>} - Candles sorted oldest first
+ */
+export async function fetchYahooHistory(symbol, range, interval) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?range=${range}&interval=${interval}`
+
+  const response = await fetch(url, { headers: YAHOO_HEADERS })
+
+  if (response.status === 404) return []
+  if (!response.ok) {
+    throw new Error(`Yahoo Finance chart API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  const result = data.chart?.result?.[0]
+  const timestamps = result?.timestamp || []
+  const ohlcv = result?.indicators?.quote?.[0] || {}
+
+  return timestamps
+    .map((timestamp, index) => ({
+      time: timestamp * 1000,
+      open: ohlcv.open?.[index] ?? null,
+      high: ohlcv.high?.[index] ?? null,
+      low: ohlcv.low?.[index] ?? null,
+      close: ohlcv.close?.[index] ?? null,
+      volume: ohlcv.volume?.[index] ?? null
+    }))
+    .filter(candle => candle.close !== null) // Yahoo pads halted/empty bars with nulls
+}
+
+/**
+ * Map a raw Yahoo quote onto the shape consumers of fetchQuote expect
+ * @param {Object} raw - Quote result or chart metadata from Yahoo
+ * @returns {Object} - Normalized quote
+ */
+function normalizeYahooQuote(raw) {
+  return {
+    symbol: raw.symbol,
+    shortName: raw.shortName || raw.symbol,
+    longName: raw.longName || raw.shortName || raw.symbol,
+    marketCap: raw.marketCap ?? null,
+    regularMarketPrice: raw.regularMarketPrice ?? null,
+    regularMarketChange: raw.regularMarketChange ?? null,
+    regularMarketChangePercent: raw.regularMarketChangePercent ?? null,
+    regularMarketVolume: raw.regularMarketVolume ?? null,
+    regularMarketDayHigh: raw.regularMarketDayHigh ?? null,
+    regularMarketDayLow: raw.regularMarketDayLow ?? null,
+    fiftyTwoWeekHigh: raw.fiftyTwoWeekHigh ?? null,
+    fiftyTwoWeekLow: raw.fiftyTwoWeekLow ?? null,
+    averageVolume: raw.averageDailyVolume3Month ?? null,
+    trailingPE: raw.trailingPE ?? null,
+    currency: raw.currency || 'USD',
+    exchange: raw.fullExchangeName || raw.exchange || 'N/A'
   }
 }
 
@@ -45,32 +277,40 @@ export async function fetchQuote(symbol) {
  */
 export async function fetchNews(symbol) {
   try {
-    // Yahoo Finance doesn't have a direct public news API, so we'll use the search endpoint
-    // which sometimes includes news items
-    const url = `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(symbol)}&quotesCount=1&newsCount=10`
-    
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    })
-    
-    if (!response.ok) {
-      throw new Error(`Yahoo Finance news API error: ${response.status}`)
-    }
-    
-    const data = await response.json()
-    const news = data.news || []
-    
-    return news.slice(0, 8).map(article => ({
-      title: article.title || 'No title',
-      link: article.link || '',
-      publisher: article.publisher || 'Unknown',
-      publishedAt: article.providerPublishTime ? new Date(article.providerPublishTime * 1000).toISOString() : null,
-      thumbnail: article.thumbnail?.resolutions?.[0]?.url || null,
-      summary: article.summary || ''
-    }))
-    
+    return await cached('news', symbol.toUpperCase(), () => fetchYahooNews(symbol))
   } catch (error) {
     console.error(`Error fetching news for ${symbol}:`, error)
     return []
   }
 }
+
+/**
+ * Fetch news for a stock symbol from Yahoo, uncached
+ * @param {string} symbol - Stock ticker symbol
+ * @returns {Promise<Array>} - News articles
+ */
+async function fetchYahooNews(symbol) {
+  // Yahoo Finance doesn't have a direct public news API, so we'll use the search endpoint
+  // which sometimes includes news items
+  const url = `https://query1.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(symbol)}&quotesCount=1&newsCount=10`
+
+  const response = await fetch(url, {
+    headers: YAHOO_HEADERS
+  })
+
+  if (!response.ok) {
+    throw new Error(`Yahoo Finance news API error: ${response.status}`)
+  }
+
+  const data = await response.json()
+  const news = data.news || []
+
+  return news.slice(0, 8).map(article => ({
+    title: article.title || 'No title',
+    link: article.link || '',
+    publisher: article.publisher || 'Unknown',
+    publishedAt: article.providerPublishTime ? new Date(article.providerPublishTime * 1000).toISOString() : null,
+    thumbnail: article.thumbnail?.resolutions?.[0]?.url || null,
+    summary: article.summary || ''
+  }))
+}
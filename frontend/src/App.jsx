@@ -7,6 +7,12 @@ import Dashboard from './pages/Dashboard'
 import Trending from './pages/Trending'
 import Discussions from './pages/Discussions'
 import News from './pages/News'
+import Watchlist from './pages/Watchlist'
+import AlertsPage from './pages/Alerts'
+import Calendar from './pages/Calendar'
+import Login from './pages/Login'
+import Register from './pages/Register'
+import Logout from './pages/Logout'
 
 function App() {
   const [isChatbotOpen, setIsChatbotOpen] = useState(false)
@@ -40,6 +46,12 @@ function App() {
               <Route path="/trending" element={<Trending />} />
               <Route path="/discussions" element={<Discussions />} />
               <Route path="/news" element={<News />} />
+              <Route path="/watchlist" element={<Watchlist />} />
+              <Route path="/alerts" element={<AlertsPage />} />
+              <Route path="/calendar" element={<Calendar />} />
+              <Route path="/login" element={<Login />} />
+              <Route path="/register" element={<Register />} />
+              <Route path="/logout" element={<Logout />} />
             </Routes>
           </div>
         </div>
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react'
+import './AddToWatchlist.css'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * AddToWatchlist Component
+ * Button with a menu of watchlists; picking one adds the symbol to it
+ */
+function AddToWatchlist({ symbol, compact = false }) {
+  const [open, setOpen] = useState(false)
+  const [watchlists, setWatchlists] = useState([])
+  const [newName, setNewName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const menuRef = useRef(null)
+
+  // Close the menu on any click outside it
+  useEffect(() => {
+    if (!open) return
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  const fetchWatchlists = async () => {
+    try {
+      setError(null)
+      const response = await fetch(`${API_URL}/watchlists`, { credentials: 'include' })
+      const data = await response.json()
+      if (data.success) setWatchlists(data.data)
+      else setError(data.error)
+    } catch (err) {
+      console.error('Error fetching watchlists:', err)
+      setError('Failed to load watchlists')
+    }
+  }
+
+  const toggleMenu = (e) => {
+    e.stopPropagation()
+    if (!open) fetchWatchlists()
+    setOpen(!open)
+  }
+
+  const addTo = async (watchlist) => {
+    if (watchlist.symbols.includes(symbol)) return
+    try {
+      setBusy(true)
+      const response = await fetch(`${API_URL}/watchlists/${watchlist.id}/symbols`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbol })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setWatchlists(prev => prev.map(w => w.id === watchlist.id ? data.data : w))
+      } else {
+        setError(data.error)
+      }
+    } catch (err) {
+      console.error('Error adding to watchlist:', err)
+      setError('Failed to add symbol')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const createWithSymbol = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    try {
+      setBusy(true)
+      const response = await fetch(`${API_URL}/watchlists`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName.trim(), symbols: [symbol] })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setWatchlists(prev => [...prev, data.data])
+        setNewName('')
+      } else {
+        setError(data.error)
+      }
+    } catch (err) {
+      console.error('Error creating watchlist:', err)
+      setError('Failed to create watchlist')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const isWatched = watchlists.some(w => w.symbols.includes(symbol))
+
+  return (
+    <div className="watchlist-action" ref={menuRef} onClick={(e) => e.stopPropagation()}>
+      <button
+        className={`watchlist-button ${compact ? 'compact' : ''}`}
+        onClick={toggleMenu}
+        title="Add to watchlist"
+      >
+        {isWatched ? '★' : '☆'}{!compact && ' Watchlist'}
+      </button>
+
+      {open && (
+        <div className="watchlist-menu">
+          {watchlists.length === 0 && !error && (
+            <div className="watchlist-menu-empty">No watchlists yet</div>
+          )}
+          {watchlists.map(w => (
+            <button
+              key={w.id}
+              className="watchlist-menu-item"
+              onClick={() => addTo(w)}
+              disabled={busy}
+            >
+              <span>{w.name}</span>
+              <span>{w.symbols.includes(symbol) ? '✓' : '+'}</span>
+            </button>
+          ))}
+          <form className="watchlist-menu-create" onSubmit={createWithSymbol}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New watchlist"
+              maxLength={60}
+            />
+            <button type="submit" disabled={busy || !newName.trim()}>Add</button>
+          </form>
+          {error && <div className="watchlist-menu-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AddToWatchlist
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import './Alerts.css'
+import { useAuth } from '../hooks/useAuth'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const EMPTY_FORM = { type: 'price_change', symbol: '', threshold: '', cooldownMinutes: 60, webhookUrl: '' }
+
+/**
+ * Alerts Component
+ * Define the signed-in user's alert rules and read the notifications they produce
+ */
+function Alerts() {
+  const { user, loading: authLoading } = useAuth()
+  const [rules, setRules] = useState([])
+  const [types, setTypes] = useState({})
+  const [notifications, setNotifications] = useState([])
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [loading, setLoading] = useState(true)
+  const [evaluating, setEvaluating] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (user) fetchAll()
+  }, [user])
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await response.json()
+    if (!data.success) throw new Error(data.error)
+    return data
+  }
+
+  const fetchAll = async () => {
+    try {
+      setLoading(true)
+      const [rulesData, notificationsData] = await Promise.all([
+        request('/alerts/rules'),
+        request('/alerts/notifications')
+      ])
+      setRules(rulesData.data)
+      setTypes(rulesData.types)
+      setNotifications(notificationsData.data)
+    } catch (err) {
+      console.error('Error fetching alerts:', err)
+      setError('Failed to load alerts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const createRule = async (e) => {
+    e.preventDefault()
+    try {
+      setError(null)
+      const body = {
+        type: form.type,
+        symbol: form.symbol,
+        cooldownMinutes: Number(form.cooldownMinutes),
+        webhookUrl: form.webhookUrl || null
+      }
+      if (types[form.type]?.needsThreshold) body.threshold = Number(form.threshold)
+
+      const data = await request('/alerts/rules', { method: 'POST', body: JSON.stringify(body) })
+      setRules(prev => [...prev, data.data])
+      setForm(EMPTY_FORM)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const toggleRule = async (rule) => {
+    try {
+      const data = await request(`/alerts/rules/${rule.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ enabled: !rule.enabled })
+      })
+      setRules(prev => prev.map(r => r.id === rule.id ? data.data : r))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete alert "${rule.name}"?`)) return
+    try {
+      await request(`/alerts/rules/${rule.id}`, { method: 'DELETE' })
+      setRules(prev => prev.filter(r => r.id !== rule.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const evaluateNow = async () => {
+    try {
+      setEvaluating(true)
+      await request('/alerts/evaluate', { method: 'POST' })
+      await fetchAll()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setEvaluating(false)
+    }
+  }
+
+  const markAllRead = async () => {
+    try {
+      await request('/alerts/notifications/read', { method: 'POST' })
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const markRead = async (notification) => {
+    if (notification.read) return
+    try {
+      await request(`/alerts/notifications/${notification.id}/read`, { method: 'POST' })
+      setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, read: true } : n))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    })
+  }
+
+  if (!authLoading && !user) {
+    return (
+      <div className="alerts">
+        <div className="alerts-empty">
+          <Link to="/login">Sign in</Link> to set up alerts
+        </div>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="alerts">
+        <div className="alerts-empty">Loading alerts...</div>
+      </div>
+    )
+  }
+
+  const unread = notifications.filter(n => !n.read).length
+
+  return (
+    <div className="alerts">
+      <div className="alerts-header">
+        <h2>🔔 Alerts</h2>
+        <p className="alerts-subtitle">Get notified on price moves, Reddit spikes, news and sentiment flips</p>
+      </div>
+
+      {error && <div className="alerts-error">{error}</div>}
+
+      <div className="alerts-layout">
+        <section className="alerts-panel">
+          <div className="alerts-panel-header">
+            <h3>Rules</h3>
+            <button onClick={evaluateNow} disabled={evaluating || rules.length === 0}>
+              {evaluating ? 'Checking...' : 'Check now'}
+            </button>
+          </div>
+
+          <form className="alerts-form" onSubmit={createRule}>
+            <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+              {Object.entries(types).map(([value, type]) => (
+                <option key={value} value={value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={form.symbol}
+              onChange={(e) => setForm({ ...form, symbol: e.target.value })}
+              placeholder="Symbol"
+              maxLength={10}
+              required
+            />
+            {types[form.type]?.needsThreshold && (
+              <input
+                type="number"
+                value={form.threshold}
+                onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+                placeholder={form.type === 'price_change' ? 'Change %' : 'Mentions'}
+                min="0"
+                step="any"
+                required
+              />
+            )}
+            <input
+              type="number"
+              value={form.cooldownMinutes}
+              onChange={(e) => setForm({ ...form, cooldownMinutes: e.target.value })}
+              title="Cooldown (minutes)"
+              min="0"
+            />
+            <input
+              type="url"
+              value={form.webhookUrl}
+              onChange={(e) => setForm({ ...form, webhookUrl: e.target.value })}
+              placeholder="Webhook URL (optional)"
+            />
+            <button type="submit">Add rule</button>
+          </form>
+
+          {rules.length === 0 ? (
+            <div className="alerts-empty">No alert rules yet</div>
+          ) : (
+            <ul className="alerts-rules">
+              {rules.map(rule => (
+                <li key={rule.id} className={rule.enabled ? '' : 'disabled'}>
+                  <div>
+                    <span className="alerts-rule-name">{rule.name}</span>
+                    <span className="alerts-rule-meta">
+                      {types[rule.type]?.label} · cooldown {rule.cooldownMinutes}m
+                      {rule.webhookUrl && ' · webhook'}
+                      {rule.lastTriggeredAt && ` · last fired ${formatDate(rule.lastTriggeredAt)}`}
+                    </span>
+                  </div>
+                  <div className="alerts-rule-actions">
+                    <button onClick={() => toggleRule(rule)}>{rule.enabled ? 'Pause' : 'Resume'}</button>
+                    <button className="danger" onClick={() => deleteRule(rule)}>Delete</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section className="alerts-panel">
+          <div className="alerts-panel-header">
+            <h3>Notifications {unread > 0 && <span className="alerts-unread">{unread}</span>}</h3>
+            <button onClick={markAllRead} disabled={unread === 0}>Mark all read</button>
+          </div>
+
+          {notifications.length === 0 ? (
+            <div className="alerts-empty">Nothing has fired yet</div>
+          ) : (
+            <ul className="alerts-notifications">
+              {notifications.map(n => (
+                <li key={n.id} className={n.read ? '' : 'unread'} onClick={() => markRead(n)}>
+                  <div className="alerts-notification-title">{n.title}</div>
+                  <div className="alerts-notification-message">{n.message}</div>
+                  <div className="alerts-rule-meta">
+                    {formatDate(n.createdAt)} · {n.ruleName}
+                    {n.webhook && ` · webhook ${n.webhook.status}`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default Alerts
@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import './AuthForm.css'
+import { useAuth } from '../hooks/useAuth'
+
+/**
+ * AuthForm Component
+ * Sign-in and registration form; `mode` is 'login' or 'register'
+ */
+function AuthForm({ mode }) {
+  const { login, register } = useAuth()
+  const navigate = useNavigate()
+  const [form, setForm] = useState({ name: '', email: '', password: '' })
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const isRegister = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      setError(null)
+      if (isRegister) {
+        await register({ email: form.email, password: form.password, name: form.name || undefined })
+      } else {
+        await login(form.email, form.password)
+      }
+      navigate('/dashboard')
+    } catch (err) {
+      setError(err.message || 'Something went wrong')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="auth-page">
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <h2>{isRegister ? 'Create an account' : 'Sign in'}</h2>
+        <p className="auth-subtitle">
+          {isRegister
+            ? 'Keep your watchlists, chats and AI budget under your own account'
+            : 'Welcome back to Market Intel'}
+        </p>
+
+        {error && <div className="auth-error">{error}</div>}
+
+        {isRegister && (
+          <label>
+            Name
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Optional"
+              maxLength={60}
+              autoComplete="name"
+            />
+          </label>
+        )}
+        <label>
+          Email
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            required
+            autoComplete="email"
+          />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            required
+            minLength={isRegister ? 8 : undefined}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+          />
+        </label>
+
+        <button type="submit" disabled={submitting}>
+          {submitting ? 'Please wait...' : isRegister ? 'Create account' : 'Sign in'}
+        </button>
+
+        <p className="auth-switch">
+          {isRegister ? (
+            <>Already have an account? <Link to="/login">Sign in</Link></>
+          ) : (
+            <>New here? <Link to="/register">Create an account</Link></>
+          )}
+        </p>
+      </form>
+    </div>
+  )
+}
+
+export default AuthForm
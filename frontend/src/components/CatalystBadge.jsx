@@ -0,0 +1,48 @@
+import React from 'react'
+import './CatalystBadge.css'
+
+const TYPE_LABELS = {
+  pdufa: 'PDUFA',
+  adcomm: 'AdComm',
+  readout: 'Readout',
+  earnings: 'Earnings',
+  other: 'Catalyst'
+}
+
+/**
+ * Whole days from today until a YYYY-MM-DD calendar date (local time)
+ * @param {string} date
+ * @returns {number}
+ */
+export function daysUntil(date) {
+  const [year, month, day] = date.split('-').map(Number)
+  const target = new Date(year, month - 1, day)
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  return Math.round((target - today) / 86400000)
+}
+
+/**
+ * CatalystBadge Component
+ * "Next catalyst in N days" pill for a stock's next calendar event
+ */
+function CatalystBadge({ catalyst, compact = false }) {
+  if (!catalyst) return null
+
+  const days = daysUntil(catalyst.date)
+  if (days < 0) return null
+
+  const when = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`
+  const label = TYPE_LABELS[catalyst.type] || TYPE_LABELS.other
+
+  return (
+    <span
+      className={`catalyst-badge type-${catalyst.type} ${days <= 7 ? 'imminent' : ''}`}
+      title={`${catalyst.title} · ${catalyst.date}${catalyst.dateEstimated ? ' (estimated)' : ''}`}
+    >
+      📅 {compact ? `${label} ${when}` : `Next catalyst ${when} · ${label}`}
+    </span>
+  )
+}
+
+export default CatalystBadge
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useRef } from 'react'
+import './CatalystCalendar.css'
+import { daysUntil } from './CatalystBadge'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const EMPTY_FORM = { symbol: '', type: 'pdufa', date: '', title: '', dateEstimated: false }
+
+/**
+ * CatalystCalendar Component
+ * Upcoming PDUFA dates, advisory committees, readouts and earnings by month,
+ * with manual entry, CSV/ICS import and an ICS feed link
+ */
+function CatalystCalendar() {
+  const [events, setEvents] = useState([])
+  const [types, setTypes] = useState({})
+  const [symbolFilter, setSymbolFilter] = useState('')
+  const [typeFilter, setTypeFilter] = useState('')
+  const [showPast, setShowPast] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [importResult, setImportResult] = useState(null)
+  const fileInput = useRef(null)
+
+  useEffect(() => {
+    fetchEvents()
+  }, [typeFilter, showPast])
+
+  const request = async (path, options = {}) => {
+    // Editing needs a signed-in user, so send the session cookie
+    const response = await fetch(`${API_URL}${path}`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await response.json()
+    if (!data.success) throw new Error(data.error)
+    return data
+  }
+
+  // Filters shared by the list and the ICS feed link
+  const buildQuery = ({ includeFrom }) => {
+    const params = new URLSearchParams()
+    if (includeFrom && !showPast) params.set('from', new Date().toLocaleDateString('en-CA'))
+    if (symbolFilter.trim()) params.set('symbols', symbolFilter.replace(/\s+/g, '').toUpperCase())
+    if (typeFilter) params.set('types', typeFilter)
+    const query = params.toString()
+    return query ? `?${query}` : ''
+  }
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const data = await request(`/calendar${buildQuery({ includeFrom: true })}`)
+      setEvents(data.data)
+      setTypes(data.types)
+    } catch (err) {
+      console.error('Error fetching catalysts:', err)
+      setError(err.message || 'Failed to load catalysts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const createEvent = async (e) => {
+    e.preventDefault()
+    try {
+      setError(null)
+      await request('/calendar/events', { method: 'POST', body: JSON.stringify(form) })
+      setForm(EMPTY_FORM)
+      fetchEvents()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const moveEvent = async (event) => {
+    const date = window.prompt(`New date for "${event.title}" (YYYY-MM-DD)`, event.date)
+    if (!date || date === event.date) return
+    try {
+      await request(`/calendar/events/${event.id}`, { method: 'PATCH', body: JSON.stringify({ date }) })
+      fetchEvents()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const deleteEvent = async (event) => {
+    if (!window.confirm(`Delete "${event.title}"?`)) return
+    try {
+      await request(`/calendar/events/${event.id}`, { method: 'DELETE' })
+      setEvents(prev => prev.filter(e => e.id !== event.id))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const importFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setError(null)
+      const isIcs = /\.ics$/i.test(file.name)
+      const data = await request('/calendar/import', {
+        method: 'POST',
+        headers: { 'Content-Type': isIcs ? 'text/calendar' : 'text/csv' },
+        body: await file.text()
+      })
+      setImportResult(data)
+      fetchEvents()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Group events under "Month YYYY" headings, in date order
+  const months = events.reduce((groups, event) => {
+    const [year, month] = event.date.split('-').map(Number)
+    const label = new Date(year, month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    const last = groups[groups.length - 1]
+    if (last && last.label === label) last.events.push(event)
+    else groups.push({ label, events: [event] })
+    return groups
+  }, [])
+
+  const formatDay = (date) => {
+    const [year, month, day] = date.split('-').map(Number)
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+  }
+
+  const formatCountdown = (date) => {
+    const days = daysUntil(date)
+    if (days === 0) return 'Today'
+    if (days === 1) return 'Tomorrow'
+    return days > 0 ? `in ${days} days` : `${-days} days ago`
+  }
+
+  return (
+    <div className="catalyst-calendar">
+      <div className="calendar-header">
+        <div>
+          <h2>📅 Catalyst Calendar</h2>
+          <p className="calendar-subtitle">PDUFA dates, advisory committees, trial readouts and earnings</p>
+        </div>
+        <div className="calendar-header-actions">
+          <button onClick={() => fileInput.current.click()}>Import CSV / ICS</button>
+          <input ref={fileInput} type="file" accept=".csv,.ics,text/csv,text/calendar" hidden onChange={importFile} />
+          <a href={`${API_URL}/calendar.ics${buildQuery({ includeFrom: false })}`} title="Subscribe from your calendar app">
+            ICS feed
+          </a>
+        </div>
+      </div>
+
+      {error && <div className="calendar-error">{error}</div>}
+      {importResult && (
+        <div className="calendar-import-result">
+          Imported {importResult.created} new, updated {importResult.updated}
+          {importResult.errors.length > 0 && (
+            <ul>
+              {importResult.errors.map(err => (
+                <li key={err.line}>Line {err.line}: {err.error}</li>
+              ))}
+            </ul>
+          )}
+          <button onClick={() => setImportResult(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <div className="calendar-toolbar">
+        <form onSubmit={(e) => { e.preventDefault(); fetchEvents() }}>
+          <input
+            type="text"
+            value={symbolFilter}
+            onChange={(e) => setSymbolFilter(e.target.value)}
+            placeholder="Filter symbols (MRNA, VRTX)"
+          />
+        </form>
+        <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+          <option value="">All types</option>
+          {Object.entries(types).map(([value, type]) => (
+            <option key={value} value={value}>{type.label}</option>
+          ))}
+        </select>
+        <label className="calendar-checkbox">
+          <input type="checkbox" checked={showPast} onChange={(e) => setShowPast(e.target.checked)} />
+          Show past
+        </label>
+      </div>
+
+      <form className="calendar-form" onSubmit={createEvent}>
+        <input
+          type="text"
+          value={form.symbol}
+          onChange={(e) => setForm({ ...form, symbol: e.target.value })}
+          placeholder="Symbol"
+          maxLength={10}
+          required
+        />
+        <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+          {Object.entries(types).map(([value, type]) => (
+            <option key={value} value={value}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={form.date}
+          onChange={(e) => setForm({ ...form, date: e.target.value })}
+          required
+        />
+        <input
+          type="text"
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          placeholder="Title (optional)"
+          maxLength={200}
+        />
+        <label className="calendar-checkbox">
+          <input
+            type="checkbox"
+            checked={form.dateEstimated}
+            onChange={(e) => setForm({ ...form, dateEstimated: e.target.checked })}
+          />
+          Estimated
+        </label>
+        <button type="submit">Add catalyst</button>
+      </form>
+
+      {loading ? (
+        <div className="calendar-empty">Loading catalysts...</div>
+      ) : events.length === 0 ? (
+        <div className="calendar-empty">No catalysts scheduled</div>
+      ) : (
+        months.map(month => (
+          <section key={month.label} className="calendar-month">
+            <h3>{month.label}</h3>
+            <ul className="calendar-events">
+              {month.events.map(event => (
+                <li key={event.id} className={daysUntil(event.date) < 0 ? 'past' : ''}>
+                  <div className="calendar-event-date">
+                    <span>{formatDay(event.date)}</span>
+                    <span className="calendar-countdown">
+                      {formatCountdown(event.date)}{event.dateEstimated && ' (est.)'}
+                    </span>
+                  </div>
+                  <div className="calendar-event-body">
+                    <span className="calendar-event-symbol">{event.symbol}</span>
+                    <span className={`calendar-event-type type-${event.type}`}>
+                      {types[event.type]?.label || event.type}
+                    </span>
+                    <div className="calendar-event-title">{event.title}</div>
+                    {event.notes && <div className="calendar-event-notes">{event.notes}</div>}
+                  </div>
+                  <div className="calendar-event-actions">
+                    <button onClick={() => moveEvent(event)}>Move</button>
+                    <button className="danger" onClick={() => deleteEvent(event)}>Delete</button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default CatalystCalendar
@@ -1,78 +1,338 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import './Chatbot.css'
+import { useAuth } from '../hooks/useAuth'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
+// Remembers the open conversation across popup closes and reloads
+const SESSION_STORAGE_KEY = 'biotech-chat-session'
+
+// Read a server-sent event stream from a fetch response, calling onEvent(type, data)
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      let type = 'message'
+      let data = ''
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) type = line.slice(7)
+        else if (line.startsWith('data: ')) data += line.slice(6)
+      })
+      if (data) onEvent(type, JSON.parse(data))
+    }
+  }
+}
+
 function Chatbot({ onClose }) {
+  const { user } = useAuth()
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY))
+  const [showHistory, setShowHistory] = useState(false)
+  const [sessions, setSessions] = useState([])
+  const [quota, setQuota] = useState(null)
+  const abortRef = useRef(null)
+
+  // Stop any answer still streaming when the popup closes
+  useEffect(() => () => abortRef.current?.abort(), [])
+
+  useEffect(() => {
+    fetchQuota()
+  }, [])
+
+  // Conversations belong to the signed-in user; reopen the last one once we know who that is
+  useEffect(() => {
+    if (user && sessionId) openSession(sessionId)
+  }, [user])
+
+  const fetchQuota = async () => {
+    try {
+      // The budget belongs to the signed-in user, so send the session cookie
+      const response = await fetch(`${API_URL}/quota`, { credentials: 'include' })
+      const data = await response.json()
+      if (data.success) setQuota(data.data)
+    } catch (error) {
+      console.error('Error fetching AI quota:', error)
+    }
+  }
+
+  const rememberSession = (id) => {
+    setSessionId(id)
+    if (id) localStorage.setItem(SESSION_STORAGE_KEY, id)
+    else localStorage.removeItem(SESSION_STORAGE_KEY)
+  }
+
+  const openSession = async (id) => {
+    try {
+      const response = await fetch(`${API_URL}/chat/sessions/${id}`, { credentials: 'include' })
+      const data = await response.json()
+
+      if (data.success) {
+        setMessages(data.data.messages.map(({ role, content, sources, stopped }) => ({ role, content, sources, stopped })))
+        rememberSession(id)
+        setShowHistory(false)
+      } else {
+        // The conversation was deleted elsewhere
+        rememberSession(null)
+        setMessages([])
+      }
+    } catch (error) {
+      console.error('Error opening chat session:', error)
+    }
+  }
+
+  const fetchSessions = async () => {
+    try {
+      const response = await fetch(`${API_URL}/chat/sessions`, { credentials: 'include' })
+      const data = await response.json()
+      if (data.success) setSessions(data.data)
+    } catch (error) {
+      console.error('Error fetching chat sessions:', error)
+    }
+  }
+
+  const toggleHistory = () => {
+    if (!showHistory) fetchSessions()
+    setShowHistory(!showHistory)
+  }
+
+  const startNewChat = () => {
+    rememberSession(null)
+    setMessages([])
+    setShowHistory(false)
+  }
+
+  const renameSession = async (session) => {
+    const title = window.prompt('Rename conversation', session.title || '')
+    if (!title || !title.trim()) return
+    try {
+      const response = await fetch(`${API_URL}/chat/sessions/${session.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: title.trim() })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setSessions(prev => prev.map(s => s.id === session.id ? data.data : s))
+      }
+    } catch (error) {
+      console.error('Error renaming chat session:', error)
+    }
+  }
+
+  const deleteSession = async (session) => {
+    if (!window.confirm(`Delete "${session.title || 'Untitled conversation'}"?`)) return
+    try {
+      await fetch(`${API_URL}/chat/sessions/${session.id}`, { method: 'DELETE', credentials: 'include' })
+      setSessions(prev => prev.filter(s => s.id !== session.id))
+      if (session.id === sessionId) {
+        rememberSession(null)
+        setMessages([])
+      }
+    } catch (error) {
+      console.error('Error deleting chat session:', error)
+    }
+  }
+
+  const ensureSession = async () => {
+    if (sessionId) return sessionId
+
+    const response = await fetch(`${API_URL}/chat/sessions`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    })
+    const data = await response.json()
+    if (!data.success) throw new Error(data.error)
+
+    rememberSession(data.data.id)
+    return data.data.id
+  }
+
+  // Update the answer currently being streamed (always the last message)
+  const updateLastMessage = (update) => {
+    setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...update(prev[prev.length - 1]) }])
+  }
 
   const sendMessage = async () => {
-    if (!input.trim()) return
+    if (!input.trim() || loading) return
 
     const userMessage = { role: 'user', content: input }
     const currentInput = input
-    setMessages([...messages, userMessage])
+    setMessages([...messages, userMessage, { role: 'assistant', content: '', streaming: true }])
     setInput('')
     setLoading(true)
 
+    const controller = new AbortController()
+    abortRef.current = controller
+
     try {
-      // Call backend /ask endpoint
-      const response = await fetch(`${API_URL}/ask`, {
+      // Signed in, ask within the session so the model sees earlier turns; guests get
+      // one-off answers. Either way tokens arrive as they are generated
+      const path = user ? `/chat/sessions/${await ensureSession()}/messages/stream` : '/ask/stream'
+      const response = await fetch(`${API_URL}${path}`, {
         method: 'POST',
+        credentials: 'include',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: currentInput })
+        body: JSON.stringify({ message: currentInput }),
+        signal: controller.signal
       })
 
-      const data = await response.json()
-      
-      if (data.success) {
-        const assistantMessage = { role: 'assistant', content: data.response }
-        setMessages(prev => [...prev, assistantMessage])
-      } else {
-        const errorMessage = { 
-          role: 'assistant', 
-          content: data.error || 'Sorry, there was an error.' 
-        }
-        setMessages(prev => [...prev, errorMessage])
+      // Validation, quota and rate-limit errors come back as plain JSON
+      if (!response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        const data = await response.json()
+        updateLastMessage(() => ({ content: data.error || 'Sorry, there was an error.', streaming: false }))
+        return
       }
+
+      await readEventStream(response, (type, data) => {
+        if (type === 'meta') updateLastMessage(() => ({ sources: data.sources || [] }))
+        if (type === 'chunk') updateLastMessage(last => ({ content: last.content + data.text }))
+        if (type === 'error') updateLastMessage(last => ({ content: last.content || data.error, streaming: false }))
+      })
+      updateLastMessage(() => ({ streaming: false }))
     } catch (error) {
-      console.error('Error:', error)
-      const errorMessage = { 
-        role: 'assistant', 
-        content: 'Could not connect to backend. Make sure the server is running.' 
+      if (error.name === 'AbortError') {
+        updateLastMessage(() => ({ streaming: false, stopped: true }))
+      } else {
+        console.error('Error:', error)
+        updateLastMessage(() => ({
+          content: 'Could not connect to backend. Make sure the server is running.',
+          streaming: false
+        }))
       }
-      setMessages(prev => [...prev, errorMessage])
     } finally {
+      abortRef.current = null
       setLoading(false)
+      // Answers stopped after some text are charged too, so refresh rather than rely on the `done` event
+      fetchQuota()
     }
   }
 
+  // Closing the request makes the backend stop generating
+  const stopGenerating = () => {
+    abortRef.current?.abort()
+  }
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  }
+
+  const formatResetTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+  }
+
   return (
     <div className="chatbot">
       <div className="chatbot-header">
         <h2>💬 AI Assistant</h2>
-        {onClose && (
-          <button className="chatbot-close" onClick={onClose}>
-            ✕
+        <div className="chatbot-header-actions">
+          <button className="chatbot-icon-button" onClick={startNewChat} title="New conversation">
+            ＋
           </button>
-        )}
+          {user && (
+            <button
+              className={`chatbot-icon-button ${showHistory ? 'active' : ''}`}
+              onClick={toggleHistory}
+              title="Past conversations"
+            >
+              🕘
+            </button>
+          )}
+          {onClose && (
+            <button className="chatbot-close" onClick={onClose}>
+              ✕
+            </button>
+          )}
+        </div>
       </div>
-      <div className="chat-messages">
-        {messages.length === 0 ? (
-          <div className="empty-state">
-            <p>Ask me anything about stock market and investments!</p>
-          </div>
-        ) : (
-          messages.map((msg, index) => (
-            <div key={index} className={`message ${msg.role}`}>
-              {msg.content}
+      {showHistory ? (
+        <div className="chat-history">
+          {sessions.length === 0 ? (
+            <div className="empty-state">
+              <p>No past conversations</p>
             </div>
-          ))
-        )}
-        {loading && <div className="message assistant">Thinking...</div>}
-      </div>
+          ) : (
+            sessions.map(session => (
+              <div
+                key={session.id}
+                className={`chat-history-item ${session.id === sessionId ? 'active' : ''}`}
+                onClick={() => openSession(session.id)}
+              >
+                <div className="chat-history-info">
+                  <span className="chat-history-title">{session.title || 'Untitled conversation'}</span>
+                  <span className="chat-history-meta">
+                    {formatDate(session.updatedAt)} · {session.messageCount} messages
+                  </span>
+                </div>
+                <div className="chat-history-actions" onClick={(e) => e.stopPropagation()}>
+                  <button onClick={() => renameSession(session)} title="Rename">✎</button>
+                  <a href={`${API_URL}/chat/sessions/${session.id}/export`} title="Export as Markdown">⤓</a>
+                  <button onClick={() => deleteSession(session)} title="Delete">🗑</button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      ) : (
+        <div className="chat-messages">
+          {messages.length === 0 ? (
+            <div className="empty-state">
+              <p>Ask me anything about stock market and investments!</p>
+              {!user && <p>Sign in to keep conversations and ask follow-up questions.</p>}
+            </div>
+          ) : (
+            messages.map((msg, index) => (
+              <div key={index} className={`message ${msg.role}`}>
+                {msg.content || (msg.streaming && 'Thinking...')}
+                {msg.stopped && <span className="message-stopped">(stopped)</span>}
+                {msg.sources?.length > 0 && (
+                  <div className="message-sources">
+                    <span className="message-sources-label">Sources</span>
+                    {msg.sources.map(source => source.url ? (
+                      <a
+                        key={source.id}
+                        className="message-source"
+                        href={source.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        title={source.title}
+                      >
+                        [{source.id}] {source.publisher || source.symbol}
+                      </a>
+                    ) : (
+                      <span key={source.id} className="message-source" title={source.title}>
+                        [{source.id}] {source.title}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+      {quota && (
+        <div className={`chat-quota ${quota.remaining === 0 ? 'exhausted' : ''}`}>
+          {quota.remaining.toLocaleString()} of {quota.limit.toLocaleString()} AI tokens left today
+          · resets {formatResetTime(quota.resetsAt)}
+        </div>
+      )}
       <div className="chat-input">
         <input
           type="text"
@@ -81,9 +341,15 @@ function Chatbot({ onClose }) {
           onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
           placeholder="Type your question..."
         />
-        <button onClick={sendMessage} disabled={loading}>
-          Send
-        </button>
+        {loading ? (
+          <button className="chat-stop" onClick={stopGenerating}>
+            Stop
+          </button>
+        ) : (
+          <button onClick={sendMessage}>
+            Send
+          </button>
+        )}
       </div>
     </div>
   )
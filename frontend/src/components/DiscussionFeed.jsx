@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react'
 import './DiscussionFeed.css'
+import { useMarketStream, useHighlights, formatUpdatedAt } from '../hooks/useMarketStream'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
+const FEED_LIMIT = 20
+
 /**
  * DiscussionFeed Component
  * Displays recent Reddit discussions about stocks
@@ -12,6 +15,8 @@ function DiscussionFeed({ selectedStock = null }) {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [selectedSubreddit, setSelectedSubreddit] = useState('wallstreetbets')
+  const [updatedAt, setUpdatedAt] = useState(null)
+  const [highlighted, markNew] = useHighlights()
 
   const subreddits = [
     { value: 'wallstreetbets', label: 'r/wallstreetbets' },
@@ -24,18 +29,33 @@ function DiscussionFeed({ selectedStock = null }) {
     fetchDiscussions()
   }, [selectedSubreddit])
 
-  const fetchDiscussions = async () => {
+  // Prepend posts the stream reports for the selected subreddit
+  useMarketStream((type, data) => {
+    if (type === 'discussions' && data.subreddit === selectedSubreddit) {
+      setDiscussions(prev => {
+        const known = new Set(prev.map(post => post.id))
+        const added = data.added.filter(post => !known.has(post.id))
+        return [...added, ...prev].slice(0, FEED_LIMIT)
+      })
+      markNew(data.added.map(post => post.id))
+    }
+    if (type === 'resync') fetchDiscussions({ silent: true })
+    if (type === 'discussions' || type === 'heartbeat') setUpdatedAt(data.updatedAt)
+  })
+
+  const fetchDiscussions = async ({ silent = false } = {}) => {
     try {
-      setLoading(true)
+      if (!silent) setLoading(true)
       setError(null)
 
       const response = await fetch(
-        `${API_URL}/market/discussions?subreddit=${selectedSubreddit}&limit=20`
+        `${API_URL}/market/discussions?subreddit=${selectedSubreddit}&limit=${FEED_LIMIT}`
       )
       const data = await response.json()
 
       if (data.success) {
         setDiscussions(data.data)
+        setUpdatedAt(new Date())
       } else {
         setError('Failed to fetch discussions')
       }
@@ -61,7 +81,10 @@ function DiscussionFeed({ selectedStock = null }) {
   return (
     <div className="discussion-feed">
       <div className="discussion-header">
-        <h2>💬 Community Discussions</h2>
+        <h2>
+          💬 Community Discussions
+          {updatedAt && <span className="last-updated">{formatUpdatedAt(updatedAt)}</span>}
+        </h2>
         <div className="subreddit-selector">
           {subreddits.map(sub => (
             <button
@@ -83,7 +106,7 @@ function DiscussionFeed({ selectedStock = null }) {
       ) : error ? (
         <div className="discussion-error">
           <p>❌ {error}</p>
-          <button onClick={fetchDiscussions}>Retry</button>
+          <button onClick={() => fetchDiscussions()}>Retry</button>
         </div>
       ) : discussions.length === 0 ? (
         <div className="discussion-empty">
@@ -91,10 +114,10 @@ function DiscussionFeed({ selectedStock = null }) {
         </div>
       ) : (
         <div className="discussion-list">
-          {discussions.map((post, idx) => (
+          {discussions.map((post) => (
             <div
-              key={idx}
-              className="discussion-card"
+              key={post.id}
+              className={`discussion-card ${highlighted.has(post.id) ? 'is-new' : ''}`}
               onClick={() => openDiscussion(post.url)}
             >
               <div className="discussion-content">
@@ -5,9 +5,26 @@ import TrendingStocks from './TrendingStocks'
 import DiscussionFeed from './DiscussionFeed'
 import RecentNews from './RecentNews'
 import Footer from './Footer'
+import { useMarketStream, useHighlights } from '../hooks/useMarketStream'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
+// Transform a trending stock from the API to the company structure the cards expect
+const toCompany = (stock) => ({
+  symbol: stock.symbol,
+  name: stock.name || stock.symbol,
+  price: stock.price,
+  change: stock.change,
+  changePercent: stock.changePercent,
+  marketCap: stock.marketCap,
+  volume: stock.volume,
+  redditMentions: stock.redditMentions || 0,
+  redditScore: stock.redditScore || 0,
+  sector: stock.sector,
+  sectorColor: stock.sectorColor,
+  momentum: stock.momentum
+})
+
 /**
  * Enhanced Dashboard Component
  * Displays trending stocks with market intelligence
@@ -17,36 +34,55 @@ function EnhancedDashboard() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   
+  // Sector filter (slug from /market/universe, empty = all stocks)
+  const [sector, setSector] = useState('')
+  
   // Selected company for detail view
   const [selectedCompany, setSelectedCompany] = useState(null)
 
+  // Live updates from /stream
+  const [updatedAt, setUpdatedAt] = useState(null)
+  const [highlighted, markNew] = useHighlights()
+
   useEffect(() => {
     fetchTrendingStocks()
-  }, [])
+  }, [sector])
+
+  // Apply a trending delta from the stream; sector views refetch since the
+  // stream carries the unfiltered list
+  const applyTrendingDelta = (delta) => {
+    if (sector) {
+      fetchTrendingStocks({ silent: true })
+      return
+    }
+
+    setCompanies(prev => {
+      const bySymbol = new Map(prev.map(company => [company.symbol, company]))
+      delta.removed.forEach(symbol => bySymbol.delete(symbol))
+      ;[...delta.added, ...delta.updated].forEach(stock => bySymbol.set(stock.symbol, toCompany(stock)))
+      return delta.order.map(symbol => bySymbol.get(symbol)).filter(Boolean)
+    })
+    markNew(delta.added.map(stock => stock.symbol))
+  }
+
+  useMarketStream((type, data) => {
+    if (type === 'trending') applyTrendingDelta(data)
+    if (type === 'resync') fetchTrendingStocks({ silent: true })
+    if (type === 'trending' || type === 'heartbeat') setUpdatedAt(data.updatedAt)
+  })
 
-  const fetchTrendingStocks = async () => {
+  const fetchTrendingStocks = async ({ silent = false } = {}) => {
     try {
-      setLoading(true)
+      if (!silent) setLoading(true)
       setError(null)
       
-      const response = await fetch(`${API_URL}/market/trending`)
+      const query = sector ? `?sector=${sector}` : ''
+      const response = await fetch(`${API_URL}/market/trending${query}`)
       const data = await response.json()
       
       if (data.success) {
-        // Transform trending stocks data to match expected company structure
-        const transformedCompanies = data.data.map(stock => ({
-          symbol: stock.symbol,
-          name: stock.name || stock.symbol,
-          price: stock.price,
-          change: stock.change,
-          changePercent: stock.changePercent,
-          marketCap: stock.marketCap,
-          volume: stock.volume,
-          redditMentions: stock.redditMentions || 0,
-          redditScore: stock.redditScore || 0
-        }))
-        
-        setCompanies(transformedCompanies)
+        setCompanies(data.data.map(toCompany))
+        setUpdatedAt(new Date())
       } else {
         setError('Failed to fetch trending stocks')
       }
@@ -74,7 +110,7 @@ function EnhancedDashboard() {
       <div className="enhanced-dashboard">
         <div className="dashboard-error">
           <p>❌ {error}</p>
-          <button onClick={fetchTrendingStocks}>Retry</button>
+          <button onClick={() => fetchTrendingStocks()}>Retry</button>
         </div>
       </div>
     )
@@ -86,6 +122,10 @@ function EnhancedDashboard() {
         {/* Trending Stocks Section */}
         <TrendingStocks 
           stocks={companies}
+          sector={sector}
+          onSectorChange={setSector}
+          updatedAt={updatedAt}
+          highlighted={highlighted}
           onStockClick={(stock) => setSelectedCompany(stock)}
         />
 
@@ -93,7 +133,7 @@ function EnhancedDashboard() {
         <DiscussionFeed />
 
         {/* Recent News Section */}
-        <RecentNews />
+        <RecentNews sector={sector} />
 
         {/* Stock Detail Panel */}
         {selectedCompany && (
@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useRef } from 'react'
+import './PriceChart.css'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const RANGES = [
+  { value: '1d', label: '1D' },
+  { value: '5d', label: '5D' },
+  { value: '1mo', label: '1M' },
+  { value: '6mo', label: '6M' },
+  { value: '1y', label: '1Y' },
+  { value: '5y', label: '5Y' }
+]
+
+// SVG layout (viewBox units)
+const WIDTH = 640
+const PRICE_HEIGHT = 200
+const VOLUME_HEIGHT = 50
+const GAP = 10
+const HEIGHT = PRICE_HEIGHT + GAP + VOLUME_HEIGHT
+const MIN_VISIBLE = 10
+
+/**
+ * PriceChart Component
+ * Line/candlestick price chart with volume bars, range tabs,
+ * wheel-to-zoom and drag-to-pan
+ */
+function PriceChart({ symbol }) {
+  const [range, setRange] = useState('1mo')
+  const [chartType, setChartType] = useState('line')
+  const [candles, setCandles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [view, setView] = useState({ start: 0, end: 0 })
+  const [hoverIndex, setHoverIndex] = useState(null)
+
+  const svgRef = useRef(null)
+  const dragRef = useRef(null)
+
+  useEffect(() => {
+    fetchHistory()
+  }, [symbol, range])
+
+  // React registers wheel listeners as passive, so attach natively to be able to preventDefault
+  useEffect(() => {
+    const svg = svgRef.current
+    if (!svg) return
+    svg.addEventListener('wheel', handleWheel, { passive: false })
+    return () => svg.removeEventListener('wheel', handleWheel)
+  }, [candles, view, loading])
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await fetch(`${API_URL}/stock/${symbol}/history?range=${range}`)
+      const data = await response.json()
+
+      if (data.success) {
+        setCandles(data.data.candles)
+        setView({ start: 0, end: data.data.candles.length })
+      } else {
+        setError(data.error || 'Failed to load price history')
+      }
+    } catch (err) {
+      console.error('Error fetching price history:', err)
+      setError('Could not load price history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Convert a mouse event to a candle index in the visible window
+  const indexFromEvent = (e) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    const ratio = (e.clientX - rect.left) / rect.width
+    const count = view.end - view.start
+    return Math.min(view.start + Math.floor(ratio * count), view.end - 1)
+  }
+
+  const handleWheel = (e) => {
+    if (candles.length <= MIN_VISIBLE) return
+    e.preventDefault()
+
+    const rect = svgRef.current.getBoundingClientRect()
+    const anchor = (e.clientX - rect.left) / rect.width
+    const count = view.end - view.start
+    const nextCount = Math.round(count * (e.deltaY > 0 ? 1.2 : 0.8))
+    const clamped = Math.max(MIN_VISIBLE, Math.min(candles.length, nextCount))
+
+    let start = Math.round(view.start + anchor * (count - clamped))
+    start = Math.max(0, Math.min(candles.length - clamped, start))
+    setView({ start, end: start + clamped })
+  }
+
+  const handleMouseDown = (e) => {
+    dragRef.current = { x: e.clientX, view }
+  }
+
+  const handleMouseMove = (e) => {
+    if (!dragRef.current) {
+      setHoverIndex(indexFromEvent(e))
+      return
+    }
+
+    const rect = svgRef.current.getBoundingClientRect()
+    const { x, view: origin } = dragRef.current
+    const count = origin.end - origin.start
+    const shift = Math.round(((x - e.clientX) / rect.width) * count)
+    const start = Math.max(0, Math.min(candles.length - count, origin.start + shift))
+    setView({ start, end: start + count })
+  }
+
+  const handleMouseUp = () => {
+    dragRef.current = null
+  }
+
+  const handleMouseLeave = () => {
+    dragRef.current = null
+    setHoverIndex(null)
+  }
+
+  const resetZoom = () => setView({ start: 0, end: candles.length })
+
+  const formatTime = (time) => {
+    const date = new Date(time)
+    if (range === '1d' || range === '5d') {
+      return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  }
+
+  const formatVolume = (volume) => {
+    if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`
+    if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`
+    if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`
+    return `${volume}`
+  }
+
+  const renderChart = () => {
+    const visible = candles.slice(view.start, view.end)
+    const low = Math.min(...visible.map(c => c.low ?? c.close))
+    const high = Math.max(...visible.map(c => c.high ?? c.close))
+    const maxVolume = Math.max(...visible.map(c => c.volume || 0), 1)
+    const pricePad = (high - low) * 0.05 || 1
+
+    const slot = WIDTH / visible.length
+    const x = (i) => i * slot + slot / 2
+    const y = (price) => PRICE_HEIGHT - ((price - low + pricePad) / (high - low + pricePad * 2)) * PRICE_HEIGHT
+    const rising = visible[visible.length - 1].close >= visible[0].close
+
+    const linePath = visible
+      .map((c, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(c.close).toFixed(1)}`)
+      .join(' ')
+
+    const hovered = hoverIndex !== null ? candles[hoverIndex] : null
+    const hoverX = hoverIndex !== null ? x(hoverIndex - view.start) : null
+
+    return (
+      <>
+        <svg
+          ref={svgRef}
+          className="price-chart-svg"
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          preserveAspectRatio="none"
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
+          onDoubleClick={resetZoom}
+        >
+          {chartType === 'line' ? (
+            <path
+              d={linePath}
+              className={`price-line ${rising ? 'positive' : 'negative'}`}
+              vectorEffect="non-scaling-stroke"
+            />
+          ) : (
+            visible.map((c, i) => {
+              const up = c.close >= c.open
+              const bodyTop = y(Math.max(c.open, c.close))
+              const bodyHeight = Math.max(Math.abs(y(c.open) - y(c.close)), 1)
+              return (
+                <g key={c.time} className={`candle ${up ? 'positive' : 'negative'}`}>
+                  <line x1={x(i)} x2={x(i)} y1={y(c.high)} y2={y(c.low)} vectorEffect="non-scaling-stroke" />
+                  <rect x={x(i) - slot * 0.35} y={bodyTop} width={slot * 0.7} height={bodyHeight} />
+                </g>
+              )
+            })
+          )}
+
+          {visible.map((c, i) => {
+            const barHeight = ((c.volume || 0) / maxVolume) * VOLUME_HEIGHT
+            return (
+              <rect
+                key={`v-${c.time}`}
+                className={`volume-bar ${c.close >= c.open ? 'positive' : 'negative'}`}
+                x={x(i) - slot * 0.35}
+                y={HEIGHT - barHeight}
+                width={slot * 0.7}
+                height={barHeight}
+              />
+            )
+          })}
+
+          {hoverX !== null && (
+            <line
+              className="crosshair"
+              x1={hoverX}
+              x2={hoverX}
+              y1={0}
+              y2={HEIGHT}
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+
+        <div className="price-chart-readout">
+          {hovered ? (
+            <>
+              <span>{formatTime(hovered.time)}</span>
+              <span>O {hovered.open?.toFixed(2)}</span>
+              <span>H {hovered.high?.toFixed(2)}</span>
+              <span>L {hovered.low?.toFixed(2)}</span>
+              <span>C {hovered.close.toFixed(2)}</span>
+              <span>Vol {formatVolume(hovered.volume || 0)}</span>
+            </>
+          ) : (
+            <span className="price-chart-hint">Scroll to zoom · drag to pan · double-click to reset</span>
+          )}
+        </div>
+      </>
+    )
+  }
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-controls">
+        <div className="price-chart-tabs">
+          {RANGES.map(r => (
+            <button
+              key={r.value}
+              className={`chart-tab ${range === r.value ? 'active' : ''}`}
+              onClick={() => setRange(r.value)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+        <div className="price-chart-tabs">
+          <button
+            className={`chart-tab ${chartType === 'line' ? 'active' : ''}`}
+            onClick={() => setChartType('line')}
+          >
+            Line
+          </button>
+          <button
+            className={`chart-tab ${chartType === 'candles' ? 'active' : ''}`}
+            onClick={() => setChartType('candles')}
+          >
+            Candles
+          </button>
+          {(view.start > 0 || view.end < candles.length) && (
+            <button className="chart-tab" onClick={resetZoom}>Reset</button>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="section-loading">Loading chart...</div>
+      ) : error ? (
+        <div className="section-error">{error}</div>
+      ) : candles.length === 0 ? (
+        <div className="section-empty">No price history available</div>
+      ) : (
+        renderChart()
+      )}
+    </div>
+  )
+}
+
+export default PriceChart
@@ -1,34 +1,62 @@
 import React, { useState, useEffect } from 'react'
 import './RecentNews.css'
+import { useMarketStream, useHighlights, formatUpdatedAt } from '../hooks/useMarketStream'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
-function RecentNews() {
+// Articles shown before the "Past News" fold
+const RECENT_COUNT = 10
+
+function RecentNews({ sector = '' }) {
   const [recentNews, setRecentNews] = useState([])
   const [pastNews, setPastNews] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [showPastNews, setShowPastNews] = useState(false)
   const [expandedItem, setExpandedItem] = useState(null)
+  const [updatedAt, setUpdatedAt] = useState(null)
+  const [highlighted, markNew] = useHighlights()
 
   useEffect(() => {
     fetchNews()
-  }, [])
+  }, [sector])
+
+  // Merge new articles from the stream; sector views refetch since the
+  // stream carries the unfiltered feed
+  useMarketStream((type, data) => {
+    if (type === 'news') {
+      if (sector) {
+        fetchNews({ silent: true })
+      } else {
+        const known = new Set([...recentNews, ...pastNews].map(article => article.link))
+        const added = data.added.filter(article => !known.has(article.link))
+        const allNews = [...added, ...recentNews, ...pastNews]
+          .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+        setRecentNews(allNews.slice(0, RECENT_COUNT))
+        setPastNews(allNews.slice(RECENT_COUNT))
+        markNew(added.map(article => article.link))
+      }
+    }
+    if (type === 'resync') fetchNews({ silent: true })
+    if (type === 'news' || type === 'heartbeat') setUpdatedAt(data.updatedAt)
+  })
 
-  const fetchNews = async () => {
+  const fetchNews = async ({ silent = false } = {}) => {
     try {
-      setLoading(true)
+      if (!silent) setLoading(true)
       setError(null)
 
       // Fetch market news from new endpoint
-      const response = await fetch(`${API_URL}/market/news`)
+      const query = sector ? `?sector=${sector}` : ''
+      const response = await fetch(`${API_URL}/market/news${query}`)
       const data = await response.json()
 
       if (data.success) {
         // Split news into recent (first 10) and past (remaining)
         const allNews = data.data
-        setRecentNews(allNews.slice(0, 10))
-        setPastNews(allNews.slice(10))
+        setRecentNews(allNews.slice(0, RECENT_COUNT))
+        setPastNews(allNews.slice(RECENT_COUNT))
+        setUpdatedAt(new Date())
       }
     } catch (err) {
       console.error('Error fetching news:', err)
@@ -59,10 +87,10 @@ function RecentNews() {
 
   const handleNewsClick = (article, index) => {
     // Toggle expansion
-    if (expandedItem === index) {
+    if (expandedItem === article.link) {
       setExpandedItem(null)
     } else {
-      setExpandedItem(index)
+      setExpandedItem(article.link)
     }
   }
 
@@ -102,15 +130,18 @@ function RecentNews() {
     <div className="recent-news">
       <div className="news-header">
         <h2>Recent News</h2>
-        <span className="news-count">{recentNews.length} articles</span>
+        <span className="news-count">
+          {recentNews.length} articles
+          {updatedAt && <span className="last-updated">{formatUpdatedAt(updatedAt)}</span>}
+        </span>
       </div>
 
       {/* Recent News Items */}
       <div className="news-items">
         {recentNews.map((article, index) => (
           <div 
-            key={index} 
-            className={`news-item ${expandedItem === index ? 'expanded' : ''}`}
+            key={article.link} 
+            className={`news-item ${expandedItem === article.link ? 'expanded' : ''} ${highlighted.has(article.link) ? 'is-new' : ''}`}
             onClick={() => handleNewsClick(article, index)}
           >
             <div className="news-item-header">
@@ -131,9 +162,17 @@ function RecentNews() {
               </div>
             </div>
             
-            {expandedItem === index && (
+            {expandedItem === article.link && (
               <div className="news-item-expanded">
-                <p className="news-summary">{article.summary}</p>
+                <p className="news-summary">
+                  {article.summarySource === 'ai' && <span className="ai-summary-badge">AI</span>}
+                  {article.aiSummary || article.summary}
+                </p>
+                {article.whyItMatters && (
+                  <p className="news-why">
+                    <strong>Why it matters:</strong> {article.whyItMatters}
+                  </p>
+                )}
                 <button 
                   className="news-read-more"
                   onClick={(e) => openArticle(article.link, e)}
@@ -161,7 +200,7 @@ function RecentNews() {
             <div className="past-news-items">
               {pastNews.map((article, index) => (
                 <div 
-                  key={index} 
+                  key={article.link} 
                   className="past-news-item"
                   onClick={() => openArticle(article.link, { stopPropagation: () => {} })}
                 >
@@ -1,8 +1,39 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import { NavLink } from 'react-router-dom'
 import './Sidebar.css'
+import { useAuth } from '../hooks/useAuth'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+// How often the unread alert badge is refreshed
+const UNREAD_POLL_MS = 60000
 
 function Sidebar() {
+  const { user, loading: authLoading } = useAuth()
+  const [unreadAlerts, setUnreadAlerts] = useState(0)
+
+  // Notifications belong to the signed-in user
+  useEffect(() => {
+    if (!user) {
+      setUnreadAlerts(0)
+      return
+    }
+
+    const fetchUnread = async () => {
+      try {
+        const response = await fetch(`${API_URL}/alerts/notifications?unread=true`, { credentials: 'include' })
+        const data = await response.json()
+        if (data.success) setUnreadAlerts(data.unread)
+      } catch (error) {
+        console.error('Error fetching alert count:', error)
+      }
+    }
+
+    fetchUnread()
+    const timer = setInterval(fetchUnread, UNREAD_POLL_MS)
+    return () => clearInterval(timer)
+  }, [user])
+
   return (
     <div className="sidebar">
       <div className="sidebar-header">
@@ -29,15 +60,43 @@ function Sidebar() {
           <span className="nav-icon">📰</span>
           <span className="nav-label">News</span>
         </NavLink>
+        
+        <NavLink to="/watchlist" className={({ isActive }) => isActive ? 'nav-item active' : 'nav-item'}>
+          <span className="nav-icon">⭐</span>
+          <span className="nav-label">Watchlist</span>
+        </NavLink>
+        
+        <NavLink to="/alerts" className={({ isActive }) => isActive ? 'nav-item active' : 'nav-item'}>
+          <span className="nav-icon">🔔</span>
+          <span className="nav-label">Alerts</span>
+          {unreadAlerts > 0 && <span className="nav-badge">{unreadAlerts}</span>}
+        </NavLink>
+        
+        <NavLink to="/calendar" className={({ isActive }) => isActive ? 'nav-item active' : 'nav-item'}>
+          <span className="nav-icon">📅</span>
+          <span className="nav-label">Calendar</span>
+        </NavLink>
       </nav>
       
       <div className="sidebar-footer">
-        <div className="user-section">
-          <div className="user-avatar">👤</div>
-          <div className="user-info">
-            <span className="user-name">Guest User</span>
+        {user ? (
+          <div className="user-section">
+            <div className="user-avatar">{user.name.charAt(0).toUpperCase()}</div>
+            <div className="user-info">
+              <span className="user-name">{user.name}</span>
+              <span className="user-email">{user.email}</span>
+            </div>
+            <NavLink to="/logout" className="user-action" title="Sign out">⎋</NavLink>
           </div>
-        </div>
+        ) : (
+          <NavLink to="/login" className="user-section">
+            <div className="user-avatar">👤</div>
+            <div className="user-info">
+              <span className="user-name">Guest User</span>
+              {!authLoading && <span className="user-email">Sign in or register</span>}
+            </div>
+          </NavLink>
+        )}
       </div>
     </div>
   )
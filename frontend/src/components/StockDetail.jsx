@@ -1,15 +1,23 @@
 import React, { useState, useEffect } from 'react'
 import './StockDetail.css'
+import PriceChart from './PriceChart'
+import StockDiscussions from './StockDiscussions'
+import StockPipeline from './StockPipeline'
+import StockFilings from './StockFilings'
+import StockInsiders from './StockInsiders'
+import AddToWatchlist from './AddToWatchlist'
+import CatalystBadge from './CatalystBadge'
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
 /**
  * Stock Detail Component
- * Shows stock information, Reddit sentiment, and news
+ * Shows stock information, Reddit sentiment, insider activity, news and SEC filings
  */
 function StockDetail({ company, onClose }) {
   const [stockData, setStockData] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [newsTab, setNewsTab] = useState('news')
 
   useEffect(() => {
     fetchStockIntelligence()
@@ -66,6 +74,10 @@ function StockDetail({ company, onClose }) {
                     <span className="header-price"> • ${parseFloat(stockData.price).toFixed(2)}</span>
                   )}
                 </p>
+                <div className="detail-header-actions">
+                  <AddToWatchlist symbol={company.symbol} />
+                  <CatalystBadge catalyst={stockData?.nextCatalyst} />
+                </div>
               </div>
               {stockData?.changePercent && (
                 <div className={`price-change ${stockData.changePercent >= 0 ? 'positive' : 'negative'}`}>
@@ -74,6 +86,12 @@ function StockDetail({ company, onClose }) {
               )}
             </div>
 
+            {/* Price Chart */}
+            <div className="detail-section">
+              <h3>Price History</h3>
+              <PriceChart symbol={company.symbol} />
+            </div>
+
             {/* Stock Stats */}
             {stockData && (
               <div className="detail-section">
@@ -116,6 +134,12 @@ function StockDetail({ company, onClose }) {
                       {stockData.socialSentiment.signal.toUpperCase()}
                     </span>
                   </div>
+                  <div className="sentiment-card">
+                    <span className="sentiment-label">Score</span>
+                    <span className={`sentiment-value signal-${stockData.socialSentiment.signal}`}>
+                      {stockData.socialSentiment.score > 0 ? '+' : ''}{stockData.socialSentiment.score.toFixed(2)}
+                    </span>
+                  </div>
                   <div className="sentiment-card">
                     <span className="sentiment-label">Mentions</span>
                     <span className="sentiment-value">{stockData.socialSentiment.mentions}</span>
@@ -125,31 +149,69 @@ function StockDetail({ company, onClose }) {
                     <span className="sentiment-value">{stockData.socialSentiment.engagement.toLocaleString()}</span>
                   </div>
                 </div>
+                {stockData.socialSentiment.topPhrases?.length > 0 && (
+                  <div className="match-reasons">
+                    <h4>Why {stockData.socialSentiment.signal}</h4>
+                    <div className="match-badges">
+                      {stockData.socialSentiment.topPhrases.map(p => (
+                        <span
+                          key={p.phrase}
+                          className={`phrase-badge ${p.direction}`}
+                          title={`Mentioned in ${p.count} post${p.count === 1 ? '' : 's'}`}
+                        >
+                          {p.phrase} {p.impact > 0 ? '+' : ''}{p.impact.toFixed(1)}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
+            {/* Insider Activity */}
+            <div className="detail-section">
+              <h3>👔 Insider Activity</h3>
+              <StockInsiders symbol={company.symbol} />
+            </div>
+
+            {/* Clinical Pipeline */}
+            <div className="detail-section">
+              <h3>🧪 Clinical Pipeline</h3>
+              <StockPipeline symbol={company.symbol} />
+            </div>
+
             {/* Reddit Discussions */}
-            {stockData?.discussions && stockData.discussions.length > 0 && (
+            {stockData && (
               <div className="detail-section">
                 <h3>💬 Recent Discussions</h3>
-                <div className="discussion-mini-list">
-                  {stockData.discussions.map((post, idx) => (
-                    <div key={idx} className="discussion-mini-card" onClick={() => window.open(post.url, '_blank')}>
-                      <h4>{post.title}</h4>
-                      <div className="discussion-stats">
-                        <span>⬆ {post.upvotes}</span>
-                        <span>💬 {post.comments}</span>
-                      </div>
-                    </div>
-                  ))}
-                </div>
+                <StockDiscussions
+                  key={company.symbol}
+                  symbol={company.symbol}
+                  initialPosts={stockData.discussions}
+                  initialTotal={stockData.discussionCount}
+                />
               </div>
             )}
 
-            {/* News Feed */}
+            {/* News Feed / SEC Filings */}
             <div className="detail-section">
-              <h3>Latest News</h3>
-              {stockData?.news && stockData.news.length > 0 ? (
+              <div className="detail-tabs">
+                <button
+                  className={`chart-tab ${newsTab === 'news' ? 'active' : ''}`}
+                  onClick={() => setNewsTab('news')}
+                >
+                  Latest News
+                </button>
+                <button
+                  className={`chart-tab ${newsTab === 'filings' ? 'active' : ''}`}
+                  onClick={() => setNewsTab('filings')}
+                >
+                  SEC Filings
+                </button>
+              </div>
+              {newsTab === 'filings' ? (
+                <StockFilings symbol={company.symbol} />
+              ) : stockData?.news && stockData.news.length > 0 ? (
                 <div className="news-list">
                   {stockData.news.map((article, index) => (
                     <div key={index} className={`news-item ${isToday(article.publishedAt) ? 'news-today' : ''}`}>
@@ -160,6 +222,17 @@ function StockDetail({ company, onClose }) {
                         </h4>
                         <span className="news-source">{article.publisher}</span>
                       </div>
+                      {article.aiSummary && (
+                        <p className="news-summary">
+                          {article.summarySource === 'ai' && <span className="ai-summary-badge">AI</span>}
+                          {article.aiSummary}
+                        </p>
+                      )}
+                      {article.whyItMatters && (
+                        <p className="news-why">
+                          <strong>Why it matters:</strong> {article.whyItMatters}
+                        </p>
+                      )}
                       <div className="news-footer">
                         <span className="news-date">{formatDate(article.publishedAt)}</span>
                         {article.link && (
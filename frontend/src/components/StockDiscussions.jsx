@@ -0,0 +1,105 @@
+import React, { useState } from 'react'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const SORTS = [
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+  { value: 'engagement', label: 'Most Engaged' }
+]
+
+const PAGE_SIZE = 10
+
+/**
+ * StockDiscussions Component
+ * Paginated Reddit posts mentioning a stock, sortable by new/top/engagement
+ */
+function StockDiscussions({ symbol, initialPosts = [], initialTotal = 0 }) {
+  const [posts, setPosts] = useState(initialPosts)
+  const [total, setTotal] = useState(initialTotal)
+  const [sort, setSort] = useState('new')
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(false)
+
+  const fetchPage = async (nextSort, nextPage) => {
+    try {
+      setLoading(true)
+      const response = await fetch(
+        `${API_URL}/stock/${symbol}/discussions?sort=${nextSort}&page=${nextPage}&pageSize=${PAGE_SIZE}`
+      )
+      const data = await response.json()
+
+      if (data.success) {
+        setPosts(prev => nextPage === 1 ? data.data : [...prev, ...data.data])
+        setTotal(data.total)
+        setPage(nextPage)
+      }
+    } catch (error) {
+      console.error('Error fetching discussions:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const changeSort = (nextSort) => {
+    setSort(nextSort)
+    fetchPage(nextSort, 1)
+  }
+
+  const formatAge = (hours) => {
+    if (hours < 1) return `${Math.max(Math.round(hours * 60), 1)}m ago`
+    if (hours < 24) return `${Math.round(hours)}h ago`
+    return `${Math.round(hours / 24)}d ago`
+  }
+
+  if (total === 0) {
+    return <div className="section-empty">No Reddit discussions found</div>
+  }
+
+  return (
+    <>
+      <div className="discussion-sort">
+        {SORTS.map(s => (
+          <button
+            key={s.value}
+            className={`chart-tab ${sort === s.value ? 'active' : ''}`}
+            onClick={() => changeSort(s.value)}
+            disabled={loading}
+          >
+            {s.label}
+          </button>
+        ))}
+        <span className="discussion-count">{total} posts</span>
+      </div>
+
+      <div className="discussion-mini-list">
+        {posts.map(post => (
+          <div key={post.id} className="discussion-mini-card" onClick={() => window.open(post.url, '_blank')}>
+            <div className="discussion-meta-row">
+              <span className="discussion-subreddit">r/{post.subreddit}</span>
+              <span>{formatAge(post.ageHours)}</span>
+              {post.flair && <span className="discussion-flair">{post.flair}</span>}
+            </div>
+            <h4>{post.title}</h4>
+            {post.snippet && <p className="discussion-snippet">{post.snippet}</p>}
+            <div className="discussion-stats">
+              <span>⬆ {post.upvotes}</span>
+              <span>💬 {post.comments}</span>
+              {post.sentiment && (
+                <span className={`signal-${post.sentiment.label}`}>{post.sentiment.label}</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {posts.length < total && (
+        <button className="discussion-load-more" onClick={() => fetchPage(sort, page + 1)} disabled={loading}>
+          {loading ? 'Loading...' : `Load more (${total - posts.length} remaining)`}
+        </button>
+      )}
+    </>
+  )
+}
+
+export default StockDiscussions
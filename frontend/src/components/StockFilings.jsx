@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react'
+import './StockFilings.css'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * StockFilings Component
+ * Recent SEC EDGAR filings for a company, with offerings and other
+ * dilution-related forms highlighted
+ */
+function StockFilings({ symbol }) {
+  const [filings, setFilings] = useState(null)
+  const [categories, setCategories] = useState({})
+  const [category, setCategory] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchFilings()
+  }, [symbol, category])
+
+  const fetchFilings = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const query = category ? `?category=${category}` : ''
+      const response = await fetch(`${API_URL}/stock/${symbol}/filings${query}`)
+      const data = await response.json()
+
+      if (data.success) {
+        setFilings(data.data)
+        setCategories(data.categories)
+      } else {
+        setError(data.error || 'Failed to load filings')
+      }
+    } catch (err) {
+      console.error('Error fetching filings:', err)
+      setError('Failed to load filings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number)
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  }
+
+  const dilutionCount = filings?.filings.filter(filing => filing.dilution).length || 0
+
+  return (
+    <>
+      <div className="filings-toolbar">
+        <select value={category} onChange={(e) => setCategory(e.target.value)} disabled={loading}>
+          <option value="">All filings</option>
+          {Object.entries(categories).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {!category && dilutionCount > 0 && (
+          <span className="filings-dilution-note">
+            ⚠️ {dilutionCount} offering {dilutionCount === 1 ? 'filing' : 'filings'} in recent history
+          </span>
+        )}
+        {filings?.cik && <span className="filings-cik">CIK {filings.cik}</span>}
+      </div>
+
+      {loading ? (
+        <div className="section-loading">Loading filings...</div>
+      ) : error ? (
+        <div className="section-error">{error}</div>
+      ) : !filings || filings.filings.length === 0 ? (
+        <div className="section-empty">No recent filings</div>
+      ) : (
+        <ul className="filings-list">
+          {filings.filings.map(filing => (
+            <li key={filing.accessionNumber} className={filing.dilution ? 'filing-dilution' : ''}>
+              <span className="filing-form">{filing.form}</span>
+              <div className="filing-body">
+                <a href={filing.url} target="_blank" rel="noopener noreferrer" className="filing-title">
+                  {filing.items.length > 0
+                    ? filing.items.filter(item => item.code !== '9.01').map(item => item.label).join(' · ') || filing.description
+                    : filing.description}
+                </a>
+                <span className={`filing-category category-${filing.category}`}>
+                  {categories[filing.category]?.label || filing.category}
+                </span>
+              </div>
+              <span className="filing-date">{formatDate(filing.filingDate)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  )
+}
+
+export default StockFilings
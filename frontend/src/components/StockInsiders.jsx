@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react'
+import './StockInsiders.css'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+// Net insider flow shares the sentiment colour scheme
+const SIGNAL_CLASSES = {
+  buying: 'signal-bullish',
+  selling: 'signal-bearish',
+  neutral: 'signal-neutral'
+}
+
+/**
+ * StockInsiders Component
+ * Net open-market insider buying/selling from Form 4 filings, with the
+ * latest transactions underneath
+ */
+function StockInsiders({ symbol }) {
+  const [insiders, setInsiders] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchInsiders()
+  }, [symbol])
+
+  const fetchInsiders = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await fetch(`${API_URL}/stock/${symbol}/insiders`)
+      const data = await response.json()
+
+      if (data.success) {
+        setInsiders(data.data)
+      } else {
+        setError(data.error || 'Failed to load insider transactions')
+      }
+    } catch (err) {
+      console.error('Error fetching insiders:', err)
+      setError('Failed to load insider transactions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatMoney = (value) => {
+    const abs = Math.abs(value)
+    const sign = value < 0 ? '-' : ''
+    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`
+    if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`
+    return `${sign}$${abs.toFixed(0)}`
+  }
+
+  if (loading) return <div className="section-loading">Loading insider transactions...</div>
+  if (error) return <div className="section-error">{error}</div>
+  if (!insiders || insiders.transactions.length === 0) {
+    return <div className="section-empty">No insider transactions in the last {insiders?.days || 180} days</div>
+  }
+
+  const { summary } = insiders
+  const signalClass = SIGNAL_CLASSES[summary.signal]
+  const openMarket = insiders.transactions.filter(txn => !txn.derivative && ['P', 'S'].includes(txn.code))
+
+  return (
+    <>
+      <div className="sentiment-grid">
+        <div className="sentiment-card">
+          <span className="sentiment-label">Net Flow</span>
+          <span className={`sentiment-value ${signalClass}`}>{summary.signal.toUpperCase()}</span>
+        </div>
+        <div className="sentiment-card">
+          <span className="sentiment-label">Net Value</span>
+          <span className={`sentiment-value ${signalClass}`}>
+            {summary.netValue > 0 ? '+' : ''}{formatMoney(summary.netValue)}
+          </span>
+        </div>
+        <div className="sentiment-card">
+          <span className="sentiment-label">Buys</span>
+          <span className="sentiment-value">{summary.buys.count}</span>
+        </div>
+        <div className="sentiment-card">
+          <span className="sentiment-label">Sells</span>
+          <span className="sentiment-value">{summary.sells.count}</span>
+        </div>
+      </div>
+
+      {openMarket.length > 0 ? (
+        <ul className="insider-list">
+          {openMarket.slice(0, 8).map((txn, index) => (
+            <li key={`${txn.accessionNumber}-${index}`}>
+              <span className={`insider-code ${txn.code === 'P' ? 'signal-bullish' : 'signal-bearish'}`}>
+                {txn.code === 'P' ? 'BUY' : 'SELL'}
+              </span>
+              <div className="insider-body">
+                <a href={txn.url} target="_blank" rel="noopener noreferrer" className="insider-name">
+                  {txn.insider}
+                </a>
+                <span className="insider-role">
+                  {txn.role}{txn.tenb5One && ' · 10b5-1 plan'}{txn.ownership === 'indirect' && ' · indirect'}
+                </span>
+              </div>
+              <div className="insider-amount">
+                <span>
+                  {txn.shares?.toLocaleString()} shares{txn.price ? ` @ $${txn.price.toFixed(2)}` : ''}
+                  {txn.value !== null && ` · ${formatMoney(txn.value)}`}
+                </span>
+                <span className="insider-date">
+                  {txn.date}
+                  {txn.sharesOwnedAfter !== null && ` · holds ${txn.sharesOwnedAfter.toLocaleString()}`}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="insider-note">
+          No open-market trades in the last {insiders.days} days, only grants, option exercises and tax withholding
+        </div>
+      )}
+    </>
+  )
+}
+
+export default StockInsiders
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react'
+import './StockPipeline.css'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const FILTERS = [
+  { value: 'active', label: 'In development' },
+  { value: 'all', label: 'All trials' }
+]
+
+const STATUS_LABELS = {
+  NOT_YET_RECRUITING: 'Not yet recruiting',
+  RECRUITING: 'Recruiting',
+  ENROLLING_BY_INVITATION: 'By invitation',
+  ACTIVE_NOT_RECRUITING: 'Active',
+  COMPLETED: 'Completed',
+  SUSPENDED: 'Suspended',
+  TERMINATED: 'Terminated',
+  WITHDRAWN: 'Withdrawn'
+}
+
+/**
+ * StockPipeline Component
+ * Clinical trials from ClinicalTrials.gov for a company, grouped by phase
+ */
+function StockPipeline({ symbol }) {
+  const [pipeline, setPipeline] = useState(null)
+  const [status, setStatus] = useState('active')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchPipeline()
+  }, [symbol, status])
+
+  const fetchPipeline = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await fetch(`${API_URL}/stock/${symbol}/pipeline?status=${status}`)
+      const data = await response.json()
+
+      if (data.success) {
+        setPipeline(data.data)
+      } else {
+        setError(data.error || 'Failed to load pipeline')
+      }
+    } catch (err) {
+      console.error('Error fetching pipeline:', err)
+      setError('Failed to load pipeline')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Registry dates are "YYYY-MM" or "YYYY-MM-DD"
+  const formatCompletion = (trial) => {
+    if (!trial.primaryCompletionDate) return '—'
+    const [year, month] = trial.primaryCompletionDate.split('-')
+    const label = new Date(Number(year), Number(month) - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+    return trial.primaryCompletionEstimated ? `${label} (est.)` : label
+  }
+
+  return (
+    <>
+      <div className="pipeline-toolbar">
+        {FILTERS.map(filter => (
+          <button
+            key={filter.value}
+            className={`chart-tab ${status === filter.value ? 'active' : ''}`}
+            onClick={() => setStatus(filter.value)}
+            disabled={loading}
+          >
+            {filter.label}
+          </button>
+        ))}
+        {pipeline?.sponsor && (
+          <span className="pipeline-sponsor">Sponsor: {pipeline.sponsor}</span>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="section-loading">Loading pipeline...</div>
+      ) : error ? (
+        <div className="section-error">{error}</div>
+      ) : !pipeline || pipeline.total === 0 ? (
+        <div className="section-empty">No clinical trials found</div>
+      ) : (
+        <div className="pipeline-table-wrapper">
+          <table className="pipeline-table">
+            <thead>
+              <tr>
+                <th>Trial</th>
+                <th>Condition</th>
+                <th>Intervention</th>
+                <th>Status</th>
+                <th>Primary completion</th>
+              </tr>
+            </thead>
+            {pipeline.phases.map(group => (
+              <tbody key={group.phase}>
+                <tr className="pipeline-phase-row">
+                  <td colSpan={5}>
+                    {group.phase} <span className="pipeline-phase-count">{group.trials.length}</span>
+                  </td>
+                </tr>
+                {group.trials.map(trial => (
+                  <tr key={trial.nctId}>
+                    <td>
+                      <a href={trial.url} target="_blank" rel="noopener noreferrer" className="pipeline-trial-title">
+                        {trial.title}
+                      </a>
+                      <span className="pipeline-nct">{trial.nctId}</span>
+                    </td>
+                    <td>{trial.conditions.join(', ') || '—'}</td>
+                    <td>{trial.interventions.join(', ') || '—'}</td>
+                    <td>
+                      <span className={`pipeline-status status-${(trial.status || '').toLowerCase()}`}>
+                        {STATUS_LABELS[trial.status] || trial.status || '—'}
+                      </span>
+                    </td>
+                    <td className="pipeline-date">{formatCompletion(trial)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default StockPipeline
@@ -1,11 +1,37 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import './TrendingStocks.css'
+import AddToWatchlist from './AddToWatchlist'
+import CatalystBadge from './CatalystBadge'
+import { formatUpdatedAt } from '../hooks/useMarketStream'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const SECTORS = [
+  { value: '', label: 'All' },
+  { value: 'primary-biotech', label: 'Primary Biotech' },
+  { value: 'life-sciences', label: 'Life Sciences' },
+  { value: 'healthcare-infrastructure', label: 'Healthcare Infrastructure' }
+]
 
 /**
  * TrendingStocks Component
  * Displays trending stocks from Reddit with market data
  */
-function TrendingStocks({ stocks, onStockClick }) {
+function TrendingStocks({ stocks, onStockClick, sector = '', onSectorChange, updatedAt = null, highlighted = new Set() }) {
+  const [catalysts, setCatalysts] = useState({})
+  const symbolKey = stocks.map(stock => stock.symbol).join(',')
+
+  // Next calendar event per card; refetched only when the set of symbols changes
+  useEffect(() => {
+    if (!symbolKey) return
+    fetch(`${API_URL}/calendar/next?symbols=${symbolKey}`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) setCatalysts(data.data)
+      })
+      .catch(error => console.error('Error fetching catalysts:', error))
+  }, [symbolKey])
+
   const formatPrice = (price) => {
     if (!price) return 'N/A'
     return `$${parseFloat(price).toFixed(2)}`
@@ -29,7 +55,23 @@ function TrendingStocks({ stocks, onStockClick }) {
     <div className="trending-stocks">
       <div className="trending-header">
         <h2>📈 Trending on Reddit</h2>
-        <p className="trending-subtitle">Top stocks from r/wallstreetbets, r/stocks</p>
+        <p className="trending-subtitle">
+          Top stocks from r/wallstreetbets, r/stocks
+          {updatedAt && <span className="last-updated">{formatUpdatedAt(updatedAt)}</span>}
+        </p>
+        {onSectorChange && (
+          <div className="sector-selector">
+            {SECTORS.map(s => (
+              <button
+                key={s.value}
+                className={`sector-tab ${sector === s.value ? 'active' : ''}`}
+                onClick={() => onSectorChange(s.value)}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {stocks.length === 0 ? (
@@ -42,7 +84,7 @@ function TrendingStocks({ stocks, onStockClick }) {
           {stocks.map((stock) => (
             <div
               key={stock.symbol}
-              className="trending-card"
+              className={`trending-card ${highlighted.has(stock.symbol) ? 'is-new' : ''}`}
               onClick={() => onStockClick(stock)}
             >
               <div className="trending-card-header">
@@ -53,15 +95,35 @@ function TrendingStocks({ stocks, onStockClick }) {
                       🔥 {stock.redditMentions}
                     </span>
                   )}
+                  {stock.momentum?.isNewSpike && (
+                    <span
+                      className="spike-badge"
+                      title={`${stock.momentum.zScore}σ above its usual mention level since ${new Date(stock.momentum.spikeStartedAt).toLocaleTimeString()}`}
+                    >
+                      🚀 New spike
+                    </span>
+                  )}
+                </div>
+                <div className="trending-card-actions">
+                  <span className={`stock-change ${stock.change >= 0 ? 'positive' : 'negative'}`}>
+                    {formatChange(stock.change, stock.changePercent)}
+                  </span>
+                  <AddToWatchlist symbol={stock.symbol} compact />
                 </div>
-                <span className={`stock-change ${stock.change >= 0 ? 'positive' : 'negative'}`}>
-                  {formatChange(stock.change, stock.changePercent)}
-                </span>
               </div>
 
               <div className="trending-card-body">
                 <h3 className="stock-name">{stock.name || stock.symbol}</h3>
+                {stock.sector && (
+                  <span
+                    className="sector-tag"
+                    style={{ borderColor: stock.sectorColor, color: stock.sectorColor }}
+                  >
+                    {stock.sector}
+                  </span>
+                )}
                 <div className="stock-price">{formatPrice(stock.price)}</div>
+                <CatalystBadge catalyst={catalysts[stock.symbol]} compact />
               </div>
 
               <div className="trending-card-footer">
@@ -69,6 +131,14 @@ function TrendingStocks({ stocks, onStockClick }) {
                   <span className="stat-label">Market Cap</span>
                   <span className="stat-value">{formatMarketCap(stock.marketCap)}</span>
                 </div>
+                {stock.momentum?.velocity != null && stock.momentum.velocity !== 0 && (
+                  <div className="stock-stat">
+                    <span className="stat-label">Mention Velocity</span>
+                    <span className={`stat-value ${stock.momentum.velocity > 0 ? 'positive' : 'negative'}`}>
+                      {stock.momentum.velocity > 0 ? '+' : ''}{stock.momentum.velocity}/h
+                    </span>
+                  </div>
+                )}
                 {stock.redditScore > 0 && (
                   <div className="stock-stat">
                     <span className="stat-label">Social Score</span>
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import './Watchlists.css'
+import StockDetail from './StockDetail'
+import { useAuth } from '../hooks/useAuth'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+/**
+ * Watchlists Component
+ * Manage the signed-in user's watchlists and see quote, sentiment and latest headline per symbol
+ */
+function Watchlists() {
+  const { user, loading: authLoading } = useAuth()
+  const [watchlists, setWatchlists] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [active, setActive] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [itemsLoading, setItemsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [newName, setNewName] = useState('')
+  const [newSymbol, setNewSymbol] = useState('')
+  const [selectedStock, setSelectedStock] = useState(null)
+
+  useEffect(() => {
+    if (user) fetchWatchlists()
+  }, [user])
+
+  useEffect(() => {
+    if (activeId) fetchWatchlist(activeId)
+    else setActive(null)
+  }, [activeId])
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    })
+    const data = await response.json()
+    if (!data.success) throw new Error(data.error)
+    return data
+  }
+
+  const fetchWatchlists = async () => {
+    try {
+      setLoading(true)
+      const data = await request('/watchlists')
+      setWatchlists(data.data)
+      if (data.data.length > 0 && !activeId) setActiveId(data.data[0].id)
+    } catch (err) {
+      console.error('Error fetching watchlists:', err)
+      setError('Failed to load watchlists')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchWatchlist = async (id) => {
+    try {
+      setItemsLoading(true)
+      setError(null)
+      const data = await request(`/watchlists/${id}`)
+      setActive(data.data)
+    } catch (err) {
+      console.error('Error fetching watchlist:', err)
+      setError(err.message || 'Failed to load watchlist')
+    } finally {
+      setItemsLoading(false)
+    }
+  }
+
+  // Keep the sidebar list in sync after a change to one watchlist
+  const replaceWatchlist = (updated) => {
+    setWatchlists(prev => prev.map(w => w.id === updated.id ? updated : w))
+  }
+
+  const createWatchlist = async (e) => {
+    e.preventDefault()
+    if (!newName.trim()) return
+    try {
+      const data = await request('/watchlists', {
+        method: 'POST',
+        body: JSON.stringify({ name: newName.trim() })
+      })
+      setWatchlists(prev => [...prev, data.data])
+      setActiveId(data.data.id)
+      setNewName('')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const renameWatchlist = async () => {
+    const name = window.prompt('Rename watchlist', active.name)
+    if (!name || !name.trim() || name.trim() === active.name) return
+    try {
+      const data = await request(`/watchlists/${active.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ name: name.trim() })
+      })
+      replaceWatchlist(data.data)
+      setActive(prev => ({ ...prev, name: data.data.name }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const deleteWatchlist = async () => {
+    if (!window.confirm(`Delete watchlist "${active.name}"?`)) return
+    try {
+      await request(`/watchlists/${active.id}`, { method: 'DELETE' })
+      const remaining = watchlists.filter(w => w.id !== active.id)
+      setWatchlists(remaining)
+      setActiveId(remaining[0]?.id || null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const addSymbol = async (e) => {
+    e.preventDefault()
+    if (!newSymbol.trim()) return
+    try {
+      const data = await request(`/watchlists/${active.id}/symbols`, {
+        method: 'POST',
+        body: JSON.stringify({ symbol: newSymbol.trim() })
+      })
+      replaceWatchlist(data.data)
+      setNewSymbol('')
+      fetchWatchlist(active.id)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const removeSymbol = async (symbol) => {
+    try {
+      const data = await request(`/watchlists/${active.id}/symbols/${symbol}`, { method: 'DELETE' })
+      replaceWatchlist(data.data)
+      setActive(prev => ({ ...prev, symbols: data.data.symbols, items: prev.items.filter(i => i.symbol !== symbol) }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const formatPrice = (price) => {
+    if (!price) return 'N/A'
+    return `$${parseFloat(price).toFixed(2)}`
+  }
+
+  const formatChange = (changePercent) => {
+    if (changePercent == null) return 'N/A'
+    return `${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%`
+  }
+
+  if (!authLoading && !user) {
+    return (
+      <div className="watchlists">
+        <div className="watchlists-empty">
+          <Link to="/login">Sign in</Link> to keep your own watchlists
+        </div>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="watchlists">
+        <div className="watchlists-loading">Loading watchlists...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="watchlists">
+      <div className="watchlists-header">
+        <h2>⭐ Watchlists</h2>
+        <p className="watchlists-subtitle">Names you follow, with live quotes, sentiment and headlines</p>
+      </div>
+
+      <div className="watchlists-layout">
+        <aside className="watchlists-list">
+          {watchlists.map(w => (
+            <button
+              key={w.id}
+              className={`watchlists-list-item ${w.id === activeId ? 'active' : ''}`}
+              onClick={() => setActiveId(w.id)}
+            >
+              <span>{w.name}</span>
+              <span className="watchlists-count">{w.symbols.length}</span>
+            </button>
+          ))}
+          <form className="watchlists-form" onSubmit={createWatchlist}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New watchlist name"
+              maxLength={60}
+            />
+            <button type="submit" disabled={!newName.trim()}>Create</button>
+          </form>
+        </aside>
+
+        <section className="watchlists-detail">
+          {error && <div className="watchlists-error">{error}</div>}
+
+          {!active ? (
+            <div className="watchlists-empty">
+              {watchlists.length === 0 ? 'Create a watchlist to start tracking symbols' : 'Select a watchlist'}
+            </div>
+          ) : (
+            <>
+              <div className="watchlists-detail-header">
+                <h3>{active.name}</h3>
+                <div className="watchlists-detail-actions">
+                  <button onClick={renameWatchlist}>Rename</button>
+                  <button className="danger" onClick={deleteWatchlist}>Delete</button>
+                </div>
+              </div>
+
+              <form className="watchlists-form" onSubmit={addSymbol}>
+                <input
+                  type="text"
+                  value={newSymbol}
+                  onChange={(e) => setNewSymbol(e.target.value)}
+                  placeholder="Add symbol, e.g. VRTX"
+                  maxLength={10}
+                />
+                <button type="submit" disabled={!newSymbol.trim()}>Add</button>
+              </form>
+
+              {itemsLoading && !active.items ? (
+                <div className="watchlists-loading">Loading quotes...</div>
+              ) : active.items?.length === 0 ? (
+                <div className="watchlists-empty">No symbols yet</div>
+              ) : (
+                <table className="watchlists-table">
+                  <thead>
+                    <tr>
+                      <th>Symbol</th>
+                      <th>Price</th>
+                      <th>Change</th>
+                      <th>Sentiment</th>
+                      <th>Latest Headline</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {active.items?.map(item => (
+                      <tr key={item.symbol} onClick={() => setSelectedStock({ symbol: item.symbol, name: item.name })}>
+                        <td>
+                          <span className="watchlists-symbol">{item.symbol}</span>
+                          {item.name && <span className="watchlists-name">{item.name}</span>}
+                        </td>
+                        {item.error ? (
+                          <td colSpan={4} className="watchlists-row-error">{item.error}</td>
+                        ) : (
+                          <>
+                            <td>{formatPrice(item.price)}</td>
+                            <td className={item.changePercent >= 0 ? 'positive' : 'negative'}>
+                              {formatChange(item.changePercent)}
+                            </td>
+                            <td>
+                              <span className={`signal-${item.sentiment.signal}`}>{item.sentiment.signal}</span>
+                              <span className="watchlists-mentions">{item.sentiment.mentions} posts</span>
+                            </td>
+                            <td className="watchlists-headline">
+                              {item.latestHeadline ? (
+                                <a
+                                  href={item.latestHeadline.link}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  onClick={(e) => e.stopPropagation()}
+                                >
+                                  {item.latestHeadline.title}
+                                </a>
+                              ) : '—'}
+                            </td>
+                          </>
+                        )}
+                        <td>
+                          <button
+                            className="watchlists-remove"
+                            onClick={(e) => { e.stopPropagation(); removeSymbol(item.symbol) }}
+                            title={`Remove ${item.symbol}`}
+                          >
+                            ×
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+
+      {selectedStock && (
+        <StockDetail company={selectedStock} onClose={() => setSelectedStock(null)} />
+      )}
+    </div>
+  )
+}
+
+export default Watchlists
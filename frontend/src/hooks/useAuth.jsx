@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useState, useEffect } from 'react'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+const AuthContext = createContext(null)
+
+// POST to an /auth endpoint with the session cookie, throwing the server's message on failure
+async function postAuth(path, body) {
+  const response = await fetch(`${API_URL}/auth/${path}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  })
+  const data = await response.json()
+  if (!data.success) throw new Error(data.error)
+  return data.data
+}
+
+/**
+ * Holds the signed-in user for the app; wrap the router with it
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  // Restore the session from the cookie on load
+  useEffect(() => {
+    const fetchUser = async () => {
+      try {
+        const response = await fetch(`${API_URL}/auth/me`, { credentials: 'include' })
+        const data = await response.json()
+        setUser(data.success ? data.data : null)
+      } catch (error) {
+        console.error('Error fetching current user:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchUser()
+  }, [])
+
+  const login = async (email, password) => {
+    const { user } = await postAuth('login', { email, password })
+    setUser(user)
+    return user
+  }
+
+  const register = async (fields) => {
+    const { user } = await postAuth('register', fields)
+    setUser(user)
+    return user
+  }
+
+  const logout = async () => {
+    await postAuth('logout')
+    setUser(null)
+  }
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+/**
+ * Current user and auth actions
+ * @returns {Object} - { user, loading, login(email, password), register(fields), logout() }
+ */
+export function useAuth() {
+  return useContext(AuthContext)
+}
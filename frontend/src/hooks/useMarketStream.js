@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from 'react'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
+
+// How long newly arrived items stay highlighted
+const HIGHLIGHT_MS = 10000
+
+// Delay before reopening a stream the browser gave up on
+const RECONNECT_MS = 5000
+
+const STREAM_EVENTS = ['trending', 'discussions', 'news', 'heartbeat', 'resync']
+
+// One EventSource shared by every subscribed component
+const listeners = new Set()
+let source = null
+let lastEventId = null
+let reconnectTimer = null
+
+function dispatch(type, event) {
+  lastEventId = event.lastEventId || lastEventId
+  const data = JSON.parse(event.data)
+  listeners.forEach(listener => listener(type, data))
+}
+
+function connect() {
+  // EventSource resends Last-Event-ID on its own retries; a fresh instance
+  // after a hard failure needs it passed explicitly
+  const query = lastEventId ? `?lastEventId=${encodeURIComponent(lastEventId)}` : ''
+  source = new EventSource(`${API_URL}/stream${query}`)
+
+  STREAM_EVENTS.forEach(type => {
+    source.addEventListener(type, event => dispatch(type, event))
+  })
+
+  source.onerror = () => {
+    if (source.readyState !== EventSource.CLOSED) return
+    source = null
+    if (listeners.size > 0 && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null
+        if (listeners.size > 0 && !source) connect()
+      }, RECONNECT_MS)
+    }
+  }
+}
+
+/**
+ * Subscribe to live dashboard updates from GET /stream
+ * @param {Function} onEvent - Called with (type, data) for trending, discussions,
+ *   news, heartbeat and resync events
+ */
+export function useMarketStream(onEvent) {
+  // Keep the latest handler without resubscribing on every render
+  const handlerRef = useRef(onEvent)
+  handlerRef.current = onEvent
+
+  useEffect(() => {
+    const listener = (type, data) => handlerRef.current(type, data)
+    listeners.add(listener)
+    if (!source) connect()
+
+    return () => {
+      listeners.delete(listener)
+      if (listeners.size === 0 && source) {
+        source.close()
+        source = null
+      }
+    }
+  }, [])
+}
+
+/**
+ * Format a timestamp as a short "last updated" label
+ * @param {Date|string|null} date
+ * @returns {string}
+ */
+export function formatUpdatedAt(date) {
+  if (!date) return ''
+  return `Updated ${new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`
+}
+
+/**
+ * Track keys of newly arrived items so they can be highlighted briefly
+ * @returns {Array} - [highlighted Set, markNew(keys)]
+ */
+export function useHighlights() {
+  const [highlighted, setHighlighted] = useState(() => new Set())
+  const timers = useRef([])
+
+  useEffect(() => () => timers.current.forEach(clearTimeout), [])
+
+  const markNew = (keys) => {
+    if (keys.length === 0) return
+    setHighlighted(prev => new Set([...prev, ...keys]))
+
+    const timer = setTimeout(() => {
+      setHighlighted(prev => {
+        const next = new Set(prev)
+        keys.forEach(key => next.delete(key))
+        return next
+      })
+      timers.current = timers.current.filter(t => t !== timer)
+    }, HIGHLIGHT_MS)
+    timers.current.push(timer)
+  }
+
+  return [highlighted, markNew]
+}
@@ -0,0 +1,12 @@
+import React from 'react'
+import Alerts from '../components/Alerts'
+
+function AlertsPage() {
+  return (
+    <div>
+      <Alerts />
+    </div>
+  )
+}
+
+export default AlertsPage
@@ -0,0 +1,12 @@
+import React from 'react'
+import CatalystCalendar from '../components/CatalystCalendar'
+
+function Calendar() {
+  return (
+    <div>
+      <CatalystCalendar />
+    </div>
+  )
+}
+
+export default Calendar
@@ -0,0 +1,12 @@
+import React from 'react'
+import AuthForm from '../components/AuthForm'
+
+function Login() {
+  return (
+    <div>
+      <AuthForm mode="login" />
+    </div>
+  )
+}
+
+export default Login
@@ -0,0 +1,21 @@
+import React, { useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../hooks/useAuth'
+
+// Ends the session, then returns to the dashboard
+function Logout() {
+  const { logout } = useAuth()
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    logout()
+      .catch(error => console.error('Error signing out:', error))
+      .finally(() => navigate('/dashboard', { replace: true }))
+  }, [])
+
+  return (
+    <div className="section-loading">Signing out...</div>
+  )
+}
+
+export default Logout
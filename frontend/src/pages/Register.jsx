@@ -0,0 +1,12 @@
+import React from 'react'
+import AuthForm from '../components/AuthForm'
+
+function Register() {
+  return (
+    <div>
+      <AuthForm mode="register" />
+    </div>
+  )
+}
+
+export default Register
@@ -0,0 +1,12 @@
+import React from 'react'
+import Watchlists from '../components/Watchlists'
+
+function Watchlist() {
+  return (
+    <div>
+      <Watchlists />
+    </div>
+  )
+}
+
+export default Watchlist